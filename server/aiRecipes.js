@@ -0,0 +1,266 @@
+// AI recipe suggestions
+// Prompt building, response validation and per-user rate limiting for /api/ai routes
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+/**
+ * Keep only known preference fields, as short strings/numbers
+ */
+export function sanitizePreferences(preferences = {}) {
+  const text = (value) => (typeof value === 'string' ? value.trim().slice(0, 100) : '');
+  const list = (value) => (Array.isArray(value) ? [...new Set(value.map(text).filter(Boolean))].slice(0, 30) : []);
+  const minutes = parseInt(preferences.cookingTime, 10);
+
+  return {
+    dietary: text(preferences.dietary),
+    cuisine: text(preferences.cuisine),
+    cookingTime: minutes > 0 ? minutes : null,
+    allergies: list(preferences.allergies),
+    dislikes: list(preferences.dislikes),
+    useSoon: list(preferences.useSoon),
+  };
+}
+
+/**
+ * Build the recipe suggestion prompt from inventory names, preferences
+ * and an optional free-text request ("something quick with chicken")
+ */
+export function buildRecipePrompt(ingredients, preferences = {}, request = '') {
+  const ingredientsList = ingredients.length > 0 ? ingredients.join(', ') : 'nothing yet';
+
+  return `I have these ingredients in my kitchen: ${ingredientsList}.
+${request ? `\nWhat I'm looking for: ${request}\nOnly suggest recipes that fit this request.\n` : ''}
+Please suggest 10-15 creative recipes I can make. For each recipe:
+1. Name of the dish
+2. Brief description (1-2 sentences)
+3. Difficulty level (Easy/Medium/Hard)
+4. Cooking time in minutes
+5. Number of servings it makes
+6. Every ingredient with its quantity for those servings (amount as a number plus a unit)
+7. Cuisine type
+8. Estimated calories per serving
+
+${preferences.dietary ? `Dietary preference: ${preferences.dietary}` : ''}
+${preferences.cuisine ? `Preferred cuisine: ${preferences.cuisine}` : ''}
+${preferences.cookingTime ? `Maximum cooking time: ${preferences.cookingTime} minutes` : ''}
+${preferences.allergies?.length ? `ALLERGIES - never suggest a recipe containing any of these or anything made from them: ${preferences.allergies.join(', ')}` : ''}
+${preferences.dislikes?.length ? `Avoid these ingredients where possible: ${preferences.dislikes.join(', ')}` : ''}
+${preferences.useSoon?.length ? `These are about to expire - prefer recipes that use them: ${preferences.useSoon.join(', ')}` : ''}
+
+CRITICAL: Return ONLY a valid JSON array. No explanations, no markdown formatting, just the JSON array.
+
+Return ONLY a JSON array with this exact structure:
+[
+  {
+    "name": "Recipe Name",
+    "description": "Brief description without quotes",
+    "difficulty": "Easy",
+    "cookingTime": 30,
+    "cuisine": "Italian",
+    "calories": 450,
+    "servings": 4,
+    "ingredients": [
+      { "name": "chicken breast", "amount": 1.5, "unit": "lb" },
+      { "name": "onion", "amount": 1, "unit": "item" },
+      { "name": "olive oil", "amount": 2, "unit": "tbsp" }
+    ],
+    "instructions": "Step by step cooking instructions"
+  }
+]
+
+Use "item" as the unit for things counted whole. For "to taste" ingredients give a small realistic amount (e.g. 0.5 tsp).
+
+Return ONLY the JSON array, no other text. Start with [ and end with ].`;
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPositiveNumber = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+const isNonNegativeNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+/**
+ * Validate one suggested recipe against the schema in the prompt
+ * Returns a list of problems (empty when valid)
+ */
+export function validateRecipe(recipe) {
+  const problems = [];
+
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    return ['recipe must be an object'];
+  }
+
+  if (!isNonEmptyString(recipe.name)) problems.push('name must be a non-empty string');
+  if (!isNonEmptyString(recipe.description)) problems.push('description must be a non-empty string');
+  if (!DIFFICULTIES.includes(recipe.difficulty)) problems.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+  if (!isNonNegativeNumber(recipe.cookingTime)) problems.push('cookingTime must be a number of minutes');
+  if (!isNonEmptyString(recipe.cuisine)) problems.push('cuisine must be a non-empty string');
+  if (!isNonNegativeNumber(recipe.calories)) problems.push('calories must be a number');
+  if (!isPositiveNumber(recipe.servings)) problems.push('servings must be a positive number');
+  if (!Array.isArray(recipe.ingredients) || recipe.ingredients.length === 0) {
+    problems.push('ingredients must be a non-empty array');
+  } else {
+    recipe.ingredients.forEach((ingredient, index) => {
+      if (!ingredient || !isNonEmptyString(ingredient.name)) problems.push(`ingredients[${index}].name must be a non-empty string`);
+      else if (!isPositiveNumber(ingredient.amount)) problems.push(`ingredients[${index}].amount must be a positive number`);
+      else if (typeof ingredient.unit !== 'string') problems.push(`ingredients[${index}].unit must be a string`);
+    });
+  }
+  if (!isNonEmptyString(recipe.instructions)) problems.push('instructions must be a non-empty string');
+
+  return problems;
+}
+
+/**
+ * Keep only schema fields. Which ingredients are in stock (and the match
+ * percentage) is worked out by the client against the real inventory.
+ */
+export function finalizeRecipe(recipe) {
+  return {
+    name: recipe.name.trim(),
+    description: recipe.description.trim(),
+    difficulty: recipe.difficulty,
+    cookingTime: Math.round(recipe.cookingTime),
+    cuisine: recipe.cuisine.trim(),
+    calories: Math.round(recipe.calories),
+    servings: Math.round(recipe.servings) || 1,
+    ingredients: recipe.ingredients.map(ingredient => ({
+      name: ingredient.name.trim(),
+      amount: Math.round(ingredient.amount * 1000) / 1000,
+      unit: ingredient.unit.trim() || 'item',
+    })),
+    instructions: recipe.instructions.trim(),
+  };
+}
+
+/**
+ * Parse the full model response into validated recipes
+ * Invalid entries are dropped; throws if nothing usable came back
+ */
+export function parseRecipeResponse(text) {
+  const cleanedText = text
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+  const start = cleanedText.indexOf('[');
+  const end = cleanedText.lastIndexOf(']');
+  if (start === -1 || end === -1) {
+    throw new Error('Response did not contain a JSON array');
+  }
+
+  const parsed = JSON.parse(cleanedText.slice(start, end + 1));
+  if (!Array.isArray(parsed)) {
+    throw new Error('Response was not a JSON array');
+  }
+
+  const recipes = [];
+  parsed.forEach((recipe, index) => {
+    const problems = validateRecipe(recipe);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Dropping invalid recipe #${index}:`, problems.join('; '));
+    } else {
+      recipes.push(finalizeRecipe(recipe));
+    }
+  });
+
+  if (recipes.length === 0) {
+    throw new Error('No valid recipes in response');
+  }
+
+  return recipes;
+}
+
+/**
+ * Incrementally pulls complete top-level objects out of a streamed JSON array
+ */
+export class JsonArrayObjectStream {
+  constructor() {
+    this.buffer = '';
+    this.position = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.objectStart = -1;
+  }
+
+  // Feed more text; returns the objects completed by this chunk
+  push(chunk) {
+    this.buffer += chunk;
+    const objects = [];
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{') {
+        if (this.depth === 0) this.objectStart = this.position;
+        this.depth++;
+      } else if (char === '}') {
+        this.depth--;
+        if (this.depth === 0 && this.objectStart !== -1) {
+          const text = this.buffer.slice(this.objectStart, this.position + 1);
+          this.objectStart = -1;
+          try {
+            objects.push(JSON.parse(text));
+          } catch (error) {
+            console.warn('⚠️ Skipping unparseable streamed recipe:', error.message);
+          }
+        }
+      }
+    }
+
+    return objects;
+  }
+}
+
+/**
+ * Sliding-window rate limiter keyed by user
+ */
+export class RateLimiter {
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.hits = new Map(); // key -> [timestamps]
+    this.lastSweep = Date.now();
+  }
+
+  // Forget keys with no hits left in the window, so the map doesn't grow with every user ever seen
+  sweep(now = Date.now()) {
+    for (const [key, times] of this.hits) {
+      if (!times.some(time => now - time < this.windowMs)) this.hits.delete(key);
+    }
+    this.lastSweep = now;
+  }
+
+  // Records a hit if allowed; returns { allowed, remaining, retryAfterSeconds }
+  check(key) {
+    const now = Date.now();
+    if (now - this.lastSweep >= this.windowMs) this.sweep(now);
+
+    const recent = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+
+    if (recent.length >= this.limit) {
+      this.hits.set(key, recent);
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterSeconds: Math.ceil((recent[0] + this.windowMs - now) / 1000)
+      };
+    }
+
+    recent.push(now);
+    this.hits.set(key, recent);
+    return { allowed: true, remaining: this.limit - recent.length, retryAfterSeconds: 0 };
+  }
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { RateLimiter } from './aiRecipes.js';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('RateLimiter', () => {
+  it('allows up to the limit within the window', () => {
+    vi.useFakeTimers();
+    const limiter = new RateLimiter({ limit: 2, windowMs: 60000 });
+
+    expect(limiter.check('user-1')).toEqual({ allowed: true, remaining: 1, retryAfterSeconds: 0 });
+    expect(limiter.check('user-1').allowed).toBe(true);
+
+    vi.advanceTimersByTime(15000);
+    expect(limiter.check('user-1')).toEqual({ allowed: false, remaining: 0, retryAfterSeconds: 45 });
+    expect(limiter.check('user-2').allowed).toBe(true);
+  });
+
+  it('allows again once old hits leave the window', () => {
+    vi.useFakeTimers();
+    const limiter = new RateLimiter({ limit: 1, windowMs: 60000 });
+
+    limiter.check('user-1');
+    vi.advanceTimersByTime(60000);
+    expect(limiter.check('user-1').allowed).toBe(true);
+  });
+
+  it('forgets users with no recent hits', () => {
+    vi.useFakeTimers();
+    const limiter = new RateLimiter({ limit: 5, windowMs: 60000 });
+
+    limiter.check('user-1');
+    limiter.check('user-2');
+    vi.advanceTimersByTime(60000);
+    limiter.check('user-3');
+
+    expect([...limiter.hits.keys()]).toEqual(['user-3']);
+  });
+});
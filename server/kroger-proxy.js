@@ -2,6 +2,22 @@ import express from 'express';
 import axios from 'axios';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import Anthropic from '@anthropic-ai/sdk';
+import { fileURLToPath } from 'url';
+import { KrogerUserAuth, UserTokenStore } from './krogerUserAuth.js';
+import { KrogerApiClient, ResponseCache, QuotaExceededError, KROGER_DAILY_QUOTAS } from './krogerApi.js';
+import { KrogerFixtureStore, KROGER_MODES } from './krogerFixtures.js';
+import { getOrderSource, orderSources } from './orderSources/index.js';
+import { SupabaseAuth } from './supabaseAuth.js';
+import {
+  buildRecipePrompt,
+  sanitizePreferences,
+  parseRecipeResponse,
+  validateRecipe,
+  finalizeRecipe,
+  JsonArrayObjectStream,
+  RateLimiter
+} from './aiRecipes.js';
 
 dotenv.config();
 
@@ -11,7 +27,58 @@ const PORT = process.env.PORT || 3001;
 // Kroger API Configuration
 const KROGER_CLIENT_ID = process.env.KROGER_CLIENT_ID;
 const KROGER_CLIENT_SECRET = process.env.KROGER_CLIENT_SECRET;
-const KROGER_API_BASE = 'https://api.kroger.com/v1';
+const KROGER_API_BASE = (process.env.KROGER_API_BASE || 'https://api.kroger.com/v1').replace(/\/$/, '');
+
+// Kroger OAuth Configuration - override the base to point at a mock token server
+const KROGER_OAUTH_BASE = (process.env.KROGER_OAUTH_BASE || `${KROGER_API_BASE}/connect/oauth2`).replace(/\/$/, '');
+const KROGER_REDIRECT_URI = process.env.KROGER_REDIRECT_URI || `http://localhost:${PORT}/api/kroger/oauth/callback`;
+const KROGER_USER_SCOPES = process.env.KROGER_USER_SCOPES || 'cart.basic:write profile.compact product.compact';
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Kroger mode - 'mock' serves fixtures without credentials, 'record' saves live responses as fixtures
+const KROGER_MODE = KROGER_MODES.includes(process.env.KROGER_MODE) ? process.env.KROGER_MODE : 'live';
+const KROGER_FIXTURES_DIR = process.env.KROGER_FIXTURES_DIR
+  || fileURLToPath(new URL('./fixtures/kroger', import.meta.url));
+
+if (process.env.KROGER_MODE && process.env.KROGER_MODE !== KROGER_MODE) {
+  console.warn(`⚠️ Unknown KROGER_MODE "${process.env.KROGER_MODE}" - using live (expected ${KROGER_MODES.join(', ')})`);
+}
+
+// Response cache TTLs (seconds) - prices change during the day, stores rarely do
+const PRODUCT_CACHE_TTL = parseInt(process.env.KROGER_PRODUCT_CACHE_TTL_SECONDS ?? '900', 10) * 1000;
+const LOCATION_CACHE_TTL = parseInt(process.env.KROGER_LOCATION_CACHE_TTL_SECONDS ?? '86400', 10) * 1000;
+
+// Daily quotas default to Kroger's public API limits; lower them to share a key between environments
+const KROGER_QUOTAS = {
+  products: parseInt(process.env.KROGER_QUOTA_PRODUCTS, 10) || KROGER_DAILY_QUOTAS.products,
+  locations: parseInt(process.env.KROGER_QUOTA_LOCATIONS, 10) || KROGER_DAILY_QUOTAS.locations,
+  cart: parseInt(process.env.KROGER_QUOTA_CART, 10) || KROGER_DAILY_QUOTAS.cart
+};
+
+// Order history source - 'receipt' (imported e-receipts) or 'mock' for local development
+const ORDER_SOURCE = process.env.ORDER_SOURCE || (KROGER_MODE === 'mock' ? 'mock' : 'receipt');
+
+// Anthropic Configuration - the API key never leaves the server
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+const AI_RATE_LIMIT_PER_HOUR = parseInt(process.env.AI_RATE_LIMIT_PER_HOUR, 10) || 20;
+
+const anthropic = ANTHROPIC_API_KEY ? new Anthropic({ apiKey: ANTHROPIC_API_KEY }) : null;
+const aiRateLimiter = new RateLimiter({ limit: AI_RATE_LIMIT_PER_HOUR, windowMs: 60 * 60 * 1000 });
+
+if (!ANTHROPIC_API_KEY) {
+  console.warn('⚠️ ANTHROPIC_API_KEY not set - /api/ai routes are disabled');
+}
+
+// Supabase - verifies the access token callers send, so per-user limits can't be dodged
+const supabaseAuth = new SupabaseAuth({
+  url: process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+  anonKey: process.env.SUPABASE_ANON_KEY || process.env.VITE_SUPABASE_ANON_KEY
+});
+
+if (!supabaseAuth.configured) {
+  console.warn('⚠️ SUPABASE_URL / SUPABASE_ANON_KEY not set - routes that need a signed-in user are disabled');
+}
 
 // CORS Configuration - handle both with and without trailing slash
 const allowedOrigins = [
@@ -56,13 +123,47 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // Receipt exports can be large
+
+// User tokens (authorization-code flow) - set KROGER_TOKEN_STORE_FILE to persist across restarts
+const krogerUserAuth = new KrogerUserAuth({
+  clientId: KROGER_CLIENT_ID,
+  clientSecret: KROGER_CLIENT_SECRET,
+  oauthBase: KROGER_OAUTH_BASE,
+  revokeUrl: process.env.KROGER_REVOKE_URL ?? `${KROGER_OAUTH_BASE}/revoke`,
+  redirectUri: KROGER_REDIRECT_URI,
+  scopes: KROGER_USER_SCOPES,
+  tokenStore: new UserTokenStore(process.env.KROGER_TOKEN_STORE_FILE || null)
+});
+
+// Kroger API calls go through one client for caching, quotas and retries
+const krogerApi = new KrogerApiClient({
+  baseUrl: KROGER_API_BASE,
+  quotas: KROGER_QUOTAS,
+  cache: new ResponseCache({ maxEntries: parseInt(process.env.KROGER_CACHE_MAX_ENTRIES, 10) || 1000 }),
+  retries: parseInt(process.env.KROGER_MAX_RETRIES ?? '3', 10),
+  mode: KROGER_MODE,
+  fixtures: KROGER_MODE === 'live' ? null : new KrogerFixtureStore(KROGER_FIXTURES_DIR)
+});
+
+// Tell the client when it can try again after we've hit a quota or Kroger's rate limit
+function setRetryAfter(res, error) {
+  if (error instanceof QuotaExceededError) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  } else if (error.response?.headers?.['retry-after']) {
+    res.set('Retry-After', String(error.response.headers['retry-after']));
+  }
+}
 
 // Token management
 let accessToken = null;
 let tokenExpiry = null;
 
 async function getAccessToken() {
+  if (KROGER_MODE === 'mock') {
+    return 'mock-access-token';
+  }
+
   if (accessToken && tokenExpiry && Date.now() < tokenExpiry) {
     return accessToken;
   }
@@ -71,7 +172,7 @@ async function getAccessToken() {
     const credentials = Buffer.from(`${KROGER_CLIENT_ID}:${KROGER_CLIENT_SECRET}`).toString('base64');
     
     const response = await axios.post(
-      'https://api.kroger.com/v1/connect/oauth2/token',
+      `${KROGER_OAUTH_BASE}/token`,
       'grant_type=client_credentials&scope=product.compact',
       {
         headers: {
@@ -97,10 +198,16 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok',
     message: 'Kroger proxy server is running',
+    krogerMode: KROGER_MODE,
     allowedOrigins: allowedOrigins
   });
 });
 
+// Cache hit rate, quota usage and upstream retry counts
+app.get('/metrics', (req, res) => {
+  res.json(krogerApi.metrics());
+});
+
 // Search products
 app.get('/api/kroger/products', async (req, res) => {
   try {
@@ -116,15 +223,18 @@ app.get('/api/kroger/products', async (req, res) => {
       params['filter.locationId'] = locationId;
     }
 
-    const response = await axios.get(`${KROGER_API_BASE}/products`, {
-      headers: { 'Authorization': `Bearer ${token}` },
-      params: params
+    const { data, cache } = await krogerApi.get('products', '/products', {
+      token,
+      params,
+      ttlMs: PRODUCT_CACHE_TTL
     });
 
-    res.json(response.data);
+    res.set('X-Cache', cache);
+    res.json(data);
   } catch (error) {
     console.error('❌ Server error:', error.message);
-    res.status(error.response?.status || 500).json({
+    setRetryAfter(res, error);
+    res.status(error.status || error.response?.status || 500).json({
       error: 'Failed to search products',
       details: error.response?.data || { error: error.message }
     });
@@ -140,15 +250,18 @@ app.get('/api/kroger/products/:upc', async (req, res) => {
 
     const params = locationId ? { 'filter.locationId': locationId } : {};
 
-    const response = await axios.get(`${KROGER_API_BASE}/products/${upc}`, {
-      headers: { 'Authorization': `Bearer ${token}` },
-      params: params
+    const { data, cache } = await krogerApi.get('products', `/products/${encodeURIComponent(upc)}`, {
+      token,
+      params,
+      ttlMs: PRODUCT_CACHE_TTL
     });
 
-    res.json(response.data);
+    res.set('X-Cache', cache);
+    res.json(data);
   } catch (error) {
     console.error('❌ Server error:', error.message);
-    res.status(error.response?.status || 500).json({
+    setRetryAfter(res, error);
+    res.status(error.status || error.response?.status || 500).json({
       error: 'Failed to get product',
       details: error.response?.data || { error: error.message }
     });
@@ -175,15 +288,18 @@ app.get('/api/kroger/locations', async (req, res) => {
       return res.status(400).json({ error: 'zipCode or lat/lon required' });
     }
 
-    const response = await axios.get(`${KROGER_API_BASE}/locations`, {
-      headers: { 'Authorization': `Bearer ${token}` },
-      params: params
+    const { data, cache } = await krogerApi.get('locations', '/locations', {
+      token,
+      params,
+      ttlMs: LOCATION_CACHE_TTL
     });
 
-    res.json(response.data);
+    res.set('X-Cache', cache);
+    res.json(data);
   } catch (error) {
     console.error('❌ Server error:', error.message);
-    res.status(error.response?.status || 500).json({
+    setRetryAfter(res, error);
+    res.status(error.status || error.response?.status || 500).json({
       error: 'Failed to search locations',
       details: error.response?.data || { error: error.message }
     });
@@ -196,21 +312,352 @@ app.get('/api/kroger/locations/:locationId', async (req, res) => {
     const token = await getAccessToken();
     const { locationId } = req.params;
 
-    const response = await axios.get(`${KROGER_API_BASE}/locations/${locationId}`, {
-      headers: { 'Authorization': `Bearer ${token}` }
+    const { data, cache } = await krogerApi.get('locations', `/locations/${encodeURIComponent(locationId)}`, {
+      token,
+      ttlMs: LOCATION_CACHE_TTL
     });
 
-    res.json(response.data);
+    res.set('X-Cache', cache);
+    res.json(data);
   } catch (error) {
     console.error('❌ Server error:', error.message);
-    res.status(error.response?.status || 500).json({
+    setRetryAfter(res, error);
+    res.status(error.status || error.response?.status || 500).json({
       error: 'Failed to get location',
       details: error.response?.data || { error: error.message }
     });
   }
 });
 
+// Start user OAuth flow - returns the Kroger login URL
+// The tokens are stored under the signed-in user, so a login can't be tied to someone else's account
+app.get('/api/kroger/oauth/init', supabaseAuth.requireUser(), (req, res) => {
+  const userId = req.user.id;
+
+  // Mock mode: connect straight away and send the browser back as the callback would
+  if (KROGER_MODE === 'mock') {
+    krogerUserAuth.storeTokens(userId, {
+      access_token: 'mock-user-access-token',
+      refresh_token: 'mock-user-refresh-token',
+      expires_in: 24 * 60 * 60
+    });
+    console.log(`✅ Mock Kroger account connected for user ${userId}`);
+    return res.json({ authUrl: `${FRONTEND_URL}/?kroger_connected=true` });
+  }
+
+  if (!KROGER_CLIENT_ID || !KROGER_CLIENT_SECRET) {
+    return res.status(500).json({ error: 'Kroger client credentials not configured' });
+  }
+
+  const authUrl = krogerUserAuth.createAuthorizationUrl(userId);
+  res.json({ authUrl });
+});
+
+// OAuth callback - Kroger redirects here after login
+app.get('/api/kroger/oauth/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (error) {
+    console.error('❌ Kroger authorization denied:', error);
+    return res.redirect(`${FRONTEND_URL}/?error=${encodeURIComponent(error)}`);
+  }
+
+  if (!code || !state) {
+    return res.redirect(`${FRONTEND_URL}/?error=missing_code`);
+  }
+
+  try {
+    const userId = await krogerUserAuth.handleCallback(code, state);
+    console.log(`✅ Kroger account connected for user ${userId}`);
+    res.redirect(`${FRONTEND_URL}/?kroger_connected=true`);
+  } catch (error) {
+    console.error('❌ OAuth callback error:', error.response?.data || error.message);
+    res.redirect(`${FRONTEND_URL}/?error=oauth_failed`);
+  }
+});
+
+// Check whether the signed-in user has connected their Kroger account
+app.get('/api/kroger/oauth/status', supabaseAuth.requireUser(), (req, res) => {
+  res.json({ isConnected: krogerUserAuth.isConnected(req.user.id) });
+});
+
+// Disconnect - revoke and forget the signed-in user's tokens
+app.post('/api/kroger/oauth/disconnect', supabaseAuth.requireUser(), async (req, res) => {
+  try {
+    const wasConnected = await krogerUserAuth.disconnect(req.user.id);
+    res.json({ success: true, wasConnected });
+  } catch (error) {
+    console.error('❌ Server error:', error.message);
+    res.status(500).json({
+      error: 'Failed to disconnect',
+      details: { error: error.message }
+    });
+  }
+});
+
+// Cart - Kroger's public API can only add to a cart, so remember what we sent per user.
+// Kept in memory only: the list covers what this proxy process sent and is lost on restart.
+const CART_MODALITIES = ['PICKUP', 'DELIVERY'];
+const sentCartItems = new Map(); // userId -> [{ upc, quantity, modality, addedAt }]
+const PROXY_STARTED_AT = new Date().toISOString();
+
+function recordCartItems(userId, items) {
+  const existing = sentCartItems.get(userId) || [];
+
+  items.forEach(item => {
+    const match = existing.find(e => e.upc === item.upc && e.modality === item.modality);
+    if (match) {
+      match.quantity += item.quantity;
+      match.addedAt = new Date().toISOString();
+    } else {
+      existing.push({ ...item, addedAt: new Date().toISOString() });
+    }
+  });
+
+  sentCartItems.set(userId, existing);
+}
+
+// Add items to the signed-in user's Kroger cart
+app.post('/api/kroger/cart/add', supabaseAuth.requireUser(), async (req, res) => {
+  const userId = req.user.id;
+  const { items, modality = 'PICKUP' } = req.body || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'items must be a non-empty array' });
+  }
+
+  const cartItems = items.map(item => ({
+    upc: item.upc,
+    quantity: Math.max(1, parseInt(item.quantity, 10) || 1),
+    modality: (item.modality || modality).toUpperCase()
+  }));
+
+  const invalidItem = cartItems.find(item => !item.upc || !CART_MODALITIES.includes(item.modality));
+  if (invalidItem) {
+    return res.status(400).json({
+      error: `Each item needs a upc and a modality of ${CART_MODALITIES.join(' or ')}`,
+      details: invalidItem
+    });
+  }
+
+  try {
+    const token = await krogerUserAuth.getAccessToken(userId);
+    if (!token) {
+      return res.status(401).json({ error: 'Kroger account not connected', needsAuth: true });
+    }
+
+    await krogerApi.put('cart', '/cart/add', { items: cartItems }, { token });
+
+    recordCartItems(userId, cartItems);
+    console.log(`🛒 Added ${cartItems.length} items to Kroger cart for user ${userId}`);
+
+    res.json({ success: true, addedCount: cartItems.length, items: cartItems });
+  } catch (error) {
+    console.error('❌ Server error:', error.response?.data || error.message);
+
+    if (error.response?.status === 401) {
+      return res.status(401).json({ error: 'Kroger session expired', needsAuth: true });
+    }
+
+    setRetryAfter(res, error);
+    res.status(error.status || error.response?.status || 500).json({
+      error: 'Failed to add items to cart',
+      details: error.response?.data || { error: error.message }
+    });
+  }
+});
+
+// Get items sent to the signed-in user's Kroger cart since this proxy process started
+// (not stored - a restart starts the list over)
+app.get('/api/kroger/cart', supabaseAuth.requireUser(), (req, res) => {
+  const userId = req.user.id;
+
+  if (!krogerUserAuth.isConnected(userId)) {
+    return res.status(401).json({ error: 'Kroger account not connected', needsAuth: true });
+  }
+
+  const items = sentCartItems.get(userId) || [];
+  const byModality = CART_MODALITIES.reduce((acc, modality) => {
+    acc[modality] = items.filter(item => item.modality === modality).length;
+    return acc;
+  }, {});
+
+  res.json({ items, byModality, source: 'proxy', since: PROXY_STARTED_AT });
+});
+
+// Order history from the configured source (override with ?source=)
+app.get('/api/kroger/orders', supabaseAuth.requireUser(), async (req, res) => {
+  const { limit = 50, source = ORDER_SOURCE } = req.query;
+
+  const orderSource = getOrderSource(source);
+  if (!orderSource) {
+    return res.status(400).json({
+      error: `Unknown order source: ${source}`,
+      availableSources: Object.keys(orderSources)
+    });
+  }
+
+  try {
+    const orders = await orderSource.getOrders(req.user.id, {
+      limit: parseInt(limit, 10) || 50,
+      supabase: supabaseAuth.clientFor(req.accessToken)
+    });
+    res.json({ orders, source: orderSource.name });
+  } catch (error) {
+    console.error('❌ Server error:', error.message);
+    res.status(500).json({
+      error: 'Failed to load orders',
+      details: { error: error.message }
+    });
+  }
+});
+
+// Parse a Kroger e-receipt export (CSV or JSON) or pasted receipt text.
+// Nothing is kept here - the client saves the orders it imports to order_history.
+app.post('/api/kroger/orders/import', supabaseAuth.requireUser(), (req, res) => {
+  const { content, format } = req.body || {};
+
+  if (!content) {
+    return res.status(400).json({ error: 'content required' });
+  }
+
+  if (format && !['csv', 'json', 'text'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv, json or text' });
+  }
+
+  try {
+    const orders = orderSources.receipt.importReceipt(content, format);
+    console.log(`🧾 Parsed ${orders.length} orders for user ${req.user.id}`);
+    res.json({ orders, importedCount: orders.length });
+  } catch (error) {
+    console.error('❌ Receipt import error:', error.message);
+    res.status(400).json({
+      error: 'Failed to parse receipt',
+      details: { error: error.message }
+    });
+  }
+});
+
+// Stream recipes to the client as server-sent events, one event per completed recipe
+async function streamRecipeSuggestions(res, prompt) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const parser = new JsonArrayObjectStream();
+  let count = 0;
+
+  const stream = anthropic.messages.stream({
+    model: ANTHROPIC_MODEL,
+    max_tokens: 4096,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  // Stop generating (and paying for tokens) if the client goes away
+  res.on('close', () => {
+    if (!res.writableEnded) stream.abort();
+  });
+
+  stream.on('text', (delta) => {
+    parser.push(delta).forEach(recipe => {
+      if (validateRecipe(recipe).length === 0) {
+        sendEvent('recipe', finalizeRecipe(recipe));
+        count++;
+      }
+    });
+  });
+
+  try {
+    await stream.finalMessage();
+    sendEvent('done', { count });
+  } catch (error) {
+    if (!res.writableEnded) {
+      console.error('❌ Claude stream error:', error.message);
+      sendEvent('error', { error: 'Failed to generate recipe suggestions' });
+    }
+  } finally {
+    res.end();
+  }
+}
+
+// Suggest recipes from the user's inventory and an optional prompt (set stream: true for server-sent events)
+// Requires the caller's Supabase access token; the rate limit is per verified user
+app.post('/api/ai/suggest-recipes', supabaseAuth.requireUser(), async (req, res) => {
+  const { ingredients = [], preferences, prompt: userPrompt = '', stream = false } = req.body || {};
+  const request = typeof userPrompt === 'string' ? userPrompt.trim().slice(0, 500) : '';
+
+  if (!Array.isArray(ingredients) || !ingredients.every(i => typeof i === 'string')) {
+    return res.status(400).json({ error: 'ingredients must be an array of strings' });
+  }
+
+  if (ingredients.length === 0 && !request) {
+    return res.status(400).json({ error: 'ingredients or prompt required' });
+  }
+
+  if (!anthropic) {
+    return res.status(503).json({ error: 'AI recipe suggestions are not configured on the server' });
+  }
+
+  const rateLimit = aiRateLimiter.check(req.user.id);
+  res.set('X-RateLimit-Limit', String(AI_RATE_LIMIT_PER_HOUR));
+  res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+
+  if (!rateLimit.allowed) {
+    res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Too many recipe requests. Please try again later.',
+      retryAfterSeconds: rateLimit.retryAfterSeconds
+    });
+  }
+
+  const prompt = buildRecipePrompt(
+    ingredients.slice(0, 200).map(name => name.slice(0, 100)),
+    sanitizePreferences(preferences),
+    request
+  );
+
+  if (stream) {
+    return streamRecipeSuggestions(res, prompt);
+  }
+
+  try {
+    const message = await anthropic.messages.create({
+      model: ANTHROPIC_MODEL,
+      max_tokens: 4096, // Enough for 10-15 recipes
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const text = message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    let recipes;
+    try {
+      recipes = parseRecipeResponse(text);
+    } catch (parseError) {
+      console.error('❌ Invalid recipe response:', parseError.message);
+      return res.status(502).json({ error: 'Invalid response format from AI. Please try again.' });
+    }
+
+    res.json({ recipes });
+  } catch (error) {
+    console.error('❌ Claude API error:', error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to generate recipe suggestions',
+      details: { error: error.message }
+    });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`🚀 Kroger proxy server running on port ${PORT}`);
+  if (KROGER_MODE !== 'live') {
+    console.log(`📼 Kroger ${KROGER_MODE} mode - fixtures in ${KROGER_FIXTURES_DIR}`);
+  }
   console.log(`✅ CORS enabled for:`, allowedOrigins);
 });
\ No newline at end of file
@@ -0,0 +1,293 @@
+// Kroger API client for the proxy
+// Response caching, daily-quota token buckets and retry with backoff, so
+// repeated searches (Deals fires six per page load) don't burn the app's quota
+
+import axios from 'axios';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Kroger public API daily limits per app (developer.kroger.com rate limits)
+export const KROGER_DAILY_QUOTAS = {
+  products: 10000,
+  locations: 1600,
+  cart: 5000
+};
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * TTL cache for upstream responses.
+ * Expired entries are kept (up to maxEntries, oldest evicted first) so they can
+ * be served stale when the quota is spent or Kroger is down.
+ */
+export class ResponseCache {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> { data, expiresAt, storedAt }
+    this.stats = { hits: 0, misses: 0, stale: 0 };
+  }
+
+  // Stable key: path plus params sorted by name, ignoring empty values
+  static key(path, params = {}) {
+    const query = Object.keys(params)
+      .filter(name => params[name] !== undefined && params[name] !== null && params[name] !== '')
+      .sort()
+      .map(name => `${name}=${String(params[name]).toLowerCase()}`)
+      .join('&');
+    return query ? `${path}?${query}` : path;
+  }
+
+  // Fresh entry or null; counts a hit or miss
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return entry.data;
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  // Any entry, expired or not - only for fallbacks
+  getStale(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.stats.stale++;
+    return entry.data;
+  }
+
+  set(key, data, ttlMs) {
+    if (ttlMs <= 0) return;
+
+    this.entries.delete(key); // Re-insert so Map order stays oldest-first
+    this.entries.set(key, { data, expiresAt: Date.now() + ttlMs, storedAt: Date.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  metrics() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      entries: this.entries.size,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      staleServed: this.stats.stale,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null
+    };
+  }
+}
+
+/**
+ * Token bucket sized to a daily quota.
+ * Starts full and refills continuously at capacity per day, so bursts are
+ * allowed but the app can never spend more than the quota in any 24 hours.
+ */
+export class TokenBucket {
+  constructor({ capacity, refillMs = DAY_MS }) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / refillMs;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.used = 0;
+    this.rejected = 0;
+    this.usedSince = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+
+    // Usage counters cover the current day
+    if (now - this.usedSince >= DAY_MS) {
+      this.used = 0;
+      this.rejected = 0;
+      this.usedSince = now;
+    }
+  }
+
+  // Takes one token if available; returns { allowed, retryAfterSeconds }
+  take() {
+    this.refill();
+
+    if (this.tokens < 1) {
+      this.rejected++;
+      return { allowed: false, retryAfterSeconds: Math.ceil((1 - this.tokens) / this.refillPerMs / 1000) };
+    }
+
+    this.tokens -= 1;
+    this.used++;
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  metrics() {
+    this.refill();
+    return {
+      dailyLimit: this.capacity,
+      remaining: Math.floor(this.tokens),
+      usedToday: this.used,
+      rejectedToday: this.rejected,
+      percentUsed: Math.round((1 - this.tokens / this.capacity) * 1000) / 10
+    };
+  }
+}
+
+export class QuotaExceededError extends Error {
+  constructor(bucketName, retryAfterSeconds) {
+    super(`Kroger ${bucketName} quota exhausted`);
+    this.name = 'QuotaExceededError';
+    this.status = 429;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Delay before the next attempt: Retry-After when Kroger sends one,
+ * otherwise exponential backoff with jitter
+ */
+export function retryDelay(error, attempt, { baseDelayMs, maxDelayMs }) {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, maxDelayMs);
+
+  const backoff = baseDelayMs * 2 ** attempt;
+  return Math.min(backoff / 2 + Math.random() * (backoff / 2), maxDelayMs);
+}
+
+export function isRetryable(error, { idempotent = true } = {}) {
+  const status = error.response?.status;
+
+  // Without a response we can't tell whether a write went through
+  if (!status) return idempotent && !!error.code;
+
+  // A 429 was rejected before processing, so even writes are safe to repeat
+  if (status === 429) return true;
+  return idempotent && RETRYABLE_STATUSES.includes(status);
+}
+
+export class KrogerApiClient {
+  // mode: 'live', 'mock' (answer from fixtures, no network or quota) or 'record' (live, saving GETs to fixtures)
+  constructor({ baseUrl, quotas = KROGER_DAILY_QUOTAS, cache = new ResponseCache(), retries = 3, baseDelayMs = 500, maxDelayMs = 8000, mode = 'live', fixtures = null }) {
+    this.baseUrl = baseUrl;
+    this.mode = mode;
+    this.fixtures = fixtures;
+    this.cache = cache;
+    this.retryOptions = { retries, baseDelayMs, maxDelayMs };
+    this.buckets = Object.fromEntries(
+      Object.entries(quotas).map(([name, capacity]) => [name, new TokenBucket({ capacity })])
+    );
+    this.inFlight = new Map(); // cache key -> pending promise, so identical requests share one call
+    this.stats = { requests: 0, retries: 0, failures: 0 };
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Send one request with retries; every attempt spends a quota token
+   */
+  async send(bucketName, config, { idempotent = true } = {}) {
+    if (this.mode === 'mock') {
+      this.stats.requests++;
+      return { status: 200, data: this.fixtures.respond(config.method, config.url, config.params) };
+    }
+
+    const bucket = this.buckets[bucketName];
+
+    for (let attempt = 0; ; attempt++) {
+      const quota = bucket.take();
+      if (!quota.allowed) {
+        throw new QuotaExceededError(bucketName, quota.retryAfterSeconds);
+      }
+
+      try {
+        this.stats.requests++;
+        const response = await axios({ ...config, url: `${this.baseUrl}${config.url}` });
+
+        if (this.mode === 'record' && config.method === 'get') {
+          this.fixtures.record(config.method, config.url, config.params, response.data);
+        }
+        return response;
+      } catch (error) {
+        if (attempt >= this.retryOptions.retries || !isRetryable(error, { idempotent })) {
+          this.stats.failures++;
+          throw error;
+        }
+
+        const delay = retryDelay(error, attempt, this.retryOptions);
+        this.stats.retries++;
+        console.warn(`⚠️ Kroger ${error.response?.status || error.code} on ${config.url} - retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Cached GET. Returns { data, cache } where cache is HIT, MISS or STALE.
+   * Stale data is served only when the quota is spent or Kroger keeps failing.
+   */
+  async get(bucketName, path, { params = {}, token, ttlMs = 0 } = {}) {
+    const key = ResponseCache.key(path, params);
+
+    if (ttlMs > 0) {
+      const cached = this.cache.get(key);
+      if (cached) return { data: cached, cache: 'HIT' };
+    }
+
+    if (!this.inFlight.has(key)) {
+      const request = this.send(bucketName, {
+        method: 'get',
+        url: path,
+        params,
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+        .then(response => {
+          this.cache.set(key, response.data, ttlMs);
+          return response.data;
+        })
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, request);
+    }
+
+    try {
+      return { data: await this.inFlight.get(key), cache: 'MISS' };
+    } catch (error) {
+      const stale = ttlMs > 0 && (error instanceof QuotaExceededError || !error.response || error.response.status >= 429)
+        ? this.cache.getStale(key)
+        : null;
+      if (stale) {
+        console.warn(`⚠️ Serving stale Kroger response for ${key}: ${error.message}`);
+        return { data: stale, cache: 'STALE' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Uncached write (cart). Only retried when Kroger says it wasn't processed.
+   */
+  async put(bucketName, path, body, { token } = {}) {
+    return this.send(bucketName, {
+      method: 'put',
+      url: path,
+      data: body,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    }, { idempotent: false });
+  }
+
+  metrics() {
+    return {
+      mode: this.mode,
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      cache: this.cache.metrics(),
+      quotas: Object.fromEntries(
+        Object.entries(this.buckets).map(([name, bucket]) => [name, bucket.metrics()])
+      ),
+      upstream: { ...this.stats }
+    };
+  }
+}
@@ -0,0 +1,121 @@
+// Kroger fixtures for working without live credentials
+// mock mode answers Kroger API calls from fixture files; record mode saves
+// live responses as fixtures so a real session can be replayed offline
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ResponseCache } from './krogerApi.js';
+
+export const KROGER_MODES = ['live', 'mock', 'record'];
+
+// Error shaped like an axios error, so routes handle fixture misses like Kroger's
+function notFound(message) {
+  const error = new Error(message);
+  error.response = { status: 404, data: { errors: { reason: message } } };
+  return error;
+}
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+/**
+ * Fixture files:
+ *   products.json, locations.json   sample catalog used when nothing was recorded
+ *   recorded/<request>.json         responses saved in record mode, matched by
+ *                                   method, path and query params
+ */
+export class KrogerFixtureStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.recordedDir = path.join(dir, 'recorded');
+    this.catalog = {};
+  }
+
+  // File name for a request: readable path slug plus a hash of the full key
+  fileName(method, apiPath, params = {}) {
+    const key = `${method.toUpperCase()} ${ResponseCache.key(apiPath, params)}`;
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+    const slug = apiPath.replace(/^\//, '').replace(/[^a-zA-Z0-9]+/g, '_');
+    return `${method.toLowerCase()}_${slug}_${hash}.json`;
+  }
+
+  loadRecorded(method, apiPath, params) {
+    const filePath = path.join(this.recordedDir, this.fileName(method, apiPath, params));
+    if (!fs.existsSync(filePath)) return null;
+    return readJson(filePath).data;
+  }
+
+  record(method, apiPath, params, data) {
+    try {
+      fs.mkdirSync(this.recordedDir, { recursive: true });
+      const fileName = this.fileName(method, apiPath, params);
+      fs.writeFileSync(
+        path.join(this.recordedDir, fileName),
+        JSON.stringify({ method: method.toUpperCase(), path: apiPath, params, recordedAt: new Date().toISOString(), data }, null, 2) + '\n'
+      );
+      console.log(`📼 Recorded ${method.toUpperCase()} ${apiPath} -> ${fileName}`);
+    } catch (error) {
+      console.error('❌ Failed to record Kroger fixture:', error.message);
+    }
+  }
+
+  loadCatalog(name) {
+    if (!this.catalog[name]) {
+      const filePath = path.join(this.dir, `${name}.json`);
+      this.catalog[name] = fs.existsSync(filePath) ? readJson(filePath).data : [];
+    }
+    return this.catalog[name];
+  }
+
+  // Catalog search: products containing every word of the term, else any word
+  searchProducts(term = '', limit = 25) {
+    const products = this.loadCatalog('products');
+    const words = String(term).toLowerCase().split(/\s+/).filter(Boolean).map(word => word.replace(/s$/, ''));
+    if (words.length === 0) return products.slice(0, limit);
+
+    const text = (product) => [product.description, product.brand, ...(product.categories || [])]
+      .filter(Boolean).join(' ').toLowerCase();
+
+    let matches = products.filter(product => words.every(word => text(product).includes(word)));
+    if (matches.length === 0) {
+      matches = products.filter(product => words.some(word => text(product).includes(word)));
+    }
+    return matches.slice(0, limit);
+  }
+
+  /**
+   * Response body for a Kroger API request in mock mode
+   */
+  respond(method, apiPath, params = {}) {
+    const recorded = this.loadRecorded(method, apiPath, params);
+    if (recorded !== null) return recorded;
+
+    const upper = method.toUpperCase();
+    const [, resource, id] = apiPath.split('/').map(decodeURIComponent);
+
+    if (upper === 'PUT' && apiPath === '/cart/add') return '';
+
+    if (upper === 'GET' && resource === 'products') {
+      if (id) {
+        const product = this.loadCatalog('products').find(p => p.productId === id || p.upc === id);
+        if (!product) throw notFound(`No fixture for product ${id}`);
+        return { data: product };
+      }
+      const data = this.searchProducts(params['filter.term'], parseInt(params['filter.limit'], 10) || 25);
+      return { data, meta: { pagination: { start: 0, limit: data.length, total: data.length } } };
+    }
+
+    if (upper === 'GET' && resource === 'locations') {
+      const locations = this.loadCatalog('locations');
+      if (id) {
+        const location = locations.find(l => l.locationId === id);
+        if (!location) throw notFound(`No fixture for location ${id}`);
+        return { data: location };
+      }
+      const data = locations.slice(0, parseInt(params['filter.limit'], 10) || 10);
+      return { data, meta: { pagination: { start: 0, limit: data.length, total: data.length } } };
+    }
+
+    throw notFound(`No fixture for ${upper} ${apiPath}`);
+  }
+}
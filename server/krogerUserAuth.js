@@ -0,0 +1,259 @@
+// Kroger user authorization (OAuth2 authorization-code flow with PKCE)
+// Handles login state, per-user token storage and refresh-token rotation
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+
+const PENDING_STATE_TTL = 10 * 60 * 1000; // Login must finish within 10 minutes
+const TOKEN_REFRESH_MARGIN = 60 * 1000; // Refresh 1 min early
+
+const base64Url = (buffer) => buffer
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Per-user token storage.
+ * Tokens live in memory; if a file path is given they are mirrored to disk
+ * so users stay connected across proxy restarts.
+ */
+export class UserTokenStore {
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.tokens = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(saved).forEach(([userId, tokens]) => this.tokens.set(userId, tokens));
+      console.log(`✅ Loaded Kroger tokens for ${this.tokens.size} users`);
+    } catch (error) {
+      console.error('❌ Failed to load Kroger token store:', error.message);
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.tokens), null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error('❌ Failed to save Kroger token store:', error.message);
+    }
+  }
+
+  get(userId) {
+    return this.tokens.get(userId) || null;
+  }
+
+  set(userId, tokens) {
+    this.tokens.set(userId, tokens);
+    this.save();
+  }
+
+  delete(userId) {
+    const existed = this.tokens.delete(userId);
+    this.save();
+    return existed;
+  }
+}
+
+export class KrogerUserAuth {
+  constructor({ clientId, clientSecret, oauthBase, revokeUrl, redirectUri, scopes, tokenStore }) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.oauthBase = oauthBase;
+    this.revokeUrl = revokeUrl;
+    this.redirectUri = redirectUri;
+    this.scopes = scopes;
+    this.tokenStore = tokenStore;
+
+    this.pendingStates = new Map(); // state -> { userId, codeVerifier, createdAt }
+    this.refreshing = new Map(); // userId -> in-flight refresh promise
+  }
+
+  basicAuthHeader() {
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    return `Basic ${credentials}`;
+  }
+
+  async requestToken(params) {
+    const response = await axios.post(
+      `${this.oauthBase}/token`,
+      new URLSearchParams(params).toString(),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': this.basicAuthHeader()
+        }
+      }
+    );
+
+    return response.data;
+  }
+
+  /**
+   * Start a login: create state + PKCE pair and return the Kroger authorize URL
+   */
+  createAuthorizationUrl(userId) {
+    this.purgeExpiredStates();
+
+    const state = base64Url(crypto.randomBytes(24));
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    this.pendingStates.set(state, { userId, codeVerifier, createdAt: Date.now() });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return `${this.oauthBase}/authorize?${params.toString()}`;
+  }
+
+  purgeExpiredStates() {
+    const now = Date.now();
+    for (const [state, pending] of this.pendingStates) {
+      if (now - pending.createdAt > PENDING_STATE_TTL) {
+        this.pendingStates.delete(state);
+      }
+    }
+  }
+
+  /**
+   * Finish a login: validate state and exchange the code for tokens
+   * Returns the userId the tokens were stored for
+   */
+  async handleCallback(code, state) {
+    this.purgeExpiredStates();
+
+    const pending = this.pendingStates.get(state);
+    if (!pending) {
+      throw new Error('Invalid or expired OAuth state');
+    }
+    this.pendingStates.delete(state);
+
+    const tokenResponse = await this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      code_verifier: pending.codeVerifier
+    });
+
+    this.storeTokens(pending.userId, tokenResponse);
+    return pending.userId;
+  }
+
+  storeTokens(userId, tokenResponse, previousRefreshToken = null) {
+    this.tokenStore.set(userId, {
+      accessToken: tokenResponse.access_token,
+      // Kroger rotates refresh tokens; keep the old one only if none was issued
+      refreshToken: tokenResponse.refresh_token || previousRefreshToken,
+      expiresAt: Date.now() + (tokenResponse.expires_in * 1000) - TOKEN_REFRESH_MARGIN,
+      scope: tokenResponse.scope || this.scopes,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  isConnected(userId) {
+    const tokens = this.tokenStore.get(userId);
+    return !!(tokens && (tokens.refreshToken || Date.now() < tokens.expiresAt));
+  }
+
+  /**
+   * Get a valid access token for a user, refreshing if needed
+   * Returns null when the user must (re)connect their Kroger account
+   */
+  async getAccessToken(userId) {
+    const tokens = this.tokenStore.get(userId);
+    if (!tokens) return null;
+
+    if (Date.now() < tokens.expiresAt) {
+      return tokens.accessToken;
+    }
+
+    if (!tokens.refreshToken) {
+      this.tokenStore.delete(userId);
+      return null;
+    }
+
+    // Share one refresh per user - a rotated refresh token can only be used once
+    if (!this.refreshing.has(userId)) {
+      const refresh = this.refreshTokens(userId, tokens.refreshToken)
+        .finally(() => this.refreshing.delete(userId));
+      this.refreshing.set(userId, refresh);
+    }
+
+    return this.refreshing.get(userId);
+  }
+
+  async refreshTokens(userId, refreshToken) {
+    try {
+      const tokenResponse = await this.requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken
+      });
+
+      this.storeTokens(userId, tokenResponse, refreshToken);
+      console.log(`✅ Refreshed Kroger token for user ${userId}`);
+      return tokenResponse.access_token;
+    } catch (error) {
+      const status = error.response?.status;
+      console.error('❌ Failed to refresh Kroger user token:', error.response?.data || error.message);
+
+      // Refresh token revoked or expired - user has to log in again
+      if (status === 400 || status === 401) {
+        this.tokenStore.delete(userId);
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke tokens with Kroger (best effort) and forget them locally
+   */
+  async disconnect(userId) {
+    const tokens = this.tokenStore.get(userId);
+    if (!tokens) return false;
+
+    if (this.revokeUrl) {
+      const toRevoke = [
+        { token: tokens.refreshToken, hint: 'refresh_token' },
+        { token: tokens.accessToken, hint: 'access_token' }
+      ].filter(t => t.token);
+
+      for (const { token, hint } of toRevoke) {
+        try {
+          await axios.post(
+            this.revokeUrl,
+            new URLSearchParams({ token, token_type_hint: hint }).toString(),
+            {
+              headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Authorization': this.basicAuthHeader()
+              }
+            }
+          );
+        } catch (error) {
+          console.warn(`⚠️ Failed to revoke Kroger ${hint}:`, error.response?.status || error.message);
+        }
+      }
+    }
+
+    return this.tokenStore.delete(userId);
+  }
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { KrogerUserAuth, UserTokenStore } from './krogerUserAuth.js';
+
+const createAuth = () => new KrogerUserAuth({
+  clientId: 'client',
+  clientSecret: 'secret',
+  oauthBase: 'https://api.kroger.test/v1/connect/oauth2',
+  redirectUri: 'http://localhost:3001/api/kroger/oauth/callback',
+  scopes: 'cart.basic:write profile.compact',
+  tokenStore: new UserTokenStore(),
+});
+
+const expired = (tokens) => ({ expiresAt: Date.now() - 1000, scope: 'cart.basic:write', ...tokens });
+
+let auth;
+
+beforeEach(() => {
+  auth = createAuth();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('KrogerUserAuth.getAccessToken', () => {
+  it('returns a stored token that hasn\'t expired without refreshing', async () => {
+    const requestToken = vi.spyOn(auth, 'requestToken');
+    auth.tokenStore.set('user-1', { accessToken: 'access-1', refreshToken: 'refresh-1', expiresAt: Date.now() + 60000 });
+
+    expect(await auth.getAccessToken('user-1')).toBe('access-1');
+    expect(requestToken).not.toHaveBeenCalled();
+  });
+
+  it('returns null for users who never connected', async () => {
+    expect(await auth.getAccessToken('user-1')).toBeNull();
+  });
+
+  it('refreshes an expired token and stores the rotated refresh token', async () => {
+    const requestToken = vi.spyOn(auth, 'requestToken').mockResolvedValue({
+      access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 1800,
+    });
+    auth.tokenStore.set('user-1', expired({ accessToken: 'access-1', refreshToken: 'refresh-1' }));
+
+    expect(await auth.getAccessToken('user-1')).toBe('access-2');
+    expect(requestToken).toHaveBeenCalledWith({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+    expect(auth.tokenStore.get('user-1')).toEqual(expect.objectContaining({ accessToken: 'access-2', refreshToken: 'refresh-2' }));
+    expect(auth.tokenStore.get('user-1').expiresAt).toBeGreaterThan(Date.now());
+  });
+
+  it('keeps the old refresh token when Kroger doesn\'t issue a new one', async () => {
+    vi.spyOn(auth, 'requestToken').mockResolvedValue({ access_token: 'access-2', expires_in: 1800 });
+    auth.tokenStore.set('user-1', expired({ accessToken: 'access-1', refreshToken: 'refresh-1' }));
+
+    await auth.getAccessToken('user-1');
+
+    expect(auth.tokenStore.get('user-1').refreshToken).toBe('refresh-1');
+  });
+
+  it('shares one refresh between concurrent requests, since a rotated token works once', async () => {
+    let resolve;
+    const requestToken = vi.spyOn(auth, 'requestToken').mockReturnValue(new Promise(r => { resolve = r; }));
+    auth.tokenStore.set('user-1', expired({ accessToken: 'access-1', refreshToken: 'refresh-1' }));
+
+    const first = auth.getAccessToken('user-1');
+    const second = auth.getAccessToken('user-1');
+    resolve({ access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 1800 });
+
+    expect(await Promise.all([first, second])).toEqual(['access-2', 'access-2']);
+    expect(requestToken).toHaveBeenCalledTimes(1);
+    expect(auth.refreshing.size).toBe(0);
+  });
+
+  it('forgets the tokens when the refresh token is rejected', async () => {
+    vi.spyOn(auth, 'requestToken').mockRejectedValue(Object.assign(new Error('Bad Request'), {
+      response: { status: 400, data: { error: 'invalid_grant' } },
+    }));
+    auth.tokenStore.set('user-1', expired({ accessToken: 'access-1', refreshToken: 'refresh-1' }));
+
+    expect(await auth.getAccessToken('user-1')).toBeNull();
+    expect(auth.tokenStore.get('user-1')).toBeNull();
+    expect(auth.isConnected('user-1')).toBe(false);
+  });
+
+  it('keeps the tokens and rethrows when Kroger is down', async () => {
+    vi.spyOn(auth, 'requestToken').mockRejectedValue(Object.assign(new Error('Service Unavailable'), {
+      response: { status: 503 },
+    }));
+    auth.tokenStore.set('user-1', expired({ accessToken: 'access-1', refreshToken: 'refresh-1' }));
+
+    await expect(auth.getAccessToken('user-1')).rejects.toThrow('Service Unavailable');
+    expect(auth.tokenStore.get('user-1').refreshToken).toBe('refresh-1');
+  });
+
+  it('drops an expired token that has no refresh token', async () => {
+    auth.tokenStore.set('user-1', expired({ accessToken: 'access-1' }));
+
+    expect(await auth.getAccessToken('user-1')).toBeNull();
+    expect(auth.tokenStore.get('user-1')).toBeNull();
+  });
+});
+
+describe('KrogerUserAuth.handleCallback', () => {
+  it('stores tokens for the user who started the login, once per state', async () => {
+    const requestToken = vi.spyOn(auth, 'requestToken').mockResolvedValue({
+      access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 1800,
+    });
+    const state = new URL(auth.createAuthorizationUrl('user-1')).searchParams.get('state');
+
+    expect(await auth.handleCallback('code-1', state)).toBe('user-1');
+    expect(requestToken).toHaveBeenCalledWith(expect.objectContaining({ grant_type: 'authorization_code', code: 'code-1' }));
+    expect(auth.isConnected('user-1')).toBe(true);
+
+    await expect(auth.handleCallback('code-1', state)).rejects.toThrow('Invalid or expired OAuth state');
+  });
+});
@@ -0,0 +1,16 @@
+// Order source registry
+// Each source implements getOrders(userId, { limit }) and returns normalized orders
+
+import { ReceiptImportSource } from './receiptImport.js';
+import { MockOrderSource } from './mockOrders.js';
+
+export const orderSources = {
+  receipt: new ReceiptImportSource(),
+  mock: new MockOrderSource()
+};
+
+export function getOrderSource(name) {
+  return orderSources[name] || null;
+}
+
+export { normalizeOrder } from './normalize.js';
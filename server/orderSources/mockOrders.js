@@ -0,0 +1,76 @@
+// Mock order source for local development
+// Generates stable sample orders per user so analytics have data to show
+
+import { normalizeOrder } from './normalize.js';
+
+const SAMPLE_PRODUCTS = [
+  { upc: '0001111041700', name: 'Kroger 2% Reduced Fat Milk', brand: 'Kroger', price: 3.49, category: 'Dairy' },
+  { upc: '0001111060933', name: 'Kroger Large White Eggs 12 ct', brand: 'Kroger', price: 2.99, category: 'Dairy' },
+  { upc: '0000000004011', name: 'Bananas', brand: null, price: 0.59, category: 'Produce' },
+  { upc: '0000000004062', name: 'Cucumber', brand: null, price: 0.79, category: 'Produce' },
+  { upc: '0001111097964', name: 'Simple Truth Organic Baby Spinach', brand: 'Simple Truth', price: 3.99, category: 'Produce' },
+  { upc: '0002113050400', name: 'Boneless Skinless Chicken Breast', brand: 'Kroger', price: 8.97, category: 'Meat & Seafood' },
+  { upc: '0001111083340', name: 'Kroger 80% Lean Ground Beef', brand: 'Kroger', price: 5.49, category: 'Meat & Seafood' },
+  { upc: '0007294560103', name: 'Dave\'s Killer Bread 21 Whole Grains', brand: 'Dave\'s Killer Bread', price: 5.99, category: 'Bakery' },
+  { upc: '0001111084960', name: 'Kroger Long Grain White Rice', brand: 'Kroger', price: 2.29, category: 'Pantry' },
+  { upc: '0007680800812', name: 'Barilla Spaghetti', brand: 'Barilla', price: 1.89, category: 'Pantry' },
+  { upc: '0001111002080', name: 'Kroger Shredded Cheddar Cheese', brand: 'Kroger', price: 2.50, category: 'Dairy' },
+  { upc: '0001111089113', name: 'Kroger Frozen Broccoli Florets', brand: 'Kroger', price: 1.79, category: 'Frozen' }
+];
+
+// Small deterministic PRNG so a user always sees the same mock history
+function seededRandom(seedText) {
+  let seed = 0;
+  for (const char of seedText) {
+    seed = (seed * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 4294967296;
+  };
+}
+
+export class MockOrderSource {
+  constructor(orderCount = 6) {
+    this.name = 'mock';
+    this.orderCount = orderCount;
+  }
+
+  async getOrders(userId, { limit = 50 } = {}) {
+    const random = seededRandom(userId || 'anonymous');
+    const orders = [];
+
+    for (let i = 0; i < Math.min(this.orderCount, limit); i++) {
+      const orderDate = new Date();
+      orderDate.setDate(orderDate.getDate() - (i * 7 + Math.floor(random() * 3)));
+
+      const itemCount = 4 + Math.floor(random() * 5);
+      const items = [...SAMPLE_PRODUCTS]
+        .sort(() => random() - 0.5)
+        .slice(0, itemCount)
+        .map(product => {
+          const quantity = 1 + Math.floor(random() * 3);
+          return {
+            productId: product.upc,
+            name: product.name,
+            brand: product.brand,
+            quantity,
+            price: product.price,
+            totalPrice: product.price * quantity,
+            category: product.category
+          };
+        });
+
+      orders.push(normalizeOrder({
+        orderId: `MOCK-${(userId || 'anon').slice(0, 8)}-${i + 1}`,
+        orderDate: orderDate.toISOString(),
+        fulfillmentDate: orderDate.toISOString(),
+        fulfillmentType: random() > 0.5 ? 'PICKUP' : 'DELIVERY',
+        status: 'COMPLETED',
+        items
+      }));
+    }
+
+    return orders;
+  }
+}
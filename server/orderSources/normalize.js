@@ -0,0 +1,78 @@
+// Normalizes orders from any source to the shape krogerOrdersService consumes:
+// { orderId, orderDate, fulfillmentDate, fulfillmentType, status, totalAmount, items[] }
+
+import crypto from 'crypto';
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (!value) return 0;
+  const parsed = parseFloat(value.toString().replace(/[$,\s]/g, ''));
+  return isNaN(parsed) ? 0 : parsed;
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const toIsoDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+};
+
+// First defined value among several possible field names
+const pick = (obj, keys) => {
+  for (const key of keys) {
+    if (obj[key] !== undefined && obj[key] !== null && obj[key] !== '') {
+      return obj[key];
+    }
+  }
+  return undefined;
+};
+
+export function normalizeItem(raw) {
+  const quantity = toNumber(pick(raw, ['quantity', 'qty', 'Quantity', 'Qty'])) || 1;
+  const price = toNumber(pick(raw, ['price', 'unitPrice', 'unit_price', 'Price', 'Unit Price']));
+  const totalPrice = toNumber(pick(raw, ['totalPrice', 'total_price', 'extendedPrice', 'amount', 'Total', 'Item Total', 'Amount']))
+    || price * quantity;
+
+  return {
+    productId: pick(raw, ['productId', 'product_id', 'upc', 'UPC', 'Product ID']) || null,
+    name: (pick(raw, ['name', 'description', 'itemName', 'Item', 'Description', 'Product']) || 'Unknown item').toString().trim(),
+    brand: pick(raw, ['brand', 'Brand']) || null,
+    quantity,
+    unit: (pick(raw, ['unit', 'Unit']) || 'item').toString().trim(),
+    price: roundCents(price || (quantity ? totalPrice / quantity : 0)),
+    totalPrice: roundCents(totalPrice),
+    category: pick(raw, ['category', 'department', 'Category', 'Department']) || 'Other',
+    imageUrl: pick(raw, ['imageUrl', 'image_url']) || null
+  };
+}
+
+// Stable ID for an order that doesn't carry one: the same items, date and
+// total always give the same ID, so importing it twice doesn't duplicate it
+const fallbackOrderId = (orderDate, totalAmount, items) => {
+  const content = JSON.stringify({
+    orderDate: orderDate ?? null,
+    totalAmount,
+    items: items.map(item => [item.productId, item.name, item.quantity, item.totalPrice])
+  });
+  return `receipt-${crypto.createHash('sha1').update(content).digest('hex').slice(0, 12)}`;
+};
+
+export function normalizeOrder(raw) {
+  const rawItems = pick(raw, ['items', 'lineItems', 'products']) || [];
+  const items = rawItems.map(normalizeItem);
+  const itemsTotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+  const orderDate = pick(raw, ['orderDate', 'order_date', 'date', 'transactionDate', 'purchaseDate']);
+  const totalAmount = roundCents(toNumber(pick(raw, ['totalAmount', 'total_amount', 'total', 'orderTotal'])) || itemsTotal);
+
+  return {
+    orderId: String(pick(raw, ['orderId', 'order_id', 'transactionId', 'receiptId', 'id']) || fallbackOrderId(orderDate, totalAmount, items)),
+    orderDate: toIsoDate(orderDate),
+    fulfillmentDate: pick(raw, ['fulfillmentDate', 'fulfillment_date']) || null,
+    fulfillmentType: (pick(raw, ['fulfillmentType', 'fulfillment_type', 'modality']) || 'IN_STORE').toString().toUpperCase(),
+    status: (pick(raw, ['status']) || 'COMPLETED').toString().toUpperCase(),
+    totalAmount,
+    items
+  };
+}
+
+export { toNumber, pick };
@@ -0,0 +1,246 @@
+// Receipt import order source
+// Parses Kroger e-receipt exports (CSV or JSON) or pasted receipt text.
+// Parsed orders go back to the client, which saves the ones the user imports
+// to order_history; order history is served from there, so it survives restarts.
+
+import crypto from 'crypto';
+import { normalizeOrder, pick } from './normalize.js';
+
+/**
+ * Split CSV text into rows of fields (handles quoted fields and escaped quotes)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(f => f.trim())) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * One CSV row per line item; rows are grouped into orders by order/transaction ID
+ * (or by date when the export has no ID column)
+ */
+export function parseReceiptCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(h => h.trim());
+  const grouped = new Map();
+
+  rows.forEach(values => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = values[index]?.trim() ?? '';
+    });
+
+    const orderKey = pick(record, ['Order ID', 'Order Number', 'Transaction ID', 'Receipt ID', 'orderId'])
+      || pick(record, ['Date', 'Order Date', 'Purchase Date', 'date']);
+
+    if (!grouped.has(orderKey)) {
+      grouped.set(orderKey, {
+        orderId: pick(record, ['Order ID', 'Order Number', 'Transaction ID', 'Receipt ID', 'orderId']),
+        orderDate: pick(record, ['Date', 'Order Date', 'Purchase Date', 'date']),
+        fulfillmentType: pick(record, ['Fulfillment', 'Fulfillment Type', 'Modality']),
+        total: pick(record, ['Order Total']),
+        items: []
+      });
+    }
+
+    grouped.get(orderKey).items.push(record);
+  });
+
+  return Array.from(grouped.values()).map(normalizeOrder);
+}
+
+/**
+ * Accepts an array of orders, { orders: [...] } or a single receipt object
+ */
+export function parseReceiptJson(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  const orders = Array.isArray(data) ? data : (data.orders || data.receipts || [data]);
+  return orders.map(normalizeOrder);
+}
+
+// Receipt lines that aren't products
+const NON_ITEM_LINE = /\b(sub\s*total|total|tax|balance|change|cash|visa|mastercard|amex|discover|debit|credit|tender|payment|card|points|fuel|savings|you saved|coupon|discount|items? sold|thank)\b/i;
+
+// "KROGER 2% MILK GAL     3.49 B" - name, line total, optional tax flag
+const ITEM_LINE = /^(.*[a-z].*?)\s+\$?(-?\d+\.\d{2})(?:\s*-)?(?:\s+[a-z]{1,2})?$/i;
+// "2 @ 1.25" / "2 @ 2 / 5.00" - count under the previous item
+const COUNT_LINE = /^(\d+)\s*@\s*(?:\d+\s*\/\s*)?\$?(\d+\.\d{2})/;
+// "0.85 lb @ 1.29 /lb" - weight under the previous item
+const WEIGHT_LINE = /^(\d*\.?\d+)\s*(lb|lbs|kg|oz)\s*@\s*\$?(\d+\.\d{2})/i;
+// "2 X BANANAS  2.24" - count before the name
+const LEADING_COUNT = /^(\d+)\s*[x×]\s+(.+)$/i;
+const DATE = /\b(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/;
+const RECEIPT_TOTAL = /^\s*(?:order\s+)?total\b[^\d-]*\$?(\d+\.\d{2})/i;
+
+/**
+ * Pasted receipt text (a printed receipt or the text of an e-receipt email):
+ * one item per line with its price at the end, optionally followed by a
+ * quantity/weight line. Coupons and savings lines come off the item above.
+ */
+export function parseReceiptText(text) {
+  const items = [];
+  let orderDate;
+  let total;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim().replace(/\s+/g, ' ');
+    if (!line) return;
+
+    const date = line.match(DATE);
+    if (date && !orderDate) {
+      const year = date[3].length === 2 ? `20${date[3]}` : date[3];
+      orderDate = `${year}-${date[1].padStart(2, '0')}-${date[2].padStart(2, '0')}`;
+    }
+
+    const totalMatch = line.match(RECEIPT_TOTAL);
+    if (totalMatch) {
+      total = totalMatch[1];
+      return;
+    }
+
+    const previous = items[items.length - 1];
+
+    const count = line.match(COUNT_LINE);
+    if (count && previous) {
+      previous.quantity = parseInt(count[1], 10);
+      previous.price = count[2];
+      return;
+    }
+
+    const weight = line.match(WEIGHT_LINE);
+    if (weight && previous) {
+      previous.quantity = parseFloat(weight[1]);
+      previous.unit = weight[2].toLowerCase().replace(/^lbs$/, 'lb');
+      previous.price = weight[3];
+      return;
+    }
+
+    const item = line.match(ITEM_LINE);
+    if (!item) return;
+
+    const amount = parseFloat(item[2]) * (/-\s*$|-\s+[a-z]{1,2}$/i.test(line) ? -1 : 1);
+
+    // Savings and coupons lower the price of the item above
+    if (amount < 0 || NON_ITEM_LINE.test(item[1])) {
+      if (amount < 0 && previous) {
+        previous.totalPrice = Math.max(0, parseFloat(previous.totalPrice) + amount).toFixed(2);
+      }
+      return;
+    }
+
+    const leading = item[1].match(LEADING_COUNT);
+    items.push({
+      name: leading ? leading[2] : item[1],
+      quantity: leading ? parseInt(leading[1], 10) : 1,
+      totalPrice: item[2]
+    });
+  });
+
+  if (items.length === 0) {
+    throw new Error('No items found - paste the lines that list products and prices');
+  }
+
+  // Same text, same ID - pasting a receipt twice doesn't create two orders
+  const orderId = `receipt-${crypto.createHash('sha1').update(text).digest('hex').slice(0, 12)}`;
+  return [normalizeOrder({ orderId, orderDate, total, items })];
+}
+
+const looksLikeCsv = (text) => {
+  const [firstLine = ''] = text.split(/\r?\n/);
+  return firstLine.includes(',') && /\b(item|description|product|name)\b/i.test(firstLine);
+};
+
+export function parseReceipt(content, format) {
+  const text = content.toString().trim();
+  const detected = format || (text.startsWith('[') || text.startsWith('{') ? 'json' : looksLikeCsv(text) ? 'csv' : 'text');
+
+  if (detected === 'json') return parseReceiptJson(content);
+  if (detected === 'csv') return parseReceiptCsv(content);
+  if (detected === 'text') return parseReceiptText(text);
+
+  throw new Error(`Unsupported receipt format: ${format}`);
+}
+
+/**
+ * order_history row (with order_items) -> normalized order
+ */
+export function orderFromHistoryRow(row) {
+  return normalizeOrder({
+    orderId: row.kroger_order_id,
+    orderDate: row.order_date,
+    fulfillmentDate: row.fulfillment_date,
+    fulfillmentType: row.fulfillment_type,
+    status: row.status,
+    totalAmount: row.total_amount,
+    items: (row.order_items || []).map(item => ({
+      productId: item.product_id,
+      name: item.name,
+      brand: item.brand,
+      quantity: item.quantity,
+      price: item.price,
+      totalPrice: item.total_price,
+      category: item.category
+    }))
+  });
+}
+
+export class ReceiptImportSource {
+  constructor() {
+    this.name = 'receipt';
+  }
+
+  importReceipt(content, format) {
+    return parseReceipt(content, format).filter(order => order.items.length > 0);
+  }
+
+  // supabase: a client acting as the user, so row-level security scopes the rows
+  async getOrders(userId, { limit = 50, supabase } = {}) {
+    if (!supabase) throw new Error('Receipt orders need a signed-in Supabase client');
+
+    const { data, error } = await supabase
+      .from('order_history')
+      .select('*, order_items (*)')
+      .eq('user_id', userId)
+      .order('order_date', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(error.message);
+    return (data || []).map(orderFromHistoryRow);
+  }
+}
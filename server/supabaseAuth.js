@@ -0,0 +1,71 @@
+// Supabase auth for proxy routes
+// Callers send their Supabase access token as "Authorization: Bearer <token>";
+// the user id comes from verifying that token, never from the request body
+
+import { createClient } from '@supabase/supabase-js';
+
+const clientOptions = { auth: { persistSession: false, autoRefreshToken: false } };
+
+export class SupabaseAuth {
+  constructor({ url, anonKey }) {
+    this.url = url;
+    this.anonKey = anonKey;
+    this.client = url && anonKey ? createClient(url, anonKey, clientOptions) : null;
+  }
+
+  get configured() {
+    return !!this.client;
+  }
+
+  /**
+   * Client that queries as the token's user, so row-level security applies
+   */
+  clientFor(accessToken) {
+    return createClient(this.url, this.anonKey, {
+      ...clientOptions,
+      global: { headers: { Authorization: `Bearer ${accessToken}` } }
+    });
+  }
+
+  // The verified user for an access token, or null if it's missing/invalid/expired.
+  // Throws when Supabase can't be reached, so that isn't mistaken for a bad token.
+  async verify(accessToken) {
+    if (!this.client || !accessToken) return null;
+
+    const { data, error } = await this.client.auth.getUser(accessToken);
+    if (error?.name === 'AuthRetryableFetchError') throw error;
+    if (error || !data?.user) return null;
+    return data.user;
+  }
+
+  /**
+   * Express middleware: rejects the request unless it carries a valid token,
+   * then sets req.user and req.accessToken
+   */
+  requireUser() {
+    return async (req, res, next) => {
+      if (!this.client) {
+        return res.status(503).json({ error: 'Sign-in checks are not configured on the server' });
+      }
+
+      const accessToken = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+      if (!accessToken) {
+        return res.status(401).json({ error: 'Sign in required' });
+      }
+
+      try {
+        const user = await this.verify(accessToken);
+        if (!user) {
+          return res.status(401).json({ error: 'Your session has expired - please sign in again' });
+        }
+
+        req.user = user;
+        req.accessToken = accessToken;
+        next();
+      } catch (error) {
+        console.error('❌ Supabase auth error:', error.message);
+        res.status(502).json({ error: 'Could not verify sign-in' });
+      }
+    };
+  }
+}
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { authService } from './services/auth';
+import { legacyDataMigration } from './services/dataRepository';
 import LoginForm from './components/auth/LoginForm';
 import SignupForm from './components/auth/SignupForm';
 import RecipeList from './components/recipes/RecipeList';
@@ -11,6 +12,7 @@ import MealIdeas from './components/mealIdeas/MealIdeas';
 import MealCalendar from './components/mealCalendar/MealCalendar';
 import NutritionReport from './components/report/NutritionReport';
 import HouseholdSettings from './components/settings/HouseholdSettings';
+import SharedListSettings from './components/settings/SharedListSettings';
 import KrogerStoreSelector from './components/settings/KrogerStoreSelector';
 import { KrogerStoreProvider } from './contexts/KrogerStoreContext';
 import Deals from './components/promotions/Deals';
@@ -43,6 +45,11 @@ function App() {
     };
   }, []);
 
+  // Move rows from the old inventory/shopping_list tables once per user
+  useEffect(() => {
+    if (user) legacyDataMigration.migrateOnce();
+  }, [user?.id]);
+
   const handleSignOut = async () => {
     try {
       await authService.signOut();
@@ -318,6 +325,9 @@ function App() {
               {/* Household Settings */}
               <HouseholdSettings />
               
+              {/* Shared Shopping List */}
+              <SharedListSettings />
+
               {/* Kroger Store Selection */}
               <KrogerStoreSelector />
             </div>
@@ -0,0 +1,250 @@
+import { useState, useEffect, useRef } from 'react';
+import { krogerService } from '../../services/kroger';
+
+// Grocery barcodes; BarcodeDetector rejects formats the browser doesn't support
+const BARCODE_FORMATS = ['upc_a', 'upc_e', 'ean_13', 'ean_8'];
+const SCAN_INTERVAL_MS = 300;
+
+const hasBarcodeDetector = () => typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+/**
+ * Scan (or type) a barcode, look the product up at Kroger and hand it to
+ * onConfirm(product, amount). Stays open afterwards so a whole bag of
+ * groceries can be scanned in a row.
+ */
+export default function BarcodeScanner({ title, actionLabel, locationId = null, onConfirm, onClose }) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [cameraError, setCameraError] = useState(
+    hasBarcodeDetector() ? '' : "This browser can't scan barcodes - type the number under the barcode instead."
+  );
+  const [typedCode, setTypedCode] = useState('');
+  const [scannedCode, setScannedCode] = useState(null);
+  const [product, setProduct] = useState(null);
+  const [amount, setAmount] = useState(1);
+  const [looking, setLooking] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  // Camera runs only while waiting for a barcode
+  const scanning = !scannedCode && !cameraError;
+
+  useEffect(() => {
+    if (!scanning) return;
+
+    let cancelled = false;
+    let timer = null;
+
+    const start = async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const supported = await window.BarcodeDetector.getSupportedFormats();
+        const detector = new window.BarcodeDetector({
+          formats: BARCODE_FORMATS.filter(format => supported.includes(format)),
+        });
+
+        const detect = async () => {
+          if (cancelled) return;
+          try {
+            const [barcode] = await detector.detect(videoRef.current);
+            if (barcode?.rawValue) {
+              console.log('📷 Scanned barcode:', barcode.rawValue);
+              lookup(barcode.rawValue);
+              return;
+            }
+          } catch (err) {
+            console.warn('Barcode detection failed:', err);
+          }
+          timer = setTimeout(detect, SCAN_INTERVAL_MS);
+        };
+        detect();
+      } catch (err) {
+        console.error('Camera error:', err);
+        if (!cancelled) setCameraError('Camera not available - type the number under the barcode instead.');
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    };
+  }, [scanning]);
+
+  const lookup = async (code) => {
+    setScannedCode(code);
+    setProduct(null);
+    setMessage('');
+    setLooking(true);
+    try {
+      const found = await krogerService.getProductByUPC(code, locationId);
+      if (found) {
+        setProduct(found);
+        setAmount(1);
+      } else {
+        setMessage(`No Kroger product found for ${code}`);
+      }
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLooking(false);
+    }
+  };
+
+  const handleTypedSubmit = (e) => {
+    e.preventDefault();
+    if (typedCode.replace(/\D/g, '').length < 6) {
+      setMessage('Enter the full number under the barcode');
+      return;
+    }
+    lookup(typedCode.trim());
+    setTypedCode('');
+  };
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    try {
+      const result = await onConfirm(product, parseFloat(amount) || 1);
+      setMessage(result || `✅ ${product.name}`);
+      scanNext();
+    } catch (err) {
+      console.error('Error saving scanned product:', err);
+      setMessage('Error: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const scanNext = () => {
+    setScannedCode(null);
+    setProduct(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-xl font-bold">{title}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">×</button>
+        </div>
+
+        {scanning && (
+          <div className="mb-4">
+            <video ref={videoRef} className="w-full rounded-lg bg-black aspect-video object-cover" muted playsInline />
+            <p className="text-sm text-gray-600 mt-2 text-center">Point the camera at a barcode</p>
+          </div>
+        )}
+
+        {cameraError && !scannedCode && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 text-sm text-yellow-800">
+            {cameraError}
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-gray-50 border rounded-lg p-3 mb-4 text-sm text-gray-800">{message}</div>
+        )}
+
+        {looking && (
+          <div className="text-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600 mx-auto"></div>
+            <p className="text-sm text-gray-600 mt-2">Looking up {scannedCode}...</p>
+          </div>
+        )}
+
+        {product && (
+          <div className="border rounded-lg p-4 mb-4">
+            <div className="flex gap-3">
+              {product.images?.[0] && (
+                <img src={product.images[0]} alt={product.name} className="w-16 h-16 object-contain" />
+              )}
+              <div className="flex-1">
+                <h4 className="font-semibold text-gray-900">{product.name}</h4>
+                <p className="text-sm text-gray-600">
+                  {[product.brandName, product.size].filter(Boolean).join(' • ')}
+                </p>
+                {product.price && (
+                  <p className="text-sm text-green-600 font-medium">${product.price.toFixed(2)}</p>
+                )}
+              </div>
+            </div>
+
+            {product.hasNutrition && (
+              <p className="text-xs text-gray-600 mt-2">
+                Per {product.servingSize}{product.servingUnit}: {Math.round(product.calories)} cal •{' '}
+                {product.protein}g protein • {product.carbs}g carbs • {product.fat}g fat
+              </p>
+            )}
+
+            <div className="flex items-center gap-2 mt-3">
+              <label className="text-sm text-gray-700">Quantity</label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                className="w-20 px-2 py-1 border border-gray-300 rounded"
+              />
+            </div>
+
+            <div className="flex gap-2 mt-4">
+              <button
+                onClick={handleConfirm}
+                disabled={saving}
+                className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : actionLabel}
+              </button>
+              <button
+                onClick={scanNext}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+              >
+                Skip
+              </button>
+            </div>
+          </div>
+        )}
+
+        {scannedCode && !looking && !product && (
+          <button
+            onClick={scanNext}
+            className="w-full px-4 py-2 mb-4 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+          >
+            📷 Scan another
+          </button>
+        )}
+
+        {/* Typed fallback - always available, for damaged barcodes too */}
+        <form onSubmit={handleTypedSubmit} className="flex gap-2">
+          <input
+            type="text"
+            inputMode="numeric"
+            value={typedCode}
+            onChange={(e) => setTypedCode(e.target.value)}
+            placeholder="Or type the UPC number"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <button
+            type="submit"
+            disabled={looking}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+          >
+            Look up
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
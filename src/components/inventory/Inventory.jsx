@@ -1,11 +1,27 @@
 import { useState, useEffect } from 'react';
-import { supabase } from '../../services/supabase';
+import { inventoryLotsService } from '../../services/inventoryLots';
+import { inventoryRepository } from '../../services/dataRepository';
+import { inventoryService } from '../../services/inventory';
+import { useKrogerStore } from '../../contexts/KrogerStoreContext';
+import BarcodeScanner from '../common/BarcodeScanner';
+import ReceiptImport from '../orders/ReceiptImport';
+import { shelfLifeService, STORAGE_LOCATIONS, STORAGE_LABELS, EXPIRING_SOON_DAYS } from '../../services/shelfLife';
+
+const EXPIRATION_BADGES = {
+  expired: 'bg-red-100 text-red-700',
+  expiring: 'bg-orange-100 text-orange-700',
+};
 
 export default function Inventory() {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedCategory, setSelectedCategory] = useState('All');
+  const [selectedStorage, setSelectedStorage] = useState('All');
+  const [showExpiringOnly, setShowExpiringOnly] = useState(false);
   const [expandedItems, setExpandedItems] = useState({}); // Track which items are expanded to show history
+  const [showScanner, setShowScanner] = useState(false);
+  const [showReceiptImport, setShowReceiptImport] = useState(false);
+  const { selectedStore } = useKrogerStore();
 
   const categories = [
     'All',
@@ -26,19 +42,8 @@ export default function Inventory() {
 
   const loadItems = async () => {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      const { data, error } = await supabase
-        .from('inventory_items')
-        .select('*')
-        .eq('user_id', user.id)
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      
-      // Group and combine duplicate items
-      const processedItems = processDuplicates(data || []);
-      setItems(processedItems);
+      // One entry per item, with each purchase as a lot (oldest first)
+      setItems(await inventoryLotsService.getStock());
     } catch (error) {
       console.error('Error loading inventory:', error);
     } finally {
@@ -46,73 +51,37 @@ export default function Inventory() {
     }
   };
 
-  // Process duplicates: combine same items but track purchase history
-  const processDuplicates = (rawItems) => {
-    const itemMap = {};
-
-    rawItems.forEach(item => {
-      const key = item.name.toLowerCase().trim();
-      
-      if (!itemMap[key]) {
-        // First occurrence - create new entry
-        itemMap[key] = {
-          id: item.id, // Use first ID as primary
-          name: item.name,
-          category: item.category || 'Other',
-          unit: item.unit || 'item',
-          brand_name: item.brand_name,
-          calories: item.calories || 0,
-          protein: item.protein || 0,
-          carbs: item.carbs || 0,
-          fat: item.fat || 0,
-          serving_size: item.serving_size || 100,
-          serving_unit: item.serving_unit || 'g',
-          price: item.price,
-          totalAmount: item.amount || 0,
-          oldestDate: item.created_at,
-          newestDate: item.created_at,
-          purchaseHistory: [{
-            id: item.id,
-            amount: item.amount || 0,
-            date: item.created_at,
-            price: item.price
-          }]
-        };
-      } else {
-        // Duplicate found - combine amounts and track history
-        const existing = itemMap[key];
-        existing.totalAmount += (item.amount || 0);
-        
-        // Track oldest and newest dates
-        if (new Date(item.created_at) < new Date(existing.oldestDate)) {
-          existing.oldestDate = item.created_at;
-        }
-        if (new Date(item.created_at) > new Date(existing.newestDate)) {
-          existing.newestDate = item.created_at;
-        }
-        
-        // Add to purchase history
-        existing.purchaseHistory.push({
-          id: item.id,
-          amount: item.amount || 0,
-          date: item.created_at,
-          price: item.price
-        });
-        
-        // Sort purchase history by date (newest first)
-        existing.purchaseHistory.sort((a, b) => 
-          new Date(b.date) - new Date(a.date)
-        );
-      }
-    });
+  const expirationStatus = (daysLeft) => {
+    if (daysLeft === null) return 'unknown';
+    if (daysLeft < 0) return 'expired';
+    if (daysLeft <= EXPIRING_SOON_DAYS) return 'expiring';
+    return 'fresh';
+  };
+
+  // Moving an item re-estimates its expiration unless the user set the date
+  const updateStorage = async (lot, storage) => {
+    const updates = { storage_location: storage };
+    if (lot.expirationEstimated) {
+      updates.expires_on = shelfLifeService.estimateExpiration(lot.row, { storage, addedAt: lot.purchasedAt });
+    }
+    await updateLot(lot.id, updates);
+  };
 
-    return Object.values(itemMap);
+  const updateExpiration = async (lot, expiresOn) => {
+    await updateLot(lot.id, {
+      expires_on: expiresOn || null,
+      expiration_estimated: false,
+    });
   };
 
-  // Check if item is 7+ days old
-  const isOld = (date) => {
-    const daysSinceAdded = (Date.now() - new Date(date)) / (1000 * 60 * 60 * 24);
-    return daysSinceAdded >= 7;
+  const updateLot = async (lotId, updates) => {
+    try {
+      await inventoryRepository.update(lotId, updates);
+      await loadItems();
+    } catch (error) {
+      console.error('Error updating item:', error);
+      alert('Failed to update item');
+    }
   };
 
   // Format date for display
@@ -131,13 +100,8 @@ export default function Inventory() {
 
   const deleteItem = async (itemId) => {
     try {
-      const { error } = await supabase
-        .from('inventory_items')
-        .delete()
-        .eq('id', itemId);
+      await inventoryRepository.remove(itemId);
 
-      if (error) throw error;
-      
       // Reload to recalculate combined amounts
       await loadItems();
     } catch (error) {
@@ -145,30 +109,23 @@ export default function Inventory() {
     }
   };
 
+  // - uses up the oldest lots first, + tops up the newest lot
   const updateAmount = async (item, amountChange) => {
     try {
-      // Update the primary (first) purchase amount
-      const primaryPurchase = item.purchaseHistory[0];
-      const newAmount = primaryPurchase.amount + amountChange;
-      
-      if (newAmount <= 0) {
-        // If primary purchase amount becomes 0 or less, delete it
-        await deleteItem(primaryPurchase.id);
-        return;
-      }
-
-      const { error } = await supabase
-        .from('inventory_items')
-        .update({ amount: newAmount })
-        .eq('id', primaryPurchase.id);
-
-      if (error) throw error;
+      await inventoryLotsService.adjust(item, amountChange);
       await loadItems();
     } catch (error) {
       console.error('Error updating amount:', error);
     }
   };
 
+  // Scanned products become a new lot
+  const addScannedProduct = async (product, amount) => {
+    await inventoryService.addItem({ ...product, amount, unit: 'item' });
+    await loadItems();
+    return `✅ Added ${amount} × ${product.name} to inventory`;
+  };
+
   const toggleExpanded = (itemName) => {
     console.log('🔍 Toggle clicked for:', itemName);
     setExpandedItems(prev => {
@@ -181,9 +138,13 @@ export default function Inventory() {
     });
   };
 
-  // Filter items by category
-  const filteredItems = items.filter(item => 
-    selectedCategory === 'All' || item.category === selectedCategory
+  const expiringItems = items.filter(item => ['expired', 'expiring'].includes(expirationStatus(item.daysLeft)));
+
+  // Filter items by category, storage and expiration
+  const filteredItems = items.filter(item =>
+    (selectedCategory === 'All' || item.category === selectedCategory) &&
+    (selectedStorage === 'All' || item.lots.some(lot => lot.storage === selectedStorage)) &&
+    (!showExpiringOnly || expiringItems.includes(item))
   );
 
   // Group items by category
@@ -196,10 +157,12 @@ export default function Inventory() {
     return acc;
   }, {});
 
-  // Sort items within each group (newest to oldest based on newestDate)
+  // Sort items within each group - soonest to expire first in the expiring view,
+  // otherwise newest to oldest based on newestDate
   Object.keys(groupedItems).forEach(category => {
-    groupedItems[category].sort((a, b) => 
-      new Date(b.newestDate) - new Date(a.newestDate)
+    groupedItems[category].sort((a, b) => showExpiringOnly
+      ? a.daysLeft - b.daysLeft
+      : new Date(b.newestDate) - new Date(a.newestDate)
     );
   });
 
@@ -219,10 +182,69 @@ export default function Inventory() {
           <h2 className="text-2xl font-bold text-gray-900">Inventory</h2>
           <p className="text-gray-600">{filteredItems.length} items in stock</p>
         </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowReceiptImport(true)}
+            className="px-4 py-2 bg-white border border-green-600 text-green-700 rounded-lg hover:bg-green-50 font-medium"
+          >
+            🧾 Import Receipt
+          </button>
+          <button
+            onClick={() => setShowScanner(true)}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium"
+          >
+            📷 Scan Barcode
+          </button>
+        </div>
       </div>
 
+      {showScanner && (
+        <BarcodeScanner
+          title="Scan to Add to Inventory"
+          actionLabel="Add to Inventory"
+          locationId={selectedStore?.locationId || null}
+          onConfirm={addScannedProduct}
+          onClose={() => setShowScanner(false)}
+        />
+      )}
+
+      {showReceiptImport && (
+        <ReceiptImport
+          locationId={selectedStore?.locationId || null}
+          onImported={loadItems}
+          onClose={() => setShowReceiptImport(false)}
+        />
+      )}
+
+      {/* Expiring Soon */}
+      {expiringItems.length > 0 && (
+        <div className="bg-orange-50 border border-orange-200 rounded-xl p-4 flex items-center justify-between gap-4">
+          <div>
+            <h3 className="font-semibold text-orange-900">
+              ⏰ {expiringItems.length} item{expiringItems.length !== 1 ? 's' : ''} expiring soon
+            </h3>
+            <p className="text-sm text-orange-800">
+              {expiringItems
+                .slice()
+                .sort((a, b) => a.daysLeft - b.daysLeft)
+                .slice(0, 5)
+                .map(item => `${item.name} (${shelfLifeService.formatDaysLeft(item.daysLeft).toLowerCase()})`)
+                .join(', ')}
+              {expiringItems.length > 5 && '...'}
+            </p>
+            <p className="text-xs text-orange-700 mt-1">Meal Ideas puts recipes that use these first.</p>
+          </div>
+          <button
+            onClick={() => setShowExpiringOnly(!showExpiringOnly)}
+            className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 font-medium whitespace-nowrap"
+          >
+            {showExpiringOnly ? 'Show all' : 'Show expiring'}
+          </button>
+        </div>
+      )}
+
       {/* Filters */}
-      <div className="bg-white rounded-xl shadow-lg p-4">
+      <div className="bg-white rounded-xl shadow-lg p-4 space-y-3">
         <div className="flex flex-wrap gap-2 items-center">
           <span className="text-sm font-medium text-gray-700">Category:</span>
           {categories.map(category => (
@@ -239,6 +261,22 @@ export default function Inventory() {
             </button>
           ))}
         </div>
+        <div className="flex flex-wrap gap-2 items-center">
+          <span className="text-sm font-medium text-gray-700">Storage:</span>
+          {['All', ...STORAGE_LOCATIONS].map(storage => (
+            <button
+              key={storage}
+              onClick={() => setSelectedStorage(storage)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                selectedStorage === storage
+                  ? 'bg-green-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {STORAGE_LABELS[storage] || storage}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* Inventory Items Grouped by Category */}
@@ -258,19 +296,14 @@ export default function Inventory() {
               <div className="divide-y">
                 {categoryItems.map((item) => {
                   const isExpanded = expandedItems[item.name];
-                  const showWarning = isOld(item.oldestDate);
-                  const hasMultiplePurchases = item.purchaseHistory.length > 1;
+                  const status = expirationStatus(item.daysLeft);
+                  const hasMultipleLots = item.lots.length > 1;
 
                   return (
                     <div 
                       key={item.id} 
-                      className={`p-4 ${hasMultiplePurchases ? 'cursor-pointer hover:bg-gray-50' : ''} transition-colors`}
-                      onClick={() => {
-                        if (hasMultiplePurchases) {
-                          console.log('🖱️ Clicked item:', item.name);
-                          toggleExpanded(item.name);
-                        }
-                      }}
+                      className="p-4 cursor-pointer hover:bg-gray-50 transition-colors"
+                      onClick={() => toggleExpanded(item.name)}
                     >
                       <div className="flex items-start gap-3">
                         {/* Item Info */}
@@ -279,11 +312,12 @@ export default function Inventory() {
                             <h4 className="font-medium text-gray-900">
                               {item.name}
                             </h4>
-                            {showWarning && (
-                              <span className="px-2 py-1 bg-orange-100 text-orange-700 text-xs rounded-full font-medium">
-                                ⚠️ {Math.floor((Date.now() - new Date(item.oldestDate)) / (1000 * 60 * 60 * 24))} days old
+                            {EXPIRATION_BADGES[status] && (
+                              <span className={`px-2 py-1 text-xs rounded-full font-medium ${EXPIRATION_BADGES[status]}`}>
+                                ⚠️ {shelfLifeService.formatDaysLeft(item.daysLeft)}
                               </span>
                             )}
+                            <span className="text-xs text-gray-500">{STORAGE_LABELS[item.storage]}</span>
                           </div>
 
                           {item.brand_name && (
@@ -293,18 +327,17 @@ export default function Inventory() {
                           {/* Amount Display */}
                           <div className="flex items-center gap-2 mt-2">
                             <span className="text-lg font-semibold text-green-600">
-                              {item.totalAmount} {item.unit}
+                              {item.amount} {item.unit}{item.mixedUnits && ' + more'}
+                            </span>
+                            <span className="text-sm text-blue-600 font-medium">
+                              {isExpanded ? '▼' : '▶'} {hasMultipleLots ? `${item.lots.length} lots` : 'Details'}
                             </span>
-                            {hasMultiplePurchases && (
-                              <span className="text-sm text-blue-600 font-medium">
-                                {isExpanded ? '▼' : '▶'} {item.purchaseHistory.length} purchases
-                              </span>
-                            )}
                           </div>
 
                           {/* Date Added (oldest) */}
                           <p className="text-xs text-gray-500 mt-1">
                             First added: {formatDate(item.oldestDate)}
+                            {status === 'fresh' && ` • ${shelfLifeService.formatDaysLeft(item.daysLeft)}`}
                           </p>
 
                           {/* Nutrition Info */}
@@ -331,28 +364,61 @@ export default function Inventory() {
                           )}
 
                           {/* Purchase History Dropdown */}
-                          {isExpanded && hasMultiplePurchases && (
-                            <div className="mt-3 bg-gray-50 rounded-lg p-3 space-y-2">
-                              <h5 className="text-sm font-semibold text-gray-900">Purchase History:</h5>
-                              {item.purchaseHistory.map((purchase, idx) => (
-                                <div key={purchase.id} className="flex items-center justify-between text-sm">
+                          {isExpanded && (
+                            <div className="mt-3 bg-gray-50 rounded-lg p-3 space-y-2" onClick={(e) => e.stopPropagation()}>
+                              <h5 className="text-sm font-semibold text-gray-900">Lots (used oldest first):</h5>
+                              {item.lots.map((lot, index) => (
+                                <div key={lot.id} className="flex flex-wrap items-center justify-between gap-2 text-sm">
                                   <div>
+                                    {index === 0 && hasMultipleLots && (
+                                      <span className="px-2 py-0.5 bg-blue-100 text-blue-700 text-xs rounded-full font-medium mr-2">
+                                        Next up
+                                      </span>
+                                    )}
                                     <span className="font-medium text-gray-900">
-                                      {purchase.amount} {item.unit}
+                                      {lot.amount} {lot.unit}
                                     </span>
+                                    {lot.originalAmount > lot.amount && (
+                                      <span className="text-gray-500"> left of {lot.originalAmount}</span>
+                                    )}
                                     <span className="text-gray-600 ml-2">
-                                      • {formatDate(purchase.date)}
+                                      • Bought {formatDate(lot.purchasedAt)}
                                     </span>
-                                    {purchase.price && (
+                                    {lot.price && (
                                       <span className="text-green-600 ml-2">
-                                        • ${purchase.price.toFixed(2)}
+                                        • ${Number(lot.price).toFixed(2)}
                                       </span>
                                     )}
+                                    {EXPIRATION_BADGES[expirationStatus(lot.daysLeft)] && (
+                                      <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${EXPIRATION_BADGES[expirationStatus(lot.daysLeft)]}`}>
+                                        {shelfLifeService.formatDaysLeft(lot.daysLeft)}
+                                      </span>
+                                    )}
+                                  </div>
+                                  <div className="flex items-center gap-2">
+                                    <select
+                                      value={lot.storage}
+                                      onChange={(e) => updateStorage(lot, e.target.value)}
+                                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                                    >
+                                      {STORAGE_LOCATIONS.map(storage => (
+                                        <option key={storage} value={storage}>{STORAGE_LABELS[storage]}</option>
+                                      ))}
+                                    </select>
+                                    <label className="text-xs text-gray-600">
+                                      Expires{lot.expirationEstimated && ' (est.)'}{' '}
+                                      <input
+                                        type="date"
+                                        value={lot.expiresOn || ''}
+                                        onChange={(e) => updateExpiration(lot, e.target.value)}
+                                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                                      />
+                                    </label>
                                   </div>
                                   <button
                                     onClick={(e) => {
                                       e.stopPropagation();
-                                      deleteItem(purchase.id);
+                                      deleteItem(lot.id);
                                     }}
                                     className="text-red-600 hover:text-red-700 text-xs"
                                   >
@@ -397,7 +463,7 @@ export default function Inventory() {
                               onClick={(e) => {
                                 e.stopPropagation();
                                 if (window.confirm(`Delete all ${item.name}?`)) {
-                                  item.purchaseHistory.forEach(p => deleteItem(p.id));
+                                  item.lots.forEach(lot => deleteItem(lot.id));
                                 }
                               }}
                               className="text-red-600 hover:text-red-700 text-sm"
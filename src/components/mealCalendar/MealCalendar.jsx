@@ -1,9 +1,16 @@
 import { useState, useEffect } from 'react';
 import { mealScheduleService } from '../../services/mealSchedule';
 import { recipeService } from '../../services/recipes';
-import { shoppingListService } from '../../services/shoppingList';
 import { calendarService } from '../../services/calendarService';
 import { calendarToShoppingListService } from '../../services/calendarToShoppingList'; // NEW
+import { householdScalingService } from '../../services/householdScaling';
+import { mealConsumptionService } from '../../services/mealConsumption';
+
+const CONSUME_STATUS_LABELS = {
+  short: { text: 'Not enough - uses what you have', className: 'text-orange-600' },
+  missing: { text: 'Not in inventory', className: 'text-gray-500' },
+  unconvertible: { text: "Units don't match - not deducted", className: 'text-gray-500' },
+};
 
 export default function MealCalendar() {
   const [currentWeekStart, setCurrentWeekStart] = useState(getWeekStart(new Date()));
@@ -17,6 +24,9 @@ export default function MealCalendar() {
   const [availabilityMap, setAvailabilityMap] = useState({});
   const [showAvailabilityModal, setShowAvailabilityModal] = useState(false);
   const [selectedMealAvailability, setSelectedMealAvailability] = useState(null);
+  const [consumePlan, setConsumePlan] = useState(null); // Inventory changes waiting for confirmation
+  const [consumeResult, setConsumeResult] = useState(null); // Last consumed meal, for undo / ran-out items
+  const [consuming, setConsuming] = useState(false);
 
   const daysOfWeek = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
   const mealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
@@ -104,11 +114,13 @@ export default function MealCalendar() {
 
   const handleSelectRecipe = async (recipe) => {
     try {
+      // Enough servings for everyone's portions; adjustable per meal afterwards
+      const servings = await householdScalingService.getDefaultServings();
       await mealScheduleService.scheduleMeal({
         recipe_id: recipe.id,
         scheduled_date: selectedSlot.date,
         meal_type: selectedSlot.mealType,
-        servings: 1,
+        servings,
       });
       setShowRecipeModal(false);
       setSelectedSlot(null);
@@ -118,6 +130,18 @@ export default function MealCalendar() {
     }
   };
 
+  const handleChangeServings = async (meal, delta) => {
+    const servings = Math.max(1, (meal.servings || 1) + delta);
+    if (servings === meal.servings) return;
+
+    try {
+      await mealScheduleService.updateScheduledMeal(meal.id, { servings });
+      loadWeekData();
+    } catch (err) {
+      alert('Error updating servings: ' + err.message);
+    }
+  };
+
   const handleRemoveMeal = async (mealId) => {
     if (!window.confirm('Remove this meal from your schedule?')) {
       return;
@@ -131,12 +155,86 @@ export default function MealCalendar() {
     }
   };
 
-  const handleMarkConsumed = async (mealId) => {
+  // Show what cooking the meal takes out of inventory before marking it consumed
+  const handleMarkConsumed = async (meal) => {
+    try {
+      if (!meal.recipe_id) {
+        await mealScheduleService.completeMeal(meal.id);
+        loadWeekData();
+        return;
+      }
+      setConsumePlan(await mealConsumptionService.planMeal(meal));
+    } catch (err) {
+      alert('Error marking meal as consumed: ' + err.message);
+    }
+  };
+
+  const handleConfirmConsumed = async (updateInventory) => {
+    const mealPlan = consumePlan;
+    setConsuming(true);
     try {
-      await mealScheduleService.completeMeal(mealId);
+      // Inventory first - the meal is only marked eaten once its ingredients are taken out
+      if (updateInventory) {
+        await mealConsumptionService.apply(mealPlan);
+      }
+      try {
+        await mealScheduleService.completeMeal(mealPlan.meal.id);
+      } catch (err) {
+        if (updateInventory) await mealConsumptionService.undo(mealPlan);
+        throw err;
+      }
+
+      setConsumeResult({
+        mealPlan,
+        inventoryUpdated: updateInventory,
+        restock: updateInventory ? mealPlan.ranOut.map(item => item.id) : [],
+      });
+      setConsumePlan(null);
       loadWeekData();
     } catch (err) {
       alert('Error marking meal as consumed: ' + err.message);
+    } finally {
+      setConsuming(false);
+    }
+  };
+
+  const handleUndoConsumed = async () => {
+    const { mealPlan, inventoryUpdated } = consumeResult;
+    setConsuming(true);
+    try {
+      if (inventoryUpdated) {
+        await mealConsumptionService.undo(mealPlan);
+      }
+      await mealScheduleService.uncompleteMeal(mealPlan.meal.id);
+      setConsumeResult(null);
+      loadWeekData();
+    } catch (err) {
+      alert('Error undoing: ' + err.message);
+    } finally {
+      setConsuming(false);
+    }
+  };
+
+  const toggleRestock = (itemId) => {
+    setConsumeResult(prev => ({
+      ...prev,
+      restock: prev.restock.includes(itemId)
+        ? prev.restock.filter(id => id !== itemId)
+        : [...prev.restock, itemId],
+    }));
+  };
+
+  const handleAddRanOutToShoppingList = async () => {
+    const { mealPlan, restock } = consumeResult;
+    try {
+      const added = await mealConsumptionService.addRanOutToShoppingList(
+        mealPlan.ranOut.filter(item => restock.includes(item.id)),
+        mealPlan.meal.recipes?.name
+      );
+      alert(`✅ Added ${added.length} item${added.length !== 1 ? 's' : ''} to your shopping list!`);
+      setConsumeResult(prev => ({ ...prev, restock: [], restocked: true }));
+    } catch (err) {
+      alert('Error adding to shopping list: ' + err.message);
     }
   };
 
@@ -152,6 +250,10 @@ export default function MealCalendar() {
       const result = await calendarToShoppingListService.addMealToShoppingList(mealId);
       
       let message = `✅ Added ${result.addedCount} ingredients to shopping list!`;
+
+      if (result.coveredItems.length > 0) {
+        message += `\n\nAlready have (pantry or list): ${result.coveredItems.join(', ')}`;
+      }
       
       if (result.failedCount > 0) {
         message += `\n\n⚠️ Could not add: ${result.failedItems.join(', ')}`;
@@ -169,32 +271,27 @@ export default function MealCalendar() {
       const weekEnd = new Date(currentWeekStart);
       weekEnd.setDate(weekEnd.getDate() + 6);
 
-      const ingredients = await mealScheduleService.generateShoppingList(
+      // Net needs: what the week's meals call for, less the pantry and what's already listed
+      const { lines, covered } = await mealScheduleService.generateShoppingList(
         currentWeekStart.toISOString().split('T')[0],
         weekEnd.toISOString().split('T')[0]
       );
 
-      if (ingredients.length === 0) {
+      if (lines.length === 0 && covered.length === 0) {
         alert('No meals scheduled this week!');
         return;
       }
 
-      // Add to shopping list
-      for (const ingredient of ingredients) {
-        await shoppingListService.addItem({
-          name: ingredient.name,
-          amount: ingredient.amount,
-          unit: ingredient.unit,
-          calories: ingredient.calories,
-          protein: ingredient.protein,
-          carbs: ingredient.carbs,
-          fat: ingredient.fat,
-          category: 'Other',
-          notes: 'From meal plan',
-        });
-      }
+      const { successCount, failedItems } = await calendarToShoppingListService.addIngredientsToShoppingList(lines);
 
-      alert(`Added ${ingredients.length} items to your shopping list!`);
+      let message = `Added ${successCount} items to your shopping list!`;
+      if (covered.length > 0) {
+        message += `\n\nAlready have (pantry or list): ${covered.map(line => line.name).join(', ')}`;
+      }
+      if (failedItems.length > 0) {
+        message += `\n\n⚠️ Could not add: ${failedItems.join(', ')}`;
+      }
+      alert(message);
     } catch (err) {
       alert('Error generating shopping list: ' + err.message);
     }
@@ -273,6 +370,64 @@ export default function MealCalendar() {
         </button>
       </div>
 
+      {/* Last consumed meal - undo and ran-out items */}
+      {consumeResult && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+          <div className="flex justify-between items-start gap-4">
+            <div>
+              <p className="font-semibold text-green-900">
+                ✅ {consumeResult.mealPlan.meal.recipes?.name} marked consumed
+              </p>
+              <p className="text-sm text-green-800">
+                {consumeResult.inventoryUpdated
+                  ? `Inventory updated for ${consumeResult.mealPlan.lines.filter(l => l.plan?.changes.length).length} ingredients.`
+                  : 'Inventory was not changed.'}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={handleUndoConsumed}
+                disabled={consuming}
+                className="px-3 py-1 bg-white border border-green-300 text-green-700 rounded-lg hover:bg-green-100 text-sm font-medium disabled:opacity-50"
+              >
+                ↩️ Undo
+              </button>
+              <button
+                onClick={() => setConsumeResult(null)}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                ×
+              </button>
+            </div>
+          </div>
+
+          {consumeResult.inventoryUpdated && consumeResult.mealPlan.ranOut.length > 0 && !consumeResult.restocked && (
+            <div className="mt-3 pt-3 border-t border-green-200">
+              <p className="text-sm font-medium text-gray-900 mb-2">You ran out of:</p>
+              <div className="flex flex-wrap gap-3 mb-3">
+                {consumeResult.mealPlan.ranOut.map(item => (
+                  <label key={item.id} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={consumeResult.restock.includes(item.id)}
+                      onChange={() => toggleRestock(item.id)}
+                    />
+                    {item.name}
+                  </label>
+                ))}
+              </div>
+              <button
+                onClick={handleAddRanOutToShoppingList}
+                disabled={consumeResult.restock.length === 0}
+                className="px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm disabled:opacity-50"
+              >
+                🛒 Add to Shopping List
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Availability Legend */}
       <div className="bg-white rounded-lg shadow p-4">
         <h3 className="font-semibold mb-2 text-sm">Ingredient Availability Legend:</h3>
@@ -416,9 +571,30 @@ export default function MealCalendar() {
                           </div>
                           {meal.recipes && (
                             <div className="text-xs text-gray-600 space-y-0.5">
-                              <p>{Math.round(meal.recipes.total_calories * meal.servings)} cal</p>
+                              <p>{Math.round(meal.nutrition?.calories || 0)} cal</p>
                               <p>⏱️ {meal.recipes.cooking_time} min</p>
-                              <p>{meal.servings} serving(s)</p>
+                              <div className="flex items-center gap-1">
+                                {!meal.is_completed && (
+                                  <button
+                                    onClick={() => handleChangeServings(meal, -1)}
+                                    disabled={meal.servings <= 1}
+                                    className="w-5 h-5 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+                                    title="Fewer servings"
+                                  >
+                                    −
+                                  </button>
+                                )}
+                                <span>{meal.servings} serving(s)</span>
+                                {!meal.is_completed && (
+                                  <button
+                                    onClick={() => handleChangeServings(meal, 1)}
+                                    className="w-5 h-5 rounded bg-gray-200 hover:bg-gray-300"
+                                    title="More servings"
+                                  >
+                                    +
+                                  </button>
+                                )}
+                              </div>
                             </div>
                           )}
                           {!meal.is_completed && (
@@ -439,7 +615,7 @@ export default function MealCalendar() {
                                 📊 Check Availability
                               </button>
                               <button
-                                onClick={() => handleMarkConsumed(meal.id)}
+                                onClick={() => handleMarkConsumed(meal)}
                                 className="w-full px-2 py-1 bg-green-600 text-white text-xs rounded hover:bg-green-700 transition-colors"
                               >
                                 ✓ Mark Consumed
@@ -542,6 +718,81 @@ export default function MealCalendar() {
         </div>
       )}
 
+      {/* Mark Consumed Confirmation */}
+      {consumePlan && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-xl font-bold">Mark as Consumed</h3>
+                <p className="text-sm text-gray-600">
+                  {consumePlan.meal.recipes?.name} • {consumePlan.meal.servings || consumePlan.meal.recipes?.servings} servings
+                </p>
+              </div>
+              <button
+                onClick={() => setConsumePlan(null)}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <h5 className="font-semibold text-sm mb-2">Inventory changes:</h5>
+            {consumePlan.lines.length === 0 ? (
+              <p className="text-sm text-gray-600 mb-4">This recipe has no ingredients listed.</p>
+            ) : (
+              <ul className="divide-y border rounded-lg mb-4">
+                {consumePlan.lines.map((line, idx) => (
+                  <li key={idx} className="px-3 py-2 text-sm flex justify-between gap-3">
+                    <div>
+                      <div className="font-medium text-gray-900">{line.ingredient.name}</div>
+                      <div className="text-xs text-gray-500">
+                        Uses {line.amount} {line.unit}
+                        {line.stockItem && line.stockItem.name.toLowerCase() !== line.ingredient.name.toLowerCase() && ` • from ${line.stockItem.name}`}
+                      </div>
+                    </div>
+                    <div className="text-right whitespace-nowrap">
+                      {line.stockItem && line.status !== 'unconvertible' && (
+                        <div className={line.after <= 0 ? 'text-red-600 font-medium' : 'text-gray-900'}>
+                          {line.before} → {line.after} {line.stockItem.unit}
+                        </div>
+                      )}
+                      {CONSUME_STATUS_LABELS[line.status] && (
+                        <div className={`text-xs ${CONSUME_STATUS_LABELS[line.status].className}`}>
+                          {CONSUME_STATUS_LABELS[line.status].text}
+                        </div>
+                      )}
+                      {line.status === 'deduct' && line.after <= 0 && (
+                        <div className="text-xs text-red-600">Runs out</div>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="space-y-2">
+              <button
+                onClick={() => handleConfirmConsumed(true)}
+                disabled={consuming}
+                className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                ✓ Mark Consumed & Update Inventory
+              </button>
+              <button
+                onClick={() => handleConfirmConsumed(false)}
+                disabled={consuming}
+                className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+              >
+                Mark Consumed Only
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Ingredient Availability Modal */}
       {showAvailabilityModal && selectedMealAvailability && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -1,10 +1,30 @@
 import { useState, useEffect } from 'react';
 import { mealDBService } from '../../services/mealDBService';
-import { supabase } from '../../services/supabase';
+import { claudeService } from '../../services/claude';
+import { recipeService } from '../../services/recipes';
+import { userPreferencesService } from '../../services/userPreferences';
+import { ingredientMatcher } from '../../services/ingredientMatcher';
+import { allergenService } from '../../services/allergens';
+import { householdScalingService } from '../../services/householdScaling';
+import { units } from '../../services/units';
+import { shelfLifeService } from '../../services/shelfLife';
+import { inventoryLotsService } from '../../services/inventoryLots';
+import { shoppingListService } from '../../services/shoppingList';
+import { inventoryRepository } from '../../services/dataRepository';
+
+// Match-percentage points a recipe gains per expiring item it uses
+const EXPIRING_BONUS = 20;
+
+const DIETARY_OPTIONS = ['', 'Vegetarian', 'Vegan', 'Pescatarian', 'Gluten-free', 'Dairy-free', 'Low-carb', 'Keto'];
+
+// Names checked for allergens - the dish name catches things like "Peanut Noodles"
+const mealIngredientNames = (meal) => [meal.name, ...(meal.ingredients || []).map(i => i.name)];
+const aiRecipeIngredientNames = (recipe) => [recipe.name, ...(recipe.ingredients || []).map(i => i.name)];
 
 export default function MealIdeas() {
   const [meals, setMeals] = useState([]);
   const [inventory, setInventory] = useState([]);
+  const [expiringItems, setExpiringItems] = useState([]);
   const [categories, setCategories] = useState([]);
   const [areas, setAreas] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -20,22 +40,46 @@ export default function MealIdeas() {
   // AI Features
   const [aiPrompt, setAiPrompt] = useState('');
   const [aiLoading, setAiLoading] = useState(false);
+  const [aiRecipes, setAiRecipes] = useState([]);
+  const [aiPreferences, setAiPreferences] = useState({ dietary: '', cuisine: '', cookingTime: '' });
+  const [importingAiRecipe, setImportingAiRecipe] = useState(null);
+  const [importingMeal, setImportingMeal] = useState(null);
+  const [expandedAiRecipe, setExpandedAiRecipe] = useState(null);
+  const [householdMembers, setHouseholdMembers] = useState([]);
+  const [hiddenAiCount, setHiddenAiCount] = useState(0);
 
   useEffect(() => {
     loadFilters();
     loadInventory();
     loadInventoryBasedMeals();
+    loadAiPreferences();
+    loadHousehold();
   }, []);
 
+  const loadHousehold = async () => {
+    const household = await householdScalingService.getHousehold();
+    setHouseholdMembers(household.members);
+  };
+
+  const allergies = allergenService.householdAllergies(householdMembers);
+  const dislikes = householdMembers.flatMap(member => member.dislikes || []);
+
+  // Browse results without ingredient lists can't be checked here; the detail view warns instead
+  const visibleMeals = meals.filter(meal =>
+    !meal.ingredients || allergenService.isSafe(mealIngredientNames(meal), allergies)
+  );
+  const hiddenMealCount = meals.length - visibleMeals.length;
+
+  const loadAiPreferences = async () => {
+    const prefs = await userPreferencesService.getRecipePreferences();
+    setAiPreferences(prefs);
+  };
+
   const loadInventory = async () => {
     try {
-      const { data, error } = await supabase
-        .from('inventory_items')
-        .select('*')
-        .order('name');
-      
-      if (error) throw error;
-      setInventory(data || []);
+      const data = await inventoryRepository.list();
+      setInventory(data);
+      setExpiringItems(shelfLifeService.expiringSoon(inventoryLotsService.groupLots(data)));
     } catch (error) {
       console.error('Error loading inventory:', error);
       setInventory([]);
@@ -55,15 +99,12 @@ export default function MealIdeas() {
     const status = {};
     
     ingredients.forEach((ingredient, idx) => {
-      const ingName = ingredient.name.toLowerCase();
-      const inventoryItem = inventory.find(invItem => {
-        const invName = invItem.name.toLowerCase();
-        return invName.includes(ingName) || ingName.includes(invName);
-      });
+      const match = ingredientMatcher.findBestMatch(ingredient.name, inventory);
       
       status[idx] = {
-        available: !!inventoryItem,
-        inventoryItem: inventoryItem
+        available: !!match,
+        inventoryItem: match?.item,
+        confidence: match?.confidence || 0
       };
     });
     
@@ -72,8 +113,6 @@ export default function MealIdeas() {
 
   const addMissingToShoppingList = async () => {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
       const missingIngredients = selectedMeal.ingredients?.filter((ing, idx) => {
         return !ingredientStatus[idx]?.available;
       }) || [];
@@ -84,19 +123,13 @@ export default function MealIdeas() {
       }
 
       const shoppingItems = missingIngredients.map(ing => ({
-        user_id: user.id,
         name: ing.name,
-        amount: parseFloat(ing.measure.match(/[\d.]+/)?.[0] || 1),
-        unit: ing.measure.replace(/[\d.]+/g, '').trim() || 'item',
+        ...units.parseMeasure(ing.measure),
         category: 'Recipe Ingredient',
         is_purchased: false
       }));
 
-      const { error } = await supabase
-        .from('shopping_list_items')
-        .insert(shoppingItems);
-
-      if (error) throw error;
+      await shoppingListService.addItem(shoppingItems);
 
       alert(`✅ Added ${missingIngredients.length} missing ingredients to shopping list!`);
     } catch (error) {
@@ -109,20 +142,19 @@ export default function MealIdeas() {
     setLoading(true);
     setViewMode('inventory');
     try {
-      // Load inventory directly
-      const { data: items, error } = await supabase
-        .from('inventory_items')
-        .select('*');
-      
-      if (error) throw error;
-      
-      if (!items || items.length === 0) {
+      const items = await inventoryRepository.list();
+
+      if (items.length === 0) {
         setMeals([]);
+        setExpiringItems([]);
         return;
       }
 
+      const expiring = shelfLifeService.expiringSoon(inventoryLotsService.groupLots(items));
+      setExpiringItems(expiring);
+
       // Get main ingredients from inventory - SEARCH MORE INGREDIENTS
-      const mainIngredients = extractMainIngredients(items);
+      const mainIngredients = extractMainIngredients(items, expiring);
       
       console.log('🔍 Searching ENTIRE MealDB database with ingredients:', mainIngredients);
       
@@ -178,67 +210,32 @@ export default function MealIdeas() {
 
       // Calculate match percentage
       const scoredRecipes = detailedRecipes.map(recipe => {
-        const recipeIngredients = recipe.ingredients?.map(i => i.name.toLowerCase()) || [];
-        const availableIngredients = items.map(item => item.name.toLowerCase());
-        
-        // Enhanced matching logic
-        const matchCount = recipeIngredients.filter(recipeIng => {
-          return availableIngredients.some(userIng => {
-            // Direct match
-            if (recipeIng === userIng) return true;
-            
-            // Contains match (either direction)
-            if (recipeIng.includes(userIng) || userIng.includes(recipeIng)) return true;
-            
-            // Word-by-word matching
-            const recipeWords = recipeIng.split(/[\s,]+/).filter(w => w.length > 3);
-            const userWords = userIng.split(/[\s,]+/).filter(w => w.length > 3);
-            
-            const hasCommonWord = recipeWords.some(rWord => 
-              userWords.some(uWord => 
-                rWord.includes(uWord) || uWord.includes(rWord)
-              )
-            );
-            
-            if (hasCommonWord) return true;
-            
-            // Common ingredient variations
-            const variations = {
-              'chicken': ['chicken breast', 'chicken thigh', 'chicken leg', 'chicken tender', 'whole chicken', 'chicken quarter'],
-              'beef': ['ground beef', 'beef steak', 'beef roast', 'stewing beef', 'beef chuck'],
-              'pork': ['pork chop', 'pork loin', 'pork shoulder', 'ground pork'],
-              'rice': ['white rice', 'brown rice', 'basmati rice', 'jasmine rice', 'long grain rice'],
-              'onion': ['onions', 'yellow onion', 'red onion', 'white onion', 'sweet onion'],
-              'tomato': ['tomatoes', 'cherry tomatoes', 'roma tomatoes', 'plum tomatoes'],
-              'milk': ['whole milk', 'skim milk', '2% milk', 'milk gallon'],
-            };
-            
-            for (const [base, vars] of Object.entries(variations)) {
-              if (recipeIng.includes(base)) {
-                if (userIng.includes(base)) return true;
-                if (vars.some(v => userIng.includes(v))) return true;
-              }
-            }
-            
-            return false;
-          });
-        }).length;
+        const recipeIngredients = recipe.ingredients?.map(i => i.name) || [];
+        const matchCount = recipeIngredients.filter(name =>
+          ingredientMatcher.findBestMatch(name, items)
+        ).length;
         
         const matchPercentage = recipeIngredients.length > 0
           ? Math.round((matchCount / recipeIngredients.length) * 100)
           : 0;
 
+        const usesExpiring = expiring
+          .filter(item => recipeIngredients.some(name => ingredientMatcher.findBestMatch(name, [item])))
+          .map(item => item.name);
+
         return {
           ...recipe,
           matchPercentage,
+          usesExpiring,
           matchCount,
           totalIngredients: recipeIngredients.length,
           missingCount: recipeIngredients.length - matchCount
         };
       });
 
-      // Sort by match percentage (highest first)
-      scoredRecipes.sort((a, b) => b.matchPercentage - a.matchPercentage);
+      // Sort by match percentage (highest first), boosted for using up expiring items
+      const rank = (recipe) => recipe.matchPercentage + recipe.usesExpiring.length * EXPIRING_BONUS;
+      scoredRecipes.sort((a, b) => rank(b) - rank(a));
 
       console.log(`🎯 Top matches:`);
       scoredRecipes.slice(0, 5).forEach(r => {
@@ -253,21 +250,22 @@ export default function MealIdeas() {
     }
   };
 
-  const extractMainIngredients = (inventoryItems) => {
+  // Keywords for expiring items come first so their recipes get fetched
+  const extractMainIngredients = (inventoryItems, expiring = []) => {
     const mainIngredientKeywords = [
       'chicken', 'beef', 'pork', 'fish', 'salmon', 'shrimp', 'turkey', 'lamb',
       'rice', 'pasta', 'noodles', 'bread', 'potato', 
       'tomato', 'onion', 'garlic', 'cheese', 'egg'
     ];
 
-    const found = [];
-    for (const keyword of mainIngredientKeywords) {
-      if (inventoryItems.some(item => item.name.toLowerCase().includes(keyword))) {
-        found.push(keyword);
-      }
-    }
+    const has = (itemList, keyword) => itemList.some(item => item.name.toLowerCase().includes(keyword));
+
+    const expiringKeywords = mainIngredientKeywords.filter(keyword => has(expiring, keyword));
+    const otherKeywords = mainIngredientKeywords.filter(keyword =>
+      !expiringKeywords.includes(keyword) && has(inventoryItems, keyword)
+    );
 
-    return found;
+    return [...expiringKeywords, ...otherKeywords];
   };
 
   const loadLatestMeals = async () => {
@@ -350,15 +348,32 @@ export default function MealIdeas() {
     if (!aiPrompt.trim()) return;
 
     setAiLoading(true);
+    setViewMode('ai');
+    setAiRecipes([]);
+    setHiddenAiCount(0);
+    setExpandedAiRecipe(null);
     try {
-      const results = await mealDBService.searchByName(aiPrompt);
-      
-      if (results.length > 0) {
-        setMeals(results.map(m => ({ ...m, matchPercentage: undefined })));
-        setViewMode('search');
-        setAiPrompt('');
-      } else {
-        alert('No recipes found. Try a different search term!');
+      // Remember preferences for next time - a failed save shouldn't block suggestions
+      userPreferencesService.setRecipePreferences(aiPreferences)
+        .catch(err => console.error('Error saving recipe preferences:', err));
+
+      // Cards show up as Claude streams each recipe. Claude is told about
+      // allergies, but anything that still contains one is dropped here.
+      const results = await claudeService.streamRecipes(
+        inventory,
+        { ...aiPreferences, allergies, dislikes, useSoon: expiringItems.map(item => item.name) },
+        aiPrompt.trim(),
+        (recipe) => {
+          if (allergenService.isSafe(aiRecipeIngredientNames(recipe), allergies)) {
+            setAiRecipes(prev => [...prev, recipe]);
+          } else {
+            setHiddenAiCount(prev => prev + 1);
+          }
+        }
+      );
+
+      if (results.length === 0) {
+        alert('No recipes found. Try asking a different way!');
       }
     } catch (error) {
       alert('Error: ' + error.message);
@@ -367,99 +382,58 @@ export default function MealIdeas() {
     }
   };
 
+  const handleImportAIRecipe = async (suggestion) => {
+    setImportingAiRecipe(suggestion.name);
+    try {
+      const ingredients = suggestion.ingredients.map(({ name, amount, unit, inInventory }) => ({
+        name,
+        amount,
+        unit,
+        ...(!inInventory && { notes: 'Not in inventory' }),
+      }));
+
+      // Nutrition comes from USDA lookups of the ingredients, not Claude's calorie estimate
+      const recipe = await recipeService.createRecipe({
+        name: suggestion.name,
+        description: suggestion.description,
+        cuisine: suggestion.cuisine,
+        difficulty: suggestion.difficulty,
+        cooking_time: suggestion.cookingTime,
+        servings: suggestion.servings,
+        instructions: suggestion.instructions,
+        source: 'Claude',
+      }, ingredients, { computeNutrition: true });
+
+      const unresolved = recipe.unresolved_ingredients || [];
+      alert(unresolved.length > 0
+        ? `✅ "${recipe.name}" imported!\n\nNo nutrition data for: ${unresolved.join(', ')}. Nutrition totals leave these out.`
+        : `✅ "${recipe.name}" imported successfully!`);
+    } catch (error) {
+      console.error('❌ Import failed:', error);
+      alert('Error: ' + error.message);
+    } finally {
+      setImportingAiRecipe(null);
+    }
+  };
+
   const handleImportRecipe = async (meal) => {
+    setImportingMeal(meal.id);
     try {
-      console.log('🔄 Starting import for:', meal);
-      
-      const fullMealResponse = await mealDBService.getMealById(meal.id);
-      console.log('📦 Full meal data:', fullMealResponse);
-      
-      if (!fullMealResponse) {
-        alert('Could not load recipe details');
-        return;
-      }
+      console.log('🔄 Starting import for:', meal.name);
 
-      const fullMeal = fullMealResponse;
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) throw new Error('Not authenticated');
-      
-      const ingredients = [];
-      for (let i = 1; i <= 20; i++) {
-        const ing = fullMeal.ingredients?.[i - 1]?.name || fullMeal[`strIngredient${i}`];
-        const meas = fullMeal.ingredients?.[i - 1]?.measure || fullMeal[`strMeasure${i}`];
-        
-        if (ing && ing.trim()) {
-          const parts = (meas || '1').trim().match(/^([\d.\/]+)\s*(.*)$/);
-          ingredients.push({
-            name: ing.trim(),
-            amount: parts ? parseFloat(parts[1]) || 1 : 1,
-            unit: parts && parts[2] ? parts[2].trim() : 'item',
-          });
-        }
-      }
-      
-      console.log('✅ Parsed ingredients:', ingredients.length);
-      
-      const recipeName = fullMeal.name || fullMeal.strMeal || meal.name || 'Imported Recipe';
-      const recipeCategory = fullMeal.category || fullMeal.strCategory || 'Other';
-      const recipeArea = fullMeal.area || fullMeal.strArea || 'International';
-      const recipeInstructions = fullMeal.instructions || fullMeal.strInstructions || 'See source';
-      const recipeImage = fullMeal.thumbnail || fullMeal.strMealThumb || null;
-      const recipeVideo = fullMeal.youtube || fullMeal.strYoutube || null;
-      const recipeSource = fullMeal.source || fullMeal.strSource || null;
-      const recipeTags = fullMeal.tags || (fullMeal.strTags ? fullMeal.strTags.split(',') : []);
-      const recipeId = fullMeal.id || fullMeal.idMeal || fullMeal.externalId || meal.id;
-      
-      console.log('📝 Recipe data:', { name: recipeName, category: recipeCategory });
-      
-      const { data: recipe, error: recipeError } = await supabase
-        .from('recipes')
-        .insert({
-          user_id: user.id,
-          name: recipeName,
-          description: `${recipeCategory} from ${recipeArea}`,
-          cuisine: recipeArea,
-          category: recipeCategory,
-          difficulty: 'Medium',
-          cooking_time: 30,
-          servings: 4,
-          instructions: recipeInstructions,
-          total_calories: 400,
-          total_protein: 25,
-          total_carbs: 40,
-          total_fat: 15,
-          source: 'MealDB',
-          source_id: String(recipeId),
-          source_url: recipeSource,
-          image_url: recipeImage,
-          video_url: recipeVideo,
-          tags: recipeTags,
-        })
-        .select()
-        .maybeSingle();
-      
-      if (recipeError) throw recipeError;
-      
-      console.log('✅ Recipe created:', recipe.id);
-      
-      if (ingredients.length > 0) {
-        await supabase
-          .from('recipe_ingredients')
-          .insert(ingredients.map(ing => ({
-            recipe_id: recipe.id,
-            name: ing.name,
-            amount: ing.amount,
-            unit: ing.unit,
-          })));
-        
-        console.log('✅ Ingredients added:', ingredients.length);
-      }
+      // Looks up every ingredient in USDA, so this takes a few seconds
+      const recipe = await recipeService.importFromMealDB(meal.id);
 
-      alert(`✅ "${recipeName}" imported successfully!`);
+      const unresolved = recipe.unresolved_ingredients || [];
+      alert(unresolved.length > 0
+        ? `✅ "${recipe.name}" imported!\n\nNo nutrition data for: ${unresolved.join(', ')}. Nutrition totals leave these out.`
+        : `✅ "${recipe.name}" imported successfully!`);
       setSelectedMeal(null);
     } catch (error) {
       console.error('❌ Import failed:', error);
       alert('Error: ' + error.message);
+    } finally {
+      setImportingMeal(null);
     }
   };
 
@@ -493,7 +467,7 @@ export default function MealIdeas() {
       <div className="bg-gradient-to-r from-purple-600 to-blue-600 rounded-xl shadow-lg p-6 text-white">
         <h2 className="text-2xl font-bold mb-2">🤖 AI Meal Assistant</h2>
         <p className="text-purple-100 mb-4 text-sm">
-          Search for recipes or ask: "What can I make with chicken?"
+          Ask Claude: "What can I make with chicken?" - suggestions use your {inventory.length} inventory items
         </p>
         <div className="flex gap-2">
           <input
@@ -501,7 +475,7 @@ export default function MealIdeas() {
             value={aiPrompt}
             onChange={(e) => setAiPrompt(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && handleAIPrompt()}
-            placeholder="e.g., 'pasta recipes' or 'chicken dishes'"
+            placeholder="e.g., 'a quick weeknight pasta' or 'something spicy with chicken'"
             className="flex-1 px-4 py-3 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-purple-300"
             disabled={aiLoading}
           />
@@ -510,9 +484,39 @@ export default function MealIdeas() {
             disabled={aiLoading || !aiPrompt.trim()}
             className="px-6 py-3 bg-white text-purple-600 rounded-lg hover:bg-purple-50 transition-colors font-medium disabled:opacity-50"
           >
-            {aiLoading ? '⏳' : '✨'} Search
+            {aiLoading ? '⏳' : '✨'} Ask
           </button>
         </div>
+        <div className="flex flex-wrap gap-2 mt-3 text-sm">
+          <select
+            value={aiPreferences.dietary}
+            onChange={(e) => setAiPreferences({ ...aiPreferences, dietary: e.target.value })}
+            className="px-3 py-2 rounded-lg text-gray-900"
+            disabled={aiLoading}
+          >
+            {DIETARY_OPTIONS.map(option => (
+              <option key={option} value={option}>{option || 'Any diet'}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={aiPreferences.cuisine}
+            onChange={(e) => setAiPreferences({ ...aiPreferences, cuisine: e.target.value })}
+            placeholder="Any cuisine"
+            className="w-36 px-3 py-2 rounded-lg text-gray-900"
+            disabled={aiLoading}
+          />
+          <input
+            type="number"
+            min="5"
+            step="5"
+            value={aiPreferences.cookingTime}
+            onChange={(e) => setAiPreferences({ ...aiPreferences, cookingTime: e.target.value })}
+            placeholder="Max minutes"
+            className="w-32 px-3 py-2 rounded-lg text-gray-900"
+            disabled={aiLoading}
+          />
+        </div>
       </div>
 
       {/* Quick Actions */}
@@ -566,12 +570,18 @@ export default function MealIdeas() {
             <p className="text-sm text-green-700">
               Showing recipes that match ingredients you already have! Higher percentage = fewer items to buy.
             </p>
+            {expiringItems.length > 0 && (
+              <p className="text-sm text-orange-700 mt-2">
+                ⏰ Using up first: {expiringItems.slice(0, 6).map(item => item.name).join(', ')}
+                {expiringItems.length > 6 && '...'}
+              </p>
+            )}
           </div>
         )}
       </div>
 
       {/* Categories */}
-      {categories.length > 0 && viewMode !== 'inventory' && (
+      {categories.length > 0 && viewMode !== 'inventory' && viewMode !== 'ai' && (
         <div className="bg-white rounded-xl shadow-lg p-6">
           <h3 className="text-lg font-bold text-gray-900 mb-4">Browse by Category</h3>
           <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3">
@@ -599,14 +609,104 @@ export default function MealIdeas() {
         </div>
       )}
 
+      {/* Allergen filter notice */}
+      {(viewMode === 'ai' ? hiddenAiCount : hiddenMealCount) > 0 && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          ⚠️ Hid {viewMode === 'ai' ? hiddenAiCount : hiddenMealCount} recipe(s) containing household allergens ({allergies.join(', ')})
+        </div>
+      )}
+
       {/* Results */}
-      {loading ? (
+      {viewMode === 'ai' ? (
+        aiRecipes.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {[...aiRecipes].sort((a, b) => b.matchPercentage - a.matchPercentage).map(recipe => (
+              <div key={recipe.name} className="bg-white rounded-xl shadow-lg overflow-hidden flex flex-col">
+                <div className="p-4 flex-1">
+                  <div className="flex items-start justify-between gap-2 mb-2">
+                    <h3 className="font-bold text-gray-900 text-lg">{recipe.name}</h3>
+                    <span className={`px-3 py-1 rounded-full text-sm font-bold whitespace-nowrap ${
+                      recipe.matchPercentage >= 70 ? 'bg-green-600 text-white' :
+                      recipe.matchPercentage >= 40 ? 'bg-yellow-500 text-white' :
+                      'bg-red-500 text-white'
+                    }`}>
+                      {recipe.matchPercentage}% Match
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600 mb-3">{recipe.description}</p>
+
+                  <div className="flex flex-wrap gap-2 mb-3">
+                    <span className="px-2 py-1 bg-blue-100 text-blue-700 text-xs rounded-full font-medium">
+                      🌍 {recipe.cuisine}
+                    </span>
+                    <span className="px-2 py-1 bg-gray-100 text-gray-700 text-xs rounded-full font-medium">
+                      ⏱️ {recipe.cookingTime} min
+                    </span>
+                    <span className="px-2 py-1 bg-purple-100 text-purple-700 text-xs rounded-full font-medium">
+                      {recipe.difficulty}
+                    </span>
+                    <span className="px-2 py-1 bg-green-100 text-green-700 text-xs rounded-full font-medium">
+                      🔥 {recipe.calories} cal
+                    </span>
+                  </div>
+
+                  <div className="text-sm space-y-1 mb-3">
+                    {recipe.availableIngredients.length > 0 && (
+                      <p className="text-green-700">
+                        ✅ {recipe.availableIngredients.join(', ')}
+                      </p>
+                    )}
+                    {recipe.missingIngredients.length > 0 && (
+                      <p className="text-red-600">
+                        ❌ {recipe.missingIngredients.join(', ')}
+                      </p>
+                    )}
+                  </div>
+
+                  <button
+                    onClick={() => setExpandedAiRecipe(expandedAiRecipe === recipe.name ? null : recipe.name)}
+                    className="text-sm text-purple-600 hover:text-purple-800 font-medium"
+                  >
+                    {expandedAiRecipe === recipe.name ? '▲ Hide instructions' : '▼ Show instructions'}
+                  </button>
+                  {expandedAiRecipe === recipe.name && (
+                    <p className="mt-2 text-sm text-gray-700 leading-relaxed whitespace-pre-line">
+                      {recipe.instructions}
+                    </p>
+                  )}
+                </div>
+
+                <div className="p-4 pt-0">
+                  <button
+                    onClick={() => handleImportAIRecipe(recipe)}
+                    disabled={importingAiRecipe === recipe.name}
+                    className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium disabled:opacity-50"
+                  >
+                    {importingAiRecipe === recipe.name ? '⏳ Importing...' : '➕ Import Recipe'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : aiLoading ? (
+          <div className="flex flex-col items-center justify-center py-12 text-gray-600">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600 mb-4"></div>
+            Claude is thinking up recipes...
+          </div>
+        ) : (
+          <div className="bg-white rounded-xl shadow-lg p-12 text-center">
+            <div className="text-6xl mb-4">🤖</div>
+            <h3 className="text-xl font-semibold text-gray-900 mb-2">No suggestions yet</h3>
+            <p className="text-gray-600">Ask the AI Meal Assistant above for ideas</p>
+          </div>
+        )
+      ) : loading ? (
         <div className="flex items-center justify-center py-12">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600"></div>
         </div>
-      ) : meals.length > 0 ? (
+      ) : visibleMeals.length > 0 ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {meals.map(meal => (
+          {visibleMeals.map(meal => (
             <div
               key={meal.id}
               className="bg-white rounded-xl shadow-lg overflow-hidden hover:shadow-2xl transition-shadow cursor-pointer"
@@ -629,6 +729,14 @@ export default function MealIdeas() {
                     {meal.matchPercentage}% Match
                   </div>
                 )}
+                {meal.usesExpiring?.length > 0 && (
+                  <div
+                    className="absolute top-2 left-2 px-3 py-1 rounded-full text-sm font-bold bg-orange-500 text-white"
+                    title={meal.usesExpiring.join(', ')}
+                  >
+                    ⏰ Uses {meal.usesExpiring.length} expiring
+                  </div>
+                )}
               </div>
               
               <div className="p-4">
@@ -671,9 +779,10 @@ export default function MealIdeas() {
                     e.stopPropagation();
                     handleImportRecipe(meal);
                   }}
-                  className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium"
+                  disabled={importingMeal === meal.id}
+                  className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium disabled:opacity-50"
                 >
-                  ➕ Import Recipe
+                  {importingMeal === meal.id ? '⏳ Importing...' : '➕ Import Recipe'}
                 </button>
               </div>
             </div>
@@ -743,6 +852,14 @@ export default function MealIdeas() {
                 />
               )}
 
+              {/* ALLERGEN WARNING */}
+              {allergenService.findConflicts(mealIngredientNames(selectedMeal), householdMembers).map(({ member, allergens }) => (
+                <div key={member.id} className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                  ⚠️ Not safe for {member.name || 'a household member'}:{' '}
+                  {allergens.map(({ allergy, ingredient }) => `${ingredient} (${allergy})`).join(', ')}
+                </div>
+              ))}
+
               {/* KEY FACTS: Tags + Nutrition */}
               <div className="flex flex-wrap gap-4 items-start">
                 {/* Tags/Categories */}
@@ -824,6 +941,9 @@ export default function MealIdeas() {
                         <div className="flex-1">
                           <span className="font-medium text-sm">{ing.measure}</span>
                           <span className="text-gray-700 text-sm ml-1">{ing.name}</span>
+                          {isAvailable && status.confidence < 0.9 && (
+                            <div className="text-xs text-gray-500">≈ {status.inventoryItem.name}</div>
+                          )}
                         </div>
                       </div>
                     );
@@ -866,9 +986,10 @@ export default function MealIdeas() {
               {/* IMPORT BUTTON */}
               <button
                 onClick={() => handleImportRecipe(selectedMeal)}
-                className="w-full px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium text-lg"
+                disabled={importingMeal === selectedMeal.id}
+                className="w-full px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium text-lg disabled:opacity-50"
               >
-                ➕ Import to My Recipes
+                {importingMeal === selectedMeal.id ? '⏳ Calculating nutrition...' : '➕ Import to My Recipes'}
               </button>
             </div>
           </div>
@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import { krogerOrdersService } from '../../services/krogerOrders';
+import { useKrogerStore } from '../../contexts/KrogerStoreContext';
+import ReceiptImport from './ReceiptImport';
 
 export default function OrderHistory() {
   const [orders, setOrders] = useState([]);
@@ -7,6 +9,8 @@ export default function OrderHistory() {
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [viewMode, setViewMode] = useState('local'); // 'local' or 'api'
   const [dateFilter, setDateFilter] = useState('all'); // 'all', '30days', '90days', 'year'
+  const [showReceiptImport, setShowReceiptImport] = useState(false);
+  const { selectedStore } = useKrogerStore();
 
   useEffect(() => {
     loadOrders();
@@ -51,10 +55,18 @@ export default function OrderHistory() {
     }
   };
 
+  const handleReceiptImported = async () => {
+    if (viewMode === 'local') {
+      await loadOrders();
+    } else {
+      setViewMode('local');
+    }
+  };
+
   const handleAddToInventory = async (order) => {
     try {
       const result = await krogerOrdersService.addOrderToInventory(order);
-      alert(`✅ Added ${result.addedCount} new items and updated ${result.updatedCount} existing items in your inventory!`);
+      alert(`✅ Added ${result.addedCount} new items and restocked ${result.updatedCount} items already in your inventory!`);
     } catch (error) {
       console.error('Error adding to inventory:', error);
       alert('Failed to add to inventory. Please try again.');
@@ -144,6 +156,14 @@ export default function OrderHistory() {
             <option value="year">Last Year</option>
           </select>
 
+          {/* Receipt Import */}
+          <button
+            onClick={() => setShowReceiptImport(true)}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium"
+          >
+            🧾 Import Receipt
+          </button>
+
           {/* Refresh */}
           <button
             onClick={loadOrders}
@@ -368,6 +388,14 @@ export default function OrderHistory() {
           </div>
         </div>
       )}
+
+      {showReceiptImport && (
+        <ReceiptImport
+          locationId={selectedStore?.locationId || null}
+          onImported={handleReceiptImported}
+          onClose={() => setShowReceiptImport(false)}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,227 @@
+import { useState } from 'react';
+import { receiptImportService } from '../../services/receiptImport';
+
+const SOURCE_LABELS = {
+  favorite: '⭐',
+  kroger: '🛒',
+};
+
+const formatPrice = (value) => (value ? `$${Number(value).toFixed(2)}` : '');
+
+/**
+ * Paste or upload a receipt, confirm which product each line is, then add
+ * the lines to inventory as new lots and save the receipt as an order.
+ */
+export default function ReceiptImport({ locationId = null, onImported, onClose }) {
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState(null);
+  const [reviews, setReviews] = useState([]); // [{ order, lines: [{ item, name, candidates, choice, include }] }]
+  const [step, setStep] = useState('input'); // 'input', 'review'
+  const [working, setWorking] = useState('');
+  const [error, setError] = useState('');
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const lower = file.name.toLowerCase();
+    setText(await file.text());
+    setFileName(file.name);
+    setFormat(lower.endsWith('.json') ? 'json' : lower.endsWith('.csv') ? 'csv' : null);
+    event.target.value = '';
+  };
+
+  const handleRead = async () => {
+    setError('');
+    setWorking('Reading receipt...');
+    try {
+      const orders = await receiptImportService.parse(text, format);
+
+      setWorking('Matching products...');
+      const matched = [];
+      for (const order of orders) {
+        const lines = await receiptImportService.matchOrder(order, locationId);
+        matched.push({
+          order,
+          // Best candidate preselected; -1 keeps the receipt's own name
+          lines: lines.map(line => ({ ...line, choice: line.candidates.length > 0 ? 0 : -1, include: true })),
+        });
+      }
+
+      setReviews(matched);
+      setStep('review');
+    } catch (err) {
+      console.error('Error reading receipt:', err);
+      setError(err.message);
+    } finally {
+      setWorking('');
+    }
+  };
+
+  const updateLine = (orderIndex, lineIndex, changes) => {
+    setReviews(prev => prev.map((review, i) => i !== orderIndex ? review : {
+      ...review,
+      lines: review.lines.map((line, j) => j === lineIndex ? { ...line, ...changes } : line),
+    }));
+  };
+
+  const handleImport = async () => {
+    setError('');
+    setWorking('Adding to inventory...');
+
+    let lotCount = 0;
+    let orderCount = 0;
+    const skipped = [];
+    try {
+      for (const { order, lines } of reviews) {
+        try {
+          const result = await receiptImportService.importOrder(order, lines.map(line => ({
+            ...line,
+            product: line.candidates[line.choice]?.product || null,
+          })));
+          lotCount += result.lotCount;
+          orderCount++;
+        } catch (err) {
+          if (!err.message.includes('already been imported')) throw err;
+          skipped.push(new Date(order.orderDate).toLocaleDateString());
+        }
+      }
+
+      alert(
+        `✅ Added ${lotCount} items to inventory from ${orderCount} receipt${orderCount === 1 ? '' : 's'}` +
+        (skipped.length ? `\n\nSkipped receipts already imported (${skipped.join(', ')})` : '')
+      );
+      onImported?.();
+      onClose();
+    } catch (err) {
+      console.error('Error importing receipt:', err);
+      setError(err.message);
+    } finally {
+      setWorking('');
+    }
+  };
+
+  const includedCount = reviews.reduce((sum, review) => sum + review.lines.filter(line => line.include).length, 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-xl font-bold">🧾 Import Receipt</h3>
+            <p className="text-sm text-gray-600">
+              {step === 'input'
+                ? 'Paste the text of a receipt, or upload a Kroger e-receipt export (CSV or JSON)'
+                : 'Check each item matched the right product'}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">×</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-800">{error}</div>
+        )}
+
+        {step === 'input' && (
+          <div className="space-y-3">
+            <textarea
+              value={text}
+              onChange={(e) => { setText(e.target.value); setFileName(''); setFormat(null); }}
+              rows={10}
+              placeholder={'KROGER 2% MILK GAL      3.49 B\nBANANAS\n  2.31 lb @ 0.59 /lb     1.36 B\nKRO LG WHT EGGS 12CT    2.99 B'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+            />
+            <div className="flex items-center justify-between gap-2">
+              <label className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 cursor-pointer text-sm">
+                📎 {fileName || 'Upload file'}
+                <input
+                  type="file"
+                  accept=".csv,.json,.txt,text/csv,application/json,text/plain"
+                  onChange={handleFile}
+                  className="hidden"
+                />
+              </label>
+              <button
+                onClick={handleRead}
+                disabled={!text.trim() || !!working}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 font-medium"
+              >
+                {working || 'Read Receipt'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'review' && (
+          <div className="space-y-4">
+            {reviews.map(({ order, lines }, orderIndex) => (
+              <div key={order.orderId} className="border rounded-lg">
+                <div className="px-4 py-2 bg-gray-50 border-b flex justify-between text-sm">
+                  <span className="font-medium">{new Date(order.orderDate).toLocaleDateString()}</span>
+                  <span className="text-gray-600">
+                    {lines.length} items • {formatPrice(order.totalAmount)}
+                  </span>
+                </div>
+                <div className="divide-y">
+                  {lines.map((line, lineIndex) => (
+                    <div key={lineIndex} className={`px-4 py-3 flex items-start gap-3 ${line.include ? '' : 'opacity-50'}`}>
+                      <input
+                        type="checkbox"
+                        checked={line.include}
+                        onChange={(e) => updateLine(orderIndex, lineIndex, { include: e.target.checked })}
+                        className="mt-1 w-4 h-4"
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex justify-between gap-2 text-sm">
+                          <span className="font-mono text-gray-700 truncate">{line.item.name}</span>
+                          <span className="text-gray-600 whitespace-nowrap">
+                            {line.item.quantity} {line.item.unit} • {formatPrice(line.item.totalPrice)}
+                          </span>
+                        </div>
+                        <select
+                          value={line.choice}
+                          onChange={(e) => updateLine(orderIndex, lineIndex, { choice: parseInt(e.target.value, 10) })}
+                          disabled={!line.include}
+                          className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                        >
+                          {line.candidates.map((candidate, i) => (
+                            <option key={i} value={i}>
+                              {SOURCE_LABELS[candidate.source]} {candidate.product.name}
+                              {candidate.product.brandName ? ` (${candidate.product.brandName})` : ''}
+                              {` - ${Math.round(candidate.confidence * 100)}% match`}
+                            </option>
+                          ))}
+                          <option value={-1}>Keep as "{line.name}"</option>
+                        </select>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            <p className="text-xs text-gray-500">⭐ Favorite product • 🛒 Kroger search result</p>
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setStep('input')}
+                disabled={!!working}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={includedCount === 0 || !!working}
+                className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 font-medium"
+              >
+                {working || `Add ${includedCount} Items to Inventory`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
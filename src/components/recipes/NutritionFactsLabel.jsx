@@ -0,0 +1,100 @@
+import { DAILY_VALUES } from '../../services/recipeNutrition';
+
+// FDA label rounding (21 CFR 101.9(c)) - returns the text shown on the label
+const roundCalories = (value) => {
+  if (value < 5) return 0;
+  if (value <= 50) return Math.round(value / 5) * 5;
+  return Math.round(value / 10) * 10;
+};
+
+const roundFat = (value) => {
+  if (value < 0.5) return '0g';
+  if (value < 5) return `${Math.round(value * 2) / 2}g`;
+  return `${Math.round(value)}g`;
+};
+
+const roundCholesterol = (value) => {
+  if (value < 2) return '0mg';
+  if (value <= 5) return 'Less than 5mg';
+  return `${Math.round(value / 5) * 5}mg`;
+};
+
+const roundSodium = (value) => {
+  if (value < 5) return '0mg';
+  if (value <= 140) return `${Math.round(value / 5) * 5}mg`;
+  return `${Math.round(value / 10) * 10}mg`;
+};
+
+const roundGrams = (value) => {
+  if (value < 0.5) return '0g';
+  if (value < 1) return 'Less than 1g';
+  return `${Math.round(value)}g`;
+};
+
+const percentDailyValue = (nutrient, value) =>
+  DAILY_VALUES[nutrient] ? `${Math.round((value / DAILY_VALUES[nutrient]) * 100)}%` : '';
+
+const ROWS = [
+  { nutrient: 'fat', label: 'Total Fat', format: roundFat, bold: true },
+  { nutrient: 'saturated_fat', label: 'Saturated Fat', format: roundFat, indent: 1 },
+  { nutrient: 'trans_fat', label: 'Trans Fat', format: roundFat, indent: 1, italic: true },
+  { nutrient: 'cholesterol', label: 'Cholesterol', format: roundCholesterol, bold: true },
+  { nutrient: 'sodium', label: 'Sodium', format: roundSodium, bold: true },
+  { nutrient: 'carbs', label: 'Total Carbohydrate', format: roundGrams, bold: true },
+  { nutrient: 'fiber', label: 'Dietary Fiber', format: roundGrams, indent: 1 },
+  { nutrient: 'sugar', label: 'Total Sugars', format: roundGrams, indent: 1 },
+  { nutrient: 'protein', label: 'Protein', format: roundGrams, bold: true, noDailyValue: true },
+];
+
+/**
+ * Nutrition Facts panel in the FDA label layout, for one serving of a recipe
+ * (reads the per-serving total_* columns)
+ */
+export default function NutritionFactsLabel({ recipe }) {
+  const value = (nutrient) => Number(recipe[`total_${nutrient}`]) || 0;
+
+  return (
+    <div className="border-2 border-black p-2 bg-white text-black font-sans w-full max-w-xs">
+      <h3 className="text-3xl font-black leading-none">Nutrition Facts</h3>
+      <div className="border-b border-black py-1 text-sm">
+        <p>{recipe.servings || 1} servings per recipe</p>
+        <p className="flex justify-between font-bold">
+          <span>Serving size</span>
+          <span>{recipe.serving_grams ? `${recipe.serving_grams}g` : `1/${recipe.servings || 1} recipe`}</span>
+        </p>
+      </div>
+
+      <div className="border-b-8 border-black" />
+
+      <div className="flex justify-between items-end border-b-4 border-black py-1">
+        <div>
+          <p className="text-xs font-bold">Amount per serving</p>
+          <p className="text-2xl font-black">Calories</p>
+        </div>
+        <p className="text-4xl font-black">{roundCalories(value('calories'))}</p>
+      </div>
+
+      <p className="text-right text-xs font-bold border-b border-black py-1">% Daily Value*</p>
+
+      {ROWS.map(row => (
+        <div
+          key={row.nutrient}
+          className={`flex justify-between text-sm border-b border-black py-0.5 ${row.indent ? 'pl-4' : ''}`}
+        >
+          <span>
+            <span className={`${row.bold ? 'font-bold' : ''} ${row.italic ? 'italic' : ''}`}>{row.label}</span>{' '}
+            {row.format(value(row.nutrient))}
+          </span>
+          <span className="font-bold">
+            {row.noDailyValue ? '' : percentDailyValue(row.nutrient, value(row.nutrient))}
+          </span>
+        </div>
+      ))}
+
+      <div className="border-t-4 border-black mt-0.5 pt-1 text-[10px] leading-tight">
+        * The % Daily Value (DV) tells you how much a nutrient in a serving of food contributes to a daily diet.
+        2,000 calories a day is used for general nutrition advice.
+      </div>
+    </div>
+  );
+}
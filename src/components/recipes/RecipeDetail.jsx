@@ -1,5 +1,11 @@
 import { useState, useEffect } from 'react';
 import { supabase } from '../../services/supabase';
+import { recipeService } from '../../services/recipes';
+import { usdaService } from '../../services/usda';
+import { nutritionCache } from '../../services/nutritionCache';
+import { shoppingListService } from '../../services/shoppingList';
+import { inventoryRepository } from '../../services/dataRepository';
+import NutritionFactsLabel from './NutritionFactsLabel';
 
 export default function RecipeDetail({ recipeId, onEdit, onDelete, onBack }) {
   const [recipe, setRecipe] = useState(null);
@@ -7,6 +13,12 @@ export default function RecipeDetail({ recipeId, onEdit, onDelete, onBack }) {
   const [inventory, setInventory] = useState([]);
   const [ingredientStatus, setIngredientStatus] = useState({});
   const [loading, setLoading] = useState(true);
+  const [showLabel, setShowLabel] = useState(false);
+  const [recalculating, setRecalculating] = useState(false);
+  const [matchingIngredient, setMatchingIngredient] = useState(null);
+  const [matchQuery, setMatchQuery] = useState('');
+  const [matchResults, setMatchResults] = useState([]);
+  const [searchingMatches, setSearchingMatches] = useState(false);
 
   useEffect(() => {
     loadRecipeDetails();
@@ -42,20 +54,58 @@ export default function RecipeDetail({ recipeId, onEdit, onDelete, onBack }) {
 
   const loadInventory = async () => {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      const { data, error } = await supabase
-        .from('inventory_items')
-        .select('*')
-        .eq('user_id', user.id);
-
-      if (error) throw error;
-      setInventory(data || []);
+      setInventory(await inventoryRepository.list());
     } catch (error) {
       console.error('Error loading inventory:', error);
     }
   };
 
+  const handleRecalculateNutrition = async () => {
+    try {
+      setRecalculating(true);
+      await recipeService.recalculateNutrition(recipeId);
+      await loadRecipeDetails();
+    } catch (error) {
+      console.error('Error recalculating nutrition:', error);
+      alert('Failed to recalculate nutrition: ' + error.message);
+    } finally {
+      setRecalculating(false);
+    }
+  };
+
+  const openMatchPicker = (ingredient) => {
+    setMatchingIngredient(ingredient);
+    setMatchQuery(ingredient.name);
+    setMatchResults([]);
+  };
+
+  const handleSearchMatches = async (e) => {
+    e.preventDefault();
+    if (!matchQuery.trim()) return;
+
+    try {
+      setSearchingMatches(true);
+      setMatchResults(await usdaService.searchFoods(matchQuery.trim(), 10));
+    } catch (error) {
+      console.error('Error searching USDA:', error);
+      alert(error.message);
+    } finally {
+      setSearchingMatches(false);
+    }
+  };
+
+  // Pin the chosen food for this ingredient name - every recipe and list uses it from now on
+  const handlePickMatch = async (food) => {
+    try {
+      await nutritionCache.pinMatch(matchingIngredient.name, food);
+      setMatchingIngredient(null);
+      await handleRecalculateNutrition();
+    } catch (error) {
+      console.error('Error pinning match:', error);
+      alert('Failed to save match: ' + error.message);
+    }
+  };
+
   // Check ingredient availability
   useEffect(() => {
     if (ingredients.length > 0 && inventory.length >= 0) {
@@ -123,8 +173,6 @@ export default function RecipeDetail({ recipeId, onEdit, onDelete, onBack }) {
 
   const addMissingIngredientsToShoppingList = async () => {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
       const missingIngredients = ingredients.filter(ingredient => {
         const status = ingredientStatus[ingredient.id];
         return !status?.available || !status?.hasEnough;
@@ -136,7 +184,6 @@ export default function RecipeDetail({ recipeId, onEdit, onDelete, onBack }) {
       }
 
       const shoppingItems = missingIngredients.map(ingredient => ({
-        user_id: user.id,
         name: ingredient.name,
         amount: ingredient.amount,
         unit: ingredient.unit || 'item',
@@ -144,11 +191,7 @@ export default function RecipeDetail({ recipeId, onEdit, onDelete, onBack }) {
         is_purchased: false
       }));
 
-      const { error } = await supabase
-        .from('shopping_list_items')
-        .insert(shoppingItems);
-
-      if (error) throw error;
+      await shoppingListService.addItem(shoppingItems);
 
       alert(`✅ Added ${missingIngredients.length} missing ingredients to shopping list!`);
     } catch (error) {
@@ -276,25 +319,52 @@ export default function RecipeDetail({ recipeId, onEdit, onDelete, onBack }) {
 
           {/* Nutrition Facts */}
           <div className="bg-green-50 rounded-lg p-4 mb-6">
-            <h3 className="font-semibold text-gray-900 mb-3">Nutrition Facts (per serving)</h3>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="font-semibold text-gray-900">Nutrition Facts (per serving)</h3>
+              <div className="flex gap-3 text-sm">
+                <button
+                  onClick={() => setShowLabel(!showLabel)}
+                  className="text-green-700 hover:text-green-900 font-medium"
+                >
+                  {showLabel ? 'Hide label' : 'Full label'}
+                </button>
+                <button
+                  onClick={handleRecalculateNutrition}
+                  disabled={recalculating || ingredients.length === 0}
+                  className="text-green-700 hover:text-green-900 font-medium disabled:opacity-50"
+                >
+                  {recalculating ? '⏳ Recalculating...' : '🔄 Recalculate'}
+                </button>
+              </div>
+            </div>
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
               <div className="text-center">
-                <div className="text-2xl font-bold text-green-600">{recipe.total_calories || 0}</div>
+                <div className="text-2xl font-bold text-green-600">{Math.round(recipe.total_calories || 0)}</div>
                 <div className="text-sm text-gray-600">Calories</div>
               </div>
               <div className="text-center">
-                <div className="text-2xl font-bold text-blue-600">{recipe.total_protein || 0}g</div>
+                <div className="text-2xl font-bold text-blue-600">{Math.round(recipe.total_protein || 0)}g</div>
                 <div className="text-sm text-gray-600">Protein</div>
               </div>
               <div className="text-center">
-                <div className="text-2xl font-bold text-yellow-600">{recipe.total_carbs || 0}g</div>
+                <div className="text-2xl font-bold text-yellow-600">{Math.round(recipe.total_carbs || 0)}g</div>
                 <div className="text-sm text-gray-600">Carbs</div>
               </div>
               <div className="text-center">
-                <div className="text-2xl font-bold text-red-600">{recipe.total_fat || 0}g</div>
+                <div className="text-2xl font-bold text-red-600">{Math.round(recipe.total_fat || 0)}g</div>
                 <div className="text-sm text-gray-600">Fat</div>
               </div>
             </div>
+            {showLabel && (
+              <div className="mt-4 flex justify-center">
+                <NutritionFactsLabel recipe={recipe} />
+              </div>
+            )}
+            {recipe.unresolved_ingredients?.length > 0 && (
+              <p className="text-xs text-gray-600 mt-3">
+                ⚠️ No nutrition data for {recipe.unresolved_ingredients.join(', ')} - not included above
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -347,8 +417,23 @@ export default function RecipeDetail({ recipeId, onEdit, onDelete, onBack }) {
                           Not in inventory
                         </div>
                       )}
+                      {ingredient.nutrition_resolved === false ? (
+                        <div className="text-xs text-gray-500">No nutrition data</div>
+                      ) : ingredient.grams > 0 && (
+                        <div className="text-xs text-gray-500">
+                          ~{Math.round(ingredient.grams)}g • {Math.round(ingredient.calories || 0)} cal
+                          {ingredient.usda_name && ` • ${ingredient.usda_name}`}
+                        </div>
+                      )}
                     </div>
                   </div>
+
+                  <button
+                    onClick={() => openMatchPicker(ingredient)}
+                    className="text-xs text-green-700 hover:text-green-900 font-medium whitespace-nowrap"
+                  >
+                    Change match
+                  </button>
                 </div>
               );
             })}
@@ -358,6 +443,64 @@ export default function RecipeDetail({ recipeId, onEdit, onDelete, onBack }) {
         )}
       </div>
 
+      {/* USDA Match Picker */}
+      {matchingIngredient && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl shadow-xl w-full max-w-lg max-h-[80vh] flex flex-col">
+            <div className="p-4 border-b">
+              <h3 className="text-lg font-bold text-gray-900">Nutrition match for "{matchingIngredient.name}"</h3>
+              <p className="text-xs text-gray-500 mt-1">
+                The food you pick is used for this ingredient in all recipes and shopping lists.
+              </p>
+              <form onSubmit={handleSearchMatches} className="flex gap-2 mt-3">
+                <input
+                  type="text"
+                  value={matchQuery}
+                  onChange={(e) => setMatchQuery(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+                <button
+                  type="submit"
+                  disabled={searchingMatches}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                >
+                  {searchingMatches ? '⏳' : 'Search'}
+                </button>
+              </form>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-2">
+              {matchResults.length === 0 && !searchingMatches && (
+                <p className="text-sm text-gray-500 text-center py-4">Search USDA to see matches</p>
+              )}
+              {matchResults.map(food => (
+                <button
+                  key={food.fdcId}
+                  onClick={() => handlePickMatch(food)}
+                  className={`w-full text-left p-3 rounded-lg border hover:border-green-500 hover:bg-green-50 ${
+                    food.fdcId === matchingIngredient.usda_food_id ? 'border-green-500' : 'border-gray-200'
+                  }`}
+                >
+                  <div className="font-medium text-gray-900">{food.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {food.dataType}{food.brandName && ` • ${food.brandName}`} • {Math.round(food.calories)} cal, {food.protein}g protein per 100g
+                  </div>
+                </button>
+              ))}
+            </div>
+
+            <div className="p-4 border-t flex justify-end">
+              <button
+                onClick={() => setMatchingIngredient(null)}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Instructions */}
       {recipe.instructions && (
         <div className="bg-white rounded-xl shadow-lg p-6">
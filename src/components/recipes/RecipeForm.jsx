@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { supabase } from '../../services/supabase';
 import { krogerService } from '../../services/kroger';
+import { recipeService } from '../../services/recipes';
 import { useKrogerStore } from '../../contexts/KrogerStoreContext';
 
 export default function RecipeForm({ recipe, onSuccess, onCancel }) {
@@ -80,7 +81,14 @@ export default function RecipeForm({ recipe, onSuccess, onCancel }) {
       calories: product.calories || 0,
       protein: product.protein || 0,
       carbs: product.carbs || 0,
-      fat: product.fat || 0
+      fat: product.fat || 0,
+      fiber: product.fiber || 0,
+      sugar: product.sugar || 0,
+      sodium: product.sodium || 0,
+      saturated_fat: product.saturatedFat || 0,
+      trans_fat: product.transFat || 0,
+      cholesterol: product.cholesterol || 0,
+      fromProduct: true
     };
     
     setIngredients([...ingredients, newIngredient]);
@@ -125,16 +133,7 @@ export default function RecipeForm({ recipe, onSuccess, onCancel }) {
     setLoading(true);
 
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-
-      // Calculate total nutrition
-      const totalCalories = ingredients.reduce((sum, ing) => sum + (parseFloat(ing.calories) || 0), 0);
-      const totalProtein = ingredients.reduce((sum, ing) => sum + (parseFloat(ing.protein) || 0), 0);
-      const totalCarbs = ingredients.reduce((sum, ing) => sum + (parseFloat(ing.carbs) || 0), 0);
-      const totalFat = ingredients.reduce((sum, ing) => sum + (parseFloat(ing.fat) || 0), 0);
-
       const recipeData = {
-        user_id: user.id,
         name,
         description,
         instructions,
@@ -142,60 +141,37 @@ export default function RecipeForm({ recipe, onSuccess, onCancel }) {
         difficulty,
         cooking_time: cookingTime ? parseInt(cookingTime) : null,
         servings: parseInt(servings),
-        image_url: imageUrl || null,
-        total_calories: totalCalories,
-        total_protein: totalProtein,
-        total_carbs: totalCarbs,
-        total_fat: totalFat
+        image_url: imageUrl || null
       };
 
-      let recipeId;
-
-      if (recipe) {
-        // Update existing recipe
-        const { error } = await supabase
-          .from('recipes')
-          .update(recipeData)
-          .eq('id', recipe.id);
-
-        if (error) throw error;
-        recipeId = recipe.id;
-
-        // Delete old ingredients
-        await supabase
-          .from('recipe_ingredients')
-          .delete()
-          .eq('recipe_id', recipe.id);
-      } else {
-        // Create new recipe
-        const { data, error } = await supabase
-          .from('recipes')
-          .insert(recipeData)
-          .select()
-          .maybeSingle();
-
-        if (error) throw error;
-        recipeId = data.id;
-      }
-
-      // Insert ingredients
-      if (ingredients.length > 0) {
-        const ingredientsData = ingredients.map(ing => ({
-          recipe_id: recipeId,
+      // Nutrition is computed from the ingredients when the recipe is saved.
+      // Label values from a picked Kroger product are only used if USDA has no match.
+      const ingredientsData = ingredients.map(ing => {
+        const fromLabel = ing.fromProduct || ing.nutrition_note === 'From product label';
+        return {
           name: ing.name,
           amount: parseFloat(ing.amount) || 1,
           unit: ing.unit || 'item',
-          calories: parseFloat(ing.calories) || 0,
-          protein: parseFloat(ing.protein) || 0,
-          carbs: parseFloat(ing.carbs) || 0,
-          fat: parseFloat(ing.fat) || 0
-        }));
+          ...(ing.notes ? { notes: ing.notes } : {}),
+          ...(fromLabel ? {
+            calories: parseFloat(ing.calories) || 0,
+            protein: parseFloat(ing.protein) || 0,
+            carbs: parseFloat(ing.carbs) || 0,
+            fat: parseFloat(ing.fat) || 0,
+            fiber: parseFloat(ing.fiber) || 0,
+            sugar: parseFloat(ing.sugar) || 0,
+            sodium: parseFloat(ing.sodium) || 0,
+            saturated_fat: parseFloat(ing.saturated_fat) || 0,
+            trans_fat: parseFloat(ing.trans_fat) || 0,
+            cholesterol: parseFloat(ing.cholesterol) || 0
+          } : {})
+        };
+      });
 
-        const { error: ingredientsError } = await supabase
-          .from('recipe_ingredients')
-          .insert(ingredientsData);
-
-        if (ingredientsError) throw ingredientsError;
+      if (recipe) {
+        await recipeService.updateRecipe(recipe.id, recipeData, ingredientsData);
+      } else {
+        await recipeService.createRecipe(recipeData, ingredientsData, { computeNutrition: true });
       }
 
       onSuccess();
@@ -461,7 +437,7 @@ export default function RecipeForm({ recipe, onSuccess, onCancel }) {
               disabled={loading || !name}
               className="flex-1 px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium disabled:opacity-50"
             >
-              {loading ? '⏳ Saving...' : recipe ? 'Update Recipe' : 'Create Recipe'}
+              {loading ? '⏳ Saving & calculating nutrition...' : recipe ? 'Update Recipe' : 'Create Recipe'}
             </button>
             <button
               type="button"
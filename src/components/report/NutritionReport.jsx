@@ -166,6 +166,52 @@ export default function NutritionReport() {
             </div>
           </div>
 
+          {/* Per-Person Intake - shown for households, or anyone with targets */}
+          {summary.perPerson?.length > 0 &&
+            (summary.perPerson.length > 1 || Object.values(summary.perPerson[0].targets).some(Boolean)) && (
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-semibold mb-1">Per Person</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Daily averages, with meals split by each person's portion size
+              </p>
+              <div className="space-y-3">
+                {summary.perPerson.map(({ member, daily, targets, percentOfTarget }, index) => (
+                  <div key={member.id} className="border border-gray-200 rounded-lg p-4">
+                    <p className="font-semibold text-gray-900 mb-2">
+                      {member.name || `Person ${index + 1}`}
+                    </p>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                      {[
+                        { key: 'calories', label: 'Calories', unit: '' },
+                        { key: 'protein', label: 'Protein', unit: 'g' },
+                        { key: 'carbs', label: 'Carbs', unit: 'g' },
+                        { key: 'fat', label: 'Fat', unit: 'g' },
+                      ].map(({ key, label, unit }) => (
+                        <div key={key} className="bg-gray-50 p-2 rounded">
+                          <p className="text-gray-600 text-xs">{label}</p>
+                          <p className="font-semibold text-gray-900">
+                            {daily[key]}{unit}
+                            {targets[key] && (
+                              <span className="text-gray-500 font-normal"> / {targets[key]}{unit}</span>
+                            )}
+                          </p>
+                          {percentOfTarget[key] !== null && (
+                            <div className="w-full bg-gray-200 rounded-full h-1.5 mt-1">
+                              <div
+                                className={`h-1.5 rounded-full ${percentOfTarget[key] > 110 ? 'bg-red-500' : 'bg-green-500'}`}
+                                style={{ width: `${Math.min(100, percentOfTarget[key])}%` }}
+                              />
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Daily Breakdown Chart */}
           {dailyBreakdown.length > 0 && (
             <div className="bg-white rounded-lg shadow p-6">
@@ -235,10 +281,10 @@ export default function NutritionReport() {
                         {meal.recipes && (
                           <div className="ml-10 text-sm text-gray-600">
                             <p>
-                              {Math.round(meal.recipes.total_calories * meal.servings)} cal •{' '}
-                              P: {Math.round(meal.recipes.total_protein * meal.servings)}g •{' '}
-                              C: {Math.round(meal.recipes.total_carbs * meal.servings)}g •{' '}
-                              F: {Math.round(meal.recipes.total_fat * meal.servings)}g
+                              {Math.round(meal.nutrition.calories)} cal •{' '}
+                              P: {Math.round(meal.nutrition.protein)}g •{' '}
+                              C: {Math.round(meal.nutrition.carbs)}g •{' '}
+                              F: {Math.round(meal.nutrition.fat)}g
                             </p>
                             {meal.servings > 1 && (
                               <p className="text-xs text-gray-500 mt-1">
@@ -1,13 +1,32 @@
 import { useState, useEffect } from 'react';
 import { userPreferencesService } from '../../services/userPreferences';
-import { householdScalingService } from '../../services/householdScaling';
+import { householdScalingService, normalizeMembers, PORTION_PRESETS, AGE_BANDS } from '../../services/householdScaling';
+import { COMMON_ALLERGENS } from '../../services/allergens';
+
+const TARGET_FIELDS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+];
+
+const isCommonAllergen = (allergy) =>
+  COMMON_ALLERGENS.some(common => common.toLowerCase() === allergy.toLowerCase());
+
+// Free-text lists are edited as comma-separated text and split when saved
+const listText = (list) => (Array.isArray(list) ? list.join(', ') : list || '');
+const splitList = (text) => listText(text).split(',').map(entry => entry.trim()).filter(Boolean);
+
+const customAllergyText = (member) =>
+  member.customAllergies ?? member.allergies.filter(allergy => !isCommonAllergen(allergy)).join(', ');
 
 export default function HouseholdSettings() {
-  const [householdSize, setHouseholdSize] = useState(1);
+  const [members, setMembers] = useState(() => normalizeMembers([], 1));
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
   const [showSuccessMessage, setShowSuccessMessage] = useState(false);
+  const [expandedMember, setExpandedMember] = useState(null);
 
   useEffect(() => {
     loadPreferences();
@@ -17,21 +36,69 @@ export default function HouseholdSettings() {
     try {
       setLoading(true);
       const prefs = await userPreferencesService.getPreferences();
-      setHouseholdSize(prefs.household_size);
+      setMembers(normalizeMembers(prefs.household_members, prefs.household_size));
     } catch (err) {
       // If no preferences exist, they'll be created with default value of 1
       console.error('Error loading preferences:', err);
-      setHouseholdSize(1);
+      setMembers(normalizeMembers([], 1));
     } finally {
       setLoading(false);
     }
   };
 
+  const householdSize = members.length;
+  const portionTotal = members.reduce((sum, member) => sum + member.portion, 0);
+
+  // The slider adds adults or trims from the end of the list
+  const handleSizeChange = (size) => {
+    setMembers(prev => size > prev.length
+      ? [...prev, ...normalizeMembers([], size - prev.length)]
+      : prev.slice(0, size));
+  };
+
+  const updateMember = (id, updates) => {
+    setMembers(prev => prev.map(member => member.id === id ? { ...member, ...updates } : member));
+  };
+
+  const toggleAllergen = (member, allergen) => {
+    const has = member.allergies.some(allergy => allergy.toLowerCase() === allergen.toLowerCase());
+    updateMember(member.id, {
+      allergies: has
+        ? member.allergies.filter(allergy => allergy.toLowerCase() !== allergen.toLowerCase())
+        : [...member.allergies, allergen],
+    });
+  };
+
+  const updateCustomAllergies = (member, text) => {
+    updateMember(member.id, {
+      allergies: member.allergies.filter(isCommonAllergen),
+      customAllergies: text,
+    });
+  };
+
+  const updateTarget = (member, key, value) => {
+    updateMember(member.id, { targets: { ...member.targets, [key]: value === '' ? null : Number(value) } });
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
       setError(null);
-      await userPreferencesService.updateHouseholdSize(householdSize);
+      const savedMembers = members.map(member => ({
+        id: member.id,
+        name: member.name.trim(),
+        ageBand: member.ageBand,
+        portion: member.portion,
+        allergies: [...member.allergies.filter(isCommonAllergen), ...splitList(customAllergyText(member))],
+        dislikes: splitList(member.dislikes),
+        targets: member.targets,
+      }));
+
+      await userPreferencesService.updatePreferences({
+        household_size: householdSize,
+        household_members: savedMembers,
+      });
+      setMembers(normalizeMembers(savedMembers));
       
       // Clear the household scaling cache so changes take effect immediately
       householdScalingService.clearCache();
@@ -62,7 +129,7 @@ export default function HouseholdSettings() {
       <div className="mb-6">
         <h3 className="text-xl font-bold text-gray-900 mb-2">Household Settings</h3>
         <p className="text-sm text-gray-600">
-          Configure how many people you're cooking for. All recipes, servings, and nutrition will be automatically scaled.
+          Configure who you're cooking for. Each person's portion size sets how many servings new meals make, and ingredients and nutrition are scaled to match.
         </p>
       </div>
       
@@ -78,7 +145,7 @@ export default function HouseholdSettings() {
             </span>
           </div>
           <p className="text-sm text-green-700 mt-1 ml-7">
-            All recipes and meal plans will now be automatically scaled.
+            New meals will be planned for {portionTotal} {portionTotal === 1 ? 'portion' : 'portions'}.
           </p>
         </div>
       )}
@@ -97,7 +164,7 @@ export default function HouseholdSettings() {
               min="1"
               max="10"
               value={householdSize}
-              onChange={(e) => setHouseholdSize(parseInt(e.target.value))}
+              onChange={(e) => handleSizeChange(parseInt(e.target.value))}
               className="flex-1 h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-green-600"
             />
             
@@ -127,6 +194,124 @@ export default function HouseholdSettings() {
           </div>
         </div>
 
+        {/* Members, portion sizes and dietary profiles */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-3">
+            Who's eating
+          </label>
+          <div className="space-y-2">
+            {members.map((member, index) => (
+              <div key={member.id} className="border border-gray-200 rounded-lg p-3">
+                <div className="flex flex-wrap items-center gap-3">
+                  <input
+                    type="text"
+                    value={member.name}
+                    onChange={(e) => updateMember(member.id, { name: e.target.value })}
+                    placeholder={`Person ${index + 1}`}
+                    className="flex-1 min-w-[8rem] px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  />
+                  <select
+                    value={member.ageBand}
+                    onChange={(e) => updateMember(member.id, { ageBand: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  >
+                    {AGE_BANDS.map(band => (
+                      <option key={band.value} value={band.value}>{band.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={member.portion}
+                    onChange={(e) => updateMember(member.id, { portion: parseFloat(e.target.value) })}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  >
+                    {PORTION_PRESETS.map(preset => (
+                      <option key={preset.weight} value={preset.weight}>
+                        {preset.label} ({preset.weight}×)
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setExpandedMember(expandedMember === member.id ? null : member.id)}
+                    className="text-sm text-green-700 hover:text-green-900"
+                  >
+                    {expandedMember === member.id ? 'Hide details' : 'Allergies & targets'}
+                  </button>
+                </div>
+
+                {member.allergies.length > 0 && expandedMember !== member.id && (
+                  <p className="text-xs text-red-700 mt-2">
+                    ⚠️ Allergic to: {member.allergies.join(', ')}
+                  </p>
+                )}
+
+                {expandedMember === member.id && (
+                  <div className="mt-3 space-y-3 text-sm">
+                    <div>
+                      <p className="font-medium text-gray-700 mb-1">Allergies</p>
+                      <div className="flex flex-wrap gap-2 mb-2">
+                        {COMMON_ALLERGENS.map(allergen => {
+                          const selected = member.allergies.some(a => a.toLowerCase() === allergen.toLowerCase());
+                          return (
+                            <button
+                              key={allergen}
+                              onClick={() => toggleAllergen(member, allergen)}
+                              className={`px-2 py-1 rounded-full border text-xs ${
+                                selected
+                                  ? 'bg-red-100 border-red-400 text-red-800'
+                                  : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+                              }`}
+                            >
+                              {allergen}
+                            </button>
+                          );
+                        })}
+                      </div>
+                      <input
+                        type="text"
+                        value={customAllergyText(member)}
+                        onChange={(e) => updateCustomAllergies(member, e.target.value)}
+                        placeholder="Other allergies, comma separated (e.g. mustard, kiwi)"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div>
+                      <p className="font-medium text-gray-700 mb-1">Dislikes</p>
+                      <input
+                        type="text"
+                        value={listText(member.dislikes)}
+                        onChange={(e) => updateMember(member.id, { dislikes: e.target.value })}
+                        placeholder="Comma separated (e.g. mushrooms, olives)"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div>
+                      <p className="font-medium text-gray-700 mb-1">Daily targets</p>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                        {TARGET_FIELDS.map(field => (
+                          <label key={field.key} className="text-xs text-gray-600">
+                            {field.label} ({field.unit})
+                            <input
+                              type="number"
+                              min="0"
+                              value={member.targets[field.key] ?? ''}
+                              onChange={(e) => updateTarget(member, field.key, e.target.value)}
+                              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+          <p className="text-sm text-gray-600 mt-3">
+            Total: <strong>{portionTotal}</strong> {portionTotal === 1 ? 'portion' : 'portions'} per meal
+            {portionTotal !== householdSize && ' (kids eat less, athletes eat more)'}
+          </p>
+        </div>
+
         {/* Preview/Impact */}
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
           <h4 className="font-semibold text-blue-900 mb-2 flex items-center gap-2">
@@ -138,23 +323,27 @@ export default function HouseholdSettings() {
           <ul className="space-y-1 text-sm text-blue-800">
             <li className="flex items-start gap-2">
               <span className="text-green-600 font-bold">✓</span>
-              <span><strong>Recipe servings:</strong> A recipe for 4 becomes {4 * householdSize} servings</span>
+              <span><strong>Meal servings:</strong> New calendar meals make {Math.ceil(portionTotal)} {Math.ceil(portionTotal) === 1 ? 'serving' : 'servings'} (you can change each meal)</span>
+            </li>
+            <li className="flex items-start gap-2">
+              <span className="text-green-600 font-bold">✓</span>
+              <span><strong>Ingredient amounts:</strong> Scaled from each recipe's own servings to the meal's servings</span>
             </li>
             <li className="flex items-start gap-2">
               <span className="text-green-600 font-bold">✓</span>
-              <span><strong>Ingredient amounts:</strong> Automatically scaled for {householdSize} {householdSize === 1 ? 'person' : 'people'}</span>
+              <span><strong>Nutrition totals:</strong> Meal macros follow the servings you cook</span>
             </li>
             <li className="flex items-start gap-2">
               <span className="text-green-600 font-bold">✓</span>
-              <span><strong>Nutrition totals:</strong> Macros adjusted for household size</span>
+              <span><strong>Countable items:</strong> Eggs, cans and cloves round to whole numbers</span>
             </li>
             <li className="flex items-start gap-2">
               <span className="text-green-600 font-bold">✓</span>
-              <span><strong>Meal planning:</strong> Calendar meals planned for {householdSize} {householdSize === 1 ? 'person' : 'people'}</span>
+              <span><strong>Shopping lists:</strong> Ingredients from planned meals scaled to each meal</span>
             </li>
             <li className="flex items-start gap-2">
               <span className="text-green-600 font-bold">✓</span>
-              <span><strong>Shopping lists:</strong> Missing ingredients scaled appropriately</span>
+              <span><strong>Allergies:</strong> Meal ideas and AI suggestions skip recipes anyone is allergic to</span>
             </li>
           </ul>
         </div>
@@ -162,20 +351,20 @@ export default function HouseholdSettings() {
         {/* Example */}
         <div className="bg-gray-50 rounded-lg p-4">
           <p className="text-sm text-gray-700 mb-2">
-            <strong>Example:</strong> If a recipe calls for:
+            <strong>Example:</strong> If a recipe for 4 calls for:
           </p>
           <div className="grid grid-cols-2 gap-4 text-sm">
             <div className="bg-white p-3 rounded border">
-              <p className="text-gray-500 mb-1">Original (1 person):</p>
-              <p className="font-mono">• 200g chicken breast</p>
-              <p className="font-mono">• 100g rice</p>
-              <p className="font-mono">• 450 calories</p>
+              <p className="text-gray-500 mb-1">Original (4 servings):</p>
+              <p className="font-mono">• 800g chicken breast</p>
+              <p className="font-mono">• 3 eggs</p>
+              <p className="font-mono">• 450 calories per serving</p>
             </div>
             <div className="bg-green-50 p-3 rounded border border-green-300">
-              <p className="text-green-700 mb-1">Scaled ({householdSize} {householdSize === 1 ? 'person' : 'people'}):</p>
-              <p className="font-mono text-green-900">• {200 * householdSize}g chicken breast</p>
-              <p className="font-mono text-green-900">• {100 * householdSize}g rice</p>
-              <p className="font-mono text-green-900">• {450 * householdSize} calories</p>
+              <p className="text-green-700 mb-1">Scaled ({portionTotal} {portionTotal === 1 ? 'portion' : 'portions'}):</p>
+              <p className="font-mono text-green-900">• {Math.round(200 * portionTotal)}g chicken breast</p>
+              <p className="font-mono text-green-900">• {householdScalingService.roundAmount(0.75 * portionTotal, 'item')} eggs</p>
+              <p className="font-mono text-green-900">• {Math.round(450 * portionTotal)} calories for the meal</p>
             </div>
           </div>
         </div>
@@ -202,7 +391,7 @@ export default function HouseholdSettings() {
               Saving...
             </span>
           ) : (
-            'Save Household Size'
+            'Save Household'
           )}
         </button>
 
@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import { householdSharingService } from '../../services/householdSharing';
+
+export default function SharedListSettings() {
+  const [household, setHousehold] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [householdName, setHouseholdName] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [displayName, setDisplayName] = useState('');
+
+  useEffect(() => {
+    loadHousehold();
+  }, []);
+
+  const loadHousehold = async () => {
+    try {
+      setLoading(true);
+      const current = await householdSharingService.getHousehold();
+      setHousehold(current);
+      setMembers(current ? await householdSharingService.getMembers(current.id) : []);
+    } catch (err) {
+      console.error('Error loading shared household:', err);
+      setError('Could not load your shared household.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action) => {
+    if (!displayName.trim()) {
+      setError('Enter the name others will see next to items you add.');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      await loadHousehold();
+    } catch (err) {
+      console.error('Error updating shared household:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${household.name}? Items already on the shared list stay with the household.`)) return;
+
+    setSaving(true);
+    try {
+      await householdSharingService.leaveHousehold();
+      await loadHousehold();
+    } catch (err) {
+      console.error('Error leaving household:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="animate-pulse">
+          <div className="h-6 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="h-10 bg-gray-200 rounded"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="mb-6">
+        <h3 className="text-xl font-bold text-gray-900 mb-2">Shared Shopping List</h3>
+        <p className="text-sm text-gray-600">
+          Share one shopping list with the people you shop with. Everyone sees items added and checked off as it happens.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+      )}
+
+      {household ? (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <div className="font-semibold text-gray-900">👥 {household.name}</div>
+              <div className="text-sm text-gray-600">You appear as {household.displayName || 'unnamed'}</div>
+            </div>
+            <div className="text-right">
+              <div className="text-xs text-gray-500">Invite code</div>
+              <div className="font-mono text-lg font-bold tracking-widest text-purple-700">{household.inviteCode}</div>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Members</h4>
+            <ul className="divide-y border rounded-lg">
+              {members.map(member => (
+                <li key={member.userId} className="px-3 py-2 text-sm flex justify-between">
+                  <span>{member.displayName || 'Unnamed member'}</span>
+                  <span className="text-gray-500">joined {new Date(member.joinedAt).toLocaleDateString()}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <button
+            onClick={handleLeave}
+            disabled={saving}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            Leave Household
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Your name on the list</label>
+            <input
+              type="text"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              placeholder="e.g. Sam"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <div className="border rounded-lg p-4">
+              <h4 className="font-medium text-gray-900 mb-2">Start a household</h4>
+              <input
+                type="text"
+                value={householdName}
+                onChange={(e) => setHouseholdName(e.target.value)}
+                placeholder="Household name"
+                className="w-full px-3 py-2 mb-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+              <button
+                onClick={() => runAction(() => householdSharingService.createHousehold(householdName, displayName))}
+                disabled={saving}
+                className="w-full px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+              >
+                Create
+              </button>
+            </div>
+
+            <div className="border rounded-lg p-4">
+              <h4 className="font-medium text-gray-900 mb-2">Join with an invite code</h4>
+              <input
+                type="text"
+                value={inviteCode}
+                onChange={(e) => setInviteCode(e.target.value.toUpperCase())}
+                placeholder="ABC123"
+                className="w-full px-3 py-2 mb-2 border border-gray-300 rounded-lg font-mono tracking-widest focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+              <button
+                onClick={() => runAction(() => householdSharingService.joinHousehold(inviteCode, displayName))}
+                disabled={saving || !inviteCode.trim()}
+                className="w-full px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+              >
+                Join
+              </button>
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500">Your current shopping list items move to the shared list.</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -31,7 +31,7 @@ export default function KrogerOAuthButton({ onConnectionChange }) {
       setUser(currentUser);
 
       if (currentUser) {
-        const connected = await krogerOAuthService.isConnected(currentUser.id);
+        const connected = await krogerOAuthService.isConnected();
         setIsConnected(connected);
         if (onConnectionChange) {
           onConnectionChange(connected);
@@ -52,7 +52,7 @@ export default function KrogerOAuthButton({ onConnectionChange }) {
 
     try {
       setLoading(true);
-      await krogerOAuthService.connect(user.id);
+      await krogerOAuthService.connect();
       // Will redirect to Kroger login
     } catch (error) {
       alert(error.message);
@@ -67,7 +67,7 @@ export default function KrogerOAuthButton({ onConnectionChange }) {
 
     try {
       setLoading(true);
-      await krogerOAuthService.disconnect(user.id);
+      await krogerOAuthService.disconnect();
       setIsConnected(false);
       if (onConnectionChange) {
         onConnectionChange(false);
@@ -1,6 +1,44 @@
 import { useState, useEffect } from 'react';
-import { supabase } from '../../services/supabase';
 import { krogerService } from '../../services/kroger';
+import { krogerCartService, CART_MODALITIES } from '../../services/krogerCart';
+import { nutritionCache } from '../../services/nutritionCache';
+import { inventoryLotsService } from '../../services/inventoryLots';
+import { inventoryService } from '../../services/inventory';
+import { ingredientMatcher, DEFAULT_MIN_CONFIDENCE } from '../../services/ingredientMatcher';
+import { units } from '../../services/units';
+import { storeAislesService } from '../../services/storeAisles';
+import { shoppingListRepository } from '../../services/dataRepository';
+import { shoppingListSyncService, SYNC_STATUS } from '../../services/shoppingListSync';
+import { householdSharingService } from '../../services/householdSharing';
+import { useKrogerStore } from '../../contexts/KrogerStoreContext';
+import KrogerOAuthButton from './KrogerOAuthButton';
+import BarcodeScanner from '../common/BarcodeScanner';
+import StockCheck from './StockCheck';
+
+// Kroger stock levels worth warning about in shop mode
+const STOCK_LEVEL_LABELS = {
+  LOW: '⚠️ Low stock',
+  TEMPORARILY_OUT_OF_STOCK: '🚫 Out of stock',
+};
+
+const SYNC_STATUS_STYLES = {
+  synced: 'bg-green-100 text-green-800',
+  syncing: 'bg-blue-100 text-blue-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  offline: 'bg-gray-200 text-gray-800',
+  error: 'bg-red-100 text-red-800',
+};
+
+const syncStatusLabel = ({ status, pendingCount }) => {
+  const waiting = `${pendingCount} change${pendingCount === 1 ? '' : 's'} waiting`;
+  switch (status) {
+    case SYNC_STATUS.SYNCING: return '🔄 Syncing...';
+    case SYNC_STATUS.PENDING: return `⏳ ${waiting}`;
+    case SYNC_STATUS.OFFLINE: return pendingCount > 0 ? `📴 Offline - ${waiting}` : '📴 Offline';
+    case SYNC_STATUS.ERROR: return '⚠️ Sync failed';
+    default: return '✅ Synced';
+  }
+};
 
 export default function ShoppingList() {
   const [items, setItems] = useState([]);
@@ -11,6 +49,17 @@ export default function ShoppingList() {
   const [searchResults, setSearchResults] = useState([]);
   const [searching, setSearching] = useState(false);
   const [showSearchResults, setShowSearchResults] = useState(false);
+  const [krogerConnected, setKrogerConnected] = useState(false);
+  const [cartModality, setCartModality] = useState('PICKUP');
+  const [sendingToCart, setSendingToCart] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+  const [shopMode, setShopMode] = useState(false);
+  const [showStockCheck, setShowStockCheck] = useState(false);
+  const [household, setHousehold] = useState(null); // shared household, if the list is shared
+  const [editing, setEditing] = useState(null); // { item, amount, notes } while editing an item
+  const [aisleProgress, setAisleProgress] = useState(null); // { done, total } while looking up aisles
+  const [sync, setSync] = useState(shoppingListSyncService.getState()); // { status, pendingCount, notices, ... }
+  const { selectedStore } = useKrogerStore();
 
   const categories = [
     'All',
@@ -25,18 +74,50 @@ export default function ShoppingList() {
     'Other'
   ];
 
+  // The list lives in the local cache and syncs in the background, so it works offline
   useEffect(() => {
-    loadItems();
+    const stop = shoppingListSyncService.subscribe(state => {
+      setItems(state.items);
+      setSync(state);
+    });
+
+    shoppingListSyncService.start()
+      .catch(error => console.error('Error loading shopping list:', error))
+      .finally(() => setLoading(false));
+
+    return stop;
+  }, []);
+
+  // Live updates from everyone sharing the list
+  useEffect(() => {
+    let unsubscribe = null;
+    let cancelled = false;
+
+    householdSharingService.getHousehold()
+      .then(setHousehold)
+      .catch(error => console.error('Error loading household:', error));
+
+    shoppingListRepository.subscribe(change => shoppingListSyncService.applyRemote(change))
+      .then(stop => {
+        if (cancelled) stop();
+        else unsubscribe = stop;
+      })
+      .catch(error => console.error('Error subscribing to shopping list:', error));
+
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+    };
   }, []);
 
-  // Auto-enrich recipe ingredients when items are loaded
+  // Auto-enrich recipe ingredients when items are loaded (and on the server, since enrichment saves there)
   useEffect(() => {
     const hasRecipeIngredients = items.some(item => 
       item.category === 'Recipe Ingredient' && 
       (!item.calories || item.calories === 0)
     );
     
-    if (hasRecipeIngredients && !loading) {
+    if (hasRecipeIngredients && !loading && sync.status === SYNC_STATUS.SYNCED) {
       console.log('🔍 Detected recipe ingredients without nutrition, enriching...');
       // Run enrichment after a short delay
       const timer = setTimeout(() => {
@@ -45,29 +126,13 @@ export default function ShoppingList() {
       
       return () => clearTimeout(timer);
     }
-  }, [items, loading]);
-
-  // Enrich recipe ingredients with Kroger and USDA data
-  useEffect(() => {
-    loadItems();
-  }, []);
+  }, [items, loading, sync.status]);
 
   const loadItems = async () => {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      const { data, error } = await supabase
-        .from('shopping_list_items')
-        .select('*')
-        .eq('user_id', user.id)
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      setItems(data || []);
+      await shoppingListSyncService.sync();
     } catch (error) {
       console.error('Error loading shopping list:', error);
-    } finally {
-      setLoading(false);
     }
   };
 
@@ -75,8 +140,6 @@ export default function ShoppingList() {
     if (!newItemName.trim()) return;
 
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-
       // Search Kroger for nutrition data
       let nutritionData = null;
       try {
@@ -96,28 +159,20 @@ export default function ShoppingList() {
         console.log('Could not fetch nutrition data:', err);
       }
 
-      const { data, error } = await supabase
-        .from('shopping_list_items')
-        .insert({
-          user_id: user.id,
-          name: newItemName,
-          amount: 1,
-          unit: 'item',
-          category: 'Other',
-          is_purchased: false,
-          calories: nutritionData?.calories || 0,
-          protein: nutritionData?.protein || 0,
-          carbs: nutritionData?.carbs || 0,
-          fat: nutritionData?.fat || 0,
-          serving_size: nutritionData?.servingSize || 100,
-          serving_unit: nutritionData?.servingUnit || 'g'
-        })
-        .select()
-        .maybeSingle();
-
-      if (error) throw error;
-
-      setItems([data, ...items]);
+      await shoppingListSyncService.add({
+        name: newItemName,
+        amount: 1,
+        unit: 'item',
+        category: 'Other',
+        is_purchased: false,
+        calories: nutritionData?.calories || 0,
+        protein: nutritionData?.protein || 0,
+        carbs: nutritionData?.carbs || 0,
+        fat: nutritionData?.fat || 0,
+        serving_size: nutritionData?.servingSize || 100,
+        serving_unit: nutritionData?.servingUnit || 'g'
+      });
+
       setNewItemName('');
     } catch (error) {
       console.error('Error adding item:', error);
@@ -131,7 +186,7 @@ export default function ShoppingList() {
     setSearching(true);
     try {
       console.log('🔍 Searching Kroger for:', newItemName);
-      const results = await krogerService.searchProducts(newItemName, null, 10);
+      const results = await krogerService.searchProducts(newItemName, selectedStore?.locationId || null, 10);
       console.log('✅ Found', results.length, 'products');
       setSearchResults(results);
       setShowSearchResults(true);
@@ -146,32 +201,26 @@ export default function ShoppingList() {
   // Add item from Kroger search results
   const addItemFromSearch = async (product) => {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-
-      const { data, error } = await supabase
-        .from('shopping_list_items')
-        .insert({
-          user_id: user.id,
-          name: product.name,
-          amount: 1,
-          unit: 'item',
-          category: product.category || 'Other',
-          is_purchased: false,
-          brand_name: product.brandName,
-          calories: product.calories || 0,
-          protein: product.protein || 0,
-          carbs: product.carbs || 0,
-          fat: product.fat || 0,
-          serving_size: product.servingSize || 100,
-          serving_unit: product.servingUnit || 'g',
-          price: product.price
-        })
-        .select()
-        .maybeSingle();
-
-      if (error) throw error;
-
-      setItems([data, ...items]);
+      await shoppingListSyncService.add({
+        name: product.name,
+        amount: 1,
+        unit: 'item',
+        category: product.category || 'Other',
+        is_purchased: false,
+        brand_name: product.brandName,
+        calories: product.calories || 0,
+        protein: product.protein || 0,
+        carbs: product.carbs || 0,
+        fat: product.fat || 0,
+        serving_size: product.servingSize || 100,
+        serving_unit: product.servingUnit || 'g',
+        price: product.price,
+        // Searched at the selected store, so the product comes with its aisle
+        ...(selectedStore
+          ? storeAislesService.productFields(product, selectedStore.locationId)
+          : { kroger_product_id: product.krogerProductId })
+      });
+
       setNewItemName('');
       setSearchResults([]);
       setShowSearchResults(false);
@@ -181,93 +230,113 @@ export default function ShoppingList() {
     }
   };
 
-  const togglePurchased = async (itemId, currentStatus) => {
-    try {
-      const { data: { user } } = await supabase.auth.getUser();
-
-      // Update shopping list item
-      const { error: updateError } = await supabase
-        .from('shopping_list_items')
-        .update({ is_purchased: !currentStatus })
-        .eq('id', itemId);
-
-      if (updateError) throw updateError;
-
-      // If marking as purchased, add to inventory
-      if (!currentStatus) {
-        const item = items.find(i => i.id === itemId);
-        
-        if (item) {
-          console.log('✅ Adding to inventory:', item.name);
-
-          // Check if item already exists in inventory
-          const { data: existingItems, error: checkError } = await supabase
-            .from('inventory_items')
-            .select('*')
-            .eq('user_id', user.id)
-            .eq('name', item.name);
-
-          if (checkError) throw checkError;
-
-          if (existingItems && existingItems.length > 0) {
-            // Update existing item - increase quantity
-            const existingItem = existingItems[0];
-            const { error: inventoryError } = await supabase
-              .from('inventory_items')
-              .update({
-                amount: existingItem.amount + (item.amount || 1),
-                updated_at: new Date().toISOString()
-              })
-              .eq('id', existingItem.id);
-
-            if (inventoryError) throw inventoryError;
-            console.log('✅ Updated inventory quantity');
-          } else {
-            // Add new item to inventory
-            const { error: inventoryError } = await supabase
-              .from('inventory_items')
-              .insert({
-                user_id: user.id,
-                name: item.name,
-                amount: item.amount || 1,
-                unit: item.unit || 'item',
-                category: item.category || 'Other',
-                brand_name: item.brand_name,
-                calories: item.calories || 0,
-                protein: item.protein || 0,
-                carbs: item.carbs || 0,
-                fat: item.fat || 0,
-                serving_size: item.serving_size || 100,
-                serving_unit: item.serving_unit || 'g',
-                price: item.price
-              });
-
-            if (inventoryError) throw inventoryError;
-            console.log('✅ Added to inventory');
-          }
-        }
+  // purchased: what was actually bought (brand, price...), overriding the list item for the inventory lot.
+  // Throws if the change couldn't be saved or queued - see handleTogglePurchased for the checkbox.
+  const togglePurchased = async (itemId, currentStatus, purchased = {}) => {
+    // Update shopping list item
+    await shoppingListSyncService.update(itemId, { is_purchased: !currentStatus });
+
+    // If marking as purchased, add to inventory
+    if (!currentStatus) {
+      const listItem = items.find(i => i.id === itemId);
+      const item = listItem && { ...listItem, ...purchased };
+
+      if (item) {
+        console.log('✅ Adding to inventory:', item.name);
+
+        // Each purchase is its own lot, even if the item is already in stock.
+        // Queued with the list change, so checking items off works offline.
+        await shoppingListSyncService.addInventoryLot({
+          name: item.name,
+          amount: item.amount || 1,
+          unit: item.unit || 'item',
+          category: item.category || 'Other',
+          brand_name: item.brand_name,
+          calories: item.calories || 0,
+          protein: item.protein || 0,
+          carbs: item.carbs || 0,
+          fat: item.fat || 0,
+          serving_size: item.serving_size || 100,
+          serving_unit: item.serving_unit || 'g',
+          price: item.price,
+          ...inventoryLotsService.lotFields({ ...item, amount: item.amount || 1 })
+        });
       }
+    }
+  };
 
-      // Update local state
-      setItems(items.map(item => 
-        item.id === itemId ? { ...item, is_purchased: !currentStatus } : item
-      ));
+  const handleTogglePurchased = async (itemId, currentStatus) => {
+    try {
+      await togglePurchased(itemId, currentStatus);
     } catch (error) {
       console.error('Error toggling purchased status:', error);
       alert('Failed to update item. Please try again.');
     }
   };
 
-  const deleteItem = async (itemId) => {
+  // Scanning a product checks off the list item it matches best
+  const checkOffScannedProduct = async (product, amount) => {
+    const match = items
+      .filter(item => !item.is_purchased)
+      .map(item => ({ item, confidence: ingredientMatcher.score(item.name, product.name, product.brandName) }))
+      .filter(candidate => candidate.confidence >= DEFAULT_MIN_CONFIDENCE)
+      .sort((a, b) => b.confidence - a.confidence)[0];
+
+    if (!match) {
+      if (!window.confirm(`${product.name} isn't on your list. Add it to your inventory anyway?`)) {
+        return `Skipped ${product.name}`;
+      }
+      await inventoryService.addItem({ ...product, amount, unit: 'item' });
+      return `✅ Added ${product.name} to inventory (it wasn't on your list)`;
+    }
+
+    const purchased = {
+      brand_name: product.brandName || match.item.brand_name,
+      price: product.price ?? match.item.price,
+      // Counted items take the scanned quantity; weights/volumes keep the planned amount
+      ...(units.unitType(match.item.unit) === 'count' && { amount }),
+      ...(product.hasNutrition && {
+        calories: product.calories,
+        protein: product.protein,
+        carbs: product.carbs,
+        fat: product.fat,
+        serving_size: product.servingSize,
+        serving_unit: product.servingUnit,
+      }),
+    };
+
     try {
-      const { error } = await supabase
-        .from('shopping_list_items')
-        .delete()
-        .eq('id', itemId);
+      await togglePurchased(match.item.id, false, purchased);
+    } catch (error) {
+      console.error('Error checking off scanned product:', error);
+      throw new Error(`Couldn't check off ${match.item.name} - please try again`);
+    }
+    return `✅ Checked off ${match.item.name} (${product.name})`;
+  };
+
+  // Quantity/notes edits merge with anyone else's edit to the same item instead of overwriting it;
+  // the sync notices say when that happened
+  const saveEdit = async () => {
+    const { item, amount, notes } = editing;
+    const changes = {};
+    const parsedAmount = parseFloat(amount);
+    if (parsedAmount > 0 && parsedAmount !== Number(item.amount)) changes.amount = parsedAmount;
+    if (notes.trim() !== (item.notes || '')) changes.notes = notes.trim();
 
-      if (error) throw error;
+    setEditing(null);
+    if (Object.keys(changes).length === 0) return;
 
-      setItems(items.filter(item => item.id !== itemId));
+    try {
+      await shoppingListSyncService.update(item.id, changes);
+    } catch (error) {
+      console.error('Error saving item:', error);
+      alert(error.message);
+    }
+  };
+
+  const deleteItem = async (itemId) => {
+    try {
+      await shoppingListSyncService.remove(itemId);
     } catch (error) {
       console.error('Error deleting item:', error);
     }
@@ -277,22 +346,88 @@ export default function ShoppingList() {
     if (!window.confirm('Clear all purchased items?')) return;
 
     try {
-      const { data: { user } } = await supabase.auth.getUser();
+      await shoppingListSyncService.remove(items.filter(item => item.is_purchased).map(item => item.id));
+    } catch (error) {
+      console.error('Error clearing purchased items:', error);
+    }
+  };
 
-      const { error } = await supabase
-        .from('shopping_list_items')
-        .delete()
-        .eq('user_id', user.id)
-        .eq('is_purchased', true);
+  // Send unpurchased items to the user's Kroger cart
+  const sendToKrogerCart = async () => {
+    const toBuy = items.filter(item => !item.is_purchased);
+    if (toBuy.length === 0) return;
 
-      if (error) throw error;
+    setSendingToCart(true);
+    try {
+      const { cartItems, failedItems } = await krogerCartService.convertShoppingListToCartItems(
+        toBuy,
+        selectedStore?.locationId || null
+      );
 
-      setItems(items.filter(item => !item.is_purchased));
+      if (cartItems.length === 0) {
+        alert('Could not find any of these items at Kroger.');
+        return;
+      }
+
+      await krogerCartService.addItems(cartItems, cartModality);
+
+      let message = `✅ Sent ${cartItems.length} items to your Kroger cart for ${cartModality.toLowerCase()}.`;
+      if (failedItems.length > 0) {
+        message += `\n\nNot found: ${failedItems.join(', ')}`;
+      }
+      alert(message);
     } catch (error) {
-      console.error('Error clearing purchased items:', error);
+      console.error('Error sending to Kroger cart:', error);
+      if (error.message === 'NEEDS_AUTH') {
+        setKrogerConnected(false);
+        alert('Please connect your Kroger account first.');
+      } else {
+        alert(error.message);
+      }
+    } finally {
+      setSendingToCart(false);
+    }
+  };
+
+  // Swap rows updated by the aisle lookup into the list
+  const mergeUpdatedItems = (updatedItems) => {
+    shoppingListSyncService.applyServerRows(updatedItems);
+  };
+
+  // Shop mode walks the list in aisle order; items not yet looked up at this store are linked first
+  const startShopMode = async () => {
+    if (!selectedStore) {
+      alert('Choose your Kroger store in Settings to sort the list by aisle.');
+      return;
+    }
+
+    setShopMode(true);
+    const toLink = items.filter(item => !item.is_purchased && !storeAislesService.isLinked(item, selectedStore.locationId));
+    if (toLink.length === 0) return;
+
+    setAisleProgress({ done: 0, total: toLink.length });
+    try {
+      const linked = await storeAislesService.linkItems(
+        toLink,
+        selectedStore.locationId,
+        done => setAisleProgress({ done, total: toLink.length })
+      );
+      mergeUpdatedItems(linked);
+    } catch (error) {
+      console.error('Error looking up aisles:', error);
+    } finally {
+      setAisleProgress(null);
     }
   };
 
+  const openStockCheck = () => {
+    if (!selectedStore) {
+      alert('Choose your Kroger store in Settings to check what it has in stock.');
+      return;
+    }
+    setShowStockCheck(true);
+  };
+
   // Smart category detection based on ingredient name
   const categorizeIngredient = (name) => {
     const nameLower = name.toLowerCase();
@@ -344,9 +479,7 @@ export default function ShoppingList() {
   const enrichRecipeIngredients = async () => {
     try {
       console.log('🔍 Enriching recipe ingredients...');
-      
-      const { data: { user } } = await supabase.auth.getUser();
-      
+
       // Find items in "Recipe Ingredient" category without nutrition data
       const recipeItems = items.filter(item => 
         item.category === 'Recipe Ingredient' && 
@@ -360,6 +493,9 @@ export default function ShoppingList() {
 
       console.log(`📋 Found ${recipeItems.length} recipe ingredients to enrich`);
 
+      // USDA fallbacks for every item in one cached batch
+      const usdaFoods = await nutritionCache.findFoods(recipeItems.map(item => item.name));
+
       for (const item of recipeItems) {
         try {
           console.log(`🔍 Enriching: ${item.name}`);
@@ -398,25 +534,18 @@ export default function ShoppingList() {
 
           // If no nutrition from Kroger, try USDA
           if (!productData || productData.calories === 0) {
-            try {
-              const { usdaService } = await import('../../services/usda');
-              const usdaResults = await usdaService.searchFoods(item.name, 1);
-              
-              if (usdaResults && usdaResults.length > 0) {
-                const usdaFood = usdaResults[0];
-                productData = {
-                  calories: usdaFood.calories || 0,
-                  protein: usdaFood.protein || 0,
-                  carbs: usdaFood.carbs || 0,
-                  fat: usdaFood.fat || 0,
-                  servingSize: usdaFood.servingSize || 100,
-                  servingUnit: usdaFood.servingUnit || 'g',
-                  price: productData?.price || null
-                };
-                console.log(`✅ Got nutrition from USDA: ${usdaFood.calories} cal`);
-              }
-            } catch (err) {
-              console.log(`⚠️ USDA lookup failed: ${err.message}`);
+            const usdaFood = usdaFoods.get(item.name);
+            if (usdaFood) {
+              productData = {
+                calories: usdaFood.calories || 0,
+                protein: usdaFood.protein || 0,
+                carbs: usdaFood.carbs || 0,
+                fat: usdaFood.fat || 0,
+                servingSize: usdaFood.servingSize || 100,
+                servingUnit: usdaFood.servingUnit || 'g',
+                price: productData?.price || null
+              };
+              console.log(`✅ Got nutrition from USDA: ${usdaFood.calories} cal`);
             }
           }
 
@@ -428,36 +557,20 @@ export default function ShoppingList() {
 
           // Update the item
           if (productData && productData.calories > 0) {
-            const { error } = await supabase
-              .from('shopping_list_items')
-              .update({
-                category: category,
-                calories: productData.calories,
-                protein: productData.protein,
-                carbs: productData.carbs,
-                fat: productData.fat,
-                serving_size: productData.servingSize,
-                serving_unit: productData.servingUnit,
-                price: productData.price
-              })
-              .eq('id', item.id);
-
-            if (error) {
-              console.error(`❌ Database error for ${item.name}:`, error);
-              throw error;
-            }
+            await shoppingListRepository.update(item.id, {
+              category: category,
+              calories: productData.calories,
+              protein: productData.protein,
+              carbs: productData.carbs,
+              fat: productData.fat,
+              serving_size: productData.servingSize,
+              serving_unit: productData.servingUnit,
+              price: productData.price
+            });
             console.log(`✅ Updated ${item.name}: ${category} | ${productData.calories} cal`);
           } else {
             // Just update category even if no nutrition
-            const { error } = await supabase
-              .from('shopping_list_items')
-              .update({ category: category })
-              .eq('id', item.id);
-
-            if (error) {
-              console.error(`❌ Database error updating category for ${item.name}:`, error);
-              throw error;
-            }
+            await shoppingListRepository.update(item.id, { category: category });
             console.log(`✅ Updated ${item.name} category to: ${category}`);
           }
 
@@ -500,9 +613,156 @@ export default function ShoppingList() {
     return acc;
   }, {});
 
+  // Shop mode ignores the filters: everything still to buy, by aisle
+  const shopSections = shopMode
+    ? storeAislesService.groupByAisle(items.filter(item => !item.is_purchased))
+    : [];
+
   const purchasedCount = items.filter(i => i.is_purchased).length;
   const totalCount = items.length;
 
+  const renderItem = (item) => (
+    <div
+      key={item.id}
+      className={`p-4 hover:bg-gray-50 transition-colors ${
+        item.is_purchased ? 'opacity-50' : ''
+      }`}
+    >
+      <div className="flex items-start gap-3">
+        {/* Checkbox */}
+        <button
+          onClick={() => handleTogglePurchased(item.id, item.is_purchased)}
+          className={`mt-1 flex-shrink-0 w-6 h-6 rounded border-2 flex items-center justify-center transition-colors ${
+            item.is_purchased
+              ? 'bg-green-600 border-green-600'
+              : 'border-gray-300 hover:border-green-600'
+          }`}
+        >
+          {item.is_purchased && (
+            <svg className="w-4 h-4 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+            </svg>
+          )}
+        </button>
+
+        {/* Item Details */}
+        <div className="flex-1">
+          <div className="flex items-start justify-between">
+            <div>
+              <h4 className={`font-medium ${
+                item.is_purchased ? 'line-through text-gray-500' : 'text-gray-900'
+              }`}>
+                {item.name}
+              </h4>
+            
+              {/* Amount and notes - click to edit */}
+              {editing?.item.id === item.id ? (
+                <div className="mt-1 space-y-1">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={editing.amount}
+                      onChange={(e) => setEditing({ ...editing, amount: e.target.value })}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                    <span className="text-sm text-gray-600">{item.unit}</span>
+                  </div>
+                  <input
+                    type="text"
+                    value={editing.notes}
+                    onChange={(e) => setEditing({ ...editing, notes: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Enter' && saveEdit()}
+                    placeholder="Notes"
+                    className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <div className="flex gap-2">
+                    <button onClick={saveEdit} className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700">
+                      Save
+                    </button>
+                    <button onClick={() => setEditing(null)} className="px-3 py-1 bg-gray-100 text-gray-700 rounded text-sm hover:bg-gray-200">
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setEditing({ item, amount: item.amount ?? '', notes: item.notes || '' })}
+                  disabled={item.is_purchased}
+                  className="text-left text-sm text-gray-600 hover:text-gray-900"
+                >
+                  {item.amount} {item.unit}
+                  {item.notes && <span className="block text-xs text-gray-500 italic">{item.notes}</span>}
+                </button>
+              )}
+
+              {/* Who added it, on a shared list */}
+              {household && item.added_by_name && (
+                <p className="text-xs text-purple-600 mt-1">Added by {item.added_by_name}</p>
+              )}
+
+              {/* Store stock, in shop mode */}
+              {shopMode && STOCK_LEVEL_LABELS[item.stock_level] && (
+                <p className="text-xs font-medium text-orange-600 mt-1">
+                  {STOCK_LEVEL_LABELS[item.stock_level]}
+                </p>
+              )}
+
+              {/* Nutrition Info - ADDED PROTEIN, CARBS, FAT */}
+              {(item.calories > 0 || item.protein > 0 || item.carbs > 0 || item.fat > 0) && (
+                <div className="mt-1 flex flex-wrap gap-2 text-xs">
+                  {item.serving_size && (
+                    <span className="text-gray-600">
+                      Serving: {item.serving_size}{item.serving_unit}
+                    </span>
+                  )}
+                  {item.calories > 0 && (
+                    <span className="text-gray-600">
+                      {item.calories} cal
+                    </span>
+                  )}
+                  {item.protein > 0 && (
+                    <span className="text-blue-600 font-medium">
+                      {item.protein}g protein
+                    </span>
+                  )}
+                  {item.carbs > 0 && (
+                    <span className="text-yellow-600 font-medium">
+                      {item.carbs}g carbs
+                    </span>
+                  )}
+                  {item.fat > 0 && (
+                    <span className="text-red-600 font-medium">
+                      {item.fat}g fat
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {/* Price */}
+              {item.price && (
+                <p className="text-sm font-semibold text-green-600 mt-1">
+                  ${parseFloat(item.price).toFixed(2)}
+                </p>
+              )}
+            </div>
+
+            {/* Delete Button */}
+            <button
+              onClick={() => deleteItem(item.id)}
+              className="text-red-600 hover:text-red-700 transition-colors p-1"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -522,13 +782,117 @@ export default function ShoppingList() {
             {purchasedCount > 0 && `, ${purchasedCount} purchased`}
           </p>
         </div>
-        {purchasedCount > 0 && (
+        <div className="flex gap-2">
+          <button
+            onClick={openStockCheck}
+            disabled={totalCount - purchasedCount === 0}
+            className="px-4 py-2 bg-white border border-blue-600 text-blue-700 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50"
+          >
+            📦 Check Stock
+          </button>
+          <button
+            onClick={() => (shopMode ? setShopMode(false) : startShopMode())}
+            className={`px-4 py-2 rounded-lg transition-colors ${
+              shopMode
+                ? 'bg-blue-600 text-white hover:bg-blue-700'
+                : 'bg-white border border-blue-600 text-blue-700 hover:bg-blue-50'
+            }`}
+          >
+            {shopMode ? '📋 Exit Shop Mode' : '🚶 Shop Mode'}
+          </button>
+          <button
+            onClick={() => setShowScanner(true)}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+          >
+            📷 Scan Barcode
+          </button>
+          {purchasedCount > 0 && (
+            <button
+              onClick={clearPurchased}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+            >
+              🗑️ Clear Purchased
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Sync status */}
+      <div className="flex items-center gap-3 text-sm">
+        <span className={`px-3 py-1 rounded-full font-medium ${SYNC_STATUS_STYLES[sync.status]}`}>
+          {syncStatusLabel(sync)}
+        </span>
+        {sync.lastSyncedAt && sync.status !== SYNC_STATUS.SYNCING && (
+          <span className="text-gray-500">Last synced {sync.lastSyncedAt.toLocaleTimeString()}</span>
+        )}
+        {(sync.status === SYNC_STATUS.ERROR || sync.status === SYNC_STATUS.PENDING) && (
+          <button onClick={loadItems} className="text-blue-700 hover:underline">Retry now</button>
+        )}
+      </div>
+
+      {sync.notices.map(notice => (
+        <div
+          key={notice.id}
+          className="bg-yellow-50 border border-yellow-200 rounded-xl p-3 text-sm text-yellow-900 flex justify-between gap-3"
+        >
+          <span>{notice.message}</span>
           <button
-            onClick={clearPurchased}
-            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+            onClick={() => shoppingListSyncService.dismissNotice(notice.id)}
+            className="text-yellow-700 hover:text-yellow-900"
           >
-            🗑️ Clear Purchased
+            ×
           </button>
+        </div>
+      ))}
+
+      {household && (
+        <div className="bg-purple-50 border border-purple-200 rounded-xl p-3 text-sm text-purple-900">
+          👥 Shared with <span className="font-semibold">{household.name}</span> - changes show up for everyone as they happen
+        </div>
+      )}
+
+      {showScanner && (
+        <BarcodeScanner
+          title="Scan to Check Off"
+          actionLabel="Check Off"
+          locationId={selectedStore?.locationId || null}
+          onConfirm={checkOffScannedProduct}
+          onClose={() => setShowScanner(false)}
+        />
+      )}
+
+      {showStockCheck && (
+        <StockCheck
+          items={items.filter(item => !item.is_purchased)}
+          store={selectedStore}
+          onClose={() => setShowStockCheck(false)}
+        />
+      )}
+
+      {/* Kroger Cart */}
+      <div className="bg-white rounded-xl shadow-lg p-4 flex flex-wrap items-center gap-3">
+        <KrogerOAuthButton onConnectionChange={setKrogerConnected} />
+        {krogerConnected && (
+          <>
+            <select
+              value={cartModality}
+              onChange={(e) => setCartModality(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+            >
+              {CART_MODALITIES.map(modality => (
+                <option key={modality} value={modality}>
+                  {modality === 'PICKUP' ? '🚗 Pickup' : '🚚 Delivery'}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={sendToKrogerCart}
+              disabled={sendingToCart || totalCount - purchasedCount === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50"
+            >
+              {sendingToCart ? '⏳ Sending...' : '🛒 Send List to Kroger Cart'}
+            </button>
+          </>
         )}
       </div>
 
@@ -616,37 +980,71 @@ export default function ShoppingList() {
       </div>
 
       {/* Filters */}
-      <div className="bg-white rounded-xl shadow-lg p-4">
-        <div className="flex flex-wrap gap-2 items-center">
-          <span className="text-sm font-medium text-gray-700">Filter:</span>
-          {categories.map(category => (
+      {!shopMode && (
+        <div className="bg-white rounded-xl shadow-lg p-4">
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="text-sm font-medium text-gray-700">Filter:</span>
+            {categories.map(category => (
+              <button
+                key={category}
+                onClick={() => setSelectedCategory(category)}
+                className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                  selectedCategory === category
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {category}
+              </button>
+            ))}
             <button
-              key={category}
-              onClick={() => setSelectedCategory(category)}
-              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
-                selectedCategory === category
-                  ? 'bg-green-600 text-white'
+              onClick={() => setShowPurchased(!showPurchased)}
+              className={`ml-auto px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                showPurchased
+                  ? 'bg-blue-600 text-white'
                   : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
               }`}
             >
-              {category}
+              {showPurchased ? '✅ Showing Purchased' : '👁️ Show Purchased'}
             </button>
-          ))}
-          <button
-            onClick={() => setShowPurchased(!showPurchased)}
-            className={`ml-auto px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
-              showPurchased
-                ? 'bg-blue-600 text-white'
-                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-            }`}
-          >
-            {showPurchased ? '✅ Showing Purchased' : '👁️ Show Purchased'}
-          </button>
+          </div>
         </div>
-      </div>
+      )}
+
+      {/* Shop Mode - to-buy items in walking order through the store */}
+      {shopMode && (
+        <div className="space-y-4">
+          <div className="bg-blue-50 border border-blue-200 rounded-xl p-4 text-sm text-blue-900">
+            🚶 Walking order for <span className="font-semibold">{selectedStore?.name}</span>
+            {aisleProgress && ` - looking up aisles (${aisleProgress.done}/${aisleProgress.total})...`}
+          </div>
+          {shopSections.length > 0 ? (
+            shopSections.map(section => (
+              <div key={section.key} className="bg-white rounded-xl shadow-lg overflow-hidden">
+                <div className={`px-4 py-2 flex items-center justify-between ${
+                  section.key === 'unknown' ? 'bg-gray-500' : 'bg-blue-600'
+                }`}>
+                  <h3 className="font-semibold text-white">{section.label}</h3>
+                  <span className="bg-white text-blue-600 px-2 py-1 rounded-full text-sm font-medium">
+                    {section.items.length}
+                  </span>
+                </div>
+                <div className="divide-y">
+                  {section.items.map(renderItem)}
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="bg-white rounded-xl shadow-lg p-12 text-center">
+              <div className="text-6xl mb-4">✅</div>
+              <h3 className="text-xl font-semibold text-gray-900">Everything's in the cart</h3>
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Shopping List Items */}
-      {Object.keys(groupedItems).length > 0 ? (
+      {shopMode ? null : Object.keys(groupedItems).length > 0 ? (
         <div className="space-y-4">
           {Object.entries(groupedItems).map(([category, categoryItems]) => (
             <div key={category} className="bg-white rounded-xl shadow-lg overflow-hidden">
@@ -660,98 +1058,7 @@ export default function ShoppingList() {
 
               {/* Items */}
               <div className="divide-y">
-                {categoryItems.map((item) => (
-                  <div
-                    key={item.id}
-                    className={`p-4 hover:bg-gray-50 transition-colors ${
-                      item.is_purchased ? 'opacity-50' : ''
-                    }`}
-                  >
-                    <div className="flex items-start gap-3">
-                      {/* Checkbox */}
-                      <button
-                        onClick={() => togglePurchased(item.id, item.is_purchased)}
-                        className={`mt-1 flex-shrink-0 w-6 h-6 rounded border-2 flex items-center justify-center transition-colors ${
-                          item.is_purchased
-                            ? 'bg-green-600 border-green-600'
-                            : 'border-gray-300 hover:border-green-600'
-                        }`}
-                      >
-                        {item.is_purchased && (
-                          <svg className="w-4 h-4 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                          </svg>
-                        )}
-                      </button>
-
-                      {/* Item Details */}
-                      <div className="flex-1">
-                        <div className="flex items-start justify-between">
-                          <div>
-                            <h4 className={`font-medium ${
-                              item.is_purchased ? 'line-through text-gray-500' : 'text-gray-900'
-                            }`}>
-                              {item.name}
-                            </h4>
-                            
-                            {/* Amount */}
-                            <p className="text-sm text-gray-600">
-                              {item.amount} {item.unit}
-                            </p>
-
-                            {/* Nutrition Info - ADDED PROTEIN, CARBS, FAT */}
-                            {(item.calories > 0 || item.protein > 0 || item.carbs > 0 || item.fat > 0) && (
-                              <div className="mt-1 flex flex-wrap gap-2 text-xs">
-                                {item.serving_size && (
-                                  <span className="text-gray-600">
-                                    Serving: {item.serving_size}{item.serving_unit}
-                                  </span>
-                                )}
-                                {item.calories > 0 && (
-                                  <span className="text-gray-600">
-                                    {item.calories} cal
-                                  </span>
-                                )}
-                                {item.protein > 0 && (
-                                  <span className="text-blue-600 font-medium">
-                                    {item.protein}g protein
-                                  </span>
-                                )}
-                                {item.carbs > 0 && (
-                                  <span className="text-yellow-600 font-medium">
-                                    {item.carbs}g carbs
-                                  </span>
-                                )}
-                                {item.fat > 0 && (
-                                  <span className="text-red-600 font-medium">
-                                    {item.fat}g fat
-                                  </span>
-                                )}
-                              </div>
-                            )}
-
-                            {/* Price */}
-                            {item.price && (
-                              <p className="text-sm font-semibold text-green-600 mt-1">
-                                ${parseFloat(item.price).toFixed(2)}
-                              </p>
-                            )}
-                          </div>
-
-                          {/* Delete Button */}
-                          <button
-                            onClick={() => deleteItem(item.id)}
-                            className="text-red-600 hover:text-red-700 transition-colors p-1"
-                          >
-                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                            </svg>
-                          </button>
-                        </div>
-                      </div>
-                    </div>
-                  </div>
-                ))}
+                {categoryItems.map(renderItem)}
               </div>
             </div>
           ))}
@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import { shoppingListSyncService } from '../../services/shoppingListSync';
+import { storeAislesService } from '../../services/storeAisles';
+import { stockCheckService, STOCK_STATUS, STOCK_STATUS_LABELS } from '../../services/stockCheck';
+
+const STATUS_STYLES = {
+  in_stock: 'bg-green-100 text-green-800',
+  low: 'bg-yellow-100 text-yellow-800',
+  unknown: 'bg-blue-100 text-blue-800',
+  out: 'bg-red-100 text-red-800',
+  not_found: 'bg-gray-100 text-gray-700',
+};
+
+/**
+ * Checks the items still to buy at the selected store, offers in-stock
+ * substitutes and compares nearby stores. Stock levels and swapped-in
+ * substitutes are saved through the list's sync queue, which updates the list.
+ */
+export default function StockCheck({ items, store, onClose }) {
+  const [checks, setChecks] = useState([]);
+  const [progress, setProgress] = useState(0);
+  const [checking, setChecking] = useState(true);
+  const [comparisons, setComparisons] = useState(null);
+  const [comparing, setComparing] = useState(null); // { done, total }
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    runCheck();
+  }, []);
+
+  const runCheck = async () => {
+    setChecking(true);
+    setError('');
+    try {
+      const results = await stockCheckService.checkList(items, store.locationId, { save: true, onProgress: setProgress });
+      setChecks(results);
+    } catch (err) {
+      console.error('Error checking stock:', err);
+      setError(err.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Replace the list item with the substitute product, keeping the amount
+  const swapInSubstitute = async (check) => {
+    const { item, substitute } = check;
+    try {
+      const updated = await shoppingListSyncService.update(item.id, {
+        name: substitute.name,
+        brand_name: substitute.brandName,
+        category: substitute.category || item.category,
+        price: substitute.price,
+        calories: substitute.calories || 0,
+        protein: substitute.protein || 0,
+        carbs: substitute.carbs || 0,
+        fat: substitute.fat || 0,
+        serving_size: substitute.servingSize || 100,
+        serving_unit: substitute.servingUnit || 'g',
+        notes: `Substitute for ${item.name}`,
+        ...storeAislesService.productFields(substitute, store.locationId),
+      });
+      if (!updated) return; // removed from the list meanwhile
+
+      setChecks(prev => prev.map(c => c.item.id === item.id
+        ? { item: updated, product: substitute, status: STOCK_STATUS.IN_STOCK, substitute: null, swappedFrom: item.name }
+        : c
+      ));
+    } catch (err) {
+      console.error('Error swapping in substitute:', err);
+      alert('Failed to update item. Please try again.');
+    }
+  };
+
+  const handleCompare = async () => {
+    const zipCode = store.address?.zipCode;
+    if (!zipCode) {
+      alert("Your store doesn't have a zip code saved - choose it again in Settings.");
+      return;
+    }
+
+    setComparing({ done: 0, total: 0 });
+    try {
+      const results = await stockCheckService.compareNearbyStores(
+        items,
+        zipCode,
+        store.locationId,
+        (done, total) => setComparing({ done, total })
+      );
+      setComparisons(results);
+    } catch (err) {
+      console.error('Error comparing stores:', err);
+      alert(err.message);
+    } finally {
+      setComparing(null);
+    }
+  };
+
+  const summary = stockCheckService.summarize(checks);
+  const problems = checks.filter(check => check.status !== STOCK_STATUS.IN_STOCK);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-xl font-bold">📦 Stock Check</h3>
+            <p className="text-sm text-gray-600">{store.name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">×</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-800">{error}</div>
+        )}
+
+        {checking ? (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600 mx-auto"></div>
+            <p className="text-sm text-gray-600 mt-2">Checking {progress}/{items.length} items...</p>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-3 sm:grid-cols-5 gap-2 mb-4 text-center text-sm">
+              {Object.values(STOCK_STATUS).map(status => (
+                <div key={status} className={`rounded-lg p-2 ${STATUS_STYLES[status]}`}>
+                  <div className="text-lg font-bold">{summary[status]}</div>
+                  <div>{STOCK_STATUS_LABELS[status]}</div>
+                </div>
+              ))}
+            </div>
+
+            {problems.length === 0 && checks.length > 0 && (
+              <p className="text-center text-green-700 font-medium mb-4">Everything on your list is in stock 🎉</p>
+            )}
+
+            {/* Items needing attention first, then the rest */}
+            <div className="border rounded-lg divide-y mb-4">
+              {[...problems, ...checks.filter(check => check.status === STOCK_STATUS.IN_STOCK)].map(check => (
+                <div key={check.item.id} className="px-4 py-3">
+                  <div className="flex justify-between items-start gap-2">
+                    <div>
+                      <div className="font-medium text-gray-900">{check.item.name}</div>
+                      {check.swappedFrom && (
+                        <div className="text-xs text-gray-500">Instead of {check.swappedFrom}</div>
+                      )}
+                      {check.product && check.product.name !== check.item.name && (
+                        <div className="text-xs text-gray-500">{check.product.name}</div>
+                      )}
+                    </div>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${
+                      STATUS_STYLES[check.status] || 'bg-gray-100 text-gray-700'
+                    }`}>
+                      {check.error ? '⚠️ Check failed' : STOCK_STATUS_LABELS[check.status]}
+                    </span>
+                  </div>
+
+                  {check.substitute && (
+                    <div className="mt-2 flex items-center justify-between gap-2 bg-blue-50 rounded-lg px-3 py-2 text-sm">
+                      <span className="text-blue-900">
+                        Try <span className="font-medium">{check.substitute.name}</span>
+                        {check.substitute.price ? ` - $${check.substitute.price.toFixed(2)}` : ''}
+                      </span>
+                      <button
+                        onClick={() => swapInSubstitute(check)}
+                        className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 whitespace-nowrap"
+                      >
+                        Swap
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {/* Nearby stores */}
+            {problems.length > 0 && !comparisons && (
+              <button
+                onClick={handleCompare}
+                disabled={!!comparing}
+                className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                {comparing
+                  ? `Checking nearby stores${comparing.total ? ` (${comparing.done}/${comparing.total})` : ''}...`
+                  : '📍 Compare Nearby Stores'}
+              </button>
+            )}
+
+            {comparisons && (
+              <div>
+                <h4 className="font-semibold text-gray-900 mb-2">Nearby Stores</h4>
+                {comparisons.length === 0 ? (
+                  <p className="text-sm text-gray-600">No other stores found nearby.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {[
+                      { store, summary, current: true },
+                      ...comparisons,
+                    ].map(comparison => (
+                      <div
+                        key={comparison.store.locationId}
+                        className={`border rounded-lg px-4 py-2 text-sm ${comparison.current ? 'border-green-600' : ''}`}
+                      >
+                        <div className="flex justify-between">
+                          <span className="font-medium">
+                            {comparison.store.name}{comparison.current && ' (your store)'}
+                          </span>
+                          <span className="text-gray-600">{comparison.store.address?.city}</span>
+                        </div>
+                        <div className="text-gray-600">
+                          {comparison.summary.in_stock} in stock • {comparison.summary.low} low •{' '}
+                          {comparison.summary.unknown > 0 && `${comparison.summary.unknown} unknown • `}
+                          {comparison.summary.out + comparison.summary.not_found} out or not carried
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { ingredientMatcher } from './ingredientMatcher';
+
+/**
+ * Allergens
+ * Checks ingredient names against household members' allergies.
+ * Common allergens expand to the ingredients that contain them ("dairy"
+ * covers milk, butter, cheese...); anything else is matched by name.
+ */
+
+// Offered as checkboxes in HouseholdSettings; members can add their own too
+export const COMMON_ALLERGENS = [
+  'Peanuts', 'Tree nuts', 'Dairy', 'Eggs', 'Wheat', 'Gluten', 'Soy', 'Fish', 'Shellfish', 'Sesame',
+];
+
+// Words that mark an ingredient as containing the allergen.
+// Matched as whole words (plurals included) in the lowercased ingredient name.
+const ALLERGEN_KEYWORDS = {
+  peanuts: ['peanut', 'groundnut'],
+  'tree nuts': [
+    'almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut',
+    'pine nut', 'praline', 'marzipan', 'nutella',
+  ],
+  dairy: [
+    'milk', 'butter', 'cheese', 'cream', 'yogurt', 'yoghurt', 'ghee', 'whey', 'casein', 'buttermilk',
+    'mozzarella', 'parmesan', 'cheddar', 'ricotta', 'feta', 'mascarpone', 'brie', 'custard', 'ice cream',
+  ],
+  eggs: ['egg', 'mayonnaise', 'mayo', 'meringue', 'aioli'],
+  wheat: ['wheat', 'flour', 'bread', 'breadcrumb', 'pasta', 'spaghetti', 'noodle', 'couscous', 'tortilla', 'semolina'],
+  gluten: [
+    'wheat', 'flour', 'bread', 'breadcrumb', 'pasta', 'spaghetti', 'noodle', 'couscous', 'tortilla',
+    'semolina', 'barley', 'rye', 'malt', 'seitan',
+  ],
+  soy: ['soy', 'soya', 'tofu', 'edamame', 'tempeh', 'miso', 'shoyu', 'tamari'],
+  fish: [
+    'fish', 'salmon', 'tuna', 'cod', 'anchovy', 'sardine', 'trout', 'tilapia', 'halibut', 'haddock',
+    'mackerel', 'bass', 'snapper',
+  ],
+  shellfish: ['shrimp', 'prawn', 'crab', 'lobster', 'clam', 'mussel', 'oyster', 'scallop', 'crayfish', 'squid'],
+  sesame: ['sesame', 'tahini'],
+};
+
+// Names that contain an allergen word without containing the allergen ("coconut milk", "eggplant")
+const EXCEPTIONS = {
+  dairy: ['coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'rice milk', 'cream of tartar', 'peanut butter', 'cocoa butter'],
+  eggs: ['eggplant'],
+  'tree nuts': ['nutmeg', 'coconut', 'water chestnut'],
+  wheat: ['buckwheat', 'rice noodle', 'rice flour', 'almond flour', 'coconut flour', 'corn tortilla'],
+  gluten: ['buckwheat', 'rice noodle', 'rice flour', 'almond flour', 'coconut flour', 'corn tortilla', 'gluten free'],
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsPhrase = (text, phrase) => new RegExp(`\\b${escapeRegExp(phrase)}s?\\b`).test(text);
+
+export const allergenService = {
+  /**
+   * Normalized allergy list with duplicates removed
+   */
+  normalizeAllergies(allergies) {
+    return [...new Set((allergies || [])
+      .map(allergy => String(allergy).toLowerCase().trim())
+      .filter(Boolean))];
+  },
+
+  /**
+   * Every member's allergies combined
+   */
+  householdAllergies(members) {
+    return this.normalizeAllergies((members || []).flatMap(member => member.allergies || []));
+  },
+
+  /**
+   * Does this ingredient contain the allergen?
+   */
+  ingredientContains(ingredientName, allergy) {
+    if (!ingredientName || !allergy) return false;
+
+    const text = String(ingredientName).toLowerCase();
+    const keywords = ALLERGEN_KEYWORDS[allergy];
+
+    if (!keywords) {
+      // Not a known allergen - match it like an ingredient ("mushrooms" / "button mushrooms")
+      return containsPhrase(text, allergy) || ingredientMatcher.score(allergy, ingredientName) >= 0.8;
+    }
+
+    const cleaned = (EXCEPTIONS[allergy] || []).reduce(
+      (remaining, exception) => remaining.replace(new RegExp(`\\b${exception}s?\\b`, 'g'), ' '),
+      text
+    );
+    return keywords.some(keyword => containsPhrase(cleaned, keyword));
+  },
+
+  /**
+   * Allergens found in a list of ingredient names: [{ allergy, ingredient }]
+   */
+  findAllergens(ingredientNames, allergies) {
+    const found = [];
+    this.normalizeAllergies(allergies).forEach(allergy => {
+      const ingredient = (ingredientNames || []).find(name => this.ingredientContains(name, allergy));
+      if (ingredient) found.push({ allergy, ingredient });
+    });
+    return found;
+  },
+
+  /**
+   * Which members can't eat a recipe, and why
+   */
+  findConflicts(ingredientNames, members) {
+    return (members || [])
+      .map(member => ({ member, allergens: this.findAllergens(ingredientNames, member.allergies) }))
+      .filter(conflict => conflict.allergens.length > 0);
+  },
+
+  isSafe(ingredientNames, allergies) {
+    return this.findAllergens(ingredientNames, allergies).length === 0;
+  },
+};
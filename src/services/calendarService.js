@@ -1,4 +1,6 @@
 import { supabase } from './supabase';
+import { ingredientMatcher } from './ingredientMatcher';
+import { inventoryRepository, shoppingListRepository } from './dataRepository';
 
 /**
  * Calendar Service - Smart meal availability checking
@@ -154,23 +156,18 @@ class CalendarService {
       const itemsAdded = [];
 
       for (const ingredient of missingIngredients) {
-        const { data, error } = await supabase
-          .from('shopping_list')
-          .insert({
+        try {
+          const data = await shoppingListRepository.insert({
             name: ingredient.name,
             amount: ingredient.amount,
             unit: ingredient.unit,
             category: ingredient.category || 'Other',
             notes: `Needed for ${scheduledDate}`,
             is_purchased: false
-          })
-          .select()
-          .maybeSingle();
-
-        if (error) {
-          console.error('Error adding ingredient:', error);
-        } else {
+          });
           itemsAdded.push(data);
+        } catch (error) {
+          console.error('Error adding ingredient:', error);
         }
       }
 
@@ -196,25 +193,18 @@ class CalendarService {
 
   /**
    * Check if ingredient is in inventory
-   * TODO: Implement actual inventory checking
    */
   async checkIngredientInInventory(ingredientName, requiredAmount, unit) {
     try {
-      // Search inventory for matching ingredient
-      const { data: inventoryItems, error } = await supabase
-        .from('inventory')
-        .select('*')
-        .ilike('name', `%${ingredientName}%`);
-
-      if (error) throw error;
-
-      if (!inventoryItems || inventoryItems.length === 0) {
-        return { available: false, amountAvailable: 0 };
+      const inventoryItems = await inventoryRepository.list();
+      const matches = ingredientMatcher.findMatches(ingredientName, inventoryItems);
+      if (matches.length === 0) {
+        return { available: false, amountAvailable: 0, confidence: 0 };
       }
 
       // Calculate total available amount
       let totalAvailable = 0;
-      for (const item of inventoryItems) {
+      for (const { item } of matches) {
         // TODO: Implement unit conversion logic
         totalAvailable += item.amount;
       }
@@ -222,7 +212,9 @@ class CalendarService {
       return {
         available: totalAvailable >= requiredAmount,
         amountAvailable: totalAvailable,
-        shortfall: Math.max(0, requiredAmount - totalAvailable)
+        shortfall: Math.max(0, requiredAmount - totalAvailable),
+        confidence: matches[0].confidence,
+        matchedItems: matches.map(match => match.item.name)
       };
     } catch (error) {
       console.error('Error checking inventory:', error);
@@ -1,10 +1,15 @@
 import { supabase } from './supabase';
-import { usdaService } from './usda';
+import { nutritionCache } from './nutritionCache';
 import { shoppingListService } from './shoppingList';
+import { units } from './units';
+import { householdScalingService } from './householdScaling';
+import { netNeedsService } from './netNeeds';
 
 export const calendarToShoppingListService = {
   /**
-   * Add all ingredients from a calendar meal to shopping list
+   * Add a calendar meal's ingredients to the shopping list, less what's in
+   * the pantry or already on the list. coveredItems are the ingredients that
+   * needed nothing bought.
    */
   async addMealToShoppingList(mealId) {
     try {
@@ -33,8 +38,21 @@ export const calendarToShoppingListService = {
         throw new Error('No ingredients found for this meal');
       }
 
-      // Look up nutrition for each ingredient
-      const enrichedIngredients = await this.enrichIngredientsWithNutrition(ingredients);
+      // Scale from the recipe's servings to the servings this meal makes
+      const household = await householdScalingService.getHousehold();
+      const factor = householdScalingService.getScaleFactor(
+        meal.recipes,
+        householdScalingService.getTargetServings(meal, household)
+      );
+      const scaledIngredients = householdScalingService.scaleIngredients(ingredients, factor);
+
+      const mealInfo = netNeedsService.describeMeal(meal);
+      const { lines, covered } = await netNeedsService.subtractOnHand(
+        scaledIngredients.map(ingredient => ({ ...ingredient, meals: [mealInfo] }))
+      );
+
+      // Look up nutrition for what's left to buy
+      const enrichedIngredients = await this.enrichIngredientsWithNutrition(lines);
 
       // Add to shopping list
       const results = await this.addIngredientsToShoppingList(enrichedIngredients);
@@ -44,6 +62,7 @@ export const calendarToShoppingListService = {
         addedCount: results.successCount,
         failedCount: results.failedCount,
         failedItems: results.failedItems,
+        coveredItems: covered.map(ingredient => ingredient.name),
       };
     } catch (error) {
       console.error('Error adding meal to shopping list:', error);
@@ -53,75 +72,54 @@ export const calendarToShoppingListService = {
 
   /**
    * Enrich ingredients with USDA nutrition data
+   * Matches come from the nutrition cache in one batch; only new names hit USDA
    */
   async enrichIngredientsWithNutrition(ingredients) {
-    const enriched = [];
+    const foods = await nutritionCache.findFoods(ingredients.map(ingredient => ingredient.name));
 
-    for (const ingredient of ingredients) {
-      try {
-        // Search USDA for this ingredient
-        const usdaResults = await usdaService.searchFoods(ingredient.name, 5);
-        
-        let nutrition = {
-          calories: 0,
-          protein: 0,
-          carbs: 0,
-          fat: 0,
-        };
+    return ingredients.map(ingredient => {
+      const bestMatch = foods.get(ingredient.name);
 
-        if (usdaResults.length > 0) {
-          // Use first result (best match)
-          const bestMatch = usdaResults[0];
-          
-          // Scale nutrition based on amount
-          const scaleFactor = this.calculateScaleFactor(
-            ingredient.amount,
-            ingredient.unit,
-            bestMatch.servingSize,
-            bestMatch.servingUnit
-          );
-
-          nutrition = {
-            calories: (bestMatch.calories * scaleFactor) || 0,
-            protein: (bestMatch.protein * scaleFactor) || 0,
-            carbs: (bestMatch.carbs * scaleFactor) || 0,
-            fat: (bestMatch.fat * scaleFactor) || 0,
-          };
-
-          console.log(`✅ Found nutrition for: ${ingredient.name}`);
-        } else {
-          console.warn(`⚠️ No USDA match for: ${ingredient.name}`);
-        }
-
-        enriched.push({
-          ...ingredient,
-          ...nutrition,
-          hasNutrition: usdaResults.length > 0,
-        });
-      } catch (error) {
-        console.error(`Error enriching ${ingredient.name}:`, error);
-        // Add without nutrition
-        enriched.push({
+      if (!bestMatch) {
+        console.warn(`⚠️ No USDA match for: ${ingredient.name}`);
+        return {
           ...ingredient,
           calories: 0,
           protein: 0,
           carbs: 0,
           fat: 0,
           hasNutrition: false,
-        });
+        };
       }
-    }
 
-    return enriched;
+      // Scale nutrition based on amount
+      const scaleFactor = this.calculateScaleFactor(
+        ingredient.amount,
+        ingredient.unit,
+        bestMatch.servingSize,
+        bestMatch.servingUnit,
+        ingredient.name
+      );
+
+      return {
+        ...ingredient,
+        calories: (bestMatch.calories * scaleFactor) || 0,
+        protein: (bestMatch.protein * scaleFactor) || 0,
+        carbs: (bestMatch.carbs * scaleFactor) || 0,
+        fat: (bestMatch.fat * scaleFactor) || 0,
+        usdaFoodId: bestMatch.fdcId,
+        hasNutrition: true,
+      };
+    });
   },
 
   /**
    * Calculate scale factor for nutrition
    */
-  calculateScaleFactor(amount, unit, servingSize, servingUnit) {
+  calculateScaleFactor(amount, unit, servingSize, servingUnit, ingredientName = null) {
     // Convert to grams for comparison
-    const ingredientGrams = this.convertToGrams(amount, unit);
-    const servingGrams = this.convertToGrams(servingSize, servingUnit);
+    const ingredientGrams = this.convertToGrams(amount, unit, ingredientName);
+    const servingGrams = this.convertToGrams(servingSize, servingUnit, ingredientName);
 
     if (servingGrams === 0) return 1;
 
@@ -129,33 +127,16 @@ export const calendarToShoppingListService = {
   },
 
   /**
-   * Convert amount to grams for scaling
+   * Convert amount to grams for scaling (unknown units are taken as grams)
    */
-  convertToGrams(amount, unit) {
-    const lowerUnit = unit?.toLowerCase() || 'g';
-
-    // Weight units
-    if (lowerUnit === 'g' || lowerUnit === 'grams') return amount;
-    if (lowerUnit === 'kg' || lowerUnit === 'kilograms') return amount * 1000;
-    if (lowerUnit === 'oz' || lowerUnit === 'ounces') return amount * 28.35;
-    if (lowerUnit === 'lb' || lowerUnit === 'pounds') return amount * 453.59;
-
-    // Volume units (approximate to grams for liquids)
-    if (lowerUnit === 'ml' || lowerUnit === 'milliliters') return amount;
-    if (lowerUnit === 'l' || lowerUnit === 'liters') return amount * 1000;
-    if (lowerUnit === 'cup' || lowerUnit === 'cups') return amount * 240;
-    if (lowerUnit === 'tbsp' || lowerUnit === 'tablespoon') return amount * 15;
-    if (lowerUnit === 'tsp' || lowerUnit === 'teaspoon') return amount * 5;
-
-    // Item units (approximate)
-    if (lowerUnit === 'item' || lowerUnit === 'items') return amount * 100;
-
-    // Default
-    return amount;
+  convertToGrams(amount, unit, ingredientName = null) {
+    const result = units.toGrams(amount, unit || 'g', ingredientName);
+    return result.value ?? (units.parseQuantity(amount) || 0);
   },
 
   /**
-   * Add enriched ingredients to shopping list
+   * Add enriched ingredients to shopping list. Lines from netNeedsService
+   * note which meals they're for.
    */
   async addIngredientsToShoppingList(ingredients) {
     let successCount = 0;
@@ -175,10 +156,10 @@ export const calendarToShoppingListService = {
           protein: parseFloat(ingredient.protein) || 0,
           carbs: parseFloat(ingredient.carbs) || 0,
           fat: parseFloat(ingredient.fat) || 0,
-          usda_food_id: null,
+          usda_food_id: ingredient.usdaFoodId || null,
           serving_size: parseFloat(ingredient.amount) || 0,
           serving_unit: ingredient.unit || 'item',
-          notes: 'From meal plan',
+          notes: ingredient.meals ? netNeedsService.describeLine(ingredient) : 'From meal plan',
           is_archived: false,
           brand_name: null
         };
@@ -1,111 +1,110 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { supabase } from './supabase';
+import { ingredientMatcher } from './ingredientMatcher';
 
-const ANTHROPIC_API_KEY = import.meta.env.VITE_ANTHROPIC_API_KEY;
+// Claude runs behind our server so the Anthropic API key never reaches the browser
+const AI_BASE_URL = import.meta.env.VITE_KROGER_PROXY_URL
+  ? `${import.meta.env.VITE_KROGER_PROXY_URL}/api/ai`
+  : 'http://localhost:3001/api/ai';
 
-if (!ANTHROPIC_API_KEY) {
-  console.warn('⚠️ Anthropic API key not found. Please add VITE_ANTHROPIC_API_KEY to .env file');
-}
+// The server verifies the access token and rate-limits per signed-in user
+const authHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+  return { Authorization: `Bearer ${session.access_token}` };
+};
 
-// ⚠️ WARNING: This exposes your API key in the frontend
-// For production, move this to a backend API endpoint
-const anthropic = new Anthropic({
-  apiKey: ANTHROPIC_API_KEY,
-  dangerouslyAllowBrowser: true, // Only for development!
+const buildRequest = (inventoryItems, preferences, prompt) => ({
+  ingredients: inventoryItems.map(item => item.name).filter(Boolean),
+  preferences: {
+    dietary: preferences.dietary || '',
+    cuisine: preferences.cuisine || '',
+    cookingTime: preferences.cookingTime || null,
+    allergies: preferences.allergies || [],
+    dislikes: preferences.dislikes || [],
+    useSoon: preferences.useSoon || [],
+  },
+  prompt: prompt || '',
 });
 
-export const claudeService = {
-  // Generate recipe suggestions based on available ingredients
-  async suggestRecipes(inventoryItems, preferences = {}) {
-    try {
-      const ingredientsList = inventoryItems.map(item => item.name).join(', ');
-      
-      const prompt = `I have these ingredients in my kitchen: ${ingredientsList}.
+// Split a suggestion's ingredients by what's actually in the inventory (the model's guess isn't trusted)
+const withInventoryMatch = (recipe, inventoryItems) => {
+  const ingredients = recipe.ingredients.map(ingredient => ({
+    ...ingredient,
+    inInventory: !!ingredientMatcher.findBestMatch(ingredient.name, inventoryItems),
+  }));
+  const available = ingredients.filter(ingredient => ingredient.inInventory);
+
+  return {
+    ...recipe,
+    ingredients,
+    availableIngredients: available.map(ingredient => ingredient.name),
+    missingIngredients: ingredients.filter(ingredient => !ingredient.inInventory).map(ingredient => ingredient.name),
+    matchPercentage: ingredients.length > 0 ? Math.round((available.length / ingredients.length) * 100) : 0,
+  };
+};
 
-Please suggest 10-15 creative recipes I can make. For each recipe:
-1. Name of the dish
-2. Brief description (1-2 sentences)
-3. Difficulty level (Easy/Medium/Hard)
-4. Cooking time in minutes
-5. List of ingredients needed from my inventory
-6. List of any missing ingredients (if any)
-7. Cuisine type
-8. Estimated calories per serving
+const toFriendlyError = (status, serverMessage) => {
+  if (status === 401) return new Error('Your session has expired. Please sign in again.');
+  if (status === 429) return new Error('You have requested a lot of recipes recently. Please wait a bit and try again.');
+  if (status === 503) return new Error('AI recipe suggestions are not available right now.');
+  return new Error(serverMessage || 'Failed to generate recipe suggestions. Please try again.');
+};
 
-${preferences.dietary ? `Dietary preference: ${preferences.dietary}` : ''}
-${preferences.cuisine ? `Preferred cuisine: ${preferences.cuisine}` : ''}
-${preferences.cookingTime ? `Maximum cooking time: ${preferences.cookingTime} minutes` : ''}
+export const claudeService = {
+  /**
+   * Stream recipe suggestions - onRecipe is called as each recipe arrives
+   * Resolves with the full list once the server is done
+   */
+  async streamRecipes(inventoryItems, preferences = {}, prompt = '', onRecipe = () => {}) {
+    const request = buildRequest(inventoryItems, preferences, prompt);
+    const headers = await authHeaders();
+
+    let response;
+    try {
+      response = await fetch(`${AI_BASE_URL}/suggest-recipes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ ...request, stream: true }),
+      });
+    } catch (error) {
+      console.error('Claude API Error:', error);
+      throw new Error('Cannot connect to the server. Make sure it is running on port 3001.');
+    }
 
-CRITICAL: Return ONLY a valid JSON array. No explanations, no markdown formatting, just the JSON array.
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw toFriendlyError(response.status, body.error);
+    }
 
-Return ONLY a JSON array with this exact structure:
-[
-  {
-    "name": "Recipe Name",
-    "description": "Brief description without quotes",
-    "difficulty": "Easy",
-    "cookingTime": 30,
-    "cuisine": "Italian",
-    "calories": 450,
-    "availableIngredients": ["ingredient1", "ingredient2"],
-    "missingIngredients": ["ingredient3"],
-    "instructions": "Step by step cooking instructions"
-  }
-]
+    const recipes = [];
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
 
-Return ONLY the JSON array, no other text. Start with [ and end with ].`;
+    // Server-sent events are separated by a blank line
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
 
-      const message = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096, // Increased for 10-15 recipes
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-      });
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
 
-      const textContent = message.content[0].text;
-      
-      // Clean the response more thoroughly
-      let cleanedText = textContent
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
+      for (const rawEvent of events) {
+        const event = rawEvent.match(/^event: (.*)$/m)?.[1];
+        const data = rawEvent.match(/^data: (.*)$/m)?.[1];
+        if (!event || !data) continue;
 
-      // Try to parse, with better error handling
-      let recipes;
-      try {
-        recipes = JSON.parse(cleanedText);
-      } catch (parseError) {
-        console.error('JSON Parse Error:', parseError);
-        console.error('Raw text:', textContent);
-        console.error('Cleaned text:', cleanedText);
-        
-        // Try to extract JSON from markdown code blocks
-        const jsonMatch = textContent.match(/```json\s*(\[[\s\S]*?\])\s*```/);
-        if (jsonMatch) {
-          try {
-            recipes = JSON.parse(jsonMatch[1]);
-          } catch (e) {
-            throw new Error('Could not parse recipe suggestions. Please try again.');
-          }
-        } else {
-          throw new Error('Invalid response format from AI. Please try again.');
+        if (event === 'recipe') {
+          const recipe = withInventoryMatch(JSON.parse(data), inventoryItems);
+          recipes.push(recipe);
+          onRecipe(recipe);
+        } else if (event === 'error') {
+          throw new Error(JSON.parse(data).error);
         }
       }
-      
-      // Calculate match percentage for each recipe
-      return recipes.map(recipe => ({
-        ...recipe,
-        matchPercentage: Math.round(
-          (recipe.availableIngredients.length / 
-          (recipe.availableIngredients.length + recipe.missingIngredients.length)) * 100
-        ),
-      }));
-    } catch (error) {
-      console.error('Claude API Error:', error);
-      throw new Error('Failed to generate recipe suggestions. Please try again.');
     }
+
+    return recipes;
   },
-};
\ No newline at end of file
+};
@@ -0,0 +1,409 @@
+import { supabase } from './supabase';
+
+/**
+ * Data Repository
+ * The one place that reads and writes inventory and shopping list rows.
+ * Services go through these instead of calling supabase.from(...) directly,
+ * so everything sees the same tables and the same per-user scoping.
+ *
+ * Inventory is always per user. The shopping list is per user until the user
+ * joins a shared household (see householdSharing), then it's the household's.
+ */
+
+export const INVENTORY_TABLE = 'inventory_items';
+export const SHOPPING_LIST_TABLE = 'shopping_list_items';
+export const HOUSEHOLD_MEMBERS_TABLE = 'household_members';
+
+// Old tables some early code wrote to - see legacyDataMigration
+const LEGACY_INVENTORY_TABLE = 'inventory';
+const LEGACY_SHOPPING_LIST_TABLE = 'shopping_list';
+
+const getUserId = async () => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('Not authenticated');
+  return user.id;
+};
+
+// Shopping list scope for the signed-in user, looked up once per session
+let listScopePromise = null;
+let listScopeUserId = null;
+
+/**
+ * Whose shopping list the signed-in user sees:
+ * { userId, householdId (null if not sharing), displayName }
+ */
+export const getListScope = async () => {
+  const userId = await getUserId();
+
+  if (!listScopePromise || listScopeUserId !== userId) {
+    listScopeUserId = userId;
+    listScopePromise = supabase
+      .from(HOUSEHOLD_MEMBERS_TABLE)
+      .select('household_id, display_name')
+      .eq('user_id', userId)
+      .maybeSingle()
+      .then(({ data, error }) => {
+        if (error) throw error;
+        return { userId, householdId: data?.household_id || null, displayName: data?.display_name || null };
+      })
+      .catch(error => {
+        listScopePromise = null;
+        throw error;
+      });
+  }
+
+  return listScopePromise;
+};
+
+// Call after joining or leaving a household
+export const resetListScope = () => {
+  listScopePromise = null;
+};
+
+// Outside a household, items left behind on a household's list aren't the user's any more
+const scopeQuery = (query, scope) => (scope.householdId
+  ? query.eq('household_id', scope.householdId)
+  : query.eq('user_id', scope.userId).is('household_id', null));
+
+export const inventoryRepository = {
+  /**
+   * List inventory items, favorites first
+   */
+  async list({ favoritesOnly = false } = {}) {
+    const userId = await getUserId();
+
+    let query = supabase
+      .from(INVENTORY_TABLE)
+      .select('*')
+      .eq('user_id', userId);
+
+    if (favoritesOnly) query = query.eq('is_favorite', true);
+
+    const { data, error } = await query
+      .order('is_favorite', { ascending: false })
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getById(id) {
+    const userId = await getUserId();
+
+    const { data, error } = await supabase
+      .from(INVENTORY_TABLE)
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Exact (case-insensitive) name lookup
+   */
+  async findByName(name) {
+    const userId = await getUserId();
+
+    const { data, error } = await supabase
+      .from(INVENTORY_TABLE)
+      .select('*')
+      .eq('user_id', userId)
+      .ilike('name', name.replace(/[%_\\]/g, '\\$&'))
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  },
+
+  /**
+   * Insert one item (returns the row) or an array of items (returns the rows)
+   */
+  async insert(items) {
+    const userId = await getUserId();
+    const rows = (Array.isArray(items) ? items : [items]).map(item => ({ ...item, user_id: userId }));
+
+    const { data, error } = await supabase
+      .from(INVENTORY_TABLE)
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+    return Array.isArray(items) ? data : data?.[0] || null;
+  },
+
+  async update(id, updates) {
+    const userId = await getUserId();
+
+    const { data, error } = await supabase
+      .from(INVENTORY_TABLE)
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(id) {
+    const userId = await getUserId();
+
+    const { error } = await supabase
+      .from(INVENTORY_TABLE)
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
+  },
+};
+
+export const shoppingListRepository = {
+  /**
+   * List shopping list items, newest first
+   * Pass purchased/archived to filter on those flags
+   */
+  async list({ purchased, archived, orderBy = 'created_at' } = {}) {
+    const scope = await getListScope();
+
+    let query = scopeQuery(supabase.from(SHOPPING_LIST_TABLE).select('*'), scope);
+
+    if (purchased !== undefined) query = query.eq('is_purchased', purchased);
+    if (archived !== undefined) query = query.eq('is_archived', archived);
+
+    const { data, error } = await query.order(orderBy, { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getById(id) {
+    const scope = await getListScope();
+
+    const { data, error } = await scopeQuery(
+      supabase.from(SHOPPING_LIST_TABLE).select('*').eq('id', id),
+      scope
+    ).maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Insert one item (returns the row) or an array of items (returns the rows).
+   * Items are stamped with who added them and, when sharing, the household.
+   */
+  async insert(items) {
+    const scope = await getListScope();
+    const rows = (Array.isArray(items) ? items : [items]).map(item => ({
+      ...item,
+      user_id: scope.userId,
+      household_id: scope.householdId,
+      added_by: scope.userId,
+      added_by_name: scope.displayName,
+    }));
+
+    const { data, error } = await supabase
+      .from(SHOPPING_LIST_TABLE)
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+    return Array.isArray(items) ? data : data?.[0] || null;
+  },
+
+  /**
+   * Update an item. Every update stamps updated_at; pass ifUpdatedAt to only
+   * update if nobody else has changed the row since it was read (returns
+   * null if they have).
+   */
+  async update(id, updates, { ifUpdatedAt } = {}) {
+    const scope = await getListScope();
+
+    let query = scopeQuery(
+      supabase
+        .from(SHOPPING_LIST_TABLE)
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id),
+      scope
+    );
+
+    if (ifUpdatedAt !== undefined) {
+      query = ifUpdatedAt === null ? query.is('updated_at', null) : query.eq('updated_at', ifUpdatedAt);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(id) {
+    const scope = await getListScope();
+
+    const { error } = await scopeQuery(
+      supabase.from(SHOPPING_LIST_TABLE).delete().eq('id', id),
+      scope
+    );
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Delete every item matching the given flags, e.g. { purchased: true }
+   */
+  async removeWhere({ purchased, archived }) {
+    const scope = await getListScope();
+
+    let query = scopeQuery(supabase.from(SHOPPING_LIST_TABLE).delete(), scope);
+
+    if (purchased !== undefined) query = query.eq('is_purchased', purchased);
+    if (archived !== undefined) query = query.eq('is_archived', archived);
+
+    const { error } = await query;
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Hand the user's own items to a household they just joined
+   */
+  async moveToHousehold(householdId) {
+    const userId = await getUserId();
+
+    const { error } = await supabase
+      .from(SHOPPING_LIST_TABLE)
+      .update({ household_id: householdId })
+      .eq('user_id', userId)
+      .is('household_id', null);
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Live changes to the list, from this user or anyone sharing it.
+   * onChange({ type: 'INSERT' | 'UPDATE' | 'DELETE', row }) - for deletes
+   * row only has the id. Returns a function that unsubscribes.
+   */
+  async subscribe(onChange) {
+    const scope = await getListScope();
+    const filter = scope.householdId ? `household_id=eq.${scope.householdId}` : `user_id=eq.${scope.userId}`;
+
+    const channel = supabase
+      .channel(`shopping-list-${scope.householdId || scope.userId}`)
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: SHOPPING_LIST_TABLE, filter },
+        payload => onChange({ type: 'INSERT', row: payload.new }))
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: SHOPPING_LIST_TABLE, filter },
+        payload => onChange({ type: 'UPDATE', row: payload.new }))
+      // Realtime can't filter deletes; ids not on the list are ignored by the caller
+      .on('postgres_changes', { event: 'DELETE', schema: 'public', table: SHOPPING_LIST_TABLE },
+        payload => onChange({ type: 'DELETE', row: payload.old }))
+      .subscribe();
+
+    return () => supabase.removeChannel(channel);
+  },
+};
+
+// Columns copied from the legacy tables; anything else on the old rows is dropped
+const LEGACY_INVENTORY_COLUMNS = [
+  'name', 'amount', 'unit', 'category', 'brand_name', 'calories', 'protein', 'carbs',
+  'fat', 'fiber', 'sugar', 'sodium', 'usda_food_id', 'serving_size', 'serving_unit', 'created_at',
+];
+const LEGACY_SHOPPING_LIST_COLUMNS = [
+  'name', 'amount', 'unit', 'category', 'notes', 'is_purchased', 'brand_name', 'price', 'created_at',
+];
+
+const pickColumns = (row, columns) => {
+  const picked = {};
+  columns.forEach(column => {
+    if (row[column] !== undefined && row[column] !== null) picked[column] = row[column];
+  });
+  return picked;
+};
+
+// Postgres "relation does not exist" / PostgREST "table not in schema cache"
+const isMissingTable = (error) => error && (error.code === '42P01' || error.code === 'PGRST205');
+
+export const legacyDataMigration = {
+  /**
+   * Copy the current user's rows from the legacy inventory/shopping_list
+   * tables into inventory_items/shopping_list_items, then delete the
+   * originals. Safe to run repeatedly: copies carry the old row's id in
+   * legacy_id (unique), so if the delete never happened a rerun skips rows
+   * already copied instead of copying them again.
+   */
+  async migrate() {
+    const userId = await getUserId();
+
+    const inventoryCount = await this.migrateTable(
+      LEGACY_INVENTORY_TABLE, INVENTORY_TABLE, LEGACY_INVENTORY_COLUMNS, userId
+    );
+    const shoppingCount = await this.migrateTable(
+      LEGACY_SHOPPING_LIST_TABLE, SHOPPING_LIST_TABLE, LEGACY_SHOPPING_LIST_COLUMNS, userId
+    );
+
+    if (inventoryCount || shoppingCount) {
+      console.log(`✅ Migrated ${inventoryCount} legacy inventory rows and ${shoppingCount} legacy shopping list rows`);
+    }
+
+    return { inventoryCount, shoppingCount };
+  },
+
+  async migrateTable(fromTable, toTable, columns, userId) {
+    const { data: rows, error } = await supabase
+      .from(fromTable)
+      .select('*');
+
+    if (isMissingTable(error)) return 0;
+    if (error) throw error;
+
+    // Legacy rows without a user_id column are already scoped by row-level security;
+    // rows that belong to someone else are left for them to migrate
+    const ownRows = (rows || []).filter(row => row.user_id === undefined || row.user_id === userId);
+    if (ownRows.length === 0) return 0;
+
+    const { error: insertError } = await supabase
+      .from(toTable)
+      .upsert(
+        ownRows.map(row => ({ ...pickColumns(row, columns), user_id: userId, legacy_id: String(row.id) })),
+        { onConflict: 'legacy_id', ignoreDuplicates: true }
+      );
+
+    if (insertError) throw insertError;
+
+    const { error: deleteError } = await supabase
+      .from(fromTable)
+      .delete()
+      .in('id', ownRows.map(row => row.id));
+
+    if (deleteError) throw deleteError;
+
+    return ownRows.length;
+  },
+
+  /**
+   * Run the migration once per user per browser
+   */
+  async migrateOnce() {
+    try {
+      const userId = await getUserId();
+      const flag = `legacy_tables_migrated_${userId}`;
+      if (localStorage.getItem(flag)) return null;
+
+      const result = await this.migrate();
+      localStorage.setItem(flag, new Date().toISOString());
+      return result;
+    } catch (error) {
+      console.error('Error migrating legacy inventory/shopping rows:', error);
+      return null;
+    }
+  },
+};
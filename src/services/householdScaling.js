@@ -1,162 +1,308 @@
 import { userPreferencesService } from './userPreferences';
+import { units } from './units';
 
 /**
  * Household Scaling Service
- * Applies household size scaling to recipes, ingredients, and nutrition
+ * Scales recipes to the servings each scheduled meal needs, and splits
+ * meal nutrition into per-person intake.
+ *
+ * A meal's target servings come from its meal_schedule row, falling back to
+ * the household's total portions (the sum of each member's portion weight).
+ * The scale factor is target servings / the recipe's own servings, so a
+ * 4-serving recipe cooked for 2 adults and a kid (2.5 portions) scales by 0.625.
  */
 
+// Portion weights offered in HouseholdSettings
+export const PORTION_PRESETS = [
+  { label: 'Kid', weight: 0.5 },
+  { label: 'Light eater', weight: 0.75 },
+  { label: 'Adult', weight: 1 },
+  { label: 'Big eater', weight: 1.25 },
+  { label: 'Athlete', weight: 1.5 },
+];
+
+export const AGE_BANDS = [
+  { value: 'toddler', label: 'Toddler (1-3)' },
+  { value: 'child', label: 'Child (4-12)' },
+  { value: 'teen', label: 'Teen (13-17)' },
+  { value: 'adult', label: 'Adult (18-64)' },
+  { value: 'senior', label: 'Senior (65+)' },
+];
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat'];
+
+const normalizeList = (list) => (Array.isArray(list) ? list : String(list || '').split(','))
+  .map(entry => String(entry).trim())
+  .filter(Boolean);
+
+// Daily targets; a missing or zero target means "not tracked"
+const normalizeTargets = (targets = {}) => {
+  const normalized = {};
+  NUTRIENTS.forEach(nutrient => {
+    const value = Number(targets?.[nutrient]);
+    normalized[nutrient] = value > 0 ? value : null;
+  });
+  return normalized;
+};
+
+let nextMemberId = 1;
+const newMemberId = () => `member-${Date.now()}-${nextMemberId++}`;
+
+/**
+ * Household members: { id, name, ageBand, portion, allergies, dislikes, targets }
+ * Older preference rows only have household_size, which becomes that many adults
+ */
+export const normalizeMembers = (members, householdSize = 1) => {
+  const list = Array.isArray(members) && members.length > 0
+    ? members
+    : Array.from({ length: Math.max(1, householdSize || 1) }, () => ({}));
+
+  return list.map(member => ({
+    ...member,
+    id: member.id || newMemberId(),
+    name: member.name || '',
+    ageBand: AGE_BANDS.some(band => band.value === member.ageBand) ? member.ageBand : 'adult',
+    portion: Number(member.portion) > 0 ? Number(member.portion) : 1,
+    allergies: normalizeList(member.allergies),
+    dislikes: normalizeList(member.dislikes),
+    targets: normalizeTargets(member.targets),
+  }));
+};
+
 class HouseholdScalingService {
-  // Cache household size to avoid multiple API calls
-  cachedHouseholdSize = null;
+  // Cache household to avoid multiple API calls
+  cachedHousehold = null;
   cacheTimestamp = null;
   cacheDuration = 60000; // Cache for 1 minute
 
   /**
-   * Get current household size (with caching)
+   * Get the household: { size, members, portionTotal } (with caching)
    */
-  async getHouseholdSize() {
+  async getHousehold() {
     // Return cached value if still valid
-    if (this.cachedHouseholdSize && this.cacheTimestamp && 
+    if (this.cachedHousehold && this.cacheTimestamp &&
         (Date.now() - this.cacheTimestamp < this.cacheDuration)) {
-      return this.cachedHouseholdSize;
+      return this.cachedHousehold;
     }
 
     try {
       const prefs = await userPreferencesService.getPreferences();
-      this.cachedHouseholdSize = prefs.household_size || 1;
+      this.cachedHousehold = this.buildHousehold(prefs);
       this.cacheTimestamp = Date.now();
-      return this.cachedHouseholdSize;
+      return this.cachedHousehold;
     } catch (error) {
-      console.error('Error getting household size:', error);
-      return 1; // Default to 1 person
+      console.error('Error getting household:', error);
+      return this.buildHousehold({}); // Default to 1 adult
     }
   }
 
+  buildHousehold(prefs) {
+    const members = normalizeMembers(prefs.household_members, prefs.household_size);
+    return {
+      size: members.length,
+      members,
+      portionTotal: members.reduce((sum, member) => sum + member.portion, 0),
+    };
+  }
+
   /**
-   * Clear the cache (call this when household size is updated)
+   * Get current household size (number of people)
+   */
+  async getHouseholdSize() {
+    const household = await this.getHousehold();
+    return household.size;
+  }
+
+  /**
+   * Clear the cache (call this when household settings are updated)
    */
   clearCache() {
-    this.cachedHouseholdSize = null;
+    this.cachedHousehold = null;
     this.cacheTimestamp = null;
   }
 
   /**
-   * Scale a recipe's servings based on household size
+   * Servings to schedule for a new meal - whole servings covering everyone's portions
    */
-  async scaleRecipeServings(recipeServings) {
-    const householdSize = await this.getHouseholdSize();
-    return recipeServings * householdSize;
+  async getDefaultServings() {
+    const household = await this.getHousehold();
+    return Math.max(1, Math.ceil(household.portionTotal));
   }
 
   /**
-   * Scale ingredient amounts based on household size
+   * Servings a scheduled meal should make
    */
-  async scaleIngredientAmount(amount) {
-    const householdSize = await this.getHouseholdSize();
-    return amount * householdSize;
+  getTargetServings(meal, household) {
+    const servings = Number(meal?.servings);
+    return servings > 0 ? servings : household.portionTotal;
   }
 
   /**
-   * Scale nutrition values based on household size
+   * Multiplier that turns the recipe's yield into the target servings
    */
-  async scaleNutrition(nutrition) {
-    const householdSize = await this.getHouseholdSize();
-    
-    return {
-      calories: nutrition.calories * householdSize,
-      protein: nutrition.protein * householdSize,
-      carbs: nutrition.carbs * householdSize,
-      fat: nutrition.fat * householdSize,
-    };
+  getScaleFactor(recipe, targetServings) {
+    const recipeServings = Number(recipe?.servings);
+    return targetServings / (recipeServings > 0 ? recipeServings : 1);
   }
 
   /**
-   * Scale entire recipe object (includes servings, ingredients, and nutrition)
+   * Round a scaled amount: whole numbers for countable things (you can't
+   * buy 2.3 eggs), two decimals for everything else
    */
-  async scaleRecipe(recipe) {
-    const householdSize = await this.getHouseholdSize();
-    
-    const scaledRecipe = { ...recipe };
-    
-    // Scale servings
-    if (recipe.servings) {
-      scaledRecipe.servings = recipe.servings * householdSize;
-      scaledRecipe.original_servings = recipe.servings;
+  roundAmount(amount, unit) {
+    if (!amount) return amount;
+
+    if (units.unitType(unit) === 'count') {
+      // A little over a whole number (2.05 eggs) is rounding noise, not another egg
+      return Math.max(1, Math.ceil(amount - 0.1));
     }
-    
-    // Scale ingredients
-    if (recipe.ingredients && Array.isArray(recipe.ingredients)) {
-      scaledRecipe.ingredients = recipe.ingredients.map(ingredient => ({
+
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Scale ingredient amounts by a factor (round: false when amounts will be
+   * summed first, e.g. across a week of meals)
+   */
+  scaleIngredients(ingredients, factor, { round = true } = {}) {
+    return (ingredients || []).map(ingredient => {
+      const amount = units.parseQuantity(ingredient.amount);
+      if (amount === null) return { ...ingredient };
+
+      const scaled = amount * factor;
+      return {
         ...ingredient,
-        amount: ingredient.amount * householdSize,
+        amount: round ? this.roundAmount(scaled, ingredient.unit) : scaled,
         original_amount: ingredient.amount,
-      }));
-    }
-    
-    // Scale nutrition
-    if (recipe.total_calories) {
-      scaledRecipe.total_calories = recipe.total_calories * householdSize;
-      scaledRecipe.total_protein = recipe.total_protein * householdSize;
-      scaledRecipe.total_carbs = recipe.total_carbs * householdSize;
-      scaledRecipe.total_fat = recipe.total_fat * householdSize;
-      
-      scaledRecipe.original_calories = recipe.total_calories;
-      scaledRecipe.original_protein = recipe.total_protein;
-      scaledRecipe.original_carbs = recipe.total_carbs;
-      scaledRecipe.original_fat = recipe.total_fat;
-    }
-    
-    scaledRecipe.household_size = householdSize;
-    scaledRecipe.is_scaled = householdSize > 1;
-    
-    return scaledRecipe;
+      };
+    });
+  }
+
+  /**
+   * Nutrition for a scheduled meal: per-serving values x the servings it makes
+   */
+  getMealNutrition(meal, recipe, household) {
+    const servings = this.getTargetServings(meal, household);
+    const nutrition = {};
+    NUTRIENTS.forEach(nutrient => {
+      nutrition[nutrient] = (recipe?.[`total_${nutrient}`] || 0) * servings;
+    });
+    return nutrition;
   }
 
   /**
-   * Scale shopping list for meal planning
+   * Split a meal's nutrition between members by portion weight
+   * Returns { [memberId]: { calories, protein, carbs, fat } }
    */
-  async scaleShoppingList(ingredients) {
-    const householdSize = await this.getHouseholdSize();
-    
-    return ingredients.map(ingredient => ({
-      ...ingredient,
-      amount: ingredient.amount * householdSize,
-      original_amount: ingredient.amount,
-      household_size: householdSize,
-    }));
+  splitMealNutrition(mealNutrition, household) {
+    const shares = {};
+    household.members.forEach(member => {
+      const share = household.portionTotal > 0 ? member.portion / household.portionTotal : 0;
+      shares[member.id] = {};
+      NUTRIENTS.forEach(nutrient => {
+        shares[member.id][nutrient] = (mealNutrition?.[nutrient] || 0) * share;
+      });
+    });
+    return shares;
   }
 
   /**
-   * Get scaling info for display (e.g., "Scaled for 4 people")
+   * Per-person intake over a set of meals (each with meal.nutrition), with
+   * daily averages compared to each member's targets
+   */
+  getPersonIntake(meals, household, days = 1) {
+    const totals = {};
+    household.members.forEach(member => {
+      totals[member.id] = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+    });
+
+    (meals || []).forEach(meal => {
+      if (!meal.nutrition) return;
+      const shares = this.splitMealNutrition(meal.nutrition, household);
+      household.members.forEach(member => {
+        NUTRIENTS.forEach(nutrient => { totals[member.id][nutrient] += shares[member.id][nutrient]; });
+      });
+    });
+
+    return household.members.map(member => {
+      const total = {};
+      const daily = {};
+      const percentOfTarget = {};
+
+      NUTRIENTS.forEach(nutrient => {
+        total[nutrient] = Math.round(totals[member.id][nutrient]);
+        daily[nutrient] = Math.round(totals[member.id][nutrient] / Math.max(1, days));
+        percentOfTarget[nutrient] = member.targets[nutrient]
+          ? Math.round((daily[nutrient] / member.targets[nutrient]) * 100)
+          : null;
+      });
+
+      return { member, total, daily, targets: member.targets, percentOfTarget };
+    });
+  }
+
+  /**
+   * Scale a recipe for a scheduled meal (or for the whole household when no
+   * meal is given). Includes servings, ingredients, and nutrition.
+   */
+  async scaleRecipe(recipe, meal = null) {
+    const household = await this.getHousehold();
+    const targetServings = this.getTargetServings(meal, household);
+    const factor = this.getScaleFactor(recipe, targetServings);
+
+    const scaledRecipe = {
+      ...recipe,
+      servings: targetServings,
+      original_servings: recipe.servings,
+      scale_factor: factor,
+      is_scaled: factor !== 1,
+    };
+
+    if (Array.isArray(recipe.ingredients)) {
+      scaledRecipe.ingredients = this.scaleIngredients(recipe.ingredients, factor);
+    }
+
+    // total_* are per serving, so the meal's nutrition follows its servings
+    const mealNutrition = this.getMealNutrition(meal, recipe, household);
+    NUTRIENTS.forEach(nutrient => {
+      scaledRecipe[`meal_${nutrient}`] = mealNutrition[nutrient];
+    });
+
+    return scaledRecipe;
+  }
+
+  /**
+   * Get scaling info for display (e.g., "Scaled for 2.5 portions")
    */
   async getScalingInfo() {
-    const householdSize = await this.getHouseholdSize();
-    
-    if (householdSize === 1) {
+    const household = await this.getHousehold();
+
+    if (household.portionTotal === 1) {
       return null; // No scaling message needed
     }
-    
+
     return {
-      size: householdSize,
-      message: `Scaled for ${householdSize} people`,
-      multiplier: householdSize,
+      size: household.size,
+      portions: household.portionTotal,
+      message: `Scaled for ${household.portionTotal} portions (${household.size} ${household.size === 1 ? 'person' : 'people'})`,
+      multiplier: household.portionTotal,
     };
   }
 
   /**
-   * Format amount with original value for display
-   * Example: "400g (100g per person)"
+   * Format amount with the per-portion value for display
+   * Example: "400g (100g per portion)"
    */
   async formatScaledAmount(amount, unit) {
-    const householdSize = await this.getHouseholdSize();
-    
-    if (householdSize === 1) {
+    const household = await this.getHousehold();
+
+    if (household.portionTotal === 1) {
       return `${amount}${unit}`;
     }
-    
-    const perPerson = amount / householdSize;
-    return `${amount}${unit} (${perPerson.toFixed(1)}${unit} per person)`;
+
+    const perPortion = amount / household.portionTotal;
+    return `${amount}${unit} (${perPortion.toFixed(1)}${unit} per portion)`;
   }
 }
 
-export const householdScalingService = new HouseholdScalingService();
\ No newline at end of file
+export const householdScalingService = new HouseholdScalingService();
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { householdScalingService, normalizeMembers } from './householdScaling';
+
+const preferences = vi.hoisted(() => ({ getPreferences: vi.fn() }));
+
+vi.mock('./userPreferences', () => ({ userPreferencesService: preferences }));
+
+// Two adults and a kid: 2.5 portions
+const household = householdScalingService.buildHousehold({
+  household_members: [
+    { id: 'a', name: 'Sam', portion: 1 },
+    { id: 'b', name: 'Alex', portion: 1 },
+    { id: 'c', name: 'Kid', ageBand: 'child', portion: 0.5 },
+  ],
+});
+
+beforeEach(() => {
+  householdScalingService.clearCache();
+  preferences.getPreferences.mockReset();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('normalizeMembers', () => {
+  it('turns an old household_size into that many adults', () => {
+    const members = normalizeMembers(null, 3);
+
+    expect(members).toHaveLength(3);
+    expect(members.every(member => member.ageBand === 'adult' && member.portion === 1)).toBe(true);
+    expect(new Set(members.map(member => member.id)).size).toBe(3);
+  });
+
+  it('cleans up lists and targets', () => {
+    const [member] = normalizeMembers([{ allergies: 'peanuts, shellfish', targets: { calories: '2000', protein: 0 } }]);
+
+    expect(member.allergies).toEqual(['peanuts', 'shellfish']);
+    expect(member.targets).toEqual({ calories: 2000, protein: null, carbs: null, fat: null });
+  });
+});
+
+describe('householdScalingService scaling', () => {
+  it('scales a recipe to the household\'s portions unless the meal sets servings', () => {
+    expect(household.portionTotal).toBe(2.5);
+    expect(householdScalingService.getScaleFactor({ servings: 4 }, householdScalingService.getTargetServings({}, household))).toBe(0.625);
+    expect(householdScalingService.getScaleFactor({ servings: 4 }, householdScalingService.getTargetServings({ servings: 2 }, household))).toBe(0.5);
+  });
+
+  it('rounds countable amounts up to whole items, other amounts to two decimals', () => {
+    expect(householdScalingService.roundAmount(2.05, 'item')).toBe(2);
+    expect(householdScalingService.roundAmount(2.3, 'item')).toBe(3);
+    expect(householdScalingService.roundAmount(0.2, 'item')).toBe(1);
+    expect(householdScalingService.roundAmount(1.23456, 'cup')).toBe(1.23);
+  });
+
+  it('scales ingredient amounts and keeps the original', () => {
+    const [flour, salt] = householdScalingService.scaleIngredients([
+      { name: 'flour', amount: '1 1/2', unit: 'cup' },
+      { name: 'salt', amount: 'to taste', unit: '' },
+    ], 0.5);
+
+    expect(flour).toEqual(expect.objectContaining({ amount: 0.75, original_amount: '1 1/2' }));
+    expect(salt.amount).toBe('to taste');
+  });
+});
+
+describe('householdScalingService nutrition', () => {
+  it('splits a meal\'s nutrition by portion weight', () => {
+    const mealNutrition = householdScalingService.getMealNutrition({ servings: 2 }, { total_calories: 500, total_protein: 20 }, household);
+    const shares = householdScalingService.splitMealNutrition(mealNutrition, household);
+
+    expect(mealNutrition).toEqual({ calories: 1000, protein: 40, carbs: 0, fat: 0 });
+    expect(shares.a.calories).toBe(400);
+    expect(shares.c.calories).toBe(200);
+  });
+
+  it('averages intake per day against each member\'s targets', () => {
+    const members = householdScalingService.buildHousehold({
+      household_members: [{ id: 'a', portion: 1, targets: { calories: 2000 } }],
+    });
+    const [intake] = householdScalingService.getPersonIntake(
+      [{ nutrition: { calories: 3000 } }, { nutrition: { calories: 1000 } }, { nutrition: null }],
+      members,
+      2
+    );
+
+    expect(intake.total.calories).toBe(4000);
+    expect(intake.daily.calories).toBe(2000);
+    expect(intake.percentOfTarget).toEqual({ calories: 100, protein: null, carbs: null, fat: null });
+  });
+});
+
+describe('householdScalingService.getHousehold', () => {
+  it('caches the household until cleared', async () => {
+    preferences.getPreferences.mockResolvedValue({ household_size: 2 });
+
+    expect((await householdScalingService.getHousehold()).size).toBe(2);
+    await householdScalingService.getHousehold();
+    expect(preferences.getPreferences).toHaveBeenCalledTimes(1);
+
+    householdScalingService.clearCache();
+    await householdScalingService.getHousehold();
+    expect(preferences.getPreferences).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to one adult when preferences can\'t be loaded', async () => {
+    preferences.getPreferences.mockRejectedValue(new Error('offline'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const fallback = await householdScalingService.getHousehold();
+
+    expect(fallback.size).toBe(1);
+    expect(fallback.portionTotal).toBe(1);
+  });
+});
@@ -0,0 +1,120 @@
+import { supabase } from './supabase';
+import { shoppingListRepository, getListScope, resetListScope, HOUSEHOLD_MEMBERS_TABLE } from './dataRepository';
+
+/**
+ * Household Sharing
+ * A shared household is a group of accounts that see one shopping list.
+ * One person creates it and passes on the invite code; whoever joins brings
+ * their current list items with them. (Household members in
+ * householdScaling are the people eaten for, not accounts.)
+ * Tables, policies and RPCs: supabase/migrations/*_shared_households.sql
+ */
+
+const HOUSEHOLDS_TABLE = 'households';
+
+export const householdSharingService = {
+  /**
+   * The signed-in user's shared household: { id, name, inviteCode, displayName }
+   * or null if they aren't sharing
+   */
+  async getHousehold() {
+    const scope = await getListScope();
+    if (!scope.householdId) return null;
+
+    const { data, error } = await supabase
+      .from(HOUSEHOLDS_TABLE)
+      .select('id, name, invite_code')
+      .eq('id', scope.householdId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    return { id: data.id, name: data.name, inviteCode: data.invite_code, displayName: scope.displayName };
+  },
+
+  /**
+   * Everyone in a household: [{ userId, displayName, joinedAt }]
+   */
+  async getMembers(householdId) {
+    const { data, error } = await supabase
+      .from(HOUSEHOLD_MEMBERS_TABLE)
+      .select('user_id, display_name, joined_at')
+      .eq('household_id', householdId)
+      .order('joined_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(member => ({
+      userId: member.user_id,
+      displayName: member.display_name,
+      joinedAt: member.joined_at,
+    }));
+  },
+
+  /**
+   * Start a household and join it
+   * The create_household RPC picks the invite code (six characters, no 0/O or
+   * 1/I so codes read out loud can't be mistyped) and adds the first member
+   */
+  async createHousehold(name, displayName) {
+    const { data: householdId, error } = await supabase.rpc('create_household', {
+      household_name: name.trim() || 'Our household',
+      display_name: displayName.trim() || null,
+    });
+
+    if (error) throw this.membershipError(error);
+
+    await this.moveListTo(householdId);
+    console.log(`✅ Created household ${name.trim() || 'Our household'}`);
+    return this.getHousehold();
+  },
+
+  /**
+   * Join a household by its invite code
+   * The code is checked by the join_household RPC; non-members can't read households
+   */
+  async joinHousehold(inviteCode, displayName) {
+    const { data: householdId, error } = await supabase.rpc('join_household', {
+      code: inviteCode.trim().toUpperCase(),
+      display_name: displayName.trim() || null,
+    });
+
+    if (error) throw this.membershipError(error);
+
+    await this.moveListTo(householdId);
+    console.log('✅ Joined household');
+    return this.getHousehold();
+  },
+
+  // Friendly messages for the errors the household RPCs raise
+  membershipError(error) {
+    if (error.code === '23505') return new Error("You're already in a household - leave it first");
+    if (error.code === 'P0002') return new Error('No household found with that invite code');
+    if (error.code === '28000') return new Error('Not authenticated');
+    return error;
+  },
+
+  // The user's list items move with them into the household
+  async moveListTo(householdId) {
+    resetListScope();
+    await shoppingListRepository.moveToHousehold(householdId);
+  },
+
+  /**
+   * Stop sharing. Items already on the shared list stay with the household.
+   */
+  async leaveHousehold() {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+      .from(HOUSEHOLD_MEMBERS_TABLE)
+      .delete()
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+
+    resetListScope();
+    console.log('✅ Left household');
+  },
+};
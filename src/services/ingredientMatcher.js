@@ -0,0 +1,216 @@
+/**
+ * Ingredient Matcher
+ * Matches recipe ingredient names against inventory items.
+ * Names are normalized (case, plurals, prep words, brands, package sizes)
+ * and resolved through a synonym dictionary; every match has a confidence (0-1).
+ */
+
+// Matches below this confidence are not treated as "in inventory"
+export const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+// Preparation words and adjectives that don't change what the ingredient is
+const PREP_WORDS = new Set([
+  'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'crushed', 'peeled',
+  'cubed', 'julienned', 'halved', 'quartered', 'softened', 'melted', 'beaten', 'sifted',
+  'cooked', 'uncooked', 'raw', 'fresh', 'freshly', 'frozen', 'dried', 'canned', 'thawed',
+  'large', 'small', 'medium', 'jumbo', 'extra', 'finely', 'roughly', 'thinly', 'coarsely',
+  'organic', 'natural', 'boneless', 'skinless', 'ripe', 'whole', 'unsalted', 'salted',
+  'lean', 'trimmed', 'rinsed', 'drained', 'packed', 'heaping', 'level', 'optional',
+]);
+
+// Cuts and parts - "chicken breast" is still chicken
+const PART_WORDS = new Set([
+  'breast', 'thigh', 'leg', 'wing', 'drumstick', 'tenderloin', 'tender', 'fillet', 'filet',
+  'steak', 'loin', 'chop', 'rib', 'roast', 'shoulder', 'quarter',
+]);
+
+// Common store and national brands that appear at the start of product names
+const BRANDS = [
+  'simple truth organic', 'simple truth', 'private selection', 'heritage farm', 'kroger',
+  'great value', 'kirkland signature', 'kirkland', 'trader joe\'s', 'signature select',
+  'good & gather', 'market pantry', '365', 'kraft', 'heinz', 'campbell\'s', 'barilla',
+  'tyson', 'oscar mayer', 'philadelphia', 'hellmann\'s', 'land o lakes', 'daisy',
+];
+
+// Words that end in "s" but aren't plurals, plus irregular plurals
+const SINGULAR_EXCEPTIONS = {
+  asparagus: 'asparagus',
+  couscous: 'couscous',
+  hummus: 'hummus',
+  molasses: 'molasses',
+  swiss: 'swiss',
+  grits: 'grits',
+  leaves: 'leaf',
+  halves: 'half',
+  loaves: 'loaf',
+  cookies: 'cookie',
+  brownies: 'brownie',
+  smoothies: 'smoothie',
+  pies: 'pie',
+};
+
+// Each group lists names for the same ingredient; the first entry is canonical.
+// Entries are written in normalized (singular, lowercase) form.
+const SYNONYM_GROUPS = [
+  ['scallion', 'green onion', 'spring onion'],
+  ['cilantro', 'coriander leaf', 'chinese parsley'],
+  ['chickpea', 'garbanzo bean', 'garbanzo'],
+  ['bell pepper', 'capsicum', 'sweet pepper'],
+  ['black pepper', 'pepper', 'peppercorn'],
+  ['zucchini', 'courgette'],
+  ['eggplant', 'aubergine'],
+  ['arugula', 'rocket'],
+  ['beet', 'beetroot'],
+  ['shrimp', 'prawn'],
+  ['ground beef', 'minced beef', 'beef mince', 'hamburger meat'],
+  ['powdered sugar', 'icing sugar', 'confectioner sugar'],
+  ['cornstarch', 'cornflour', 'corn starch'],
+  ['heavy cream', 'double cream', 'heavy whipping cream', 'whipping cream'],
+  ['flour', 'all purpose flour', 'plain flour', 'ap flour'],
+  ['baking soda', 'bicarbonate of soda', 'bicarb'],
+  ['parmesan', 'parmesan cheese', 'parmigiano reggiano'],
+  ['chicken broth', 'chicken stock'],
+  ['beef broth', 'beef stock'],
+  ['vegetable broth', 'vegetable stock'],
+  ['garlic', 'garlic clove', 'clove garlic', 'clove of garlic'],
+  ['egg', 'large egg'],
+  ['soy sauce', 'soya sauce', 'shoyu'],
+  ['molasses', 'treacle'],
+];
+
+const SYNONYMS = new Map();
+SYNONYM_GROUPS.forEach(([canonical, ...others]) => {
+  SYNONYMS.set(canonical, canonical);
+  others.forEach(name => SYNONYMS.set(name, canonical));
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const SIZE_PATTERN = /\b\d+(\.\d+)?\s*(fl\.?\s*oz|oz|ounces?|lbs?|pounds?|g|grams?|kg|ml|l|liters?|ct|count|pk|pack|gal|gallons?|qt|quarts?)\b\.?/g;
+
+const singularize = (word) => {
+  if (SINGULAR_EXCEPTIONS[word]) return SINGULAR_EXCEPTIONS[word];
+  if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (/(oes|ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+};
+
+const stripBrand = (text, brand) => {
+  const brands = brand ? [brand.toLowerCase().trim(), ...BRANDS] : BRANDS;
+  for (const name of brands) {
+    if (!name) continue;
+    const pattern = new RegExp(`^${escapeRegExp(name)}\\b\\s*`);
+    if (pattern.test(text)) return text.replace(pattern, '');
+  }
+  return text;
+};
+
+const tokenize = (text) => text.split(/\s+/).filter(Boolean);
+
+// The head noun decides what an ingredient is: "rice vinegar" is vinegar, not rice
+const headOf = (tokens) => {
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    if (!PART_WORDS.has(tokens[i])) return tokens[i];
+  }
+  return tokens[tokens.length - 1];
+};
+
+export const ingredientMatcher = {
+  /**
+   * Normalize a name: lowercase, drop notes after a comma, parentheses,
+   * quantities, package sizes and brands, singularize, and remove prep words
+   */
+  normalize(name, brand = null) {
+    if (!name) return '';
+
+    let text = String(name)
+      .toLowerCase()
+      .replace(/[®™]/g, '')
+      .split(',')[0]
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(SIZE_PATTERN, ' ')
+      .replace(/\b\d+([./]\d+)?\b/g, ' ')
+      .trim();
+
+    text = stripBrand(text, brand)
+      .replace(/'/g, '')
+      .replace(/[^a-z0-9&\s]/g, ' ');
+
+    const words = tokenize(text).map(singularize);
+    const withoutPrep = words.filter(word => !PREP_WORDS.has(word));
+
+    // "Large" on its own is still the name we were given
+    return (withoutPrep.length > 0 ? withoutPrep : words).join(' ');
+  },
+
+  /**
+   * Normalized name resolved through the synonym dictionary
+   */
+  canonical(name, brand = null) {
+    const normalized = this.normalize(name, brand);
+    if (SYNONYMS.has(normalized)) return SYNONYMS.get(normalized);
+
+    // Synonyms can include words we'd otherwise strip ("large egg", "minced beef")
+    const unstripped = tokenize(
+      String(name || '').toLowerCase().split(',')[0].replace(/'/g, '').replace(/[^a-z0-9&\s]/g, ' ')
+    ).map(singularize).join(' ');
+    return SYNONYMS.get(unstripped) || normalized;
+  },
+
+  /**
+   * Confidence (0-1) that an inventory item satisfies an ingredient
+   *   1.0  same name
+   *   0.95 same after normalization ("Diced Tomatoes" / "tomato")
+   *   0.9  synonyms ("cilantro" / "coriander leaves")
+   *   0.8  item is a more specific kind ("rice" / "basmati rice")
+   *   0.6  item is a more general kind ("chicken thigh" / "chicken")
+   *   0.4  same head noun, different kind ("red onion" / "sweet onion")
+   *   0    different ingredient ("rice vinegar" / "rice")
+   */
+  score(ingredientName, itemName, itemBrand = null) {
+    if (!ingredientName || !itemName) return 0;
+
+    if (ingredientName.toLowerCase().trim() === itemName.toLowerCase().trim()) return 1;
+
+    const ingredientNormalized = this.normalize(ingredientName);
+    const itemNormalized = this.normalize(itemName, itemBrand);
+    if (!ingredientNormalized || !itemNormalized) return 0;
+    if (ingredientNormalized === itemNormalized) return 0.95;
+
+    const ingredientCanonical = this.canonical(ingredientName);
+    const itemCanonical = this.canonical(itemName, itemBrand);
+    if (ingredientCanonical === itemCanonical) return 0.9;
+
+    const ingredientTokens = tokenize(ingredientCanonical);
+    const itemTokens = tokenize(itemCanonical);
+    if (headOf(ingredientTokens) !== headOf(itemTokens)) return 0;
+
+    const itemSet = new Set(itemTokens);
+    const ingredientSet = new Set(ingredientTokens);
+    if (ingredientTokens.every(token => itemSet.has(token))) return 0.8;
+    if (itemTokens.every(token => ingredientSet.has(token))) return 0.6;
+    return 0.4;
+  },
+
+  /**
+   * All inventory items matching an ingredient, best first
+   * Items need a name; brand_name is used for brand stripping when present
+   */
+  findMatches(ingredientName, items, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+    if (!ingredientName || !items) return [];
+
+    return items
+      .map(item => ({ item, confidence: this.score(ingredientName, item.name, item.brand_name) }))
+      .filter(match => match.confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+  },
+
+  /**
+   * Best inventory match for an ingredient, or null
+   */
+  findBestMatch(ingredientName, items, options = {}) {
+    return this.findMatches(ingredientName, items, options)[0] || null;
+  },
+};
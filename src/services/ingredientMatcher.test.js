@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import { ingredientMatcher, DEFAULT_MIN_CONFIDENCE } from './ingredientMatcher';
+
+describe('ingredientMatcher.normalize', () => {
+  it('singularizes plurals', () => {
+    expect(ingredientMatcher.normalize('Tomatoes')).toBe('tomato');
+    expect(ingredientMatcher.normalize('berries')).toBe('berry');
+    expect(ingredientMatcher.normalize('peaches')).toBe('peach');
+  });
+
+  it('leaves words that only look plural alone', () => {
+    expect(ingredientMatcher.normalize('asparagus')).toBe('asparagus');
+    expect(ingredientMatcher.normalize('hummus')).toBe('hummus');
+    expect(ingredientMatcher.normalize('molasses')).toBe('molasses');
+  });
+
+  it('handles irregular plurals', () => {
+    expect(ingredientMatcher.normalize('bay leaves')).toBe('bay leaf');
+  });
+
+  it('drops prep words, quantities, notes and parentheses', () => {
+    expect(ingredientMatcher.normalize('2 Diced Tomatoes')).toBe('tomato');
+    expect(ingredientMatcher.normalize('onion, finely chopped')).toBe('onion');
+    expect(ingredientMatcher.normalize('butter (softened)')).toBe('butter');
+  });
+
+  it('strips package sizes', () => {
+    expect(ingredientMatcher.normalize('Whole Milk 1 gal')).toBe('milk');
+    expect(ingredientMatcher.normalize('Eggs 12 ct')).toBe('egg');
+    expect(ingredientMatcher.normalize('Chicken Broth 32 fl oz')).toBe('chicken broth');
+  });
+
+  it('strips known brand prefixes', () => {
+    expect(ingredientMatcher.normalize('Simple Truth Organic Baby Spinach')).toBe('baby spinach');
+    expect(ingredientMatcher.normalize('Kroger Large White Eggs')).toBe('white egg');
+    expect(ingredientMatcher.normalize("Hellmann's Mayonnaise")).toBe('mayonnaise');
+  });
+
+  it('strips the item\'s own brand', () => {
+    expect(ingredientMatcher.normalize('Acme Crunchy Peanut Butter', 'Acme')).toBe('crunchy peanut butter');
+  });
+
+  it('keeps a name made only of prep words', () => {
+    expect(ingredientMatcher.normalize('Large')).toBe('large');
+  });
+
+  it('returns an empty string for no name', () => {
+    expect(ingredientMatcher.normalize('')).toBe('');
+    expect(ingredientMatcher.normalize(null)).toBe('');
+  });
+});
+
+describe('ingredientMatcher.canonical', () => {
+  it('resolves synonyms to the first name in their group', () => {
+    expect(ingredientMatcher.canonical('green onions')).toBe('scallion');
+    expect(ingredientMatcher.canonical('garbanzo beans')).toBe('chickpea');
+    expect(ingredientMatcher.canonical('coriander leaves')).toBe('cilantro');
+  });
+
+  it('matches synonyms that contain words normalize would strip', () => {
+    expect(ingredientMatcher.canonical('large eggs')).toBe('egg');
+    expect(ingredientMatcher.canonical('minced beef')).toBe('ground beef');
+  });
+
+  it('returns the normalized name when there is no synonym', () => {
+    expect(ingredientMatcher.canonical('Fresh Basil')).toBe('basil');
+  });
+});
+
+describe('ingredientMatcher.score', () => {
+  it('is 1 for the same name', () => {
+    expect(ingredientMatcher.score('Milk', 'milk')).toBe(1);
+  });
+
+  it('is 0.95 for the same name after normalization', () => {
+    expect(ingredientMatcher.score('tomato', 'Diced Tomatoes')).toBe(0.95);
+    expect(ingredientMatcher.score('spinach', 'Simple Truth Organic Spinach')).toBe(0.95);
+  });
+
+  it('is 0.9 for synonyms', () => {
+    expect(ingredientMatcher.score('cilantro', 'coriander leaves')).toBe(0.9);
+    expect(ingredientMatcher.score('zucchini', 'Courgettes')).toBe(0.9);
+  });
+
+  it('is 0.8 when the item is a more specific kind', () => {
+    expect(ingredientMatcher.score('rice', 'basmati rice')).toBe(0.8);
+  });
+
+  it('is 0.6 when the item is a more general kind', () => {
+    expect(ingredientMatcher.score('chicken thigh', 'chicken')).toBe(0.6);
+  });
+
+  it('is 0.4 for the same head noun but a different kind', () => {
+    expect(ingredientMatcher.score('red onion', 'sweet onion')).toBe(0.4);
+  });
+
+  it('does not match on substrings', () => {
+    expect(ingredientMatcher.score('egg', 'eggplant')).toBe(0);
+    expect(ingredientMatcher.score('corn', 'popcorn')).toBe(0);
+    expect(ingredientMatcher.score('pea', 'peanut butter')).toBe(0);
+  });
+
+  it('does not match when the shared word is not the head noun', () => {
+    expect(ingredientMatcher.score('rice', 'rice vinegar')).toBe(0);
+    expect(ingredientMatcher.score('peanut', 'peanut butter')).toBe(0);
+  });
+
+  it('is 0 for a missing name', () => {
+    expect(ingredientMatcher.score('', 'milk')).toBe(0);
+    expect(ingredientMatcher.score('milk', null)).toBe(0);
+  });
+});
+
+describe('ingredientMatcher.findBestMatch', () => {
+  const inventory = [
+    { name: 'Eggplant' },
+    { name: 'Kroger Large White Eggs 12 ct', brand_name: 'Kroger' },
+    { name: 'Sweet Onion' },
+    { name: 'Chicken' },
+    { name: 'Basmati Rice' },
+  ];
+
+  it('picks the highest-confidence item', () => {
+    const match = ingredientMatcher.findBestMatch('eggs', inventory);
+    expect(match.item.name).toBe('Kroger Large White Eggs 12 ct');
+    expect(match.confidence).toBe(0.8);
+  });
+
+  it('ignores matches below the default threshold', () => {
+    // "red onion" / "sweet onion" is only 0.4
+    expect(ingredientMatcher.findBestMatch('red onion', inventory)).toBeNull();
+  });
+
+  it('accepts a match right at the threshold', () => {
+    const match = ingredientMatcher.findBestMatch('chicken thigh', inventory);
+    expect(match.confidence).toBe(DEFAULT_MIN_CONFIDENCE);
+  });
+
+  it('honours a custom threshold', () => {
+    expect(ingredientMatcher.findBestMatch('red onion', inventory, { minConfidence: 0.4 }).item.name).toBe('Sweet Onion');
+    expect(ingredientMatcher.findBestMatch('chicken thigh', inventory, { minConfidence: 0.7 })).toBeNull();
+  });
+
+  it('returns null with no name or no items', () => {
+    expect(ingredientMatcher.findBestMatch('', inventory)).toBeNull();
+    expect(ingredientMatcher.findBestMatch('rice', null)).toBeNull();
+    expect(ingredientMatcher.findBestMatch('rice', [])).toBeNull();
+  });
+});
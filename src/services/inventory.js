@@ -1,4 +1,5 @@
-import { supabase } from './supabase';
+import { inventoryRepository } from './dataRepository';
+import { inventoryLotsService } from './inventoryLots';
 
 export const inventoryService = {
   /**
@@ -6,22 +7,7 @@ export const inventoryService = {
    */
   async getItems() {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      if (!user) {
-        throw new Error('Not authenticated');
-      }
-
-      const { data, error } = await supabase
-        .from('inventory_items')
-        .select('*')
-        .eq('user_id', user.id)
-        .order('is_favorite', { ascending: false }) // Favorites first
-        .order('name', { ascending: true });
-
-      if (error) throw error;
-
-      return data || [];
+      return await inventoryRepository.list();
     } catch (error) {
       console.error('Error fetching inventory:', error);
       throw error;
@@ -33,22 +19,7 @@ export const inventoryService = {
    */
   async getFavoriteItems() {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      if (!user) {
-        throw new Error('Not authenticated');
-      }
-
-      const { data, error } = await supabase
-        .from('inventory_items')
-        .select('*')
-        .eq('user_id', user.id)
-        .eq('is_favorite', true)
-        .order('name', { ascending: true });
-
-      if (error) throw error;
-
-      return data || [];
+      return await inventoryRepository.list({ favoritesOnly: true });
     } catch (error) {
       console.error('Error fetching favorite items:', error);
       throw error;
@@ -60,19 +31,7 @@ export const inventoryService = {
    */
   async toggleFavorite(itemId, currentStatus) {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      if (!user) {
-        throw new Error('Not authenticated');
-      }
-
-      const { error } = await supabase
-        .from('inventory_items')
-        .update({ is_favorite: !currentStatus })
-        .eq('id', itemId)
-        .eq('user_id', user.id);
-
-      if (error) throw error;
+      await inventoryRepository.update(itemId, { is_favorite: !currentStatus });
 
       return !currentStatus;
     } catch (error) {
@@ -86,38 +45,25 @@ export const inventoryService = {
    */
   async addItem(item) {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      if (!user) {
-        throw new Error('Not authenticated');
-      }
-
-      const { data, error } = await supabase
-        .from('inventory_items')
-        .insert([
-          {
-            user_id: user.id,
-            name: item.name,
-            amount: item.amount || 0,
-            unit: item.unit || 'g',
-            category: item.category || 'Other',
-            calories: item.calories || 0,
-            protein: item.protein || 0,
-            carbs: item.carbs || 0,
-            fat: item.fat || 0,
-            fiber: item.fiber || 0,
-            sugar: item.sugar || 0,
-            sodium: item.sodium || 0,
-            brand_name: item.brandName || null,
-            is_favorite: item.is_favorite || false,
-          },
-        ])
-        .select()
-        .maybeSingle();
-
-      if (error) throw error;
-
-      return data;
+      return await inventoryRepository.insert({
+        name: item.name,
+        amount: item.amount || 0,
+        unit: item.unit || 'g',
+        category: item.category || 'Other',
+        calories: item.calories || 0,
+        protein: item.protein || 0,
+        carbs: item.carbs || 0,
+        fat: item.fat || 0,
+        fiber: item.fiber || 0,
+        sugar: item.sugar || 0,
+        sodium: item.sodium || 0,
+        serving_size: item.servingSize || 100,
+        serving_unit: item.servingUnit || 'g',
+        price: item.price ?? null,
+        brand_name: item.brandName || null,
+        is_favorite: item.is_favorite || false,
+        ...inventoryLotsService.lotFields(item),
+      });
     } catch (error) {
       console.error('Error adding item:', error);
       throw error;
@@ -129,23 +75,7 @@ export const inventoryService = {
    */
   async updateItem(itemId, updates) {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      if (!user) {
-        throw new Error('Not authenticated');
-      }
-
-      const { data, error } = await supabase
-        .from('inventory_items')
-        .update(updates)
-        .eq('id', itemId)
-        .eq('user_id', user.id)
-        .select()
-        .maybeSingle();
-
-      if (error) throw error;
-
-      return data;
+      return await inventoryRepository.update(itemId, updates);
     } catch (error) {
       console.error('Error updating item:', error);
       throw error;
@@ -157,21 +87,7 @@ export const inventoryService = {
    */
   async deleteItem(itemId) {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      if (!user) {
-        throw new Error('Not authenticated');
-      }
-
-      const { error } = await supabase
-        .from('inventory_items')
-        .delete()
-        .eq('id', itemId)
-        .eq('user_id', user.id);
-
-      if (error) throw error;
-
-      return true;
+      return await inventoryRepository.remove(itemId);
     } catch (error) {
       console.error('Error deleting item:', error);
       throw error;
@@ -183,27 +99,15 @@ export const inventoryService = {
    */
   async updateNutrition(itemId, nutrition) {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      if (!user) {
-        throw new Error('Not authenticated');
-      }
-
-      const { error } = await supabase
-        .from('inventory_items')
-        .update({
-          calories: nutrition.calories,
-          protein: nutrition.protein,
-          carbs: nutrition.carbs,
-          fat: nutrition.fat,
-          fiber: nutrition.fiber,
-          sugar: nutrition.sugar,
-          sodium: nutrition.sodium,
-        })
-        .eq('id', itemId)
-        .eq('user_id', user.id);
-
-      if (error) throw error;
+      await inventoryRepository.update(itemId, {
+        calories: nutrition.calories,
+        protein: nutrition.protein,
+        carbs: nutrition.carbs,
+        fat: nutrition.fat,
+        fiber: nutrition.fiber,
+        sugar: nutrition.sugar,
+        sodium: nutrition.sodium,
+      });
 
       return true;
     } catch (error) {
@@ -0,0 +1,227 @@
+import { inventoryRepository } from './dataRepository';
+import { shelfLifeService } from './shelfLife';
+import { units, CONVERSION } from './units';
+
+/**
+ * Inventory Lots
+ * Every inventory_items row is one lot: a single purchase with its own
+ * remaining amount, original amount, price, purchase date and expiration.
+ * Lots with the same name make up one stock item. Using something up takes
+ * from the oldest lots first (FIFO), and a lot is removed once it's empty.
+ */
+
+// Amounts closer to zero than this count as used up (float leftovers from conversions)
+const EPSILON = 0.0001;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const stockKey = (name) => String(name || '').toLowerCase().trim();
+
+const byPurchaseDate = (a, b) =>
+  (new Date(a.purchasedAt) - new Date(b.purchasedAt)) ||
+  ((a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity));
+
+export const inventoryLotsService = {
+  /**
+   * Lot columns for a new inventory row: purchase date, original amount and
+   * expiration (see shelfLifeService.expirationFields)
+   */
+  lotFields(item, purchasedAt = new Date()) {
+    return {
+      purchased_at: new Date(purchasedAt).toISOString(),
+      original_amount: item?.amount ?? null,
+      ...shelfLifeService.expirationFields(item, purchasedAt),
+    };
+  },
+
+  /**
+   * Inventory row -> lot
+   */
+  toLot(row) {
+    const amount = Number(row.amount) || 0;
+    return {
+      id: row.id,
+      name: row.name,
+      amount,
+      originalAmount: Math.max(Number(row.original_amount) || 0, amount),
+      unit: row.unit || 'item',
+      price: row.price ?? null,
+      purchasedAt: row.purchased_at || row.created_at,
+      expiresOn: row.expires_on || null,
+      expirationEstimated: row.expiration_estimated !== false && !row.expires_on,
+      storage: shelfLifeService.getStorage(row),
+      daysLeft: shelfLifeService.daysUntilExpiration(row),
+      row,
+    };
+  },
+
+  /**
+   * Group inventory rows into stock items, one per name.
+   * A stock item looks like an inventory row (name, amount, unit, expires_on...)
+   * so matching and shelf-life code works on it unchanged; amount is the total
+   * across lots in the unit of the oldest lot. Lots are in FIFO order.
+   */
+  groupLots(rows) {
+    const groups = new Map();
+
+    (rows || []).forEach(row => {
+      const key = stockKey(row.name);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(this.toLot(row));
+    });
+
+    return [...groups.values()].map(lots => {
+      lots.sort(byPurchaseDate);
+      const oldest = lots[0];
+      const newest = lots[lots.length - 1];
+      const unit = oldest.unit;
+
+      let amount = 0;
+      let mixedUnits = false;
+      lots.forEach(lot => {
+        const converted = units.convert(lot.amount, lot.unit, unit, oldest.name);
+        if (converted.status === CONVERSION.IMPOSSIBLE) mixedUnits = true;
+        else amount += converted.value;
+      });
+
+      // The stock item expires when its soonest lot does
+      const soonest = lots
+        .filter(lot => lot.daysLeft !== null)
+        .sort((a, b) => a.daysLeft - b.daysLeft)[0] || null;
+
+      return {
+        ...newest.row,
+        id: oldest.id,
+        name: oldest.name,
+        category: newest.row.category || 'Other',
+        amount: round(amount),
+        unit,
+        mixedUnits,
+        created_at: oldest.purchasedAt,
+        oldestDate: oldest.purchasedAt,
+        newestDate: newest.purchasedAt,
+        expires_on: soonest ? (soonest.expiresOn || shelfLifeService.estimateExpiration(soonest.row)) : null,
+        storage_location: (soonest || newest).storage,
+        daysLeft: soonest ? soonest.daysLeft : null,
+        lots,
+      };
+    });
+  },
+
+  /**
+   * All stock items for the current user
+   */
+  async getStock() {
+    return this.groupLots(await inventoryRepository.list());
+  },
+
+  /**
+   * Work out how using `amount` `unit` of a stock item comes out of its lots,
+   * oldest first, without saving anything.
+   * Returns { changes: [{ lot, before, after, taken }], shortfall, unit, skipped }
+   * where shortfall is what the lots couldn't cover (in `unit`) and skipped are
+   * lots whose unit can't be converted.
+   */
+  planConsumption(stockItem, amount, unit) {
+    const needed = units.parseQuantity(amount);
+    const plan = { changes: [], shortfall: 0, unit, skipped: [] };
+    if (!needed || needed <= 0) return plan;
+
+    let remaining = needed;
+    for (const lot of [...(stockItem.lots || [])].sort(byPurchaseDate)) {
+      if (remaining <= EPSILON) break;
+      if (lot.amount <= 0) continue;
+
+      const inLotUnit = units.convert(remaining, unit, lot.unit, stockItem.name);
+      if (inLotUnit.status === CONVERSION.IMPOSSIBLE) {
+        plan.skipped.push(lot);
+        continue;
+      }
+
+      const taken = Math.min(lot.amount, inLotUnit.value);
+      const after = round(lot.amount - taken);
+      plan.changes.push({ lot, before: lot.amount, after: after <= EPSILON ? 0 : after, taken: round(taken) });
+
+      remaining = taken >= inLotUnit.value
+        ? 0
+        : remaining - units.convert(taken, lot.unit, unit, stockItem.name).value;
+    }
+
+    plan.shortfall = remaining > EPSILON ? round(remaining) : 0;
+    return plan;
+  },
+
+  /**
+   * Save a plan from planConsumption: empty lots are deleted, the rest updated
+   */
+  async applyConsumption(plan) {
+    for (const change of plan.changes) {
+      if (change.after <= 0) {
+        await inventoryRepository.remove(change.lot.id);
+      } else {
+        await inventoryRepository.update(change.lot.id, {
+          amount: change.after,
+          updated_at: new Date().toISOString(),
+        });
+      }
+    }
+    return plan;
+  },
+
+  /**
+   * Undo a saved plan: lots go back to their old amounts, deleted ones are re-created
+   */
+  async restoreConsumption(plan) {
+    for (const change of plan.changes) {
+      if (change.after <= 0) {
+        const { user_id, ...row } = change.lot.row;
+        await inventoryRepository.insert({ ...row, amount: change.before });
+      } else {
+        await inventoryRepository.update(change.lot.id, {
+          amount: change.before,
+          updated_at: new Date().toISOString(),
+        });
+      }
+    }
+    return plan;
+  },
+
+  /**
+   * Use up an amount of a stock item, oldest lots first
+   */
+  async consume(stockItem, amount, unit = stockItem.unit) {
+    const plan = this.planConsumption(stockItem, amount, unit);
+    await this.applyConsumption(plan);
+    console.log(`✅ Used ${amount} ${unit} ${stockItem.name} from ${plan.changes.length} lot(s)`);
+    return plan;
+  },
+
+  /**
+   * Quick +/- from the inventory list: removing uses up the oldest lots,
+   * adding tops up the newest lot. If the newest lot is in a unit the stock
+   * item's unit can't be converted to, the amount goes in a new lot instead.
+   */
+  async adjust(stockItem, delta) {
+    if (delta < 0) return this.consume(stockItem, -delta, stockItem.unit);
+
+    const newest = stockItem.lots[stockItem.lots.length - 1];
+    const converted = units.convert(delta, stockItem.unit, newest.unit, stockItem.name);
+
+    if (converted.status === CONVERSION.IMPOSSIBLE) {
+      const {
+        id, user_id, created_at, updated_at, amount: _amount, original_amount,
+        purchased_at, expires_on, expiration_estimated, ...details
+      } = newest.row;
+      const lot = { ...details, name: stockItem.name, amount: delta, unit: stockItem.unit };
+      return inventoryRepository.insert({ ...lot, ...this.lotFields(lot) });
+    }
+
+    const amount = round(newest.amount + converted.value);
+
+    return inventoryRepository.update(newest.id, {
+      amount,
+      original_amount: Math.max(newest.originalAmount, amount),
+      updated_at: new Date().toISOString(),
+    });
+  },
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { inventoryLotsService } from './inventoryLots';
+
+const repository = vi.hoisted(() => ({
+  insert: vi.fn(async (row) => ({ id: 'new-lot', ...row })),
+  update: vi.fn(async (id, updates) => ({ id, ...updates })),
+  remove: vi.fn(async () => {}),
+  list: vi.fn(async () => []),
+}));
+
+vi.mock('./dataRepository', () => ({ inventoryRepository: repository }));
+
+const milkRows = [
+  // Out of order on purpose: lots are used by purchase date, not row order
+  { id: 'c', user_id: 'user-1', name: 'Milk', amount: 2, unit: 'l', purchased_at: '2026-10-10T00:00:00Z', expires_on: '2026-10-24' },
+  { id: 'a', user_id: 'user-1', name: 'Milk', amount: 1, unit: 'l', purchased_at: '2026-10-01T00:00:00Z', expires_on: '2026-10-15' },
+  { id: 'b', user_id: 'user-1', name: 'milk', amount: 500, unit: 'ml', purchased_at: '2026-10-05T00:00:00Z', expires_on: '2026-10-19' },
+];
+
+const milk = () => inventoryLotsService.groupLots(milkRows)[0];
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('inventoryLotsService.groupLots', () => {
+  it('groups lots by name, oldest first, totalled in the oldest lot\'s unit', () => {
+    const stock = inventoryLotsService.groupLots(milkRows);
+
+    expect(stock).toHaveLength(1);
+    expect(stock[0].lots.map(lot => lot.id)).toEqual(['a', 'b', 'c']);
+    expect(stock[0].unit).toBe('l');
+    expect(stock[0].amount).toBe(3.5);
+    expect(stock[0].expires_on).toBe('2026-10-15');
+  });
+});
+
+describe('inventoryLotsService.planConsumption', () => {
+  it('takes from the oldest lots first, across units', () => {
+    const plan = inventoryLotsService.planConsumption(milk(), 1.2, 'l');
+
+    expect(plan.changes.map(({ lot, before, after, taken }) => [lot.id, before, after, taken])).toEqual([
+      ['a', 1, 0, 1],
+      ['b', 500, 300, 200],
+    ]);
+    expect(plan.shortfall).toBe(0);
+  });
+
+  it('empties every lot and reports the shortfall when there isn\'t enough', () => {
+    const plan = inventoryLotsService.planConsumption(milk(), 5, 'l');
+
+    expect(plan.changes.map(change => change.after)).toEqual([0, 0, 0]);
+    expect(plan.shortfall).toBe(1.5);
+  });
+
+  it('skips lots in a unit that can\'t be converted', () => {
+    const stockItem = inventoryLotsService.groupLots([
+      { id: 'a', name: 'Widget', amount: 2, unit: 'kg', purchased_at: '2026-10-01T00:00:00Z' },
+      { id: 'b', name: 'Widget', amount: 3, unit: 'item', purchased_at: '2026-10-02T00:00:00Z' },
+    ])[0];
+
+    const plan = inventoryLotsService.planConsumption(stockItem, 2, 'item');
+
+    expect(plan.skipped.map(lot => lot.id)).toEqual(['a']);
+    expect(plan.changes.map(change => [change.lot.id, change.after])).toEqual([['b', 1]]);
+  });
+});
+
+describe('inventoryLotsService apply and restore', () => {
+  it('deletes emptied lots and updates the rest', async () => {
+    await inventoryLotsService.consume(milk(), 1.2, 'l');
+
+    expect(repository.remove).toHaveBeenCalledWith('a');
+    expect(repository.update).toHaveBeenCalledWith('b', expect.objectContaining({ amount: 300 }));
+    expect(repository.update).toHaveBeenCalledTimes(1);
+  });
+
+  it('puts a consumed plan back, re-creating deleted lots', async () => {
+    const plan = inventoryLotsService.planConsumption(milk(), 1.2, 'l');
+    await inventoryLotsService.restoreConsumption(plan);
+
+    const [restored] = repository.insert.mock.calls[0];
+    expect(restored).toEqual(expect.objectContaining({ id: 'a', name: 'Milk', amount: 1 }));
+    expect(restored).not.toHaveProperty('user_id');
+    expect(repository.update).toHaveBeenCalledWith('b', expect.objectContaining({ amount: 500 }));
+  });
+});
+
+describe('inventoryLotsService.adjust', () => {
+  it('uses up the oldest lots when removing', async () => {
+    await inventoryLotsService.adjust(milk(), -1);
+
+    expect(repository.remove).toHaveBeenCalledWith('a');
+    expect(repository.update).not.toHaveBeenCalled();
+  });
+
+  it('tops up the newest lot when adding', async () => {
+    await inventoryLotsService.adjust(milk(), 0.5);
+
+    expect(repository.update).toHaveBeenCalledWith('c', expect.objectContaining({ amount: 2.5, original_amount: 2.5 }));
+  });
+
+  it('adds a new lot when the newest lot\'s unit can\'t be converted', async () => {
+    const stockItem = inventoryLotsService.groupLots([
+      { id: 'a', name: 'Widget', amount: 2, unit: 'kg', category: 'Other', purchased_at: '2026-10-01T00:00:00Z' },
+      { id: 'b', name: 'Widget', amount: 3, unit: 'item', category: 'Other', purchased_at: '2026-10-02T00:00:00Z' },
+    ])[0];
+
+    await inventoryLotsService.adjust(stockItem, 1);
+
+    const [lot] = repository.insert.mock.calls[0];
+    expect(lot).toEqual(expect.objectContaining({ name: 'Widget', amount: 1, unit: 'kg', original_amount: 1 }));
+    expect(lot).not.toHaveProperty('id');
+    expect(repository.update).not.toHaveBeenCalled();
+  });
+});
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { usdaService } from './usda';
+import { nutritionCache } from './nutritionCache';
 
 // Use local proxy server instead of calling Kroger API directly
 const PROXY_BASE_URL = import.meta.env.VITE_KROGER_PROXY_URL 
@@ -221,9 +222,14 @@ class KrogerService {
 
   /**
    * Enrich products with nutrition
+   * USDA matches are cached by UPC, so only products not seen before are searched
    */
   async enrichWithNutrition(krogerProducts) {
     const enrichedProducts = [];
+    const cachedMatches = await nutritionCache.getMany(
+      krogerProducts.map(product => nutritionCache.upcKey(product.upc))
+    );
+    const newMatches = [];
 
     for (const product of krogerProducts) {
       try {
@@ -238,17 +244,27 @@ class KrogerService {
           onSale: product.items?.[0]?.price?.promo > 0,
           size: product.items?.[0]?.size || null,
           images: product.images?.map(img => img.sizes?.[0]?.url).filter(Boolean) || [],
+          // Only filled in when the search was for a specific store
+          aisle: this.extractAisle(product),
+          stockLevel: product.items?.[0]?.inventory?.stockLevel || null,
+          fulfillment: product.items?.[0]?.fulfillment || null,
         };
 
         // Get Kroger nutrition
         const krogerNutrition = this.parseKrogerNutrition(product);
         
         // Get USDA nutrition (for gaps/fallback)
+        const upcKey = nutritionCache.upcKey(product.upc);
         let usdaNutrition = null;
-        try {
-          usdaNutrition = await this.findBestUSDAMatch(product);
-        } catch (err) {
-          console.warn(`USDA lookup failed for ${product.description}`);
+        if (cachedMatches.has(upcKey)) {
+          usdaNutrition = cachedMatches.get(upcKey).food;
+        } else {
+          try {
+            usdaNutrition = await this.findBestUSDAMatch(product);
+            newMatches.push({ key: upcKey, food: usdaNutrition });
+          } catch (err) {
+            console.warn(`USDA lookup failed for ${product.description}`);
+          }
         }
 
         // Merge (Kroger priority)
@@ -267,6 +283,7 @@ class KrogerService {
       }
     }
 
+    await nutritionCache.setMany(newMatches);
     return enrichedProducts;
   }
 
@@ -281,20 +298,87 @@ class KrogerService {
     return item?.price?.unitOfMeasure || 'each';
   }
 
+  /**
+   * Where a product is shelved at the searched store:
+   * { number, side, shelf, description } or null if Kroger doesn't say
+   */
+  extractAisle(product) {
+    const location = product.aisleLocations?.find(aisle => aisle.number || aisle.description);
+    if (!location) return null;
+
+    return {
+      number: location.number || null,
+      side: location.side || null,
+      shelf: location.shelfNumber || null,
+      description: location.description || null,
+    };
+  }
+
+  /**
+   * Full 12-digit UPC-A for an 8-digit UPC-E (the short barcode on small
+   * packages), or null if the code isn't UPC-E
+   */
+  expandUpcE(code) {
+    const digits = String(code || '').replace(/\D/g, '');
+    if (!/^[01]\d{7}$/.test(digits)) return null;
+
+    const [system, d1, d2, d3, d4, d5, d6, check] = digits;
+    let body;
+    if ('012'.includes(d6)) body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+    else if (d6 === '3') body = `${d1}${d2}${d3}00000${d4}${d5}`;
+    else if (d6 === '4') body = `${d1}${d2}${d3}${d4}00000${d5}`;
+    else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+
+    return `${system}${body}${check}`;
+  }
+
+  /**
+   * Kroger product IDs to try for a scanned or typed barcode.
+   * Kroger IDs are the UPC-A without its check digit, zero-padded to 13 digits;
+   * a typed code may or may not include the check digit, so both are tried.
+   * UPC-E codes are expanded to UPC-A first.
+   */
+  productIdCandidates(code) {
+    const digits = String(code || '').replace(/\D/g, '');
+    if (digits.length < 6) return [];
+
+    const upcA = this.expandUpcE(digits);
+    const idsFor = (value) => [value.slice(0, -1).padStart(13, '0'), value.padStart(13, '0')];
+
+    return [...new Set([
+      ...(upcA ? idsFor(upcA) : []),
+      ...idsFor(digits),
+    ])].filter(id => id.length === 13);
+  }
+
+  /**
+   * Look up a product by barcode, with nutrition merged in.
+   * Returns null when Kroger doesn't carry it.
+   */
   async getProductByUPC(upc, locationId = null) {
-    try {
-      const params = locationId ? { locationId } : {};
-      const response = await axios.get(`${PROXY_BASE_URL}/products/${upc}`, { params });
+    const params = locationId ? { locationId } : {};
+
+    for (const productId of this.productIdCandidates(upc)) {
+      try {
+        const response = await axios.get(`${PROXY_BASE_URL}/products/${productId}`, { params });
+        const product = response.data?.data;
 
-      if (response.data) {
-        const enriched = await this.enrichWithNutrition([response.data]);
-        return enriched[0];
+        if (product) {
+          const enriched = await this.enrichWithNutrition([product]);
+          return enriched[0] || null;
+        }
+      } catch (error) {
+        if (error.response?.status === 404 || error.response?.status === 400) continue;
+
+        console.error('Kroger UPC Error:', error);
+        if (error.code === 'ERR_NETWORK') {
+          throw new Error('Cannot connect to Kroger API. Make sure the proxy server is running on port 3001.');
+        }
+        throw new Error('Failed to find product by UPC');
       }
-      return null;
-    } catch (error) {
-      console.error('Kroger UPC Error:', error);
-      throw new Error('Failed to find product by UPC');
     }
+
+    return null;
   }
 
   calculateNutrition(productData, amount) {
@@ -1,26 +1,41 @@
 import axios from 'axios';
+import { supabase } from './supabase';
 import { krogerService } from './kroger';
+import { units } from './units';
 
-const PROXY_BASE_URL = 'http://localhost:3001/api/kroger';
+const PROXY_BASE_URL = import.meta.env.VITE_KROGER_PROXY_URL 
+  ? `${import.meta.env.VITE_KROGER_PROXY_URL}/api/kroger`
+  : 'http://localhost:3001/api/kroger';
+
+export const CART_MODALITIES = ['PICKUP', 'DELIVERY'];
+
+// The proxy identifies the user from their Supabase session
+const authHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+  return { Authorization: `Bearer ${session.access_token}` };
+};
 
 class KrogerCartService {
   /**
-   * Add items to Kroger cart
-   * @param {string} userId - User ID
-   * @param {Array} items - Array of {upc, quantity} or {productId, quantity}
+   * Add items to the signed-in user's Kroger cart
+   * @param {Array} items - Array of {upc, quantity, modality?}
+   * @param {string} modality - 'PICKUP' or 'DELIVERY' (items can override)
    */
-  async addItems(userId, items) {
+  async addItems(items, modality = 'PICKUP') {
     try {
       // Format items for Kroger API
       const formattedItems = items.map(item => ({
         upc: item.upc,
         quantity: item.quantity || 1,
-        modality: 'PICKUP', // or 'DELIVERY'
+        modality: item.modality || modality,
       }));
 
       const response = await axios.post(`${PROXY_BASE_URL}/cart/add`, {
-        userId,
         items: formattedItems,
+        modality,
+      }, {
+        headers: await authHeaders(),
       });
 
       return response.data;
@@ -36,12 +51,13 @@ class KrogerCartService {
   }
 
   /**
-   * Get current cart contents
+   * Get items sent to the Kroger cart through the proxy since it last started
+   * (Kroger's public API does not expose the cart itself)
    */
-  async getCart(userId) {
+  async getCart() {
     try {
       const response = await axios.get(`${PROXY_BASE_URL}/cart`, {
-        params: { userId },
+        headers: await authHeaders(),
       });
 
       return response.data;
@@ -100,23 +116,23 @@ class KrogerCartService {
    */
   calculateQuantity(item) {
     // Default to 1 if no amount specified
-    if (!item.amount) return 1;
+    const amount = units.parseQuantity(item.amount);
+    if (!amount) return 1;
 
     // Convert amounts to reasonable quantities
     // For example: 500g of chicken = 1 package
-    const amount = parseFloat(item.amount) || 1;
-    const unit = item.unit?.toLowerCase() || '';
+    const unitType = units.unitType(item.unit);
 
     // Weight-based items (approximate to packages)
-    if (unit === 'g' || unit === 'kg') {
-      const grams = unit === 'kg' ? amount * 1000 : amount;
+    if (unitType === 'mass') {
+      const grams = units.convert(amount, item.unit, 'g').value;
       // Rough estimation: 1 package ≈ 500g
       return Math.max(1, Math.round(grams / 500));
     }
 
     // Volume-based items
-    if (unit === 'ml' || unit === 'l') {
-      const ml = unit === 'l' ? amount * 1000 : amount;
+    if (unitType === 'volume') {
+      const ml = units.convert(amount, item.unit, 'ml').value;
       // Rough estimation: 1 container ≈ 1000ml
       return Math.max(1, Math.round(ml / 1000));
     }
@@ -1,15 +1,25 @@
 import axios from 'axios';
+import { supabase } from './supabase';
 
-const PROXY_BASE_URL = 'http://localhost:3001/api/kroger';
+// The proxy identifies the user from their Supabase session
+const authHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+  return { Authorization: `Bearer ${session.access_token}` };
+};
+
+const PROXY_BASE_URL = import.meta.env.VITE_KROGER_PROXY_URL 
+  ? `${import.meta.env.VITE_KROGER_PROXY_URL}/api/kroger`
+  : 'http://localhost:3001/api/kroger';
 
 class KrogerOAuthService {
   /**
    * Check if user is connected to Kroger
    */
-  async isConnected(userId) {
+  async isConnected() {
     try {
       const response = await axios.get(`${PROXY_BASE_URL}/oauth/status`, {
-        params: { userId },
+        headers: await authHeaders(),
       });
       return response.data.isConnected;
     } catch (error) {
@@ -21,11 +31,11 @@ class KrogerOAuthService {
   /**
    * Initialize OAuth flow - redirects user to Kroger login
    */
-  async connect(userId) {
+  async connect() {
     try {
       // Get authorization URL from backend
       const response = await axios.get(`${PROXY_BASE_URL}/oauth/init`, {
-        params: { userId },
+        headers: await authHeaders(),
       });
 
       const { authUrl } = response.data;
@@ -41,10 +51,10 @@ class KrogerOAuthService {
   /**
    * Disconnect from Kroger (revoke tokens)
    */
-  async disconnect(userId) {
+  async disconnect() {
     try {
-      await axios.post(`${PROXY_BASE_URL}/oauth/disconnect`, {
-        userId,
+      await axios.post(`${PROXY_BASE_URL}/oauth/disconnect`, {}, {
+        headers: await authHeaders(),
       });
       return true;
     } catch (error) {
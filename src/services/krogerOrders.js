@@ -2,9 +2,20 @@
 // Handles order history, spending analytics, and reordering
 
 import { supabase } from './supabase';
+import { inventoryRepository, shoppingListRepository } from './dataRepository';
+import { inventoryLotsService } from './inventoryLots';
 import axios from 'axios';
 
-const PROXY_BASE_URL = 'http://localhost:3001/api/kroger';
+// The proxy verifies the Supabase access token and takes the user from it
+const authHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+  return { Authorization: `Bearer ${session.access_token}` };
+};
+
+const PROXY_BASE_URL = import.meta.env.VITE_KROGER_PROXY_URL 
+  ? `${import.meta.env.VITE_KROGER_PROXY_URL}/api/kroger`
+  : 'http://localhost:3001/api/kroger';
 
 class KrogerOrdersService {
   /**
@@ -14,10 +25,11 @@ class KrogerOrdersService {
   async getOrderHistory(limit = 50) {
     try {
       console.log('🔍 Fetching order history...');
-      
+
       // Call proxy server for order history
       const response = await axios.get(`${PROXY_BASE_URL}/orders`, {
-        params: { limit }
+        params: { limit },
+        headers: await authHeaders()
       });
 
       if (response.data?.orders) {
@@ -60,14 +72,69 @@ class KrogerOrdersService {
     }
   }
 
+  /**
+   * Import a Kroger e-receipt export (CSV or JSON) through the proxy
+   * Returns normalized orders (not yet saved to the database)
+   */
+  async importReceipt(content, format = null) {
+    try {
+      const response = await axios.post(
+        `${PROXY_BASE_URL}/orders/import`,
+        { content, format },
+        { headers: await authHeaders() }
+      );
+
+      console.log(`✅ Imported ${response.data.importedCount} orders from receipt`);
+      return response.data.orders || [];
+    } catch (error) {
+      console.error('Error importing receipt:', error);
+
+      if (error.code === 'ERR_NETWORK') {
+        throw new Error('Cannot connect to proxy server. Make sure it is running on port 3001.');
+      }
+
+      throw new Error(error.response?.data?.details?.error || error.response?.data?.error || 'Failed to import receipt');
+    }
+  }
+
+  /**
+   * Whether an order (by Kroger / receipt order ID) is already saved
+   */
+  async isOrderSaved(orderId) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data, error } = await supabase
+      .from('order_history')
+      .select('id')
+      .eq('user_id', user.id)
+      .eq('kroger_order_id', orderId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return !!data;
+  }
+
   /**
    * Save order to local database for tracking
+   * Orders already saved (same kroger_order_id) are returned as-is
    */
   async saveOrderToDatabase(order) {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('Not authenticated');
 
+      const { data: existingOrder } = await supabase
+        .from('order_history')
+        .select('*')
+        .eq('user_id', user.id)
+        .eq('kroger_order_id', order.orderId)
+        .maybeSingle();
+
+      if (existingOrder) {
+        return existingOrder;
+      }
+
       // Save order record
       const { data: savedOrder, error: orderError } = await supabase
         .from('order_history')
@@ -103,7 +170,11 @@ class KrogerOrdersService {
           .from('order_items')
           .insert(items);
 
-        if (itemsError) throw itemsError;
+        if (itemsError) {
+          // Don't leave a half-saved order behind - it would block importing it again
+          await supabase.from('order_history').delete().eq('id', savedOrder.id);
+          throw itemsError;
+        }
       }
 
       console.log('✅ Order saved to database');
@@ -145,46 +216,28 @@ class KrogerOrdersService {
    */
   async addOrderToInventory(order) {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) throw new Error('Not authenticated');
-
       let addedCount = 0;
       let updatedCount = 0;
 
       for (const item of order.items) {
-        // Check if item already exists in inventory
-        const { data: existing } = await supabase
-          .from('inventory_items')
-          .select('*')
-          .eq('user_id', user.id)
-          .eq('name', item.name)
-          .maybeSingle();
-
-        if (existing) {
-          // Update quantity
-          const { error } = await supabase
-            .from('inventory_items')
-            .update({
-              amount: existing.amount + item.quantity,
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', existing.id);
-
-          if (!error) updatedCount++;
-        } else {
-          // Add new item
-          const { error } = await supabase
-            .from('inventory_items')
-            .insert({
-              user_id: user.id,
-              name: item.name,
-              amount: item.quantity,
-              unit: 'item',
-              category: item.category || 'Other',
-              brand_name: item.brand
-            });
-
-          if (!error) addedCount++;
+        try {
+          // Each order line is a new lot; items already in stock just get another one
+          const existing = await inventoryRepository.findByName(item.name);
+
+          await inventoryRepository.insert({
+            name: item.name,
+            amount: item.quantity,
+            unit: item.unit || 'item',
+            category: item.category || 'Other',
+            brand_name: item.brand,
+            price: item.price ?? null,
+            ...inventoryLotsService.lotFields({ ...item, amount: item.quantity }, order.orderDate || new Date())
+          });
+
+          if (existing) updatedCount++;
+          else addedCount++;
+        } catch (error) {
+          console.error(`Error adding ${item.name} to inventory:`, error);
         }
       }
 
@@ -201,11 +254,7 @@ class KrogerOrdersService {
    */
   async addOrderToShoppingList(order) {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) throw new Error('Not authenticated');
-
       const items = order.items.map(item => ({
-        user_id: user.id,
         name: item.name,
         amount: item.quantity,
         unit: 'item',
@@ -215,11 +264,7 @@ class KrogerOrdersService {
         is_purchased: false
       }));
 
-      const { error } = await supabase
-        .from('shopping_list_items')
-        .insert(items);
-
-      if (error) throw error;
+      await shoppingListRepository.insert(items);
 
       console.log(`✅ Added ${items.length} items to shopping list`);
       return items.length;
@@ -0,0 +1,111 @@
+/**
+ * Local Cache
+ * Small promise wrapper around IndexedDB for data that has to be there
+ * without a connection. Stores:
+ *   shoppingList - shopping list rows, by id
+ *   mutations    - queued changes waiting to be sent, in order (auto seq)
+ *   meta         - single values, e.g. whose data is cached
+ */
+
+const DB_NAME = 'cooker-offline';
+const DB_VERSION = 1;
+
+export const STORES = {
+  SHOPPING_LIST: 'shoppingList',
+  MUTATIONS: 'mutations',
+  META: 'meta',
+};
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.SHOPPING_LIST)) {
+          db.createObjectStore(STORES.SHOPPING_LIST, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(STORES.MUTATIONS)) {
+          db.createObjectStore(STORES.MUTATIONS, { keyPath: 'seq', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(STORES.META)) {
+          db.createObjectStore(STORES.META);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn(store) in a transaction and resolve once it has committed
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(fn(transaction.objectStore(storeName)))
+      .then(value => { result = value; })
+      .catch(reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const localCache = {
+  async getAll(storeName) {
+    return withStore(storeName, 'readonly', store => requestToPromise(store.getAll()));
+  },
+
+  async get(storeName, key) {
+    return withStore(storeName, 'readonly', store => requestToPromise(store.get(key)));
+  },
+
+  /**
+   * Write one value or an array of values. For keyPath stores the key comes
+   * from the value; for meta pass the key.
+   */
+  async put(storeName, values, key) {
+    return withStore(storeName, 'readwrite', store => {
+      if (key !== undefined) return requestToPromise(store.put(values, key));
+      return Promise.all((Array.isArray(values) ? values : [values]).map(value => requestToPromise(store.put(value))));
+    });
+  },
+
+  async remove(storeName, keys) {
+    return withStore(storeName, 'readwrite', store =>
+      Promise.all((Array.isArray(keys) ? keys : [keys]).map(key => requestToPromise(store.delete(key))))
+    );
+  },
+
+  /**
+   * Replace everything in a store
+   */
+  async replaceAll(storeName, values) {
+    return withStore(storeName, 'readwrite', store => {
+      store.clear();
+      return Promise.all(values.map(value => requestToPromise(store.put(value))));
+    });
+  },
+
+  async clear(storeName) {
+    return withStore(storeName, 'readwrite', store => requestToPromise(store.clear()));
+  },
+};
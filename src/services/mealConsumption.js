@@ -0,0 +1,148 @@
+import { supabase } from './supabase';
+import { householdScalingService } from './householdScaling';
+import { ingredientMatcher } from './ingredientMatcher';
+import { inventoryLotsService } from './inventoryLots';
+import { shoppingListService } from './shoppingList';
+import { units, CONVERSION } from './units';
+
+/**
+ * Meal Consumption
+ * Takes a cooked meal's ingredients out of inventory. A plan is worked out
+ * first (nothing saved) so the user can review the before/after amounts;
+ * applying it uses up the oldest lots, and the same plan undoes it.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Total of a stock item's lots, in the stock item's unit
+const stockAmount = (stockItem, lots) => lots.reduce((total, lot) => {
+  const converted = units.convert(lot.amount, lot.unit, stockItem.unit, stockItem.name);
+  return converted.status === CONVERSION.IMPOSSIBLE ? total : total + converted.value;
+}, 0);
+
+export const mealConsumptionService = {
+  /**
+   * What cooking a scheduled meal would take out of inventory.
+   * Returns { meal, lines, ranOut } where each line is
+   * { ingredient, amount, unit, stockItem, plan, before, after, status }
+   * and status is 'deduct', 'short' (not enough), 'missing' (not in
+   * inventory) or 'unconvertible' (units can't be compared).
+   */
+  async planMeal(meal) {
+    const { data: ingredients, error } = await supabase
+      .from('recipe_ingredients')
+      .select('*')
+      .eq('recipe_id', meal.recipe_id);
+
+    if (error) throw error;
+
+    const household = await householdScalingService.getHousehold();
+    const factor = householdScalingService.getScaleFactor(
+      meal.recipes,
+      householdScalingService.getTargetServings(meal, household)
+    );
+
+    // Working copy, so two ingredients drawing on the same item don't both count its lots
+    const stock = (await inventoryLotsService.getStock()).map(item => ({
+      ...item,
+      lots: item.lots.map(lot => ({ ...lot })),
+    }));
+
+    const lines = (ingredients || []).map(ingredient => {
+      const amount = round((units.parseQuantity(ingredient.amount) || 0) * factor);
+      const line = { ingredient, amount, unit: ingredient.unit, stockItem: null, plan: null, before: null, after: null };
+
+      const stockItem = ingredientMatcher.findBestMatch(ingredient.name, stock)?.item || null;
+      if (!stockItem) return { ...line, status: 'missing' };
+
+      const before = stockAmount(stockItem, stockItem.lots);
+      const plan = inventoryLotsService.planConsumption(stockItem, amount, ingredient.unit);
+
+      if (plan.changes.length === 0 && plan.skipped.length > 0) {
+        return { ...line, stockItem, plan, before: round(before), after: round(before), status: 'unconvertible' };
+      }
+
+      plan.changes.forEach(change => {
+        stockItem.lots.find(lot => lot.id === change.lot.id).amount = change.after;
+      });
+      const after = stockAmount(stockItem, stockItem.lots);
+
+      return {
+        ...line,
+        stockItem,
+        plan,
+        before: round(before),
+        after: round(after),
+        status: plan.shortfall > 0 ? 'short' : 'deduct',
+      };
+    });
+
+    // Items this meal finishes off, once per stock item
+    const ranOut = [...new Map(
+      lines
+        .filter(line => line.stockItem && line.plan?.changes.length > 0 && line.after <= 0)
+        .map(line => [line.stockItem.id, line.stockItem])
+    ).values()];
+
+    return { meal, lines, ranOut };
+  },
+
+  /**
+   * Save a plan from planMeal. If a lot fails to save, the lots already
+   * changed are put back before the error is rethrown.
+   */
+  async apply(mealPlan) {
+    const applied = [];
+    try {
+      for (const line of mealPlan.lines) {
+        for (const change of line.plan?.changes || []) {
+          await inventoryLotsService.applyConsumption({ changes: [change] });
+          applied.push(change);
+        }
+      }
+    } catch (error) {
+      if (applied.length > 0) {
+        await inventoryLotsService.restoreConsumption({ changes: applied.reverse() });
+        console.log(`↩️ Rolled back ${applied.length} lot change(s) for ${mealPlan.meal.recipes?.name}`);
+      }
+      throw error;
+    }
+    console.log(`✅ Deducted ${mealPlan.lines.filter(l => l.plan?.changes.length).length} ingredients for ${mealPlan.meal.recipes?.name}`);
+    return mealPlan;
+  },
+
+  /**
+   * Put everything a saved plan took back into inventory
+   */
+  async undo(mealPlan) {
+    // Reverse order, so a lot touched by two lines ends up at its original amount
+    for (const line of [...mealPlan.lines].reverse()) {
+      if (line.plan?.changes.length) {
+        await inventoryLotsService.restoreConsumption({ changes: [...line.plan.changes].reverse() });
+      }
+    }
+    console.log(`↩️ Restored inventory for ${mealPlan.meal.recipes?.name}`);
+  },
+
+  /**
+   * Put items that ran out on the shopping list, in the amount last bought
+   */
+  async addRanOutToShoppingList(stockItems, mealName) {
+    if (stockItems.length === 0) return [];
+
+    const items = stockItems.map(stockItem => {
+      const lastLot = stockItem.lots[stockItem.lots.length - 1];
+      return {
+        name: stockItem.name,
+        amount: lastLot?.originalAmount || 1,
+        unit: lastLot?.unit || stockItem.unit,
+        category: stockItem.category || 'Other',
+        brand_name: stockItem.brand_name || null,
+        notes: mealName ? `Ran out making ${mealName}` : 'Ran out',
+        is_purchased: false,
+      };
+    });
+
+    return shoppingListService.addItem(items);
+  },
+};
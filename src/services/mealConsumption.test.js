@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { mealConsumptionService } from './mealConsumption';
+
+// Recipe ingredients, inventory rows and the writes made to them
+const fake = vi.hoisted(() => ({
+  ingredients: [],
+  inventory: [],
+  writes: [],
+  failOnWrite: null,
+}));
+
+const record = (write) => {
+  fake.writes.push(write);
+  if (fake.writes.length === fake.failOnWrite) throw new Error('Network error');
+};
+
+vi.mock('./supabase', () => ({
+  supabase: {
+    from: () => ({
+      select: () => ({
+        eq: async () => ({ data: fake.ingredients, error: null }),
+      }),
+    }),
+  },
+}));
+
+vi.mock('./dataRepository', () => ({
+  inventoryRepository: {
+    async list() {
+      return fake.inventory;
+    },
+    async update(id, updates) {
+      record(['update', id, updates.amount]);
+      return { id, ...updates };
+    },
+    async remove(id) {
+      record(['remove', id]);
+    },
+    async insert(row) {
+      record(['insert', row.id, row.amount]);
+      return row;
+    },
+  },
+}));
+
+vi.mock('./userPreferences', () => ({
+  userPreferencesService: {
+    getPreferences: async () => ({ household_size: 2 }),
+  },
+}));
+
+vi.mock('./shoppingList', () => ({
+  shoppingListService: {
+    addItem: async (items) => items,
+  },
+}));
+
+// A 4-serving recipe cooked for 2, so every amount is halved
+const meal = { id: 'meal-1', recipe_id: 'recipe-1', servings: 2, recipes: { name: 'Pancakes', servings: 4 } };
+
+beforeEach(() => {
+  Object.assign(fake, {
+    ingredients: [
+      { id: 'i1', name: 'flour', amount: 600, unit: 'g' },
+      { id: 'i2', name: 'milk', amount: 1, unit: 'l' },
+      { id: 'i3', name: 'saffron', amount: 1, unit: 'g' },
+    ],
+    inventory: [
+      { id: 'flour-new', name: 'Flour', amount: 200, unit: 'g', purchased_at: '2026-10-10T00:00:00Z' },
+      { id: 'flour-old', name: 'Flour', amount: 200, unit: 'g', purchased_at: '2026-10-01T00:00:00Z' },
+      { id: 'milk', name: 'Milk', amount: 1, unit: 'l', purchased_at: '2026-10-05T00:00:00Z' },
+    ],
+    writes: [],
+    failOnWrite: null,
+  });
+});
+
+describe('mealConsumptionService.planMeal', () => {
+  it('plans each ingredient against the oldest lots, scaled to the meal', async () => {
+    const plan = await mealConsumptionService.planMeal(meal);
+    const [flour, milk, saffron] = plan.lines;
+
+    expect(flour).toEqual(expect.objectContaining({ amount: 300, before: 400, after: 100, status: 'deduct' }));
+    expect(flour.plan.changes.map(change => [change.lot.id, change.after])).toEqual([['flour-old', 0], ['flour-new', 100]]);
+    expect(milk).toEqual(expect.objectContaining({ amount: 0.5, before: 1, after: 0.5, status: 'deduct' }));
+    expect(saffron.status).toBe('missing');
+    expect(plan.ranOut).toEqual([]);
+    expect(fake.writes).toEqual([]);
+  });
+});
+
+describe('mealConsumptionService.apply', () => {
+  it('saves every lot change', async () => {
+    await mealConsumptionService.apply(await mealConsumptionService.planMeal(meal));
+
+    expect(fake.writes).toEqual([
+      ['remove', 'flour-old'],
+      ['update', 'flour-new', 100],
+      ['update', 'milk', 0.5],
+    ]);
+  });
+
+  it('puts back the lots already changed when a later write fails', async () => {
+    const plan = await mealConsumptionService.planMeal(meal);
+    fake.failOnWrite = 2;
+
+    await expect(mealConsumptionService.apply(plan)).rejects.toThrow('Network error');
+
+    // The first lot was deleted, the second write failed, then the first is re-created
+    expect(fake.writes).toEqual([
+      ['remove', 'flour-old'],
+      ['update', 'flour-new', 100],
+      ['insert', 'flour-old', 200],
+    ]);
+  });
+});
+
+describe('mealConsumptionService.undo', () => {
+  it('restores every lot to its amount before the meal, last change first', async () => {
+    const plan = await mealConsumptionService.apply(await mealConsumptionService.planMeal(meal));
+    fake.writes = [];
+
+    await mealConsumptionService.undo(plan);
+
+    expect(fake.writes).toEqual([
+      ['update', 'milk', 1],
+      ['update', 'flour-new', 200],
+      ['insert', 'flour-old', 200],
+    ]);
+  });
+});
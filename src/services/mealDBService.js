@@ -1,6 +1,12 @@
 // MealDB Premium API v2 Service
 // API Key: 65232507
 
+import { units } from './units';
+import { recipeNutritionService } from './recipeNutrition';
+
+// MealDB doesn't give a yield; imported recipes assume this many servings
+export const MEALDB_DEFAULT_SERVINGS = 4;
+
 const MEALDB_API_KEY = '65232507';
 const MEALDB_BASE_URL = `https://www.themealdb.com/api/json/v2/${MEALDB_API_KEY}`;
 
@@ -287,22 +293,12 @@ export const mealDBService = {
    * RECIPE IMPORT TO LOCAL DATABASE
    */
 
-  // Convert MealDB recipe to app format
-  convertToAppRecipe(mealDBRecipe) {
-    // Parse ingredients into structured format
-    const ingredients = mealDBRecipe.ingredients.map(ing => {
-      // Try to parse measure into amount and unit
-      const measureParts = this.parseMeasure(ing.measure);
-      
-      return {
-        name: ing.name,
-        amount: measureParts.amount,
-        unit: measureParts.unit,
-      };
-    });
-
-    // Calculate estimated nutrition (you can enhance this with USDA lookup)
-    const nutrition = this.estimateNutrition(ingredients);
+  // Convert MealDB recipe to app format, with nutrition computed from USDA
+  // Ingredients carry their per-ingredient nutrition (see recipeNutritionService.toIngredientRow)
+  async convertToAppRecipe(mealDBRecipe) {
+    const servings = MEALDB_DEFAULT_SERVINGS;
+    const nutrition = await this.estimateNutrition(mealDBRecipe.ingredients, servings);
+    const ingredients = nutrition.breakdown.map(row => recipeNutritionService.toIngredientRow(row));
 
     return {
       name: mealDBRecipe.name,
@@ -311,13 +307,10 @@ export const mealDBService = {
       category: mealDBRecipe.category,
       difficulty: 'Medium', // Default, can be customized
       cooking_time: this.estimateCookingTime(mealDBRecipe.instructions),
-      servings: 4, // Default, can be customized
+      servings, // Default, can be customized
       instructions: mealDBRecipe.instructions,
       ingredients: ingredients,
-      total_calories: nutrition.calories,
-      total_protein: nutrition.protein,
-      total_carbs: nutrition.carbs,
-      total_fat: nutrition.fat,
+      ...recipeNutritionService.toRecipeColumns(nutrition),
       source: 'MealDB',
       source_id: mealDBRecipe.id,
       source_url: mealDBRecipe.source,
@@ -327,69 +320,9 @@ export const mealDBService = {
     };
   },
 
-  // Parse measurement string into amount and unit
+  // Parse measurement string into amount and unit ("1 1/2 cups" -> 1.5 cup)
   parseMeasure(measureStr) {
-    if (!measureStr || !measureStr.trim()) {
-      return { amount: 1, unit: 'item' };
-    }
-
-    const measure = measureStr.trim();
-    
-    // Try to extract number
-    const numberMatch = measure.match(/^([\d.\/\s]+)/);
-    let amount = 1;
-    let unit = measure;
-
-    if (numberMatch) {
-      const numStr = numberMatch[1].trim();
-      
-      // Handle fractions like "1/2"
-      if (numStr.includes('/')) {
-        const parts = numStr.split('/').map(p => parseFloat(p.trim()));
-        amount = parts[0] / parts[1];
-      } else {
-        amount = parseFloat(numStr) || 1;
-      }
-
-      // Extract unit (everything after the number)
-      unit = measure.replace(numberMatch[0], '').trim();
-    }
-
-    // Normalize units
-    unit = this.normalizeUnit(unit || 'item');
-
-    return { amount, unit };
-  },
-
-  // Normalize unit names
-  normalizeUnit(unit) {
-    const unitMap = {
-      'tsp': 'tsp',
-      'teaspoon': 'tsp',
-      'teaspoons': 'tsp',
-      'tbsp': 'tbsp',
-      'tablespoon': 'tbsp',
-      'tablespoons': 'tbsp',
-      'cup': 'cup',
-      'cups': 'cup',
-      'ml': 'ml',
-      'g': 'g',
-      'gram': 'g',
-      'grams': 'g',
-      'kg': 'kg',
-      'oz': 'oz',
-      'ounce': 'oz',
-      'ounces': 'oz',
-      'lb': 'lb',
-      'pound': 'lb',
-      'pounds': 'lb',
-      'l': 'l',
-      'liter': 'l',
-      'liters': 'l',
-    };
-
-    const lowerUnit = unit.toLowerCase();
-    return unitMap[lowerUnit] || unit;
+    return units.parseMeasure(measureStr);
   },
 
   // Estimate cooking time from instructions
@@ -422,16 +355,13 @@ export const mealDBService = {
     return 60;
   },
 
-  // Estimate nutrition (basic - can be enhanced with USDA lookup)
-  estimateNutrition(ingredients) {
-    // This is a very basic estimation
-    // For accurate nutrition, you should look up each ingredient in USDA database
-    return {
-      calories: 400, // Default estimate
-      protein: 25,
-      carbs: 40,
-      fat: 15,
-    };
+  // Per-serving nutrition from the ingredient measures, looked up in USDA
+  // Returns { perServing, total, servingGrams, breakdown, unresolved }
+  async estimateNutrition(ingredients, servings = MEALDB_DEFAULT_SERVINGS) {
+    return recipeNutritionService.computeRecipeNutrition(
+      (ingredients || []).map(ing => ({ name: ing.name, ...this.parseMeasure(ing.measure) })),
+      servings
+    );
   },
 };
 
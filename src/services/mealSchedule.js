@@ -1,4 +1,33 @@
 import { supabase } from './supabase';
+import { householdScalingService } from './householdScaling';
+import { units, CONVERSION } from './units';
+import { netNeedsService } from './netNeeds';
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat'];
+
+// Attach each meal's scaled nutrition as meal.nutrition so views don't redo the math
+const withMealNutrition = async (meals) => {
+  const household = await householdScalingService.getHousehold();
+  return (meals || []).map(meal => ({
+    ...meal,
+    nutrition: meal.recipes ? householdScalingService.getMealNutrition(meal, meal.recipes, household) : null,
+  }));
+};
+
+const sumNutrition = (meals) => {
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+  meals.forEach(meal => {
+    if (!meal.nutrition) return;
+    NUTRIENTS.forEach(nutrient => { totals[nutrient] += meal.nutrition[nutrient]; });
+  });
+  return totals;
+};
+
+const roundNutrition = (totals, divisor = 1) => {
+  const rounded = {};
+  NUTRIENTS.forEach(nutrient => { rounded[nutrient] = Math.round(totals[nutrient] / divisor); });
+  return rounded;
+};
 
 export const mealScheduleService = {
   // Get meals for a specific week
@@ -15,6 +44,7 @@ export const mealScheduleService = {
           total_protein,
           total_carbs,
           total_fat,
+          servings,
           cooking_time,
           difficulty,
           cuisine
@@ -25,7 +55,7 @@ export const mealScheduleService = {
       .order('scheduled_date', { ascending: true });
 
     if (error) throw error;
-    return data;
+    return withMealNutrition(data);
   },
 
   // Add meal to schedule
@@ -73,54 +103,33 @@ export const mealScheduleService = {
   // Get week nutrition summary
   async getWeekNutritionSummary(startDate, endDate) {
     const meals = await this.getWeekSchedule(startDate, endDate);
-    
-    let totalCalories = 0;
-    let totalProtein = 0;
-    let totalCarbs = 0;
-    let totalFat = 0;
-
-    meals.forEach(meal => {
-      if (meal.recipes) {
-        const servings = meal.servings || 1;
-        totalCalories += (meal.recipes.total_calories || 0) * servings;
-        totalProtein += (meal.recipes.total_protein || 0) * servings;
-        totalCarbs += (meal.recipes.total_carbs || 0) * servings;
-        totalFat += (meal.recipes.total_fat || 0) * servings;
-      }
-    });
+    const totals = sumNutrition(meals);
 
     const days = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)) + 1;
 
     return {
-      total: {
-        calories: Math.round(totalCalories),
-        protein: Math.round(totalProtein),
-        carbs: Math.round(totalCarbs),
-        fat: Math.round(totalFat),
-      },
-      daily: {
-        calories: Math.round(totalCalories / days),
-        protein: Math.round(totalProtein / days),
-        carbs: Math.round(totalCarbs / days),
-        fat: Math.round(totalFat / days),
-      },
+      total: roundNutrition(totals),
+      daily: roundNutrition(totals, days),
       totalMeals: meals.length,
     };
   },
 
   // Generate shopping list from meal plan
+  // Each meal's ingredients are scaled to its servings, so a recipe planned
+  // twice (or for more people) needs more. What's in the pantry or already on
+  // the list is subtracted (see netNeedsService); returns { lines, covered }
+  // where each line lists the meals that need it.
   async generateShoppingList(startDate, endDate) {
-    const meals = await this.getWeekSchedule(startDate, endDate);
-    
-    // Get all recipe ingredients
-    const recipeIds = meals
-      .filter(m => m.recipe_id)
-      .map(m => m.recipe_id);
-
-    if (recipeIds.length === 0) {
-      return [];
+    // Completed meals have already been taken out of the pantry
+    const meals = (await this.getWeekSchedule(startDate, endDate))
+      .filter(m => m.recipe_id && m.recipes && !m.is_completed);
+
+    if (meals.length === 0) {
+      return { lines: [], covered: [] };
     }
 
+    const recipeIds = [...new Set(meals.map(m => m.recipe_id))];
+
     const { data: ingredients, error } = await supabase
       .from('recipe_ingredients')
       .select('*')
@@ -128,30 +137,53 @@ export const mealScheduleService = {
 
     if (error) throw error;
 
-    // Aggregate ingredients
-    const aggregated = {};
-    
+    const ingredientsByRecipe = {};
     ingredients.forEach(ing => {
-      const key = ing.name.toLowerCase();
-      if (!aggregated[key]) {
-        aggregated[key] = {
-          name: ing.name,
-          amount: 0,
-          unit: ing.unit,
-          calories: 0,
-          protein: 0,
-          carbs: 0,
-          fat: 0,
-        };
-      }
-      aggregated[key].amount += ing.amount || 0;
-      aggregated[key].calories += ing.calories || 0;
-      aggregated[key].protein += ing.protein || 0;
-      aggregated[key].carbs += ing.carbs || 0;
-      aggregated[key].fat += ing.fat || 0;
+      (ingredientsByRecipe[ing.recipe_id] ||= []).push(ing);
     });
 
-    return Object.values(aggregated);
+    const household = await householdScalingService.getHousehold();
+
+    // Aggregate ingredients by name; amounts are converted to the first unit
+    // seen when possible, otherwise kept on a separate line for that unit
+    const aggregated = {};
+
+    meals.forEach(meal => {
+      const factor = householdScalingService.getScaleFactor(
+        meal.recipes,
+        householdScalingService.getTargetServings(meal, household)
+      );
+
+      (ingredientsByRecipe[meal.recipe_id] || []).forEach(ing => {
+        const name = ing.name.toLowerCase();
+        const amount = (units.parseQuantity(ing.amount) || 0) * factor;
+
+        let entry = Object.values(aggregated).find(item =>
+          item.key === name && units.convert(amount, ing.unit, item.unit, ing.name).status !== CONVERSION.IMPOSSIBLE
+        );
+
+        if (!entry) {
+          entry = {
+            key: name,
+            name: ing.name,
+            amount: 0,
+            unit: ing.unit,
+            calories: 0,
+            protein: 0,
+            carbs: 0,
+            fat: 0,
+            meals: [],
+          };
+          aggregated[`${name}|${units.normalizeUnit(ing.unit)}`] = entry;
+        }
+
+        entry.amount += units.convert(amount, ing.unit, entry.unit, ing.name).value ?? amount;
+        NUTRIENTS.forEach(nutrient => { entry[nutrient] += (ing[nutrient] || 0) * factor; });
+        if (!entry.meals.some(m => m.id === meal.id)) entry.meals.push(netNeedsService.describeMeal(meal));
+      });
+    });
+
+    return netNeedsService.subtractOnHand(Object.values(aggregated).map(({ key, ...item }) => item));
   },
   // Mark meal as completed/consumed
   async completeMeal(id) {
@@ -170,7 +202,8 @@ export const mealScheduleService = {
         total_calories,
         total_protein,
         total_carbs,
-        total_fat
+        total_fat,
+        servings
       )
     `)
     .maybeSingle();
@@ -179,6 +212,22 @@ export const mealScheduleService = {
   return data;
 },
 
+  // Undo completeMeal
+  async uncompleteMeal(id) {
+    const { data, error } = await supabase
+      .from('meal_schedule')
+      .update({
+        is_completed: false,
+        completed_at: null
+      })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
   // Get nutrition summary for consumed meals
  async getConsumedMealsSummary(days = 7) {
   const endDate = new Date();
@@ -197,6 +246,7 @@ export const mealScheduleService = {
         total_protein,
         total_carbs,
         total_fat,
+        servings,
         cuisine,
         difficulty
       )
@@ -211,40 +261,20 @@ export const mealScheduleService = {
     throw error;
   }
 
-  // Calculate totals
-  let totalCalories = 0;
-  let totalProtein = 0;
-  let totalCarbs = 0;
-  let totalFat = 0;
-
-  const validMeals = data.filter(meal => meal.recipes); // Only count meals with recipe data
-
-  validMeals.forEach(meal => {
-    const servings = meal.servings || 1;
-    totalCalories += (meal.recipes.total_calories || 0) * servings;
-    totalProtein += (meal.recipes.total_protein || 0) * servings;
-    totalCarbs += (meal.recipes.total_carbs || 0) * servings;
-    totalFat += (meal.recipes.total_fat || 0) * servings;
-  });
+  // Only count meals with recipe data
+  const validMeals = await withMealNutrition(data.filter(meal => meal.recipes));
+  const totals = sumNutrition(validMeals);
+  const household = await householdScalingService.getHousehold();
 
   return {
     meals: validMeals,
     summary: {
       totalMeals: validMeals.length,
       days: days,
-      total: {
-        calories: Math.round(totalCalories),
-        protein: Math.round(totalProtein),
-        carbs: Math.round(totalCarbs),
-        fat: Math.round(totalFat),
-      },
-      daily: {
-        calories: Math.round(totalCalories / days),
-        protein: Math.round(totalProtein / days),
-        carbs: Math.round(totalCarbs / days),
-        fat: Math.round(totalFat / days),
-      },
+      total: roundNutrition(totals),
+      daily: roundNutrition(totals, days),
     },
+    perPerson: householdScalingService.getPersonIntake(validMeals, household, days),
   };
 },
 
@@ -262,7 +292,8 @@ export const mealScheduleService = {
           total_calories,
           total_protein,
           total_carbs,
-          total_fat
+          total_fat,
+          servings
         )
       `)
       .eq('is_completed', true)
@@ -274,7 +305,7 @@ export const mealScheduleService = {
 
     // Group by date
     const byDate = {};
-    data.forEach(meal => {
+    (await withMealNutrition(data)).forEach(meal => {
       const date = meal.scheduled_date;
       if (!byDate[date]) {
         byDate[date] = {
@@ -286,12 +317,8 @@ export const mealScheduleService = {
           meals: 0,
         };
       }
-      if (meal.recipes) {
-        const servings = meal.servings || 1;
-        byDate[date].calories += (meal.recipes.total_calories || 0) * servings;
-        byDate[date].protein += (meal.recipes.total_protein || 0) * servings;
-        byDate[date].carbs += (meal.recipes.total_carbs || 0) * servings;
-        byDate[date].fat += (meal.recipes.total_fat || 0) * servings;
+      if (meal.nutrition) {
+        NUTRIENTS.forEach(nutrient => { byDate[date][nutrient] += meal.nutrition[nutrient]; });
         byDate[date].meals += 1;
       }
     });
@@ -0,0 +1,144 @@
+import { inventoryRepository, shoppingListRepository } from './dataRepository';
+import { ingredientMatcher, DEFAULT_MIN_CONFIDENCE } from './ingredientMatcher';
+import { householdScalingService } from './householdScaling';
+import { units, CONVERSION } from './units';
+
+/**
+ * Net Needs
+ * What a meal plan still needs bought: the demand for each ingredient minus
+ * what's in the pantry minus what's already on the shopping list (not yet
+ * purchased), converted to the demand's unit. Each pantry lot and list item
+ * is only counted once, so "milk" and "whole milk" can't both claim the same
+ * carton. Stock in a unit we can't convert from isn't subtracted - better to
+ * buy one too many than to come home without.
+ */
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat'];
+
+// Amounts closer to zero than this are covered (float leftovers from conversions)
+const EPSILON = 0.0001;
+
+const WEEKDAY_FORMAT = { weekday: 'short' };
+
+export const netNeedsService = {
+  /**
+   * A scheduled meal as shown next to the lines it needs: { id, name, date, mealType }
+   */
+  describeMeal(meal) {
+    return {
+      id: meal.id,
+      name: meal.recipes?.name || 'Meal',
+      date: meal.scheduled_date || null,
+      mealType: meal.meal_type || null,
+    };
+  },
+
+  /**
+   * "Tacos (Mon dinner), Chili (Wed lunch)"
+   */
+  formatMeals(meals) {
+    return (meals || []).map(meal => {
+      const when = [
+        meal.date && new Date(`${meal.date}T00:00:00`).toLocaleDateString('en-US', WEEKDAY_FORMAT),
+        meal.mealType,
+      ].filter(Boolean).join(' ');
+      return when ? `${meal.name} (${when})` : meal.name;
+    }).join(', ');
+  },
+
+  /**
+   * Shopping list note for a generated line: which meals need it and what
+   * was already covered
+   */
+  describeLine(line) {
+    const parts = [`For ${this.formatMeals(line.meals)}`];
+    if (line.inPantry > 0) parts.push(`${line.inPantry} ${line.unit} in pantry`);
+    if (line.onList > 0) parts.push(`${line.onList} ${line.unit} already listed`);
+    return parts.join(' - ');
+  },
+
+  /**
+   * Subtract the current pantry and shopping list from demand lines
+   * ({ name, amount, unit, meals, ...nutrition }). Loads both, then see calculate.
+   */
+  async subtractOnHand(demand) {
+    if (demand.length === 0) return { lines: [], covered: [] };
+
+    const [inventoryRows, listRows] = await Promise.all([
+      inventoryRepository.list(),
+      shoppingListRepository.list({ purchased: false }),
+    ]);
+
+    return this.calculate(demand, inventoryRows, listRows.filter(row => !row.is_archived));
+  },
+
+  /**
+   * Net needs from demand lines, inventory rows (lots) and unpurchased list rows.
+   * Returns { lines, covered }: lines still to buy with amount (net), needed
+   * (gross), inPantry, onList and meals; covered are the demand lines that
+   * need nothing bought. Nutrition is scaled to the net amount.
+   */
+  calculate(demand, inventoryRows, listRows) {
+    const remaining = new Map();
+    const pantry = inventoryRows.map(row => ({ ...row, poolKey: `inventory:${row.id}` }));
+    const listed = listRows.map(row => ({ ...row, poolKey: `list:${row.id}` }));
+    [...pantry, ...listed].forEach(entry => remaining.set(entry.poolKey, units.parseQuantity(entry.amount) || 0));
+
+    // Take up to `needed` (in the line's unit) from matching entries, best match first
+    const takeFrom = (entries, line, needed) => {
+      let taken = 0;
+      for (const { item } of ingredientMatcher.findMatches(line.name, entries)) {
+        if (needed - taken <= EPSILON) break;
+
+        const available = remaining.get(item.poolKey);
+        if (available <= EPSILON) continue;
+
+        const converted = units.convert(available, item.unit || 'item', line.unit, line.name);
+        if (converted.status === CONVERSION.IMPOSSIBLE || !converted.value) continue;
+
+        const use = Math.min(converted.value, needed - taken);
+        taken += use;
+        remaining.set(item.poolKey, available * (1 - use / converted.value));
+      }
+      return taken;
+    };
+
+    const lines = [];
+    const covered = [];
+
+    demand.forEach(line => {
+      const needed = units.parseQuantity(line.amount) || 0;
+      const inPantry = takeFrom(pantry, line, needed);
+      const onList = takeFrom(listed, line, needed - inPantry);
+      const net = needed - inPantry - onList;
+
+      const result = {
+        ...line,
+        needed: householdScalingService.roundAmount(needed, line.unit),
+        inPantry: Math.round(inPantry * 100) / 100,
+        onList: Math.round(onList * 100) / 100,
+        amount: net > EPSILON ? householdScalingService.roundAmount(net, line.unit) : 0,
+      };
+
+      // No amount to subtract from ("salt, to taste"): covered by having any at all
+      if (needed === 0) {
+        const inStock = [...pantry, ...listed].some(entry => remaining.get(entry.poolKey) > EPSILON &&
+          ingredientMatcher.score(line.name, entry.name, entry.brand_name) >= DEFAULT_MIN_CONFIDENCE);
+        (inStock ? covered : lines).push({ ...result, amount: line.amount });
+        return;
+      }
+
+      if (net <= EPSILON) {
+        covered.push(result);
+        return;
+      }
+
+      NUTRIENTS.forEach(nutrient => {
+        if (line[nutrient] !== undefined) result[nutrient] = (line[nutrient] || 0) * (net / needed);
+      });
+      lines.push(result);
+    });
+
+    return { lines, covered };
+  },
+};
@@ -0,0 +1,83 @@
+import { describe, it, expect, vi } from 'vitest';
+import { netNeedsService } from './netNeeds';
+
+vi.mock('./dataRepository', () => ({
+  inventoryRepository: { list: async () => [] },
+  shoppingListRepository: { list: async () => [] },
+}));
+
+vi.mock('./userPreferences', () => ({
+  userPreferencesService: { getPreferences: async () => ({}) },
+}));
+
+const tacos = { id: 'meal-1', name: 'Tacos', date: '2026-10-19', mealType: 'dinner' };
+
+describe('netNeedsService.calculate', () => {
+  it('subtracts the pantry, then the list, in the demand\'s unit', () => {
+    const { lines, covered } = netNeedsService.calculate(
+      [{ name: 'milk', amount: 2, unit: 'l', meals: [tacos] }],
+      [{ id: 'p1', name: 'Milk', amount: 500, unit: 'ml' }],
+      [{ id: 'l1', name: 'Milk', amount: 1, unit: 'l' }]
+    );
+
+    expect(covered).toEqual([]);
+    expect(lines).toEqual([expect.objectContaining({ name: 'milk', needed: 2, inPantry: 0.5, onList: 1, amount: 0.5 })]);
+  });
+
+  it('counts each pantry lot only once across demand lines', () => {
+    const { lines, covered } = netNeedsService.calculate(
+      [
+        { name: 'milk', amount: 1, unit: 'l', meals: [tacos] },
+        { name: 'milk', amount: 1, unit: 'l', meals: [tacos] },
+      ],
+      [{ id: 'p1', name: 'Milk', amount: 1.5, unit: 'l' }],
+      []
+    );
+
+    expect(covered).toHaveLength(1);
+    expect(lines).toEqual([expect.objectContaining({ inPantry: 0.5, amount: 0.5 })]);
+  });
+
+  it('doesn\'t subtract stock in a unit it can\'t convert from', () => {
+    const { lines } = netNeedsService.calculate(
+      [{ name: 'widget', amount: 2, unit: 'kg', meals: [tacos] }],
+      [{ id: 'p1', name: 'Widget', amount: 5, unit: 'item' }],
+      []
+    );
+
+    expect(lines).toEqual([expect.objectContaining({ inPantry: 0, amount: 2 })]);
+  });
+
+  it('covers an amountless ingredient when any is on hand', () => {
+    const { lines, covered } = netNeedsService.calculate(
+      [
+        { name: 'salt', amount: 'to taste', unit: '', meals: [tacos] },
+        { name: 'pepper', amount: 'to taste', unit: '', meals: [tacos] },
+      ],
+      [{ id: 'p1', name: 'Salt', amount: 1, unit: 'item' }],
+      []
+    );
+
+    expect(covered.map(line => line.name)).toEqual(['salt']);
+    expect(lines.map(line => line.name)).toEqual(['pepper']);
+  });
+
+  it('scales nutrition to the net amount', () => {
+    const { lines } = netNeedsService.calculate(
+      [{ name: 'rice', amount: 400, unit: 'g', calories: 1400, protein: 28, meals: [tacos] }],
+      [{ id: 'p1', name: 'Rice', amount: 300, unit: 'g' }],
+      []
+    );
+
+    expect(lines[0].amount).toBe(100);
+    expect(lines[0].calories).toBeCloseTo(350);
+    expect(lines[0].protein).toBeCloseTo(7);
+  });
+});
+
+describe('netNeedsService.describeLine', () => {
+  it('names the meals and what was already covered', () => {
+    expect(netNeedsService.describeLine({ meals: [tacos], unit: 'l', inPantry: 0.5, onList: 1 }))
+      .toBe('For Tacos (Mon dinner) - 0.5 l in pantry - 1 l already listed');
+  });
+});
@@ -0,0 +1,332 @@
+import { supabase } from './supabase';
+import { usdaService } from './usda';
+import { ingredientMatcher } from './ingredientMatcher';
+
+/**
+ * Nutrition Cache
+ * Remembers USDA matches so the same ingredient isn't searched again on every
+ * shopping list, recipe and product lookup. Entries live in memory for the
+ * session and in the nutrition_cache table across sessions, keyed by:
+ *   name:<normalized ingredient name>   the food picked for that name
+ *   upc:<upc>                           the food matched to a Kroger product
+ *   fdc:<fdcId>                         a USDA food by id
+ * A null food is a remembered "no match". Pinned entries are corrections the
+ * user chose; they never expire and are never overwritten by automatic lookups.
+ */
+
+const CACHE_TABLE = 'nutrition_cache';
+
+const DAY = 24 * 60 * 60 * 1000;
+export const CACHE_TTL = {
+  name: 30 * DAY,
+  upc: 30 * DAY,
+  fdc: 90 * DAY,
+  miss: 1 * DAY, // Retry "no match" sooner - USDA adds foods, and searches fail transiently
+};
+
+// Parallel USDA searches in a batch; the API rate-limits bursts
+const LOOKUP_CONCURRENCY = 3;
+
+// Generic foods report nutrients per 100 g and describe plain ingredients;
+// branded products are only used when nothing generic matches
+const GENERIC_DATA_TYPES = ['Foundation', 'SR Legacy', 'Survey (FNDDS)'];
+
+// Entries for the signed-in user only - emptied whenever a different user signs in
+const memory = new Map();
+let memoryUserId = null;
+
+supabase.auth.onAuthStateChange((event, session) => {
+  const userId = session?.user?.id ?? null;
+  if (userId !== memoryUserId) {
+    memory.clear();
+    memoryUserId = userId;
+  }
+});
+
+const getUserId = async () => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('Not authenticated');
+  return user.id;
+};
+
+const isFresh = (entry) => entry && (entry.pinned || !entry.expiresAt || entry.expiresAt > Date.now());
+
+const fromRow = (row) => ({
+  food: row.food,
+  pinned: row.pinned,
+  expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null,
+});
+
+// Run fn over items, at most `limit` at a time
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+export const nutritionCache = {
+  nameKey(name) {
+    const normalized = ingredientMatcher.normalize(name) || String(name || '').toLowerCase().trim();
+    return normalized ? `name:${normalized}` : null;
+  },
+
+  upcKey(upc) {
+    const digits = String(upc || '').replace(/\D/g, '');
+    return digits ? `upc:${digits}` : null;
+  },
+
+  fdcKey(fdcId) {
+    return fdcId ? `fdc:${fdcId}` : null;
+  },
+
+  /**
+   * Cached entries for keys: Map(key -> { food, pinned, expiresAt })
+   * Memory first, then one query for the rest. Expired entries are left out.
+   */
+  async getMany(keys) {
+    const found = new Map();
+    const missing = [];
+
+    [...new Set(keys.filter(Boolean))].forEach(key => {
+      const entry = memory.get(key);
+      if (isFresh(entry)) found.set(key, entry);
+      else missing.push(key);
+    });
+
+    if (missing.length === 0) return found;
+
+    try {
+      const userId = await getUserId();
+      const { data, error } = await supabase
+        .from(CACHE_TABLE)
+        .select('cache_key, food, pinned, expires_at')
+        .eq('user_id', userId)
+        .in('cache_key', missing);
+
+      if (error) throw error;
+
+      (data || []).forEach(row => {
+        const entry = fromRow(row);
+        if (!isFresh(entry)) return;
+        // Don't keep rows that arrive after the user changed
+        if (userId === memoryUserId) memory.set(row.cache_key, entry);
+        found.set(row.cache_key, entry);
+      });
+    } catch (error) {
+      // The cache is an optimization - lookups still work without it
+      console.error('Error reading nutrition cache:', error);
+    }
+
+    return found;
+  },
+
+  async get(key) {
+    return (await this.getMany([key])).get(key) || null;
+  },
+
+  /**
+   * Store entries: [{ key, food, ttl?, pinned? }]
+   * Automatic writes skip keys the user has pinned.
+   */
+  async setMany(entries) {
+    const valid = entries.filter(entry => entry.key);
+    if (valid.length === 0) return;
+
+    const rows = [];
+    valid.forEach(({ key, food, ttl, pinned = false }) => {
+      if (!pinned && memory.get(key)?.pinned) return;
+
+      const lifetime = ttl ?? (food ? CACHE_TTL[key.split(':')[0]] : CACHE_TTL.miss);
+      const entry = { food: food || null, pinned, expiresAt: pinned ? null : Date.now() + lifetime };
+      memory.set(key, entry);
+      rows.push({ key, ...entry });
+    });
+
+    if (rows.length === 0) return;
+
+    try {
+      const userId = await getUserId();
+      const now = new Date().toISOString();
+
+      let upsertRows = rows;
+      if (!rows.some(row => row.pinned)) {
+        // Don't clobber pins that aren't in memory yet (set on another device)
+        const { data: pinnedRows, error: pinnedError } = await supabase
+          .from(CACHE_TABLE)
+          .select('cache_key')
+          .eq('user_id', userId)
+          .eq('pinned', true)
+          .in('cache_key', rows.map(row => row.key));
+
+        if (pinnedError) throw pinnedError;
+        const pinnedKeys = new Set((pinnedRows || []).map(row => row.cache_key));
+        upsertRows = rows.filter(row => !pinnedKeys.has(row.key));
+      }
+
+      if (upsertRows.length === 0) return;
+
+      const { error } = await supabase
+        .from(CACHE_TABLE)
+        .upsert(upsertRows.map(row => ({
+          user_id: userId,
+          cache_key: row.key,
+          food: row.food,
+          pinned: row.pinned,
+          expires_at: row.expiresAt ? new Date(row.expiresAt).toISOString() : null,
+          updated_at: now,
+        })), { onConflict: 'user_id,cache_key' });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error writing nutrition cache:', error);
+    }
+  },
+
+  async set(key, food, options = {}) {
+    return this.setMany([{ key, food, ...options }]);
+  },
+
+  /**
+   * Pick the USDA result that best matches an ingredient name
+   * Generic foods win over branded ones; within each, the closest name wins
+   */
+  pickBestFood(name, foods) {
+    if (!foods || foods.length === 0) return null;
+
+    const ranked = foods
+      .map((food, index) => ({
+        food,
+        index,
+        generic: GENERIC_DATA_TYPES.includes(food.dataType),
+        score: ingredientMatcher.score(name, food.name),
+      }))
+      .sort((a, b) =>
+        (b.generic - a.generic) || (b.score - a.score) || (a.index - b.index)
+      );
+
+    return ranked[0].food;
+  },
+
+  /**
+   * USDA foods for many ingredient names: Map(name -> food or null)
+   * Cached names are answered in one read; the rest are searched a few at a
+   * time and written back in one upsert. A failed search maps to undefined
+   * and isn't cached.
+   */
+  async findFoods(names) {
+    const uniqueNames = [...new Set((names || []).filter(Boolean))];
+    const keyByName = new Map(uniqueNames.map(name => [name, this.nameKey(name)]));
+    const cached = await this.getMany([...keyByName.values()]);
+
+    // One search per key - "Carrot" and "carrots" share a match
+    const toSearch = new Map();
+    uniqueNames.forEach(name => {
+      const key = keyByName.get(name);
+      if (!cached.has(key) && !toSearch.has(key)) toSearch.set(key, name);
+    });
+
+    const foodByKey = new Map([...cached].map(([key, entry]) => [key, entry.food]));
+    const newEntries = [];
+    await mapWithConcurrency([...toSearch], LOOKUP_CONCURRENCY, async ([key, name]) => {
+      try {
+        const foods = await usdaService.searchFoods(name, 10);
+        const food = this.pickBestFood(name, foods);
+        foodByKey.set(key, food);
+        newEntries.push({ key, food });
+        if (food) newEntries.push({ key: this.fdcKey(food.fdcId), food });
+      } catch (error) {
+        console.error(`USDA lookup failed for ${name}:`, error);
+      }
+    });
+
+    await this.setMany(newEntries);
+
+    // undefined marks a failed lookup
+    return new Map(uniqueNames.map(name => [name, foodByKey.get(keyByName.get(name))]));
+  },
+
+  /**
+   * USDA food for one name; null when there's no match
+   * Throws if the lookup itself failed
+   */
+  async findFood(name) {
+    const food = (await this.findFoods([name])).get(name);
+    if (food === undefined) throw new Error(`USDA lookup failed for ${name}`);
+    return food;
+  },
+
+  /**
+   * USDA food by id (cached)
+   */
+  async findByFdcId(fdcId) {
+    const key = this.fdcKey(fdcId);
+    const entry = await this.get(key);
+    if (entry?.food) return entry.food;
+
+    const food = await usdaService.getFood(fdcId);
+    await this.set(key, food);
+    return food;
+  },
+
+  /**
+   * Use this USDA food for an ingredient name from now on
+   */
+  async pinMatch(name, food) {
+    await this.setMany([
+      { key: this.nameKey(name), food, pinned: true },
+      { key: this.fdcKey(food.fdcId), food },
+    ]);
+    console.log(`📌 Pinned ${name} -> ${food.name}`);
+  },
+
+  /**
+   * Forget a pinned match - the next lookup searches USDA again
+   */
+  async unpinMatch(name) {
+    const key = this.nameKey(name);
+    memory.delete(key);
+
+    const userId = await getUserId();
+    const { error } = await supabase
+      .from(CACHE_TABLE)
+      .delete()
+      .eq('user_id', userId)
+      .eq('cache_key', key);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Pinned matches, for showing which ingredients have a chosen food
+   */
+  async listPinned() {
+    const userId = await getUserId();
+    const { data, error } = await supabase
+      .from(CACHE_TABLE)
+      .select('cache_key, food, updated_at')
+      .eq('user_id', userId)
+      .eq('pinned', true)
+      .like('cache_key', 'name:%')
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(row => ({
+      name: row.cache_key.slice('name:'.length),
+      food: row.food,
+      updatedAt: row.updated_at,
+    }));
+  },
+
+  clearMemory() {
+    memory.clear();
+  },
+};
@@ -0,0 +1,210 @@
+import { krogerOrdersService } from './krogerOrders';
+import { krogerService } from './kroger';
+import { favoriteProductsService } from './favoriteProducts';
+import { ingredientMatcher, DEFAULT_MIN_CONFIDENCE } from './ingredientMatcher';
+import { inventoryRepository } from './dataRepository';
+import { inventoryLotsService } from './inventoryLots';
+
+/**
+ * Receipt Import
+ * Turns a receipt (pasted text, or a CSV/JSON e-receipt export) into
+ * inventory lots and an order_history record. Receipt lines are abbreviated
+ * ("KRO LG WHT EGGS"), so each one is matched against favorite products and
+ * a Kroger product search, and the user confirms the matches before import.
+ */
+
+// A favorite this close is taken without searching Kroger
+const FAVORITE_SKIP_SEARCH = 0.8;
+const KROGER_CANDIDATES = 3;
+
+// Register-tape abbreviations -> words the matcher understands
+const ABBREVIATIONS = {
+  kro: 'kroger', krog: 'kroger', st: 'simple truth', sto: 'simple truth organic', ps: 'private selection',
+  org: 'organic', lg: 'large', sm: 'small', med: 'medium', wht: 'white', whl: 'whole', wh: 'whole',
+  rf: 'reduced fat', ff: 'fat free', bnls: 'boneless', sknls: 'skinless', chkn: 'chicken', chk: 'chicken',
+  brst: 'breast', thgh: 'thigh', grd: 'ground', bf: 'beef', trky: 'turkey', tom: 'tomato', tomatoe: 'tomato',
+  pot: 'potato', pots: 'potatoes', ban: 'banana', bnna: 'banana', grn: 'green', ylw: 'yellow', onn: 'onion',
+  chs: 'cheese', chse: 'cheese', shrd: 'shredded', mozz: 'mozzarella', ched: 'cheddar', btr: 'butter',
+  yog: 'yogurt', ygrt: 'yogurt', brd: 'bread', pnt: 'peanut', bttr: 'butter',
+  veg: 'vegetable', frz: 'frozen', cn: 'canned', bn: 'bean', bns: 'beans', spag: 'spaghetti', sce: 'sauce',
+};
+
+// Package sizes and counts - the same product comes in many
+const SIZE_WORDS = /\b(\d+(\.\d+)?\s*)?(gal|gallon|hg|half gal|qt|pt|oz|fl oz|lb|lbs|ct|pk|pack|dz|doz|ea)\b/gi;
+
+const toTitleCase = (text) => text.replace(/\b[a-z]/g, char => char.toUpperCase());
+
+// Favorites and search results -> one product shape
+const fromFavorite = (favorite) => ({
+  productId: favorite.kroger_product_id,
+  name: favorite.name,
+  brandName: favorite.brand_name || null,
+  category: favorite.category || 'Other',
+  price: favorite.price ?? null,
+  imageUrl: favorite.image_url || null,
+  servingSize: favorite.serving_size || 100,
+  servingUnit: favorite.serving_unit || 'g',
+  calories: favorite.calories || 0,
+  protein: favorite.protein || 0,
+  carbs: favorite.carbs || 0,
+  fat: favorite.fat || 0,
+  fiber: favorite.fiber || 0,
+  sugar: favorite.sugar || 0,
+  sodium: favorite.sodium || 0,
+});
+
+const fromKrogerProduct = (product) => ({
+  productId: product.krogerProductId,
+  name: product.name,
+  brandName: product.brandName || null,
+  category: product.category || 'Other',
+  price: product.price ?? null,
+  imageUrl: product.images?.[0] || null,
+  servingSize: product.servingSize || 100,
+  servingUnit: product.servingUnit || 'g',
+  calories: product.calories || 0,
+  protein: product.protein || 0,
+  carbs: product.carbs || 0,
+  fat: product.fat || 0,
+  fiber: product.fiber || 0,
+  sugar: product.sugar || 0,
+  sodium: product.sodium || 0,
+});
+
+export const receiptImportService = {
+  /**
+   * Readable name for a receipt line: abbreviations expanded, sizes dropped
+   * ("KRO LG WHT EGGS 12CT" -> "Kroger Large White Eggs")
+   */
+  cleanName(receiptName) {
+    const words = String(receiptName || '')
+      .toLowerCase()
+      .replace(SIZE_WORDS, ' ')
+      .replace(/[^a-z0-9%&'\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => ABBREVIATIONS[word] || word);
+
+    return toTitleCase(words.join(' ').trim()) || String(receiptName || '').trim();
+  },
+
+  // Receipt names and product names are both loose, so score both ways
+  score(name, product) {
+    return Math.max(
+      ingredientMatcher.score(name, product.name, product.brandName),
+      ingredientMatcher.score(product.name, name)
+    );
+  },
+
+  /**
+   * Parse a receipt into orders (nothing saved yet).
+   * format: 'text', 'csv', 'json' or null to detect
+   */
+  async parse(content, format = null) {
+    return krogerOrdersService.importReceipt(content, format);
+  },
+
+  /**
+   * Candidate products for each line of an order, best first:
+   * [{ item, name, candidates: [{ source, product, confidence }] }]
+   */
+  async matchOrder(order, locationId = null) {
+    let favorites = [];
+    try {
+      favorites = (await favoriteProductsService.getFavorites()).map(fromFavorite);
+    } catch (error) {
+      console.warn('Could not load favorites for receipt matching:', error);
+    }
+
+    const lines = [];
+    for (const item of order.items) {
+      const name = this.cleanName(item.name);
+
+      const favoriteMatches = favorites
+        .map(product => ({ source: 'favorite', product, confidence: this.score(name, product) }))
+        .filter(match => match.confidence >= DEFAULT_MIN_CONFIDENCE)
+        .sort((a, b) => b.confidence - a.confidence);
+
+      let krogerMatches = [];
+      if (!favoriteMatches[0] || favoriteMatches[0].confidence < FAVORITE_SKIP_SEARCH) {
+        try {
+          const results = await krogerService.searchProducts(name, locationId, KROGER_CANDIDATES * 2);
+          krogerMatches = results
+            .map(fromKrogerProduct)
+            .filter(product => !favoriteMatches.some(match => match.product.productId === product.productId))
+            .map(product => ({ source: 'kroger', product, confidence: this.score(name, product) }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, KROGER_CANDIDATES);
+        } catch (error) {
+          console.warn(`Kroger search failed for ${name}:`, error.message);
+        }
+      }
+
+      lines.push({ item, name, candidates: [...favoriteMatches.slice(0, KROGER_CANDIDATES), ...krogerMatches] });
+    }
+
+    return lines;
+  },
+
+  /**
+   * Save confirmed lines: one inventory lot per line and an order_history record.
+   * Each line is { item, name, product (null = keep the receipt name), include }.
+   * If the order can't be saved the new lots are deleted again, so the
+   * receipt can be re-imported without doubling the pantry.
+   */
+  async importOrder(order, lines) {
+    if (await krogerOrdersService.isOrderSaved(order.orderId)) {
+      throw new Error('This receipt has already been imported');
+    }
+
+    const included = lines.filter(line => line.include);
+    const purchasedAt = order.orderDate || new Date();
+
+    const lots = included.map(({ item, name, product }) => ({
+      name: product?.name || name,
+      amount: item.quantity || 1,
+      unit: item.unit || 'item',
+      category: product?.category || item.category || 'Other',
+      brand_name: product?.brandName || item.brand || null,
+      price: item.price ?? null,
+      calories: product?.calories || 0,
+      protein: product?.protein || 0,
+      carbs: product?.carbs || 0,
+      fat: product?.fat || 0,
+      fiber: product?.fiber || 0,
+      sugar: product?.sugar || 0,
+      sodium: product?.sodium || 0,
+      serving_size: product?.servingSize || 100,
+      serving_unit: product?.servingUnit || 'g',
+      ...inventoryLotsService.lotFields(
+        { name: product?.name || name, category: product?.category || item.category, amount: item.quantity || 1 },
+        purchasedAt
+      ),
+    }));
+
+    const insertedLots = lots.length > 0 ? await inventoryRepository.insert(lots) : [];
+
+    // The order keeps every receipt line, named after the confirmed product
+    let savedOrder;
+    try {
+      savedOrder = await krogerOrdersService.saveOrderToDatabase({
+        ...order,
+        items: lines.map(({ item, name, product }) => ({
+          ...item,
+          productId: product?.productId || item.productId,
+          name: product?.name || name,
+          brand: product?.brandName || item.brand,
+          category: product?.category || item.category,
+        })),
+      });
+    } catch (error) {
+      for (const lot of insertedLots || []) {
+        await inventoryRepository.remove(lot.id);
+      }
+      throw error;
+    }
+
+    console.log(`✅ Imported receipt ${order.orderId}: ${lots.length} inventory lots`);
+    return { order: savedOrder, lotCount: lots.length };
+  },
+};
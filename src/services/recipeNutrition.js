@@ -0,0 +1,240 @@
+import { nutritionCache } from './nutritionCache';
+import { units, CONVERSION } from './units';
+
+/**
+ * Recipe Nutrition
+ * Computes a recipe's nutrient panel from its ingredients: each ingredient's
+ * amount is converted to grams and priced against a USDA FoodData Central match.
+ * Ingredients that can't be resolved are kept in the breakdown with a reason
+ * instead of being guessed.
+ */
+
+// Full panel, in FDA label order. Sodium and cholesterol are mg, the rest g (calories kcal).
+export const NUTRIENT_PANEL = [
+  'calories', 'fat', 'saturated_fat', 'trans_fat', 'cholesterol', 'sodium',
+  'carbs', 'fiber', 'sugar', 'protein',
+];
+
+// FDA Daily Values for a 2,000 calorie diet (21 CFR 101.9)
+export const DAILY_VALUES = {
+  fat: 78,
+  saturated_fat: 20,
+  cholesterol: 300,
+  sodium: 2300,
+  carbs: 275,
+  fiber: 28,
+  protein: 50,
+};
+
+// usdaService.searchFoods field names for each panel nutrient
+const USDA_FIELDS = {
+  calories: 'calories',
+  fat: 'fat',
+  saturated_fat: 'saturatedFat',
+  trans_fat: 'transFat',
+  cholesterol: 'cholesterol',
+  sodium: 'sodium',
+  carbs: 'carbs',
+  fiber: 'fiber',
+  sugar: 'sugar',
+  protein: 'protein',
+};
+
+export const UNRESOLVED_REASONS = {
+  AMOUNT: 'amount', // "to taste", "a handful" - no weight
+  NO_MATCH: 'no_match', // nothing in USDA
+  LOOKUP_FAILED: 'lookup_failed', // USDA request failed
+};
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const emptyPanel = () => Object.fromEntries(NUTRIENT_PANEL.map(nutrient => [nutrient, 0]));
+
+const hasNutrition = (ingredient) => NUTRIENT_PANEL.some(nutrient => Number(ingredient?.[nutrient]) > 0);
+
+export const recipeNutritionService = {
+  /**
+   * Nutrient panel per 100 g for a USDA search result. Some foundation foods
+   * only report macros, so energy is estimated from them (4/4/9 kcal per gram).
+   */
+  per100Grams(food) {
+    const panel = emptyPanel();
+    NUTRIENT_PANEL.forEach(nutrient => { panel[nutrient] = food[USDA_FIELDS[nutrient]] || 0; });
+
+    if (!panel.calories) {
+      panel.calories = (panel.protein * 4) + (panel.carbs * 4) + (panel.fat * 9);
+    }
+    return panel;
+  },
+
+  /**
+   * Look up one ingredient. Accepts { name, amount, unit } or { name, measure }.
+   * Returns a breakdown row: grams, the USDA food used, the nutrient panel,
+   * and resolved: false with a reason when it couldn't be computed.
+   * foods is an optional Map(name -> food) from nutritionCache.findFoods.
+   */
+  async resolveIngredient(ingredient, foods = null) {
+    const { amount, unit } = ingredient.measure !== undefined
+      ? units.parseMeasure(ingredient.measure)
+      : { amount: ingredient.amount, unit: ingredient.unit };
+
+    const row = {
+      name: ingredient.name,
+      amount,
+      unit,
+      grams: null,
+      approximate: false,
+      usda_food_id: null,
+      usda_name: null,
+      ...emptyPanel(),
+      resolved: false,
+      reason: null,
+    };
+
+    const weight = units.toGrams(amount, unit, ingredient.name);
+    if (weight.status === CONVERSION.IMPOSSIBLE) {
+      return { ...row, reason: UNRESOLVED_REASONS.AMOUNT };
+    }
+    row.grams = round(weight.value);
+    row.approximate = weight.status === CONVERSION.APPROXIMATE;
+
+    const found = foods?.has(ingredient.name) ? foods : await nutritionCache.findFoods([ingredient.name]);
+    const food = found.get(ingredient.name);
+
+    if (food === undefined) {
+      return { ...row, reason: UNRESOLVED_REASONS.LOOKUP_FAILED };
+    }
+
+    if (!food) {
+      console.warn(`⚠️ No USDA match for: ${ingredient.name}`);
+      return { ...row, reason: UNRESOLVED_REASONS.NO_MATCH };
+    }
+
+    const per100 = this.per100Grams(food);
+    const factor = row.grams / 100;
+    NUTRIENT_PANEL.forEach(nutrient => { row[nutrient] = round(per100[nutrient] * factor); });
+
+    return {
+      ...row,
+      usda_food_id: food.fdcId,
+      usda_name: food.name,
+      resolved: true,
+    };
+  },
+
+  /**
+   * Totals, per-serving panel and unresolved names for breakdown rows
+   * (or saved recipe_ingredients rows, which carry the same columns)
+   */
+  summarize(rows, servings = 1) {
+    const total = emptyPanel();
+    (rows || []).forEach(row => {
+      NUTRIENT_PANEL.forEach(nutrient => { total[nutrient] += Number(row[nutrient]) || 0; });
+    });
+
+    const servingCount = Number(servings) > 0 ? Number(servings) : 1;
+    const perServing = {};
+    NUTRIENT_PANEL.forEach(nutrient => {
+      perServing[nutrient] = round(total[nutrient] / servingCount);
+      total[nutrient] = round(total[nutrient]);
+    });
+
+    const grams = (rows || []).reduce((sum, row) => sum + (Number(row.grams) || 0), 0);
+
+    return {
+      perServing,
+      total,
+      servingGrams: grams > 0 ? Math.round(grams / servingCount) : null,
+      unresolved: (rows || [])
+        .filter(row => (row.resolved ?? row.nutrition_resolved) === false)
+        .map(row => row.name),
+    };
+  },
+
+  /**
+   * Nutrition for a whole recipe
+   * Ingredients that USDA can't resolve keep nutrition they already carry
+   * (e.g. from a Kroger product label) instead of dropping to zero.
+   * Returns { perServing, total, servingGrams, breakdown, unresolved }
+   */
+  async computeRecipeNutrition(ingredients, servings = 1) {
+    const named = (ingredients || []).filter(ingredient => ingredient?.name);
+    const foods = await nutritionCache.findFoods(named.map(ingredient => ingredient.name));
+    const breakdown = [];
+
+    for (const ingredient of named) {
+      const row = await this.resolveIngredient(ingredient, foods);
+      if (!row.resolved && hasNutrition(ingredient)) {
+        NUTRIENT_PANEL.forEach(nutrient => { row[nutrient] = Number(ingredient[nutrient]) || 0; });
+        row.resolved = true;
+        row.reason = null;
+        row.label = true;
+      }
+      breakdown.push(row);
+    }
+
+    const summary = this.summarize(breakdown, servings);
+    console.log(`✅ Computed nutrition for ${breakdown.length - summary.unresolved.length}/${breakdown.length} ingredients`);
+
+    return { ...summary, breakdown };
+  },
+
+  /**
+   * recipe_ingredients columns for a breakdown row
+   */
+  toIngredientRow(row) {
+    let note = row.reason;
+    if (row.label) note = 'From product label';
+    else if (row.resolved && row.approximate) note = 'Approximate weight';
+
+    return {
+      name: row.name,
+      amount: row.amount,
+      unit: row.unit,
+      grams: row.grams,
+      ...Object.fromEntries(NUTRIENT_PANEL.map(nutrient => [nutrient, row[nutrient]])),
+      usda_food_id: row.usda_food_id,
+      usda_name: row.usda_name,
+      nutrition_resolved: row.resolved,
+      nutrition_note: note || null,
+    };
+  },
+
+  /**
+   * Whether saved recipe_ingredients rows carry their own nutrient columns
+   */
+  rowsHaveNutrition(rows) {
+    return (rows || []).some(hasNutrition);
+  },
+
+  /**
+   * recipes columns for a saved recipe's panel re-divided over a new serving
+   * count, for recipes whose ingredient rows have no nutrient columns to
+   * re-summarize. Columns that were never filled in stay empty.
+   */
+  rescaleColumns(recipe, servings) {
+    const from = Number(recipe?.servings) > 0 ? Number(recipe.servings) : 1;
+    const to = Number(servings) > 0 ? Number(servings) : 1;
+    const scale = (value) => (value === null || value === undefined ? value : round((Number(value) || 0) * from / to));
+
+    return {
+      ...Object.fromEntries(NUTRIENT_PANEL.map(nutrient => [`total_${nutrient}`, scale(recipe?.[`total_${nutrient}`])])),
+      serving_grams: recipe?.serving_grams ? Math.round(recipe.serving_grams * from / to) : recipe?.serving_grams ?? null,
+    };
+  },
+
+  /**
+   * recipes columns for a summary - total_* hold per-serving values
+   */
+  toRecipeColumns(summary) {
+    return {
+      ...Object.fromEntries(NUTRIENT_PANEL.map(nutrient => [`total_${nutrient}`, summary.perServing[nutrient]])),
+      serving_grams: summary.servingGrams,
+      unresolved_ingredients: summary.unresolved,
+      nutrition_updated_at: new Date().toISOString(),
+    };
+  },
+};
@@ -1,5 +1,10 @@
 import { supabase } from './supabase';
-import { mealDBService } from './mealDBService';
+import { mealDBService, MEALDB_DEFAULT_SERVINGS } from './mealDBService';
+import { ingredientMatcher } from './ingredientMatcher';
+import { inventoryLotsService } from './inventoryLots';
+import { units } from './units';
+import { recipeNutritionService } from './recipeNutrition';
+import { shelfLifeService } from './shelfLife';
 
 export const recipeService = {
   // Get all recipes
@@ -49,80 +54,144 @@ export const recipeService = {
   },
 
   // Create new recipe
-  async createRecipe(recipeData, ingredients) {
+  // Pass { computeNutrition: true } to fill the nutrition panel from the ingredients
+  async createRecipe(recipeData, ingredients, { computeNutrition = false } = {}) {
     // Get current user
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) throw new Error('Not authenticated');
 
+    let ingredientRows = ingredients || [];
+    let nutritionColumns = {};
+    if (computeNutrition && ingredientRows.length > 0) {
+      ({ ingredientRows, nutritionColumns } = await this.buildNutrition(ingredientRows, recipeData.servings));
+    }
+
     // Insert recipe
     const { data: recipe, error: recipeError } = await supabase
       .from('recipes')
       .insert({
         ...recipeData,
-        created_by: user.id,
+        ...nutritionColumns,
+        user_id: user.id,
       })
       .select()
       .maybeSingle();
 
     if (recipeError) throw recipeError;
 
-    // Insert ingredients if provided
-    if (ingredients && ingredients.length > 0) {
-      const ingredientsToInsert = ingredients.map((ing, index) => ({
-        recipe_id: recipe.id,
-        ...ing,
-        order_index: index,
-      }));
-
-      const { error: ingredientsError } = await supabase
-        .from('recipe_ingredients')
-        .insert(ingredientsToInsert);
-
-      if (ingredientsError) throw ingredientsError;
-    }
+    await this.insertIngredients(recipe.id, ingredientRows);
 
     return recipe;
   },
 
   // Update recipe
+  // Changing the ingredients recomputes the nutrition panel from them;
+  // changing only the servings re-divides the saved per-ingredient totals,
+  // or scales the saved panel when the ingredient rows carry no nutrients
   async updateRecipe(id, recipeData, ingredients) {
-    // Update recipe
-    const { data: recipe, error: recipeError } = await supabase
-      .from('recipes')
-      .update(recipeData)
-      .eq('id', id)
-      .select()
-      .maybeSingle();
-
-    if (recipeError) throw recipeError;
+    let updates = recipeData;
 
-    // Update ingredients if provided
     if (ingredients) {
+      const servings = recipeData.servings ?? (await this.getServings(id));
+      const { ingredientRows, nutritionColumns } = await this.buildNutrition(ingredients, servings);
+
       // Delete existing ingredients
-      await supabase
+      const { error: deleteError } = await supabase
         .from('recipe_ingredients')
         .delete()
         .eq('recipe_id', id);
 
+      if (deleteError) throw deleteError;
+
       // Insert new ingredients
-      if (ingredients.length > 0) {
-        const ingredientsToInsert = ingredients.map((ing, index) => ({
-          recipe_id: id,
-          ...ing,
-          order_index: index,
-        }));
-
-        const { error: ingredientsError } = await supabase
-          .from('recipe_ingredients')
-          .insert(ingredientsToInsert);
-
-        if (ingredientsError) throw ingredientsError;
+      await this.insertIngredients(id, ingredientRows);
+      updates = { ...recipeData, ...nutritionColumns };
+    } else if (recipeData.servings !== undefined) {
+      const { data: savedIngredients, error: ingredientsError } = await supabase
+        .from('recipe_ingredients')
+        .select('*')
+        .eq('recipe_id', id);
+
+      if (ingredientsError) throw ingredientsError;
+
+      if (recipeNutritionService.rowsHaveNutrition(savedIngredients)) {
+        const summary = recipeNutritionService.summarize(savedIngredients, recipeData.servings);
+        updates = { ...recipeData, ...recipeNutritionService.toRecipeColumns(summary) };
+      } else {
+        // No per-ingredient nutrients saved (e.g. the panel came from a label) - scale what's there
+        const { data: saved, error: savedError } = await supabase
+          .from('recipes')
+          .select('*')
+          .eq('id', id)
+          .maybeSingle();
+
+        if (savedError) throw savedError;
+        if (saved) updates = { ...recipeData, ...recipeNutritionService.rescaleColumns(saved, recipeData.servings) };
       }
     }
 
+    const { data: recipe, error: recipeError } = await supabase
+      .from('recipes')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (recipeError) throw recipeError;
+
     return recipe;
   },
 
+  // Recompute a saved recipe's nutrition panel from its ingredients
+  async recalculateNutrition(id) {
+    const recipe = await this.getRecipeById(id);
+    return this.updateRecipe(id, { servings: recipe.servings }, recipe.ingredients || []);
+  },
+
+  // Helper: Run ingredients through the nutrition engine
+  // Returns recipe_ingredients rows (notes kept) and the recipes nutrition columns
+  async buildNutrition(ingredients, servings) {
+    const nutrition = await recipeNutritionService.computeRecipeNutrition(ingredients, servings);
+
+    // computeRecipeNutrition skips unnamed ingredients, so line rows up by name
+    const named = ingredients.filter(ing => ing?.name);
+    const ingredientRows = nutrition.breakdown.map((row, index) => ({
+      ...recipeNutritionService.toIngredientRow(row),
+      ...(named[index]?.notes ? { notes: named[index].notes } : {}),
+    }));
+
+    return { ingredientRows, nutritionColumns: recipeNutritionService.toRecipeColumns(nutrition) };
+  },
+
+  // Helper: Insert ingredient rows in order
+  async insertIngredients(recipeId, ingredients) {
+    if (!ingredients || ingredients.length === 0) return;
+
+    const ingredientsToInsert = ingredients.map((ing, index) => ({
+      recipe_id: recipeId,
+      ...ing,
+      order_index: index,
+    }));
+
+    const { error: ingredientsError } = await supabase
+      .from('recipe_ingredients')
+      .insert(ingredientsToInsert);
+
+    if (ingredientsError) throw ingredientsError;
+  },
+
+  // Helper: Saved servings for a recipe
+  async getServings(id) {
+    const { data, error } = await supabase
+      .from('recipes')
+      .select('servings')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.servings || 1;
+  },
+
   // Delete recipe
   async deleteRecipe(id) {
     const { error } = await supabase
@@ -203,40 +272,46 @@ export const recipeService = {
       };
     }
 
-    // Get user's inventory
-    const { data: inventory, error: invError } = await supabase
-      .from('inventory')
-      .select('name, amount, unit, created_at, brand_name');
-
-    if (invError) throw invError;
+    // Get user's inventory - one entry per item, amounts summed across lots
+    const inventory = await inventoryLotsService.getStock();
 
     // Check each ingredient
     const availability = recipe.ingredients.map(ingredient => {
       // Try to find matching inventory item
-      const inventoryItem = this.findInventoryMatch(inventory, ingredient.name);
+      const match = ingredientMatcher.findBestMatch(ingredient.name, inventory);
+      const inventoryItem = match?.item || null;
 
-      const isAvailable = inventoryItem && this.hasEnoughAmount(
+      // null = the units can't be compared, so we can't claim it's available
+      const hasEnough = inventoryItem ? this.hasEnoughAmount(
         inventoryItem.amount,
         inventoryItem.unit,
         ingredient.amount,
-        ingredient.unit
-      );
+        ingredient.unit,
+        ingredient.name
+      ) : false;
+      const isAvailable = hasEnough === true;
       
-      // Check if spoiling (older than 7 days)
+      // Spoiling = expired or expiring soon (item's expiration date, else its shelf life)
       const daysOld = inventoryItem && inventoryItem.created_at
         ? (new Date() - new Date(inventoryItem.created_at)) / (1000 * 60 * 60 * 24)
         : 0;
-      
-      const isSpoiling = daysOld > 7;
+      const daysUntilExpiration = inventoryItem ? shelfLifeService.daysUntilExpiration(inventoryItem) : null;
+      const expirationStatus = inventoryItem ? shelfLifeService.getStatus(inventoryItem) : 'unknown';
+      const isSpoiling = expirationStatus === 'expired' || expirationStatus === 'expiring';
 
       return {
         ...ingredient,
         isAvailable,
         isSpoiling,
         daysOld: Math.round(daysOld),
+        daysUntilExpiration,
+        expirationStatus,
         inventoryAmount: inventoryItem?.amount || 0,
         inventoryUnit: inventoryItem?.unit || '',
         inventoryBrand: inventoryItem?.brand_name || null,
+        inventoryName: inventoryItem?.name || null,
+        matchConfidence: match?.confidence || 0,
+        amountUnknown: hasEnough === null,
       };
     });
 
@@ -248,162 +323,33 @@ export const recipeService = {
     };
   },
 
-  // Helper: Find matching inventory item (fuzzy matching)
+  // Helper: Find matching inventory item (see ingredientMatcher for scoring)
   findInventoryMatch(inventory, ingredientName) {
-    if (!inventory || !ingredientName) return null;
-
-    const searchName = ingredientName.toLowerCase().trim();
-
-    // Try exact match first
-    let match = inventory.find(item => 
-      item.name.toLowerCase().trim() === searchName
-    );
-
-    if (match) return match;
-
-    // Try partial match (inventory name contains ingredient or vice versa)
-    match = inventory.find(item => {
-      const invName = item.name.toLowerCase().trim();
-      return invName.includes(searchName) || searchName.includes(invName);
-    });
-
-    return match;
+    return ingredientMatcher.findBestMatch(ingredientName, inventory)?.item || null;
   },
 
-  // Helper: Check if we have enough amount (basic unit comparison)
-  hasEnoughAmount(inventoryAmount, inventoryUnit, requiredAmount, requiredUnit) {
-    // If no required amount specified, assume we have enough
-    if (!requiredAmount) return true;
-
-    // Parse amounts (handle strings like "1 cup", "2 tbsp", etc.)
-    const invAmount = this.parseAmount(inventoryAmount);
-    const reqAmount = this.parseAmount(requiredAmount);
-
-    // Normalize units for comparison
-    const invUnitNorm = this.normalizeUnit(inventoryUnit);
-    const reqUnitNorm = this.normalizeUnit(requiredUnit);
-
-    // If same unit, direct comparison
-    if (invUnitNorm === reqUnitNorm) {
-      return invAmount >= reqAmount;
-    }
-
-    // If different units, try conversion (basic conversions only)
-    const convertedReqAmount = this.convertUnit(reqAmount, reqUnitNorm, invUnitNorm);
-    if (convertedReqAmount !== null) {
-      return invAmount >= convertedReqAmount;
-    }
-
-    // If we can't convert, assume we have enough (conservative approach)
-    return true;
-  },
-
-  // Helper: Parse amount from string
-  parseAmount(amount) {
-    if (typeof amount === 'number') return amount;
-    if (!amount) return 0;
-
-    // Extract first number from string
-    const match = amount.toString().match(/[\d.]+/);
-    return match ? parseFloat(match[0]) : 0;
-  },
-
-  // Helper: Normalize unit names
-  normalizeUnit(unit) {
-    if (!unit) return '';
-    
-    const unitMap = {
-      'cup': 'cup',
-      'cups': 'cup',
-      'c': 'cup',
-      'tablespoon': 'tbsp',
-      'tablespoons': 'tbsp',
-      'tbsp': 'tbsp',
-      'tbs': 'tbsp',
-      'teaspoon': 'tsp',
-      'teaspoons': 'tsp',
-      'tsp': 'tsp',
-      'gram': 'g',
-      'grams': 'g',
-      'g': 'g',
-      'kilogram': 'kg',
-      'kilograms': 'kg',
-      'kg': 'kg',
-      'ounce': 'oz',
-      'ounces': 'oz',
-      'oz': 'oz',
-      'pound': 'lb',
-      'pounds': 'lb',
-      'lb': 'lb',
-      'lbs': 'lb',
-      'milliliter': 'ml',
-      'milliliters': 'ml',
-      'ml': 'ml',
-      'liter': 'l',
-      'liters': 'l',
-      'l': 'l',
-    };
-
-    const normalized = unit.toLowerCase().trim();
-    return unitMap[normalized] || normalized;
-  },
-
-  // Helper: Basic unit conversion
-  convertUnit(amount, fromUnit, toUnit) {
-    // Volume conversions
-    const volumeConversions = {
-      'ml_to_l': 0.001,
-      'l_to_ml': 1000,
-      'tsp_to_tbsp': 0.333,
-      'tbsp_to_tsp': 3,
-      'tbsp_to_cup': 0.0625,
-      'cup_to_tbsp': 16,
-      'cup_to_ml': 236.588,
-      'ml_to_cup': 0.00423,
-    };
-
-    // Weight conversions
-    const weightConversions = {
-      'g_to_kg': 0.001,
-      'kg_to_g': 1000,
-      'oz_to_lb': 0.0625,
-      'lb_to_oz': 16,
-      'g_to_oz': 0.035274,
-      'oz_to_g': 28.3495,
-    };
-
-    const conversionKey = `${fromUnit}_to_${toUnit}`;
-    const factor = volumeConversions[conversionKey] || weightConversions[conversionKey];
-
-    return factor ? amount * factor : null;
+  // Helper: Check if we have enough amount
+  // Returns true/false, or null when the units can't be compared
+  hasEnoughAmount(inventoryAmount, inventoryUnit, requiredAmount, requiredUnit, ingredientName = null) {
+    return units.compare(inventoryAmount, inventoryUnit, requiredAmount, requiredUnit, ingredientName).enough;
   },
 
   // ============ MEALDB INTEGRATION ============
 
-  // Import recipe from MealDB
+  // Import recipe from MealDB, with nutrition computed from its ingredients
   async importFromMealDB(mealDBId) {
     try {
-      const mealDBRecipe = await mealDBService.getRecipeById(mealDBId);
+      const mealDBRecipe = await mealDBService.getMealById(mealDBId);
       if (!mealDBRecipe) {
         throw new Error('Recipe not found in MealDB');
       }
 
-      // Create recipe in our database
-      const recipeData = {
-        name: mealDBRecipe.name,
-        description: mealDBRecipe.description,
-        cuisine: mealDBRecipe.cuisine,
-        difficulty: mealDBRecipe.difficulty,
-        prep_time: mealDBRecipe.prep_time,
-        cooking_time: mealDBRecipe.cooking_time,
-        servings: mealDBRecipe.servings,
-        instructions: mealDBRecipe.instructions,
-        external_id: mealDBRecipe.externalId,
-        external_source: 'mealdb',
-        ...mealDBService.estimateNutrition(mealDBRecipe.ingredients),
-      };
+      const { ingredients, ...recipeData } = await mealDBService.convertToAppRecipe(mealDBRecipe);
 
-      const recipe = await this.createRecipe(recipeData, mealDBRecipe.ingredients);
+      const recipe = await this.createRecipe({
+        ...recipeData,
+        source_id: String(recipeData.source_id),
+      }, ingredients);
       return recipe;
     } catch (error) {
       console.error('Error importing from MealDB:', error);
@@ -411,10 +357,23 @@ export const recipeService = {
     }
   },
 
+  // MealDB meal in the shape MealDBImporter lists
+  toMealDBPreview(meal) {
+    return {
+      ...meal,
+      externalId: meal.id,
+      description: `${meal.category} dish from ${meal.area}`,
+      prep_time: 0,
+      cooking_time: mealDBService.estimateCookingTime(meal.instructions),
+      servings: MEALDB_DEFAULT_SERVINGS,
+    };
+  },
+
   // Search MealDB recipes
   async searchMealDB(query) {
     try {
-      return await mealDBService.searchRecipes(query);
+      const meals = await mealDBService.searchByName(query);
+      return meals.map(meal => this.toMealDBPreview(meal));
     } catch (error) {
       console.error('Error searching MealDB:', error);
       return [];
@@ -424,7 +383,8 @@ export const recipeService = {
   // Get random MealDB recipe
   async getRandomMealDB() {
     try {
-      return await mealDBService.getRandomRecipe();
+      const meal = await mealDBService.getRandomMeal();
+      return meal ? this.toMealDBPreview(meal) : null;
     } catch (error) {
       console.error('Error getting random recipe:', error);
       return null;
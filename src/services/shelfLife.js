@@ -0,0 +1,209 @@
+/**
+ * Shelf Life
+ * Expiration estimates for inventory items. An item's own expires_on wins;
+ * otherwise it's estimated from when it was added, where it's stored and
+ * how long that kind of food keeps there (USDA FoodKeeper guidance, rounded
+ * down to err on the safe side).
+ */
+
+export const STORAGE_LOCATIONS = ['pantry', 'fridge', 'freezer'];
+
+export const STORAGE_LABELS = {
+  pantry: '🥫 Pantry',
+  fridge: '🧊 Fridge',
+  freezer: '❄️ Freezer',
+};
+
+// Items expiring within this many days show up as "expiring soon"
+export const EXPIRING_SOON_DAYS = 3;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days an unopened item keeps, per category and storage. null = don't store it there.
+export const CATEGORY_SHELF_LIFE = {
+  Produce: { pantry: 5, fridge: 7, freezer: 240 },
+  'Meat & Seafood': { pantry: null, fridge: 2, freezer: 120 },
+  Dairy: { pantry: null, fridge: 7, freezer: 90 },
+  Bakery: { pantry: 5, fridge: 10, freezer: 90 },
+  Pantry: { pantry: 365, fridge: 365, freezer: 365 },
+  Frozen: { pantry: null, fridge: 3, freezer: 240 },
+  Beverages: { pantry: 180, fridge: 7, freezer: 90 },
+  Snacks: { pantry: 60, fridge: 60, freezer: 90 },
+  Other: { pantry: 30, fridge: 7, freezer: 90 },
+};
+
+// Where each category goes when the item doesn't say
+const DEFAULT_STORAGE = {
+  Produce: 'fridge',
+  'Meat & Seafood': 'fridge',
+  Dairy: 'fridge',
+  Bakery: 'pantry',
+  Pantry: 'pantry',
+  Frozen: 'freezer',
+  Beverages: 'pantry',
+  Snacks: 'pantry',
+  Other: 'pantry',
+};
+
+// Category names used elsewhere in the app -> shelf-life table category
+const CATEGORY_ALIASES = {
+  meat: 'Meat & Seafood',
+  seafood: 'Meat & Seafood',
+  'dairy & eggs': 'Dairy',
+  grains: 'Pantry',
+  canned: 'Pantry',
+};
+
+// Foods that keep very differently from the rest of their category.
+// First match wins, so more specific words come first.
+const ITEM_SHELF_LIFE = [
+  { words: ['ground beef', 'ground turkey', 'ground pork', 'fish', 'salmon', 'shrimp', 'chicken', 'turkey'], days: { fridge: 2, freezer: 120 } },
+  { words: ['bacon', 'sausage', 'ham', 'hot dog'], days: { fridge: 7, freezer: 60 } },
+  { words: ['steak', 'beef', 'pork', 'lamb'], days: { fridge: 4, freezer: 180 } },
+  { words: ['egg'], days: { fridge: 35 } },
+  { words: ['cheddar', 'parmesan', 'swiss', 'hard cheese'], days: { fridge: 28, freezer: 180 } },
+  { words: ['butter'], days: { fridge: 60, freezer: 270 } },
+  { words: ['yogurt', 'sour cream', 'cottage cheese'], days: { fridge: 14 } },
+  { words: ['milk', 'cream'], days: { fridge: 7, freezer: 90 } },
+  { words: ['spinach', 'lettuce', 'greens', 'arugula', 'herb', 'cilantro', 'parsley', 'berries', 'strawberries', 'raspberries', 'blueberries'], days: { fridge: 5 } },
+  { words: ['banana', 'avocado', 'tomato'], days: { pantry: 5, fridge: 7 }, storage: 'pantry' },
+  { words: ['potato', 'onion', 'garlic', 'sweet potato'], days: { pantry: 30, fridge: 30 }, storage: 'pantry' },
+  { words: ['apple', 'carrot', 'cabbage', 'citrus', 'orange', 'lemon', 'lime'], days: { pantry: 7, fridge: 30 } },
+  { words: ['rice', 'pasta', 'spaghetti', 'noodle', 'dried bean', 'lentil'], days: { pantry: 730 } },
+  { words: ['flour', 'sugar', 'oat'], days: { pantry: 240 } },
+  { words: ['canned'], days: { pantry: 730 } },
+  { words: ['oil', 'vinegar', 'honey', 'soy sauce'], days: { pantry: 365 } },
+  { words: ['bread', 'tortilla', 'bagel'], days: { pantry: 5, fridge: 10, freezer: 90 }, storage: 'pantry' },
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words, plurals included - "oats" but not "goat", "ham" but not "hamburger"
+const matchesWord = (name, word) => new RegExp(`\\b${escapeRegExp(word)}(s|es)?\\b`).test(name);
+
+const toDateString = (date) => {
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().split('T')[0];
+};
+
+// Midnight local time, so "days left" counts calendar days
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Date-only strings ("2026-03-01") are parsed as local dates, not UTC
+const parseDate = (value) => {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const shelfLifeService = {
+  normalizeCategory(category) {
+    if (CATEGORY_SHELF_LIFE[category]) return category;
+    return CATEGORY_ALIASES[String(category || '').toLowerCase()] || 'Other';
+  },
+
+  itemRule(name) {
+    const lower = String(name || '').toLowerCase();
+    return ITEM_SHELF_LIFE.find(rule => rule.words.some(word => matchesWord(lower, word))) || null;
+  },
+
+  /**
+   * Where an item is stored: its own storage_location, else the usual place for it
+   */
+  getStorage(item) {
+    if (STORAGE_LOCATIONS.includes(item?.storage_location)) return item.storage_location;
+    return this.itemRule(item?.name)?.storage || DEFAULT_STORAGE[this.normalizeCategory(item?.category)];
+  },
+
+  /**
+   * Days an item keeps in a storage location (null if unknown / not stored there)
+   */
+  shelfLifeDays(item, storage = this.getStorage(item)) {
+    const rule = this.itemRule(item?.name);
+    if (rule?.days[storage] !== undefined) return rule.days[storage];
+    return CATEGORY_SHELF_LIFE[this.normalizeCategory(item?.category)][storage] ?? null;
+  },
+
+  /**
+   * Estimated expiration date (YYYY-MM-DD) from the shelf-life tables
+   */
+  estimateExpiration(item, { storage = this.getStorage(item), addedAt = item?.purchased_at || item?.created_at || new Date() } = {}) {
+    const days = this.shelfLifeDays(item, storage);
+    if (days === null) return null;
+
+    const added = parseDate(addedAt) || new Date();
+    return toDateString(new Date(added.getTime() + days * DAY));
+  },
+
+  /**
+   * storage_location / expires_on columns for a new inventory row.
+   * Explicit values on the item win; the rest are filled in from the tables.
+   */
+  expirationFields(item, addedAt = new Date()) {
+    const storage = this.getStorage(item);
+    return {
+      storage_location: storage,
+      expires_on: item?.expires_on || this.estimateExpiration(item, { storage, addedAt }),
+      expiration_estimated: !item?.expires_on,
+    };
+  },
+
+  /**
+   * Expiration date for an item: its own expires_on, else estimated
+   */
+  getExpiration(item) {
+    return parseDate(item?.expires_on) || parseDate(this.estimateExpiration(item));
+  },
+
+  /**
+   * Whole days until an item expires (negative once expired, null if unknown)
+   */
+  daysUntilExpiration(item, now = new Date()) {
+    const expiration = this.getExpiration(item);
+    if (!expiration) return null;
+    return Math.round((startOfDay(expiration) - startOfDay(now)) / DAY);
+  },
+
+  /**
+   * 'expired', 'expiring' (within EXPIRING_SOON_DAYS), 'fresh' or 'unknown'
+   */
+  getStatus(item, now = new Date()) {
+    const days = this.daysUntilExpiration(item, now);
+    if (days === null) return 'unknown';
+    if (days < 0) return 'expired';
+    if (days <= EXPIRING_SOON_DAYS) return 'expiring';
+    return 'fresh';
+  },
+
+  /**
+   * Items expired or expiring within `days`, soonest first
+   */
+  expiringSoon(items, days = EXPIRING_SOON_DAYS, now = new Date()) {
+    return (items || [])
+      .map(item => ({ item, daysLeft: this.daysUntilExpiration(item, now) }))
+      .filter(entry => entry.daysLeft !== null && entry.daysLeft <= days)
+      .sort((a, b) => a.daysLeft - b.daysLeft)
+      .map(entry => ({ ...entry.item, daysLeft: entry.daysLeft }));
+  },
+
+  /**
+   * Short label for a days-left count: "Expired 2 days ago", "Expires today"...
+   */
+  formatDaysLeft(daysLeft) {
+    if (daysLeft === null || daysLeft === undefined) return 'No expiration date';
+    if (daysLeft < -1) return `Expired ${-daysLeft} days ago`;
+    if (daysLeft === -1) return 'Expired yesterday';
+    if (daysLeft === 0) return 'Expires today';
+    if (daysLeft === 1) return 'Expires tomorrow';
+    return `Expires in ${daysLeft} days`;
+  },
+};
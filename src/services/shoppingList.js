@@ -1,145 +1,138 @@
-import { supabase } from './supabase';
+import { inventoryRepository, shoppingListRepository } from './dataRepository';
+import { inventoryLotsService } from './inventoryLots';
+
+// Attempts at a shared edit before giving up (each retry means someone else saved in between)
+const MAX_EDIT_ATTEMPTS = 3;
+
+const sameValue = (a, b) => (a ?? '') === (b ?? '') || Number(a) === Number(b) && a !== '' && b !== '';
+
+/**
+ * Three-way merge of one field edited by this user (mine) while someone else
+ * saved theirs, both starting from base. Quantities combine as changes
+ * ("+1" on each side makes +2); notes keep both texts.
+ */
+const mergeField = (field, base, mine, theirs) => {
+  if (sameValue(theirs, base) || sameValue(mine, theirs)) return mine;
+  if (sameValue(mine, base)) return theirs;
+
+  if (field === 'amount') {
+    const merged = Number(theirs) + (Number(mine) - Number(base));
+    return Number.isFinite(merged) && merged > 0 ? Math.round(merged * 100) / 100 : mine;
+  }
+
+  if (field === 'notes') {
+    const myText = String(mine || '').trim();
+    const theirText = String(theirs || '').trim();
+    if (!myText) return theirText;
+    if (!theirText || myText.includes(theirText)) return myText;
+    if (theirText.includes(myText)) return theirText;
+    return `${theirText}; ${myText}`;
+  }
+
+  // Anything else: last write wins
+  return mine;
+};
 
 export const shoppingListService = {
   // Get all shopping list items for current user
   async getShoppingList() {
-    const { data, error } = await supabase
-      .from('shopping_list_items')
-      .select('*')
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
-    return data;
+    return shoppingListRepository.list();
   },
 
   // Add item to shopping list
   async addItem(itemData) {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) throw new Error('Not authenticated');
-
-    const { data, error } = await supabase
-      .from('shopping_list_items')
-      .insert({
-        user_id: user.id,
-        ...itemData,
-      })
-      .select()
-      .maybeSingle();
-
-    if (error) throw error;
-    return data;
+    return shoppingListRepository.insert(itemData);
   },
 
   // Update item
   async updateItem(id, updates) {
-    const { data, error } = await supabase
-      .from('shopping_list_items')
-      .update(updates)
-      .eq('id', id)
-      .select()
-      .maybeSingle();
-
-    if (error) throw error;
-    return data;
+    return shoppingListRepository.update(id, updates);
+  },
+
+  /**
+   * Save edits to an item that someone else may be editing too.
+   * `item` is the row as this user last saw it; if it changed on the server
+   * since, each edited field is merged with theirs instead of overwriting it.
+   * Returns the saved row.
+   */
+  async updateShared(item, changes) {
+    let base = item;
+    let pending = changes;
+
+    for (let attempt = 0; attempt < MAX_EDIT_ATTEMPTS; attempt++) {
+      const saved = await shoppingListRepository.update(item.id, pending, { ifUpdatedAt: base.updated_at ?? null });
+      if (saved) return saved;
+
+      // Someone saved first: merge against what they saved and try again
+      const latest = await shoppingListRepository.getById(item.id);
+      if (!latest) throw new Error(`${item.name} was removed from the list`);
+
+      const merged = {};
+      Object.keys(pending).forEach(field => {
+        merged[field] = mergeField(field, base[field], pending[field], latest[field]);
+      });
+      console.log(`🔀 Merged concurrent edit to ${item.name}`);
+
+      base = latest;
+      pending = merged;
+    }
+
+    throw new Error(`${item.name} is being changed by someone else - try again`);
   },
 
   // Mark item as purchased (and add to inventory)
   async markPurchased(id) {
     // Get the item
-    const { data: item, error: itemError } = await supabase
-      .from('shopping_list_items')
-      .select('*')
-      .eq('id', id)
-      .maybeSingle();
-
-    if (itemError) throw itemError;
+    const item = await shoppingListRepository.getById(id);
+    if (!item) throw new Error('Shopping list item not found');
 
     // Mark as purchased
-    const { data: updatedItem, error: updateError } = await supabase
-      .from('shopping_list_items')
-      .update({
-        is_purchased: true,
-        purchased_at: new Date().toISOString(),
-      })
-      .eq('id', id)
-      .select()
-      .maybeSingle();
-
-    if (updateError) throw updateError;
-
-    // Add to inventory
-    const { data: { user } } = await supabase.auth.getUser();
-    const { error: inventoryError } = await supabase
-      .from('inventory_items')
-      .insert({
-        user_id: user.id,
-        name: item.name,
-        category: item.category,
-        amount: item.amount,
-        unit: item.unit,
-        calories: item.calories,
-        protein: item.protein,
-        carbs: item.carbs,
-        fat: item.fat,
-        usda_food_id: item.usda_food_id,
-        serving_size: item.serving_size,
-        serving_unit: item.serving_unit,
-      });
+    const updatedItem = await shoppingListRepository.update(id, {
+      is_purchased: true,
+      purchased_at: new Date().toISOString(),
+    });
 
-    if (inventoryError) throw inventoryError;
+    // Add to inventory as a new lot
+    await inventoryRepository.insert({
+      name: item.name,
+      category: item.category,
+      amount: item.amount,
+      unit: item.unit,
+      calories: item.calories,
+      protein: item.protein,
+      carbs: item.carbs,
+      fat: item.fat,
+      usda_food_id: item.usda_food_id,
+      serving_size: item.serving_size,
+      serving_unit: item.serving_unit,
+      ...inventoryLotsService.lotFields(item),
+    });
 
     return updatedItem;
   },
 
   // Delete item
   async deleteItem(id) {
-    const { error } = await supabase
-      .from('shopping_list_items')
-      .delete()
-      .eq('id', id);
-
-    if (error) throw error;
-    return true;
+    return shoppingListRepository.remove(id);
   },
 
   // Clear purchased items
   async clearPurchased() {
-    const { error } = await supabase
-      .from('shopping_list_items')
-      .delete()
-      .eq('is_purchased', true);
-
-    if (error) throw error;
-    return true;
+    return shoppingListRepository.removeWhere({ purchased: true });
   },
   // ============ ADD THESE METHODS TO shoppingList.js ============
 
   // Archive a purchased item
   async archiveItem(id) {
-    const { data, error } = await supabase
-      .from('shopping_list_items')
-      .update({
-        is_archived: true,
-        archived_at: new Date().toISOString(),
-      })
-      .eq('id', id)
-      .select()
-      .maybeSingle();
-
-    if (error) throw error;
-    return data;
+    return shoppingListRepository.update(id, {
+      is_archived: true,
+      archived_at: new Date().toISOString(),
+    });
   },
 
   // Get archived items
   async getArchivedItems() {
-    const { data, error } = await supabase
-      .from('shopping_list_items')
-      .select('*')
-      .eq('is_archived', true)
-      .order('archived_at', { ascending: false });
-
-    if (error) throw error;
-    return data;
+    return shoppingListRepository.list({ archived: true, orderBy: 'archived_at' });
   },
 
   // Get archived items grouped by date
@@ -160,13 +153,7 @@ export const shoppingListService = {
 
   // Clear archived items
   async clearArchived() {
-    const { error } = await supabase
-      .from('shopping_list_items')
-      .delete()
-      .eq('is_archived', true);
-
-    if (error) throw error;
-    return true;
+    return shoppingListRepository.removeWhere({ archived: true });
   },
 
   // Modified mark purchased - now archives instead of deleting
@@ -0,0 +1,479 @@
+import { supabase } from './supabase';
+import { localCache, STORES } from './localCache';
+import { shoppingListRepository, inventoryRepository } from './dataRepository';
+import { shoppingListService } from './shoppingList';
+
+/**
+ * Shopping List Sync
+ * Offline-first shopping list. The list is kept in IndexedDB and every change
+ * is applied locally straight away, then queued; the queue is sent in order
+ * whenever there's a connection (on load, on reconnect, and on a retry timer).
+ *
+ * New rows get their id on the device, so a replayed insert can't create a
+ * duplicate. Edits are sent with shoppingListService.updateShared, so an item
+ * edited elsewhere in the meantime is merged rather than overwritten; edits to
+ * an item deleted elsewhere are dropped. Either way the user gets a notice.
+ * Changes stay queued through outages, expired sign-ins and server errors;
+ * only a change the database rejects as invalid is dropped.
+ */
+
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  SYNCING: 'syncing',
+  PENDING: 'pending',
+  OFFLINE: 'offline',
+  ERROR: 'error',
+};
+
+const RETRY_DELAY_MS = 30000;
+const OWNER_KEY = 'shoppingListOwner';
+
+// Postgres unique violation - the row was already sent by an earlier attempt
+const ALREADY_EXISTS = '23505';
+
+// Errors that mean "no connection" rather than "the change was rejected".
+// Browsers report a failed fetch as a TypeError with one of these messages.
+const isNetworkError = (error) =>
+  (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+  error?.name === 'AuthRetryableFetchError' ||
+  /failed to fetch|networkerror|network request failed|load failed/i.test(error?.message || '');
+
+// Signed out or the session expired - the change can go once the user signs in again
+const isAuthError = (error) =>
+  [401, 403].includes(Number(error?.status)) ||
+  /^(PGRST30|42501)/.test(error?.code || '') ||
+  /jwt|not authenticated|auth session missing/i.test(error?.message || '');
+
+// Postgres data/constraint errors, unknown columns and malformed requests:
+// the change itself is invalid, so sending it again can't help
+const REJECTED_CODES = /^(22|23|42|PGRST[12])/;
+
+const isRejected = (error) => {
+  if (isNetworkError(error) || isAuthError(error)) return false;
+  if (REJECTED_CODES.test(error?.code || '')) return true;
+  const status = Number(error?.status);
+  return status >= 400 && status < 500 && ![408, 429].includes(status);
+};
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+const newId = () => crypto.randomUUID();
+
+class ShoppingListSyncService {
+  items = [];
+  status = SYNC_STATUS.SYNCED;
+  pendingCount = 0;
+  lastSyncedAt = null;
+  notices = []; // [{ id, message }] - conflicts and rejected changes to show the user
+
+  listeners = new Set();
+  listening = false;
+  started = null;
+  syncing = null;
+  retryTimer = null;
+  owner = null; // user id the cached list and queue belong to
+  generation = 0; // bumped when the user changes, so work for the previous user stops
+
+  /**
+   * Listen for list/sync changes. Called right away with the current state;
+   * returns a function that stops listening.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getState());
+    return () => this.listeners.delete(listener);
+  }
+
+  getState() {
+    return {
+      items: this.items,
+      status: this.status,
+      pendingCount: this.pendingCount,
+      lastSyncedAt: this.lastSyncedAt,
+      notices: this.notices,
+    };
+  }
+
+  emit() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  /**
+   * Load the cached list (resolves once it's showing), then sync in the
+   * background. Safe to call more than once.
+   */
+  async start() {
+    if (!this.started) {
+      this.started = this.loadCache();
+      this.listen();
+    }
+    await this.started;
+    this.sync();
+    return this.getState();
+  }
+
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.sync());
+      window.addEventListener('offline', () => this.updateStatus());
+    }
+
+    supabase.auth.onAuthStateChange((event, session) => {
+      const userId = session?.user?.id || null;
+      if (event === 'SIGNED_OUT') {
+        this.signOut();
+      } else if (userId && this.owner && userId !== this.owner) {
+        // Someone else signed in in this tab - load (and owner-check) the cache again
+        this.reset();
+        if (this.listeners.size > 0) this.start();
+      }
+    });
+  }
+
+  /**
+   * Forget the in-memory list and stop work for the current user; the next
+   * start() loads the cache again for whoever is signed in
+   */
+  reset() {
+    clearTimeout(this.retryTimer);
+    this.generation++;
+    this.started = null;
+    this.owner = null;
+    this.items = [];
+    this.pendingCount = 0;
+    this.notices = [];
+    this.lastSyncedAt = null;
+    this.updateStatus();
+  }
+
+  // Signed out: nothing of theirs stays on the device, including unsent changes
+  async signOut() {
+    this.reset();
+    try {
+      await localCache.clear(STORES.SHOPPING_LIST);
+      await localCache.clear(STORES.MUTATIONS);
+    } catch (error) {
+      console.error('Error clearing cached shopping list:', error);
+    }
+  }
+
+  async loadCache() {
+    try {
+      // getSession reads local storage, so this works offline
+      const { data: { session } } = await supabase.auth.getSession();
+      const owner = session?.user?.id || null;
+
+      if (owner && owner !== await localCache.get(STORES.META, OWNER_KEY)) {
+        // Someone else's cache - never show or send it for this user
+        await localCache.clear(STORES.SHOPPING_LIST);
+        await localCache.clear(STORES.MUTATIONS);
+        await localCache.put(STORES.META, owner, OWNER_KEY);
+      }
+      this.owner = owner;
+
+      this.items = this.sortItems(await localCache.getAll(STORES.SHOPPING_LIST));
+      this.pendingCount = (await localCache.getAll(STORES.MUTATIONS)).length;
+      this.updateStatus();
+    } catch (error) {
+      console.error('Error loading cached shopping list:', error);
+    }
+  }
+
+  sortItems(items) {
+    return [...items].sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+  }
+
+  updateStatus(status) {
+    this.status = status || (!isOnline()
+      ? SYNC_STATUS.OFFLINE
+      : this.pendingCount > 0 ? SYNC_STATUS.PENDING : SYNC_STATUS.SYNCED);
+    this.emit();
+  }
+
+  addNotice(message) {
+    this.notices = [...this.notices, { id: newId(), message }];
+  }
+
+  dismissNotice(id) {
+    this.notices = this.notices.filter(notice => notice.id !== id);
+    this.emit();
+  }
+
+  /**
+   * Send queued changes, then reload the list from the server.
+   * Runs one at a time; a call during a sync waits for that sync.
+   */
+  async sync() {
+    if (this.syncing) return this.syncing;
+    if (!isOnline()) {
+      this.updateStatus();
+      return this.getState();
+    }
+
+    clearTimeout(this.retryTimer);
+    this.updateStatus(SYNC_STATUS.SYNCING);
+
+    const generation = this.generation;
+    this.syncing = (async () => {
+      try {
+        await this.replayQueue(generation);
+        const rows = await shoppingListRepository.list();
+        if (generation !== this.generation) return this.getState();
+        await this.replaceFromServer(rows);
+        this.lastSyncedAt = new Date();
+        this.updateStatus();
+
+        // Changes made while this sync was running
+        if (this.pendingCount > 0) setTimeout(() => this.sync(), 0);
+      } catch (error) {
+        if (generation !== this.generation) return this.getState();
+        if (isNetworkError(error)) {
+          console.warn('📴 Shopping list sync paused - no connection');
+          this.updateStatus(SYNC_STATUS.OFFLINE);
+        } else {
+          console.error('Shopping list sync failed:', error);
+          this.updateStatus(SYNC_STATUS.ERROR);
+        }
+        this.retryTimer = setTimeout(() => this.sync(), RETRY_DELAY_MS);
+      } finally {
+        this.syncing = null;
+        // A different user signed in meanwhile - sync their list now
+        if (generation !== this.generation && this.started) setTimeout(() => this.sync(), 0);
+      }
+      return this.getState();
+    })();
+
+    return this.syncing;
+  }
+
+  async replayQueue(generation = this.generation) {
+    const mutations = (await localCache.getAll(STORES.MUTATIONS)).sort((a, b) => a.seq - b.seq);
+
+    for (const mutation of mutations) {
+      // The user changed - their queue must not go out under the new session
+      if (generation !== this.generation) return;
+
+      try {
+        await this.send(mutation);
+      } catch (error) {
+        // Anything but a definite rejection (offline, signed out, server trouble):
+        // stop here and keep this and later changes queued
+        if (!isRejected(error)) throw error;
+
+        console.error(`Shopping list change rejected (${mutation.type} ${mutation.name}):`, error);
+        this.addNotice(`Couldn't save a change to ${mutation.name}: ${error.message}`);
+      }
+      if (generation !== this.generation) return;
+
+      await localCache.remove(STORES.MUTATIONS, mutation.seq);
+      this.pendingCount = Math.max(0, this.pendingCount - 1);
+      this.emit();
+    }
+  }
+
+  async send(mutation) {
+    switch (mutation.type) {
+      case 'insert':
+        try {
+          await shoppingListRepository.insert(mutation.row);
+        } catch (error) {
+          if (error.code !== ALREADY_EXISTS) throw error;
+        }
+        return;
+
+      case 'update': {
+        try {
+          const saved = await shoppingListService.updateShared(mutation.base, mutation.changes);
+          const merged = Object.keys(mutation.changes)
+            .some(field => String(saved[field] ?? '') !== String(mutation.changes[field] ?? ''));
+          if (merged) {
+            this.addNotice(`${mutation.name} was also changed on another device - both changes were kept.`);
+          }
+        } catch (error) {
+          if (!error.message.includes('was removed from the list')) throw error;
+          this.addNotice(`${mutation.name} was deleted on another device, so your change to it was dropped.`);
+        }
+        return;
+      }
+
+      case 'delete':
+        await shoppingListRepository.remove(mutation.id);
+        return;
+
+      case 'inventory':
+        try {
+          await inventoryRepository.insert(mutation.row);
+        } catch (error) {
+          if (error.code !== ALREADY_EXISTS) throw error;
+        }
+        return;
+
+      default:
+        // Can never be sent - drop it rather than block the queue
+        console.error(`Unknown shopping list change type ${mutation.type}`);
+        return;
+    }
+  }
+
+  /**
+   * Server rows with anything still queued applied on top
+   */
+  async replaceFromServer(rows) {
+    const pending = (await localCache.getAll(STORES.MUTATIONS)).sort((a, b) => a.seq - b.seq);
+    let items = rows;
+
+    pending.forEach(mutation => {
+      if (mutation.type === 'insert' && !items.some(item => item.id === mutation.id)) {
+        items = [mutation.row, ...items];
+      } else if (mutation.type === 'update') {
+        items = items.map(item => item.id === mutation.id ? { ...item, ...mutation.changes } : item);
+      } else if (mutation.type === 'delete') {
+        items = items.filter(item => item.id !== mutation.id);
+      }
+    });
+
+    this.items = this.sortItems(items);
+    this.pendingCount = pending.length;
+    await localCache.replaceAll(STORES.SHOPPING_LIST, this.items);
+  }
+
+  // Apply a change locally, queue it and try to send it
+  async queue(mutation, items) {
+    this.items = this.sortItems(items);
+    this.emit();
+
+    await localCache.replaceAll(STORES.SHOPPING_LIST, this.items);
+    if (mutation) {
+      await localCache.put(STORES.MUTATIONS, { ...mutation, createdAt: new Date().toISOString() });
+      this.pendingCount++;
+    }
+    this.updateStatus();
+    this.sync();
+  }
+
+  async pendingMutationsFor(id) {
+    return (await localCache.getAll(STORES.MUTATIONS)).filter(mutation => mutation.id === id);
+  }
+
+  /**
+   * Add an item (or an array of items). Returns the new row(s) as shown locally.
+   */
+  async add(itemData) {
+    const rows = (Array.isArray(itemData) ? itemData : [itemData]).map(item => ({
+      is_purchased: false,
+      ...item,
+      id: newId(),
+      created_at: new Date().toISOString(),
+    }));
+
+    let items = this.items;
+    for (const row of rows) {
+      items = [row, ...items];
+      await localCache.put(STORES.MUTATIONS, { type: 'insert', id: row.id, name: row.name, row, createdAt: row.created_at });
+      this.pendingCount++;
+    }
+
+    await this.queue(null, items);
+    return Array.isArray(itemData) ? rows : rows[0];
+  }
+
+  /**
+   * Change an item's fields
+   */
+  async update(id, changes) {
+    const item = this.items.find(i => i.id === id);
+    if (!item) return null;
+
+    const updated = { ...item, ...changes };
+    const items = this.items.map(i => i.id === id ? updated : i);
+
+    // Not sent yet: fold the change into the queued insert
+    const pendingInsert = (await this.pendingMutationsFor(id)).find(mutation => mutation.type === 'insert');
+    if (pendingInsert) {
+      await localCache.put(STORES.MUTATIONS, { ...pendingInsert, row: { ...pendingInsert.row, ...changes } });
+      await this.queue(null, items);
+      return updated;
+    }
+
+    // base is the item as last seen, so edits made elsewhere since can be merged
+    await this.queue({ type: 'update', id, name: item.name, base: item, changes }, items);
+    return updated;
+  }
+
+  /**
+   * Delete items by id
+   */
+  async remove(ids) {
+    const idList = Array.isArray(ids) ? ids : [ids];
+    const removing = this.items.filter(item => idList.includes(item.id));
+    const items = this.items.filter(item => !idList.includes(item.id));
+
+    for (const item of removing) {
+      const pending = await this.pendingMutationsFor(item.id);
+      const neverSent = pending.some(mutation => mutation.type === 'insert');
+
+      // Queued changes to a deleted item are moot; a never-sent item just disappears
+      if (pending.length > 0) {
+        await localCache.remove(STORES.MUTATIONS, pending.map(mutation => mutation.seq));
+        this.pendingCount -= pending.length;
+      }
+      if (!neverSent) {
+        await localCache.put(STORES.MUTATIONS, {
+          type: 'delete', id: item.id, name: item.name, createdAt: new Date().toISOString(),
+        });
+        this.pendingCount++;
+      }
+    }
+
+    await this.queue(null, items);
+  }
+
+  /**
+   * Queue a new inventory lot (checking an item off adds what was bought)
+   */
+  async addInventoryLot(row) {
+    await this.queue({ type: 'inventory', id: newId(), name: row.name, row: { ...row, id: newId() } }, this.items);
+  }
+
+  /**
+   * Rows already saved on the server by the online-only aisle lookup - take
+   * them unless the item has changes still queued
+   */
+  async applyServerRows(rows) {
+    const pendingIds = new Set((await localCache.getAll(STORES.MUTATIONS)).map(mutation => mutation.id));
+    const byId = new Map(rows.filter(row => row && !pendingIds.has(row.id)).map(row => [row.id, row]));
+    if (byId.size === 0) return;
+
+    this.items = this.items.map(item => byId.get(item.id) || item);
+    await localCache.replaceAll(STORES.SHOPPING_LIST, this.items);
+    this.emit();
+  }
+
+  /**
+   * A realtime change from someone else. Items with queued local changes keep
+   * the local version until those are sent.
+   */
+  async applyRemote({ type, row }) {
+    const pendingIds = new Set((await localCache.getAll(STORES.MUTATIONS)).map(mutation => mutation.id));
+    if (pendingIds.has(row.id)) return;
+
+    if (type === 'INSERT' && !this.items.some(item => item.id === row.id)) {
+      this.items = this.sortItems([row, ...this.items]);
+    } else if (type === 'UPDATE') {
+      this.items = this.items.map(item => item.id === row.id ? row : item);
+    } else if (type === 'DELETE') {
+      this.items = this.items.filter(item => item.id !== row.id);
+    } else {
+      return;
+    }
+
+    await localCache.replaceAll(STORES.SHOPPING_LIST, this.items);
+    this.emit();
+  }
+}
+
+export const shoppingListSyncService = new ShoppingListSyncService();
@@ -0,0 +1,246 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// In-memory stand-ins for IndexedDB, Supabase auth and the list tables
+const fake = vi.hoisted(() => ({
+  stores: {},
+  seq: 0,
+  session: null,
+  authListeners: [],
+  sent: [],
+  serverRows: [],
+  insertError: null,
+  updateError: null,
+}));
+
+vi.mock('./localCache', () => ({
+  STORES: { SHOPPING_LIST: 'shoppingList', MUTATIONS: 'mutations', META: 'meta' },
+  localCache: {
+    async getAll(store) {
+      return Object.values(fake.stores[store] || {});
+    },
+    async get(store, key) {
+      return fake.stores[store]?.[key];
+    },
+    async put(store, values, key) {
+      fake.stores[store] ||= {};
+      if (key !== undefined) {
+        fake.stores[store][key] = values;
+        return;
+      }
+      (Array.isArray(values) ? values : [values]).forEach(value => {
+        const id = store === 'mutations' ? (value.seq ??= ++fake.seq) : value.id;
+        fake.stores[store][id] = value;
+      });
+    },
+    async remove(store, keys) {
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => delete fake.stores[store]?.[key]);
+    },
+    async replaceAll(store, values) {
+      fake.stores[store] = Object.fromEntries(values.map(value => [value.id, value]));
+    },
+    async clear(store) {
+      fake.stores[store] = {};
+    },
+  },
+}));
+
+vi.mock('./supabase', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: fake.session } }),
+      onAuthStateChange: (callback) => fake.authListeners.push(callback),
+    },
+  },
+}));
+
+vi.mock('./dataRepository', () => ({
+  shoppingListRepository: {
+    async insert(row) {
+      if (fake.insertError) throw fake.insertError;
+      fake.sent.push(['insert', row.name]);
+      return row;
+    },
+    async remove(id) {
+      fake.sent.push(['delete', id]);
+    },
+    async list() {
+      return fake.serverRows;
+    },
+  },
+  inventoryRepository: {
+    async insert(row) {
+      fake.sent.push(['inventory', row.name]);
+      return row;
+    },
+  },
+}));
+
+vi.mock('./shoppingList', () => ({
+  shoppingListService: {
+    async updateShared(item, changes) {
+      if (fake.updateError) throw fake.updateError;
+      fake.sent.push(['update', item.name]);
+      return { ...item, ...changes };
+    },
+  },
+}));
+
+const signIn = (id) => {
+  fake.session = { user: { id } };
+};
+
+const loadService = async () => {
+  vi.resetModules();
+  return (await import('./shoppingListSync')).shoppingListSyncService;
+};
+
+// Let queued syncs (started without awaiting) run to completion
+const settle = async (service) => {
+  for (let i = 0; i < 5; i++) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (service.syncing) await service.syncing;
+  }
+};
+
+beforeEach(() => {
+  Object.assign(fake, {
+    stores: {}, seq: 0, session: null, authListeners: [], sent: [], serverRows: [], insertError: null, updateError: null,
+  });
+});
+
+describe('shoppingListSyncService queue replay', () => {
+  it('sends queued changes in the order they were made', async () => {
+    signIn('user-1');
+    fake.serverRows = [{ id: 'a', name: 'Bread', amount: 1 }];
+    const service = await loadService();
+    await service.start();
+    await settle(service);
+
+    // Offline: every send fails the way fetch does
+    fake.insertError = new TypeError('Failed to fetch');
+    fake.updateError = new TypeError('Failed to fetch');
+    await service.update('a', { amount: 2 });
+    const milk = await service.add({ name: 'Milk' });
+    await service.add({ name: 'Eggs' });
+    await service.update(milk.id, { amount: 3 });
+    await settle(service);
+
+    expect(service.getState().status).toBe('offline');
+    expect(service.getState().pendingCount).toBe(3);
+    expect(fake.sent).toEqual([]);
+
+    fake.insertError = null;
+    fake.updateError = null;
+    await service.sync();
+    await settle(service);
+
+    // The edit to unsent Milk was folded into its insert
+    expect(fake.sent).toEqual([['update', 'Bread'], ['insert', 'Milk'], ['insert', 'Eggs']]);
+    expect(service.getState().pendingCount).toBe(0);
+  });
+
+  it('keeps a change queued when the session has expired', async () => {
+    signIn('user-1');
+    fake.serverRows = [{ id: 'a', name: 'Bread', amount: 1 }];
+    const service = await loadService();
+    await service.start();
+    await settle(service);
+
+    fake.updateError = { code: 'PGRST301', message: 'JWT expired' };
+    await service.update('a', { amount: 2 });
+    await settle(service);
+
+    expect(service.getState().pendingCount).toBe(1);
+    expect(service.getState().status).toBe('error');
+    expect(service.getState().notices).toEqual([]);
+
+    fake.updateError = null;
+    await service.sync();
+    await settle(service);
+    expect(fake.sent).toEqual([['update', 'Bread']]);
+    expect(service.getState().pendingCount).toBe(0);
+  });
+
+  it('keeps a change queued while someone else is saving the same item', async () => {
+    signIn('user-1');
+    fake.serverRows = [{ id: 'a', name: 'Bread', amount: 1 }];
+    const service = await loadService();
+    await service.start();
+    await settle(service);
+
+    fake.updateError = new Error('Bread is being changed by someone else - try again');
+    await service.update('a', { amount: 2 });
+    await settle(service);
+
+    expect(service.getState().pendingCount).toBe(1);
+  });
+
+  it('drops a change the database rejects as invalid, with a notice', async () => {
+    signIn('user-1');
+    const service = await loadService();
+    await service.start();
+
+    fake.insertError = { code: '23502', message: 'null value in column "name"' };
+    await service.add({ name: 'Mystery' });
+    await settle(service);
+
+    expect(service.getState().pendingCount).toBe(0);
+    expect(service.getState().notices[0].message).toMatch(/Couldn't save a change to Mystery/);
+  });
+});
+
+describe('shoppingListSyncService auth changes', () => {
+  it("doesn't show or send another user's cached list", async () => {
+    fake.stores.meta = { shoppingListOwner: 'user-1' };
+    fake.stores.shoppingList = { a: { id: 'a', name: 'Their milk' } };
+    fake.stores.mutations = { 1: { seq: 1, type: 'insert', id: 'a', name: 'Their milk', row: { id: 'a', name: 'Their milk' } } };
+    fake.seq = 1;
+
+    signIn('user-2');
+    const service = await loadService();
+    await service.start();
+    await settle(service);
+
+    expect(fake.sent).toEqual([]);
+    expect(service.getState().items).toEqual([]);
+  });
+
+  it('clears the list and the queue on sign out', async () => {
+    signIn('user-1');
+    const service = await loadService();
+    await service.start();
+
+    fake.insertError = new TypeError('Failed to fetch');
+    await service.add({ name: 'Milk' });
+    await settle(service);
+    expect(service.getState().pendingCount).toBe(1);
+
+    fake.session = null;
+    fake.authListeners.forEach(listener => listener('SIGNED_OUT', null));
+    await settle(service);
+
+    expect(service.getState().items).toEqual([]);
+    expect(service.getState().pendingCount).toBe(0);
+    expect(Object.keys(fake.stores.mutations)).toEqual([]);
+  });
+
+  it("checks the cache owner again when a different user signs in, so their queue isn't sent", async () => {
+    signIn('user-1');
+    const service = await loadService();
+    service.subscribe(() => {});
+    await service.start();
+
+    fake.insertError = new TypeError('Failed to fetch');
+    await service.add({ name: 'Milk' });
+    await settle(service);
+
+    signIn('user-2');
+    fake.insertError = null;
+    fake.serverRows = [{ id: 'b', name: 'Coffee' }];
+    fake.authListeners.forEach(listener => listener('SIGNED_IN', fake.session));
+    await settle(service);
+
+    expect(fake.sent).toEqual([]);
+    expect(service.getState().items.map(item => item.name)).toEqual(['Coffee']);
+  });
+});
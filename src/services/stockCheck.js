@@ -0,0 +1,144 @@
+import { krogerService } from './kroger';
+import { krogerLocationsService } from './krogerLocations';
+import { shoppingListSyncService } from './shoppingListSync';
+import { storeAislesService } from './storeAisles';
+import { ingredientMatcher } from './ingredientMatcher';
+
+/**
+ * Stock Check
+ * Before a trip: looks every shopping list item up at a store and reads
+ * Kroger's stock level and in-store flag, so out-of-stock items show up
+ * before leaving the house. Suggests an in-stock substitute from the same
+ * category, and can run the same check against nearby stores.
+ */
+
+export const STOCK_STATUS = {
+  IN_STOCK: 'in_stock',
+  LOW: 'low',
+  UNKNOWN: 'unknown',
+  OUT: 'out',
+  NOT_FOUND: 'not_found',
+};
+
+export const STOCK_STATUS_LABELS = {
+  in_stock: '✅ In stock',
+  low: '⚠️ Low',
+  unknown: '❔ Unknown',
+  out: '🚫 Out',
+  not_found: '❓ Not found',
+};
+
+// Substitutes need a wider net than a single match
+const SEARCH_LIMIT = 10;
+const NEARBY_STORE_LIMIT = 4;
+const NEARBY_RADIUS_MILES = 15;
+
+export const stockCheckService = {
+  /**
+   * in_stock / low / out for a product searched at a store. Only a HIGH
+   * stock level counts as in stock; no stock level at all is unknown.
+   */
+  statusOf(product) {
+    if (!product) return STOCK_STATUS.NOT_FOUND;
+    if (product.fulfillment?.inStore === false) return STOCK_STATUS.OUT;
+    if (product.stockLevel === 'TEMPORARILY_OUT_OF_STOCK') return STOCK_STATUS.OUT;
+    if (product.stockLevel === 'LOW') return STOCK_STATUS.LOW;
+    if (product.stockLevel === 'HIGH') return STOCK_STATUS.IN_STOCK;
+    return STOCK_STATUS.UNKNOWN;
+  },
+
+  /**
+   * Best in-stock product from the same category that isn't the item's own
+   */
+  findSubstitute(item, product, results) {
+    const category = product?.category || item.category;
+
+    return results
+      .filter(result => result.krogerProductId !== product?.krogerProductId)
+      .filter(result => !category || result.category === category)
+      .filter(result => this.statusOf(result) === STOCK_STATUS.IN_STOCK)
+      .map(result => ({ result, confidence: ingredientMatcher.score(item.name, result.name, result.brandName) }))
+      .sort((a, b) => b.confidence - a.confidence)[0]?.result || null;
+  },
+
+  /**
+   * Check one item at a store: { item, product, status, substitute }
+   */
+  async checkItem(item, locationId) {
+    const results = await krogerService.searchProducts(item.name, locationId, SEARCH_LIMIT);
+    const product = storeAislesService.pickProduct(item, results);
+    const status = this.statusOf(product);
+
+    return {
+      item,
+      product,
+      status,
+      substitute: status === STOCK_STATUS.IN_STOCK ? null : this.findSubstitute(item, product, results),
+    };
+  },
+
+  /**
+   * Check every item at a store, one search at a time. With save, the stock
+   * level and aisle are written back to each list item (the selected store).
+   * Items whose search fails come back with an error instead of a status.
+   */
+  async checkList(items, locationId, { save = false, onProgress } = {}) {
+    const checks = [];
+
+    for (const item of items) {
+      try {
+        const check = await this.checkItem(item, locationId);
+        if (save && check.product) {
+          // Through the sync queue, so a save made offline is sent once back online
+          check.item = await shoppingListSyncService.update(item.id, {
+            ...storeAislesService.productFields(check.product, locationId),
+            stock_checked_at: new Date().toISOString(),
+          }) || item;
+        }
+        checks.push(check);
+      } catch (error) {
+        console.warn(`Stock check failed for ${item.name}:`, error.message);
+        checks.push({ item, product: null, status: null, substitute: null, error: error.message });
+      }
+      onProgress?.(checks.length);
+    }
+
+    console.log(`✅ Checked stock for ${checks.length} items at store ${locationId}`);
+    return checks;
+  },
+
+  /**
+   * Count of checks per status
+   */
+  summarize(checks) {
+    const summary = { in_stock: 0, low: 0, unknown: 0, out: 0, not_found: 0, failed: 0 };
+    checks.forEach(check => {
+      if (check.status) summary[check.status]++;
+      else summary.failed++;
+    });
+    return summary;
+  },
+
+  /**
+   * Run the check at other stores near a zip code, most in stock first:
+   * [{ store, checks, summary }]
+   */
+  async compareNearbyStores(items, zipCode, excludeLocationId = null, onProgress) {
+    const stores = (await krogerLocationsService.searchByZipCode(zipCode, NEARBY_RADIUS_MILES, NEARBY_STORE_LIMIT + 1))
+      .filter(store => store.locationId !== excludeLocationId)
+      .slice(0, NEARBY_STORE_LIMIT);
+
+    const comparisons = [];
+    for (const store of stores) {
+      const checks = await this.checkList(items, store.locationId);
+      comparisons.push({ store, checks, summary: this.summarize(checks) });
+      onProgress?.(comparisons.length, stores.length);
+    }
+
+    return comparisons.sort((a, b) =>
+      (a.summary.out + a.summary.not_found) - (b.summary.out + b.summary.not_found) ||
+      a.summary.low - b.summary.low ||
+      a.summary.unknown - b.summary.unknown
+    );
+  },
+};
@@ -0,0 +1,173 @@
+import { krogerService } from './kroger';
+import { shoppingListRepository } from './dataRepository';
+import { ingredientMatcher, DEFAULT_MIN_CONFIDENCE } from './ingredientMatcher';
+
+/**
+ * Store Aisles
+ * Links shopping list items to a product at the selected Kroger store and
+ * keeps where it's shelved (aisle number and side), so the list can be
+ * walked in aisle order. Links are per store: switching stores re-links.
+ */
+
+const SEARCH_LIMIT = 5;
+
+// Departments Kroger names instead of numbering, in walking order:
+// the entrance side comes before the numbered aisles, the back wall after
+const DEPARTMENTS = [
+  { words: ['produce', 'floral'], before: true },
+  { words: ['bakery', 'deli'], before: true },
+  { words: ['meat', 'seafood'], before: false },
+  { words: ['dairy', 'eggs'], before: false },
+  { words: ['frozen'], before: false },
+];
+
+const SIDE_LABELS = { L: 'Left', R: 'Right' };
+
+const UNKNOWN_SECTION = 'unknown';
+
+export const storeAislesService = {
+  /**
+   * Whether an item already has its aisle looked up for this store
+   */
+  isLinked(item, locationId) {
+    return !!locationId && item.store_location_id === locationId;
+  },
+
+  /**
+   * Shopping list columns for a Kroger product found at a store
+   */
+  productFields(product, locationId) {
+    return {
+      kroger_product_id: product?.krogerProductId || null,
+      store_location_id: locationId,
+      aisle_number: product?.aisle?.number || null,
+      aisle_side: product?.aisle?.side || null,
+      aisle_description: product?.aisle?.description || null,
+      stock_level: product?.stockLevel || null,
+    };
+  },
+
+  /**
+   * The search result that is this list item: the item's own product when
+   * the store carries it, otherwise the closest name match (or null)
+   */
+  pickProduct(item, results) {
+    return results.find(result => item.kroger_product_id && result.krogerProductId === item.kroger_product_id)
+      || results
+        .map(result => ({ result, confidence: ingredientMatcher.score(item.name, result.name, result.brandName) }))
+        .filter(match => match.confidence >= DEFAULT_MIN_CONFIDENCE)
+        .sort((a, b) => b.confidence - a.confidence)[0]?.result
+      || null;
+  },
+
+  /**
+   * Find an item's product at a store and save its aisle. Items with no
+   * match are still marked as looked up (with no aisle) so they aren't
+   * searched again.
+   */
+  async linkItem(item, locationId) {
+    const results = await krogerService.searchProducts(item.name, locationId, SEARCH_LIMIT);
+    const product = this.pickProduct(item, results);
+
+    const fields = this.productFields(product, locationId);
+    // Keep a product the user picked even if this store doesn't have it
+    if (!product && item.kroger_product_id) delete fields.kroger_product_id;
+
+    return shoppingListRepository.update(item.id, fields);
+  },
+
+  /**
+   * Link every item not yet looked up at this store. Returns the updated
+   * items in the same order; items whose search fails come back unchanged.
+   */
+  async linkItems(items, locationId, onProgress) {
+    const linked = [];
+    let done = 0;
+
+    for (const item of items) {
+      if (this.isLinked(item, locationId)) {
+        linked.push(item);
+        continue;
+      }
+
+      try {
+        linked.push(await this.linkItem(item, locationId));
+      } catch (error) {
+        console.warn(`Could not find ${item.name} at store ${locationId}:`, error.message);
+        linked.push(item);
+      }
+      onProgress?.(++done);
+    }
+
+    console.log(`✅ Looked up aisles for ${done} items`);
+    return linked;
+  },
+
+  /**
+   * Where a linked item sits in walking order: [group, aisle, side]
+   * group 0 = entrance departments, 1 = numbered aisles, 2 = back wall,
+   * 3 = other named locations. null when the aisle is unknown.
+   */
+  walkingOrder(item) {
+    const number = parseInt(item.aisle_number, 10);
+    if (!Number.isNaN(number)) return [1, number, item.aisle_side || ''];
+
+    const description = String(item.aisle_description || '').toLowerCase();
+    if (!description) return null;
+
+    const index = DEPARTMENTS.findIndex(department => department.words.some(word => description.includes(word)));
+    if (index === -1) return [3, 0, description];
+    return [DEPARTMENTS[index].before ? 0 : 2, index, ''];
+  },
+
+  /**
+   * Heading for an item's aisle: "Aisle 24 • Left", "Produce"...
+   */
+  aisleLabel(item) {
+    const number = parseInt(item.aisle_number, 10);
+    if (Number.isNaN(number)) return item.aisle_description || 'Unknown aisle';
+
+    const side = SIDE_LABELS[item.aisle_side];
+    return side ? `Aisle ${number} • ${side}` : `Aisle ${number}`;
+  },
+
+  /**
+   * Items grouped into sections in walking order through the store:
+   * [{ key, label, items }], with items whose aisle isn't known last
+   */
+  groupByAisle(items) {
+    const sections = new Map();
+
+    items.forEach(item => {
+      const order = this.walkingOrder(item);
+      const key = order ? order.join('|') : UNKNOWN_SECTION;
+
+      if (!sections.has(key)) {
+        sections.set(key, {
+          key,
+          order,
+          label: order ? this.aisleLabel(item) : '❓ Unknown aisle',
+          items: [],
+        });
+      }
+      sections.get(key).items.push(item);
+    });
+
+    const compare = (a, b) => {
+      if (!a.order) return 1;
+      if (!b.order) return -1;
+      for (let i = 0; i < a.order.length; i++) {
+        if (a.order[i] < b.order[i]) return -1;
+        if (a.order[i] > b.order[i]) return 1;
+      }
+      return 0;
+    };
+
+    return [...sections.values()]
+      .sort(compare)
+      .map(({ order, ...section }) => ({
+        ...section,
+        items: section.items.sort((a, b) => a.name.localeCompare(b.name)),
+      }));
+  },
+};
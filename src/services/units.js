@@ -0,0 +1,356 @@
+import { ingredientMatcher } from './ingredientMatcher';
+
+/**
+ * Units
+ * Parsing and conversion for recipe, inventory and shopping list amounts.
+ * Handles metric/imperial mass and volume, fractions ("1 1/2 cups"), count
+ * units (cloves, cans, sticks) and per-ingredient density for cup <-> gram.
+ *
+ * Every conversion says how much to trust it:
+ *   exact       - same dimension, fixed factor (cups -> ml, lb -> g)
+ *   approximate - went through an ingredient density or typical item weight
+ *   impossible  - no way to relate the units (value is null)
+ */
+
+export const CONVERSION = {
+  EXACT: 'exact',
+  APPROXIMATE: 'approximate',
+  IMPOSSIBLE: 'impossible',
+};
+
+// factor = size in the dimension's base unit (g for mass, ml for volume, item for count)
+const UNIT_DEFINITIONS = {
+  // Mass
+  mg: { type: 'mass', factor: 0.001, aliases: ['milligram', 'milligrams'] },
+  g: { type: 'mass', factor: 1, aliases: ['gram', 'grams', 'gr', 'gm', 'gms'] },
+  kg: { type: 'mass', factor: 1000, aliases: ['kilogram', 'kilograms', 'kilo', 'kilos', 'kgs'] },
+  oz: { type: 'mass', factor: 28.349523125, aliases: ['ounce', 'ounces', 'ozs'] },
+  lb: { type: 'mass', factor: 453.59237, aliases: ['pound', 'pounds', 'lbs'] },
+
+  // Volume
+  ml: { type: 'volume', factor: 1, aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'mls', 'cc'] },
+  cl: { type: 'volume', factor: 10, aliases: ['centiliter', 'centiliters', 'centilitre', 'centilitres'] },
+  dl: { type: 'volume', factor: 100, aliases: ['deciliter', 'deciliters', 'decilitre', 'decilitres'] },
+  l: { type: 'volume', factor: 1000, aliases: ['liter', 'liters', 'litre', 'litres', 'ltr'] },
+  tsp: { type: 'volume', factor: 4.92892159375, aliases: ['teaspoon', 'teaspoons', 'tsps', 't'] },
+  tbsp: { type: 'volume', factor: 14.78676478125, aliases: ['tablespoon', 'tablespoons', 'tbsps', 'tbs', 'tbls', 'tbl', 'T'] },
+  'fl oz': { type: 'volume', factor: 29.5735295625, aliases: ['fluid ounce', 'fluid ounces', 'floz', 'fl. oz'] },
+  cup: { type: 'volume', factor: 236.5882365, aliases: ['cups', 'c'] },
+  pint: { type: 'volume', factor: 473.176473, aliases: ['pints', 'pt'] },
+  quart: { type: 'volume', factor: 946.352946, aliases: ['quarts', 'qt'] },
+  gallon: { type: 'volume', factor: 3785.411784, aliases: ['gallons', 'gal'] },
+  pinch: { type: 'volume', factor: 0.31, aliases: ['pinches'] },
+  dash: { type: 'volume', factor: 0.62, aliases: ['dashes'] },
+
+  // Counts - "item" and "dozen" relate exactly, the rest are their own thing
+  item: { type: 'count', factor: 1, aliases: ['items', 'each', 'ea', 'whole', 'piece', 'pieces', 'pc', 'pcs', 'unit', 'units', 'large', 'medium', 'small'] },
+  dozen: { type: 'count', factor: 12, aliases: ['dozens', 'doz'] },
+  clove: { type: 'count', aliases: ['cloves'] },
+  can: { type: 'count', aliases: ['cans', 'tin', 'tins'] },
+  stick: { type: 'count', aliases: ['sticks'] },
+  slice: { type: 'count', aliases: ['slices'] },
+  bunch: { type: 'count', aliases: ['bunches'] },
+  head: { type: 'count', aliases: ['heads'] },
+  sprig: { type: 'count', aliases: ['sprigs'] },
+  package: { type: 'count', aliases: ['packages', 'pkg', 'pkgs', 'pack', 'packs', 'packet', 'packets'] },
+  jar: { type: 'count', aliases: ['jars'] },
+  bottle: { type: 'count', aliases: ['bottles'] },
+  box: { type: 'count', aliases: ['boxes'] },
+  bag: { type: 'count', aliases: ['bags'] },
+};
+
+// Case matters only for the "T" (tablespoon) / "t" (teaspoon) shorthand
+const UNIT_ALIASES = new Map();
+Object.entries(UNIT_DEFINITIONS).forEach(([unit, definition]) => {
+  UNIT_ALIASES.set(unit, unit);
+  definition.aliases.forEach(alias => UNIT_ALIASES.set(alias, unit));
+});
+
+/**
+ * Per-ingredient data: density in g/ml and typical weights in g per count unit.
+ * Keys are matched with ingredientMatcher, so "brown sugar, packed" finds "brown sugar".
+ */
+const INGREDIENT_DATA = {
+  water: { density: 1 },
+  milk: { density: 1.03 },
+  'heavy cream': { density: 0.99 },
+  yogurt: { density: 1.03 },
+  'chicken broth': { density: 1 },
+  'beef broth': { density: 1 },
+  'vegetable broth': { density: 1 },
+  oil: { density: 0.92 },
+  'olive oil': { density: 0.92 },
+  'vegetable oil': { density: 0.92 },
+  vinegar: { density: 1.01 },
+  'soy sauce': { density: 1.15 },
+  honey: { density: 1.42 },
+  'maple syrup': { density: 1.32 },
+  flour: { density: 0.53 },
+  'bread flour': { density: 0.54 },
+  'whole wheat flour': { density: 0.51 },
+  sugar: { density: 0.85 },
+  'brown sugar': { density: 0.93 },
+  'powdered sugar': { density: 0.51 },
+  cornstarch: { density: 0.54 },
+  'cocoa powder': { density: 0.42 },
+  'baking soda': { density: 0.93 },
+  'baking powder': { density: 0.81 },
+  salt: { density: 1.22 },
+  'kosher salt': { density: 0.61 },
+  rice: { density: 0.78 },
+  oat: { density: 0.38 },
+  'rolled oat': { density: 0.38 },
+  butter: { density: 0.96, stick: 113, item: 454 },
+  'peanut butter': { density: 1.08 },
+  cheese: { density: 0.47, slice: 21 },
+  'shredded cheese': { density: 0.47 },
+  parmesan: { density: 0.42 },
+  'chocolate chip': { density: 0.72 },
+  nut: { density: 0.55 },
+  egg: { item: 50 },
+  garlic: { clove: 5, head: 50, item: 50 },
+  onion: { density: 0.6, item: 150 },
+  potato: { item: 210 },
+  tomato: { density: 0.6, item: 120 },
+  carrot: { item: 60 },
+  'bell pepper': { item: 120 },
+  lemon: { item: 85 },
+  lime: { item: 65 },
+  apple: { item: 180 },
+  banana: { item: 120 },
+  avocado: { item: 150 },
+  'chicken breast': { item: 175 },
+  bread: { slice: 30 },
+  bacon: { slice: 15 },
+  'canned tomato': { can: 400 },
+  bean: { density: 0.7, can: 425 },
+  chickpea: { density: 0.7, can: 425 },
+  'coconut milk': { density: 1, can: 400 },
+  parsley: { bunch: 60, sprig: 1 },
+  cilantro: { bunch: 60, sprig: 1 },
+  lettuce: { head: 600 },
+  celery: { item: 40, bunch: 450 },
+};
+
+// Entry is the same kind with fewer words ("bean" for "black beans") - see ingredientMatcher.score
+const MIN_DATA_CONFIDENCE = 0.6;
+
+// Used by toGrams when nothing better is known
+const WATER_DENSITY = 1;
+const DEFAULT_ITEM_GRAMS = 100;
+
+const UNICODE_FRACTIONS = {
+  '½': 0.5, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 0.25, '¾': 0.75, '⅕': 0.2,
+  '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875, '⅙': 1 / 6,
+};
+
+const round = (value, places = 4) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const impossible = (unit) => ({ value: null, unit, status: CONVERSION.IMPOSSIBLE });
+
+export const units = {
+  /**
+   * Canonical unit name ("Tablespoons" -> "tbsp"); unknown units come back
+   * lowercased, and an empty unit means "item"
+   */
+  normalizeUnit(unit) {
+    if (unit === null || unit === undefined) return 'item';
+
+    const trimmed = String(unit).trim().replace(/\.$/, '');
+    if (!trimmed) return 'item';
+    if (UNIT_ALIASES.has(trimmed)) return UNIT_ALIASES.get(trimmed);
+
+    const lower = trimmed.toLowerCase();
+    return UNIT_ALIASES.get(lower) || lower;
+  },
+
+  /**
+   * 'mass', 'volume', 'count', or null for units we don't know
+   */
+  unitType(unit) {
+    return UNIT_DEFINITIONS[this.normalizeUnit(unit)]?.type || null;
+  },
+
+  /**
+   * Parse a quantity: 2, "1.5", "1 1/2", "1½", "3/4", "2-3" (first of a range)
+   * Returns null when there is no number
+   */
+  parseQuantity(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (value === null || value === undefined) return null;
+
+    let text = String(value).trim();
+    Object.entries(UNICODE_FRACTIONS).forEach(([symbol, fraction]) => {
+      text = text.replace(new RegExp(`(\\d+)?\\s*${symbol}`), (_, whole) => ` ${(Number(whole) || 0) + fraction}`);
+    });
+    text = text.trim();
+
+    const mixed = text.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)/);
+    if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+
+    const fraction = text.match(/^(\d+)\s*\/\s*(\d+)/);
+    if (fraction) return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : null;
+
+    const decimal = text.match(/^(\d*\.?\d+)/);
+    return decimal ? Number(decimal[1]) : null;
+  },
+
+  /**
+   * Split a measure like "1 1/2 cups", "200g" or "2 cloves" into amount + unit.
+   * Text without a number counts as 1 ("pinch" -> 1 pinch, "to taste" -> 1 "to taste").
+   * A package size in parentheses is split off: "1 (14 oz) can" -> 1 can with
+   * packageSize { amount: 14, unit: 'oz' }.
+   */
+  parseMeasure(measure) {
+    if (measure === null || measure === undefined || !String(measure).trim()) {
+      return { amount: 1, unit: 'item' };
+    }
+
+    const text = String(measure).trim();
+    const numberMatch = text.match(/^(\d*\s*[½⅓⅔¼¾⅕⅛⅜⅝⅞⅙]|\d+\s+\d+\s*\/\s*\d+|\d*\.?\d+(\s*\/\s*\d+)?)(\s*-\s*[\d./]+)?/);
+
+    const amount = numberMatch ? this.parseQuantity(numberMatch[1]) ?? 1 : 1;
+    const rest = (numberMatch ? text.slice(numberMatch[0].length) : text).trim();
+
+    const packageMatch = rest.match(/^\(([^)]*\d[^)]*)\)\s*/);
+    if (packageMatch) {
+      const { packageSize, ...measure } = this.parseMeasure(`${amount} ${rest.slice(packageMatch[0].length)}`);
+      return { ...measure, packageSize: this.parseMeasure(packageMatch[1]) };
+    }
+
+    if (!rest) return { amount, unit: 'item' };
+
+    // Two-word units first ("fl oz", "fluid ounces"), then the first word
+    const words = rest.split(/\s+/);
+    const twoWords = words.slice(0, 2).join(' ');
+    if (words.length > 1 && UNIT_ALIASES.has(twoWords.toLowerCase())) {
+      return { amount, unit: UNIT_ALIASES.get(twoWords.toLowerCase()) };
+    }
+
+    const firstWord = words[0].replace(/\.$/, '');
+    if (UNIT_ALIASES.has(firstWord) || UNIT_ALIASES.has(firstWord.toLowerCase())) {
+      return { amount, unit: this.normalizeUnit(firstWord) };
+    }
+
+    return { amount, unit: rest.toLowerCase() };
+  },
+
+  /**
+   * Density and count weights for an ingredient, or null if we don't know it.
+   * Entries match on the head noun, so a more general entry still applies
+   * ("black beans" uses bean); the closest, most specific entry wins.
+   */
+  getIngredientData(ingredientName) {
+    if (!ingredientName) return null;
+
+    let best = null;
+    Object.entries(INGREDIENT_DATA).forEach(([name, data]) => {
+      const confidence = ingredientMatcher.score(ingredientName, name);
+      const words = name.split(' ').length;
+      if (confidence < MIN_DATA_CONFIDENCE) return;
+      if (!best || confidence > best.confidence || (confidence === best.confidence && words > best.words)) {
+        best = { name, data, confidence, words };
+      }
+    });
+
+    return best?.data || null;
+  },
+
+  /**
+   * Convert an amount between units.
+   * Returns { value, unit, status } where status is a CONVERSION value.
+   */
+  convert(amount, fromUnit, toUnit, ingredientName = null) {
+    const quantity = this.parseQuantity(amount);
+    const from = this.normalizeUnit(fromUnit);
+    const to = this.normalizeUnit(toUnit);
+
+    if (quantity === null) return impossible(to);
+    if (from === to) return { value: quantity, unit: to, status: CONVERSION.EXACT };
+
+    const fromDef = UNIT_DEFINITIONS[from];
+    const toDef = UNIT_DEFINITIONS[to];
+    if (!fromDef || !toDef) return impossible(to);
+
+    // Same dimension with fixed factors (item <-> dozen included)
+    if (fromDef.type === toDef.type && fromDef.factor && toDef.factor) {
+      return { value: round(quantity * fromDef.factor / toDef.factor), unit: to, status: CONVERSION.EXACT };
+    }
+
+    // Everything else goes through grams using ingredient data
+    const data = this.getIngredientData(ingredientName);
+    if (!data) return impossible(to);
+
+    const grams = this.gramsFor(quantity, from, fromDef, data);
+    if (grams === null) return impossible(to);
+
+    const value = this.fromGrams(grams, to, toDef, data);
+    if (value === null) return impossible(to);
+
+    return { value: round(value), unit: to, status: CONVERSION.APPROXIMATE };
+  },
+
+  // Amount in a known unit -> grams, using density / count weights
+  gramsFor(quantity, unit, definition, data) {
+    if (definition.type === 'mass') return quantity * definition.factor;
+    if (definition.type === 'volume') return data.density ? quantity * definition.factor * data.density : null;
+
+    const itemCount = definition.factor ? quantity * definition.factor : null;
+    if (data[unit]) return quantity * data[unit];
+    if (itemCount !== null && data.item) return itemCount * data.item;
+    return null;
+  },
+
+  // Grams -> amount in a known unit, using density / count weights
+  fromGrams(grams, unit, definition, data) {
+    if (definition.type === 'mass') return grams / definition.factor;
+    if (definition.type === 'volume') return data.density ? grams / data.density / definition.factor : null;
+
+    if (data[unit]) return grams / data[unit];
+    if (definition.factor && data.item) return grams / data.item / definition.factor;
+    return null;
+  },
+
+  /**
+   * Best-effort grams for nutrition scaling. Falls back to water density for
+   * volumes and a typical item weight for counts; those results are approximate.
+   * Units we don't recognize ("to taste") stay impossible.
+   */
+  toGrams(amount, unit, ingredientName = null) {
+    const result = this.convert(amount, unit, 'g', ingredientName);
+    if (result.status !== CONVERSION.IMPOSSIBLE) return result;
+
+    const quantity = this.parseQuantity(amount);
+    if (quantity === null) return result;
+
+    const definition = UNIT_DEFINITIONS[this.normalizeUnit(unit)];
+    if (definition?.type === 'volume') {
+      return { value: round(quantity * definition.factor * WATER_DENSITY), unit: 'g', status: CONVERSION.APPROXIMATE };
+    }
+    if (definition?.type === 'count') {
+      return { value: round(quantity * (definition.factor || 1) * DEFAULT_ITEM_GRAMS), unit: 'g', status: CONVERSION.APPROXIMATE };
+    }
+
+    return result;
+  },
+
+  /**
+   * Compare a stocked amount against a required one.
+   * Returns { enough, status }; enough is null when the units can't be compared.
+   */
+  compare(haveAmount, haveUnit, needAmount, needUnit, ingredientName = null) {
+    const need = this.parseQuantity(needAmount);
+    if (!need) return { enough: true, status: CONVERSION.EXACT };
+
+    const have = this.parseQuantity(haveAmount) ?? 0;
+    const converted = this.convert(need, needUnit, haveUnit, ingredientName);
+    if (converted.status === CONVERSION.IMPOSSIBLE) {
+      return { enough: null, status: CONVERSION.IMPOSSIBLE };
+    }
+
+    return { enough: have >= converted.value, status: converted.status };
+  },
+};
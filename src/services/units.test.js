@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { units, CONVERSION } from './units';
+
+describe('units.parseMeasure', () => {
+  it('splits amount and unit', () => {
+    expect(units.parseMeasure('1 1/2 cups')).toEqual({ amount: 1.5, unit: 'cup' });
+    expect(units.parseMeasure('200g')).toEqual({ amount: 200, unit: 'g' });
+    expect(units.parseMeasure('to taste')).toEqual({ amount: 1, unit: 'to taste' });
+  });
+
+  it('splits off a package size in parentheses', () => {
+    expect(units.parseMeasure('1 (14 oz) can')).toEqual({
+      amount: 1,
+      unit: 'can',
+      packageSize: { amount: 14, unit: 'oz' },
+    });
+    expect(units.parseMeasure('2 (15.5 ounce) cans')).toEqual({
+      amount: 2,
+      unit: 'can',
+      packageSize: { amount: 15.5, unit: 'oz' },
+    });
+  });
+
+  it('leaves parentheses without a size alone', () => {
+    expect(units.parseMeasure('2 (optional)').unit).toBe('(optional)');
+  });
+});
+
+describe('units.getIngredientData', () => {
+  it('matches entries on the head noun', () => {
+    expect(units.getIngredientData('black beans')).toEqual({ density: 0.7, can: 425 });
+    expect(units.getIngredientData('red kidney beans, drained')).toEqual({ density: 0.7, can: 425 });
+  });
+
+  it('prefers the most specific entry', () => {
+    expect(units.getIngredientData('light brown sugar').density).toBe(0.93);
+    expect(units.getIngredientData('brown sugar').density).toBe(0.93);
+    expect(units.getIngredientData('sugar').density).toBe(0.85);
+  });
+
+  it("doesn't match a different ingredient that shares a word", () => {
+    expect(units.getIngredientData('rice vinegar').density).toBe(1.01);
+    expect(units.getIngredientData('eggplant')).toBeNull();
+  });
+});
+
+describe('units.convert', () => {
+  it('converts bean volumes to weight using the bean density', () => {
+    const result = units.convert(1, 'cup', 'g', 'black beans');
+    expect(result.status).toBe(CONVERSION.APPROXIMATE);
+    expect(result.value).toBeCloseTo(165.6, 0);
+  });
+
+  it('converts within a dimension exactly', () => {
+    expect(units.convert(16, 'oz', 'lb')).toEqual({ value: 1, unit: 'lb', status: CONVERSION.EXACT });
+  });
+
+  it("can't convert between unrelated units without data", () => {
+    expect(units.convert(1, 'cup', 'g', 'mystery').status).toBe(CONVERSION.IMPOSSIBLE);
+  });
+});
@@ -21,22 +21,7 @@ export const usdaService = {
       });
 
       // Transform the response to a simpler format
-      return response.data.foods.map(food => ({
-        fdcId: food.fdcId,
-        name: food.description,
-        brandName: food.brandName || null,
-        dataType: food.dataType,
-        servingSize: food.servingSize || 100,
-        servingUnit: food.servingSizeUnit || 'g',
-        // Extract nutrition info
-        calories: this.getNutrient(food, 1008), // Energy
-        protein: this.getNutrient(food, 1003), // Protein
-        carbs: this.getNutrient(food, 1005), // Carbohydrates
-        fat: this.getNutrient(food, 1004), // Total lipid (fat)
-        fiber: this.getNutrient(food, 1079), // Fiber
-        sugar: this.getNutrient(food, 2000), // Sugars
-        sodium: this.getNutrient(food, 1093), // Sodium
-      }));
+      return response.data.foods.map(food => this.transformFood(food));
     } catch (error) {
       console.error('USDA API Error:', error);
       if (error.response?.status === 403) {
@@ -50,6 +35,29 @@ export const usdaService = {
     }
   },
 
+  // Search result or food details -> the simple format searchFoods returns
+  transformFood(food) {
+    return {
+      fdcId: food.fdcId,
+      name: food.description,
+      brandName: food.brandName || null,
+      dataType: food.dataType,
+      servingSize: food.servingSize || 100,
+      servingUnit: food.servingSizeUnit || 'g',
+      // Extract nutrition info
+      calories: this.getNutrient(food, 1008), // Energy
+      protein: this.getNutrient(food, 1003), // Protein
+      carbs: this.getNutrient(food, 1005), // Carbohydrates
+      fat: this.getNutrient(food, 1004), // Total lipid (fat)
+      fiber: this.getNutrient(food, 1079), // Fiber
+      sugar: this.getNutrient(food, 2000), // Sugars
+      sodium: this.getNutrient(food, 1093), // Sodium
+      saturatedFat: this.getNutrient(food, 1258), // Fatty acids, total saturated
+      transFat: this.getNutrient(food, 1257), // Fatty acids, total trans
+      cholesterol: this.getNutrient(food, 1253), // Cholesterol
+    };
+  },
+
   // Get detailed food info
   async getFoodDetails(fdcId) {
     try {
@@ -66,12 +74,19 @@ export const usdaService = {
     }
   },
 
+  // Get one food in the simple search format
+  async getFood(fdcId) {
+    const details = await this.getFoodDetails(fdcId);
+    return this.transformFood(details);
+  },
+
   // Helper to extract nutrient value
+  // Search results use nutrientId/value, food details use nutrient.id/amount
   getNutrient(food, nutrientId) {
     const nutrient = food.foodNutrients?.find(
-      n => n.nutrientId === nutrientId || n.nutrientNumber === String(nutrientId)
+      n => n.nutrientId === nutrientId || n.nutrientNumber === String(nutrientId) || n.nutrient?.id === nutrientId
     );
-    return nutrient?.value || 0;
+    return nutrient?.value ?? nutrient?.amount ?? 0;
   },
 
   // Calculate nutrition for custom amount
@@ -139,6 +139,34 @@ export const userPreferencesService = {
     return this.setPreference('household_size', size);
   },
 
+  /**
+   * Get recipe suggestion preferences (dietary, cuisine, max cooking time)
+   */
+  async getRecipePreferences() {
+    try {
+      const prefs = await this.getPreferences();
+      return {
+        dietary: prefs.dietary_preference || '',
+        cuisine: prefs.preferred_cuisine || '',
+        cookingTime: prefs.max_cooking_time || '',
+      };
+    } catch (error) {
+      console.error('Error getting recipe preferences:', error);
+      return { dietary: '', cuisine: '', cookingTime: '' };
+    }
+  },
+
+  /**
+   * Set recipe suggestion preferences
+   */
+  async setRecipePreferences({ dietary, cuisine, cookingTime }) {
+    return this.updatePreferences({
+      dietary_preference: dietary || null,
+      preferred_cuisine: cuisine || null,
+      max_cooking_time: parseInt(cookingTime, 10) || null,
+    });
+  },
+
   /**
    * Get Kroger store preferences
    */
@@ -0,0 +1,9 @@
+-- Rows copied from the legacy inventory/shopping_list tables keep the old
+-- row id, so a rerun of legacyDataMigration skips rows it already copied
+-- (upsert on legacy_id, ignoring duplicates).
+
+alter table public.inventory_items add column if not exists legacy_id text;
+alter table public.shopping_list_items add column if not exists legacy_id text;
+
+create unique index if not exists inventory_items_legacy_id_key on public.inventory_items (legacy_id);
+create unique index if not exists shopping_list_items_legacy_id_key on public.shopping_list_items (legacy_id);
@@ -0,0 +1,6 @@
+-- The people a user cooks for, with portion weights (and, since user-010,
+-- age band, allergies, dislikes and daily targets). Read by
+-- householdScalingService; an empty or missing list falls back to household_size.
+
+alter table public.user_preferences
+  add column if not exists household_members jsonb not null default '[]'::jsonb;
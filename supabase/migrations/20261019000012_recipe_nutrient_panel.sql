@@ -0,0 +1,52 @@
+-- Full nutrient panel for recipes (see recipeNutrition.js). recipe_ingredients
+-- rows carry each ingredient's nutrients; the recipes total_* columns hold
+-- PER-SERVING values, stamped with nutrition_updated_at when computed.
+
+alter table public.recipes
+  add column if not exists total_saturated_fat numeric,
+  add column if not exists total_trans_fat numeric,
+  add column if not exists total_cholesterol numeric,
+  add column if not exists total_sodium numeric,
+  add column if not exists total_fiber numeric,
+  add column if not exists total_sugar numeric,
+  add column if not exists serving_grams integer,
+  add column if not exists unresolved_ingredients text[],
+  add column if not exists nutrition_updated_at timestamptz;
+
+alter table public.recipe_ingredients
+  add column if not exists grams numeric,
+  add column if not exists saturated_fat numeric,
+  add column if not exists trans_fat numeric,
+  add column if not exists cholesterol numeric,
+  add column if not exists sodium numeric,
+  add column if not exists fiber numeric,
+  add column if not exists sugar numeric,
+  add column if not exists usda_food_id text,
+  add column if not exists nutrition_resolved boolean,
+  add column if not exists nutrition_note text,
+  add column if not exists notes text;
+
+-- One-time fix for recipes saved before the panel existed. RecipeForm stored
+-- the sum of its ingredient rows in total_*, i.e. the whole recipe; re-divide
+-- those sums by servings. Recipes without ingredient nutrients (MealDB and AI
+-- imports) only ever had per-serving estimates and are left as they are.
+with sums as (
+  select
+    recipe_id,
+    sum(coalesce(calories, 0)) as calories,
+    sum(coalesce(protein, 0)) as protein,
+    sum(coalesce(carbs, 0)) as carbs,
+    sum(coalesce(fat, 0)) as fat
+  from public.recipe_ingredients
+  group by recipe_id
+  having sum(coalesce(calories, 0) + coalesce(protein, 0) + coalesce(carbs, 0) + coalesce(fat, 0)) > 0
+)
+update public.recipes r
+  set total_calories = round((s.calories / greatest(coalesce(r.servings, 1), 1))::numeric, 1),
+      total_protein = round((s.protein / greatest(coalesce(r.servings, 1), 1))::numeric, 1),
+      total_carbs = round((s.carbs / greatest(coalesce(r.servings, 1), 1))::numeric, 1),
+      total_fat = round((s.fat / greatest(coalesce(r.servings, 1), 1))::numeric, 1),
+      nutrition_updated_at = now()
+  from sums s
+  where s.recipe_id = r.id
+    and r.nutrition_updated_at is null;
@@ -0,0 +1,23 @@
+-- USDA/Kroger nutrition lookups remembered per user (see nutritionCache.js).
+-- cache_key is name:<normalized name>, upc:<upc> or fdc:<fdcId>; a null food
+-- is a remembered "no match". Pinned rows never expire.
+
+create table if not exists public.nutrition_cache (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  cache_key text not null,
+  food jsonb,
+  pinned boolean not null default false,
+  expires_at timestamptz,
+  updated_at timestamptz not null default now(),
+  unique (user_id, cache_key)
+);
+
+alter table public.nutrition_cache enable row level security;
+
+drop policy if exists "own nutrition cache" on public.nutrition_cache;
+create policy "own nutrition cache" on public.nutrition_cache
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+-- The USDA food an ingredient was matched to, shown next to the "Change match" picker
+alter table public.recipe_ingredients add column if not exists usda_name text;
@@ -0,0 +1,11 @@
+-- Where each inventory row is kept and when it expires (see shelfLife.js).
+-- expiration_estimated is true when expires_on came from the shelf-life
+-- tables rather than the user or the package.
+
+alter table public.inventory_items
+  add column if not exists storage_location text
+    check (storage_location in ('pantry', 'fridge', 'freezer')),
+  add column if not exists expires_on date,
+  add column if not exists expiration_estimated boolean not null default true;
+
+create index if not exists inventory_items_user_expires_on_idx on public.inventory_items (user_id, expires_on);
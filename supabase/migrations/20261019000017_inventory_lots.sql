@@ -0,0 +1,14 @@
+-- Every inventory_items row is one lot (see inventoryLots.js): purchased_at
+-- orders lots for first-in-first-out use, original_amount is what was bought.
+-- Existing rows become lots bought when they were created.
+
+alter table public.inventory_items
+  add column if not exists purchased_at timestamptz,
+  add column if not exists original_amount numeric;
+
+update public.inventory_items
+  set purchased_at = coalesce(purchased_at, created_at),
+      original_amount = coalesce(original_amount, amount)
+  where purchased_at is null or original_amount is null;
+
+alter table public.inventory_items alter column purchased_at set default now();
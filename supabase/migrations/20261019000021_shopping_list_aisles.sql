@@ -0,0 +1,10 @@
+-- The Kroger product a list item was linked to at a store, and where it is
+-- shelved there, for walking-order sorting in shop mode (see storeAisles.js).
+
+alter table public.shopping_list_items
+  add column if not exists kroger_product_id text,
+  add column if not exists store_location_id text,
+  add column if not exists aisle_number text,
+  add column if not exists aisle_side text,
+  add column if not exists aisle_description text,
+  add column if not exists stock_level text;
@@ -0,0 +1,4 @@
+-- When a list item's stock level was last checked at its store (see stockCheck.js)
+
+alter table public.shopping_list_items
+  add column if not exists stock_checked_at timestamptz;
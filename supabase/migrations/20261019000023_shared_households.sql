@@ -0,0 +1,126 @@
+-- Shared households: a group of accounts that see one shopping list
+-- (see src/services/householdSharing.js and getListScope in dataRepository.js).
+-- Households are created and joined only through the security definer
+-- functions below; clients can read their own household and leave it, nothing else.
+
+create table if not exists public.households (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  invite_code text not null unique,
+  created_by uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.household_members (
+  household_id uuid not null references public.households (id) on delete cascade,
+  user_id uuid not null unique references auth.users (id) on delete cascade,
+  display_name text,
+  joined_at timestamptz not null default now(),
+  primary key (household_id, user_id)
+);
+
+alter table public.shopping_list_items
+  add column if not exists household_id uuid references public.households (id) on delete set null,
+  add column if not exists added_by uuid references auth.users (id) on delete set null,
+  add column if not exists added_by_name text,
+  add column if not exists updated_at timestamptz;
+
+create index if not exists shopping_list_items_household_id_idx on public.shopping_list_items (household_id);
+
+-- The signed-in user's household. Security definer so policies on
+-- household_members can use it without recursing into themselves.
+create or replace function public.my_household_id()
+returns uuid language sql stable security definer set search_path = public as $$
+  select household_id from household_members where user_id = auth.uid()
+$$;
+
+create or replace function public.create_household(household_name text, display_name text)
+returns uuid language plpgsql security definer set search_path = public as $$
+declare
+  -- No 0/O or 1/I, so codes read out loud can't be mistyped
+  alphabet constant text := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  new_code text;
+  new_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated' using errcode = '28000';
+  end if;
+
+  loop
+    select string_agg(substr(alphabet, 1 + floor(random() * length(alphabet))::int, 1), '')
+      into new_code from generate_series(1, 6);
+    exit when not exists (select 1 from households where invite_code = new_code);
+  end loop;
+
+  insert into households (name, invite_code, created_by)
+    values (coalesce(nullif(trim(household_name), ''), 'Our household'), new_code, auth.uid())
+    returning id into new_id;
+
+  -- household_members.user_id is unique: raises 23505 if already in a household
+  insert into household_members (household_id, user_id, display_name)
+    values (new_id, auth.uid(), nullif(trim(display_name), ''));
+
+  return new_id;
+end
+$$;
+
+create or replace function public.join_household(code text, display_name text)
+returns uuid language plpgsql security definer set search_path = public as $$
+declare
+  target_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated' using errcode = '28000';
+  end if;
+
+  select id into target_id from households where invite_code = upper(trim(code));
+  if target_id is null then
+    raise exception 'No household found with that invite code' using errcode = 'P0002';
+  end if;
+
+  insert into household_members (household_id, user_id, display_name)
+    values (target_id, auth.uid(), nullif(trim(display_name), ''));
+
+  return target_id;
+end
+$$;
+
+revoke execute on function public.my_household_id() from public, anon;
+revoke execute on function public.create_household(text, text) from public, anon;
+revoke execute on function public.join_household(text, text) from public, anon;
+grant execute on function public.my_household_id() to authenticated;
+grant execute on function public.create_household(text, text) to authenticated;
+grant execute on function public.join_household(text, text) to authenticated;
+
+-- Members only: no insert or by-code select policies on either table
+alter table public.households enable row level security;
+alter table public.household_members enable row level security;
+
+drop policy if exists "members read household" on public.households;
+create policy "members read household" on public.households
+  for select using (id = public.my_household_id());
+
+drop policy if exists "members read members" on public.household_members;
+create policy "members read members" on public.household_members
+  for select using (household_id = public.my_household_id());
+
+drop policy if exists "members leave" on public.household_members;
+create policy "members leave" on public.household_members
+  for delete using (user_id = auth.uid());
+
+-- List items: your own while not sharing, the household's once you are
+alter table public.shopping_list_items enable row level security;
+
+drop policy if exists "own or household list items" on public.shopping_list_items;
+create policy "own or household list items" on public.shopping_list_items
+  for all
+  using ((household_id is null and user_id = auth.uid()) or household_id = public.my_household_id())
+  with check ((household_id is null and user_id = auth.uid()) or household_id = public.my_household_id());
+
+-- Live updates for everyone sharing the list
+do $$
+begin
+  alter publication supabase_realtime add table public.shopping_list_items;
+exception when duplicate_object then null;
+end
+$$;